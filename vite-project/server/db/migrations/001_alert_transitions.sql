@@ -0,0 +1,21 @@
+-- Alert state transitions (snooze and optimistic concurrency)
+-- Brings an alerts table created from an older db/schema.sql up to date
+-- without dropping data. Safe to run more than once:
+--   psql -d alert_monitoring -f db/migrations/001_alert_transitions.sql
+
+BEGIN;
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMP;
+
+-- Widen the state and status checks to allow snoozed alerts
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_state_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_state_check
+  CHECK (state IN ('new', 'acked', 'escalated', 'snoozed', 'resolved'));
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_status_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_status_check
+  CHECK (status IN ('open', 'acknowledged', 'escalated', 'snoozed', 'resolved'));
+
+COMMIT;
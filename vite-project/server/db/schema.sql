@@ -1,4 +1,6 @@
 -- PostgreSQL Schema for Alert Monitoring System
+-- Fresh installs only: this drops every table. Bring an existing database up
+-- to date with the scripts in db/migrations/ instead.
 -- Drop tables if they exist (for clean setup)
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
 DROP TABLE IF EXISTS alert_history CASCADE;
@@ -47,8 +49,8 @@ CREATE TABLE alerts (
   device_id UUID NOT NULL REFERENCES devices(device_id) ON DELETE CASCADE,
   type VARCHAR(50) NOT NULL,
   severity VARCHAR(20) NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
-  state VARCHAR(20) NOT NULL CHECK (state IN ('new', 'acked', 'escalated', 'resolved')),
-  status VARCHAR(20) NOT NULL CHECK (status IN ('open', 'acknowledged', 'escalated', 'resolved')),
+  state VARCHAR(20) NOT NULL CHECK (state IN ('new', 'acked', 'escalated', 'snoozed', 'resolved')),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('open', 'acknowledged', 'escalated', 'snoozed', 'resolved')),
   score REAL,
   message TEXT,
   occurred_at TIMESTAMP NOT NULL,
@@ -59,7 +61,10 @@ CREATE TABLE alerts (
   escalated_at TIMESTAMP,
   escalation_level INTEGER DEFAULT 0,
   resolved_by UUID REFERENCES users(user_id),
-  resolved_at TIMESTAMP
+  resolved_at TIMESTAMP,
+  snoozed_until TIMESTAMP,
+  state_changed_at TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1
 );
 
 -- Alert history table
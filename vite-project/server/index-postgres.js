@@ -18,12 +18,15 @@ import { authenticate, requireRole } from './middleware/auth.js';
 import { sendAlertNotifications, getAlertRecipients } from './services/notification.js';
 import analytics from './services/analytics.js';
 import mlPipeline from './services/ml-pipeline.js';
+import { planTransition, expectedVersion, versionConflict, etag, MAX_SNOOZE_MINUTES } from './services/alert-state.js';
+import { evaluateRules } from './services/severity-rules.js';
+import { minutesOfDay } from './services/timezone.js';
 
 const PORT = process.env.PORT || 3000;
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
 // Utility functions
@@ -781,46 +784,23 @@ app.post('/api/v1/ml/predict', authenticate, async (req, res) => {
   }
 });
 
-// ============ ML-BASED SEVERITY DECISION ENGINE ============
+// ============ SEVERITY DECISION ============
 
 /**
- * ML-based severity decision engine
- * Determines alert severity based on event type, ML score, duration, and context
+ * Severity for an incoming event from the default severity rules
+ * (services/severity-rules.js). Tenant rule sets and their versions live in
+ * the SQLite server's database, so only DEFAULT_RULES apply here.
  */
-function decideSeverity(event) {
-  const { type, score = 0.5, duration = 0, inQuietHours = false } = event;
-  
-  // Critical alerts - immediate danger, requires immediate action
-  if (type === 'smoke_alarm') return 'critical';
-  if (type === 'glass_break' && score >= 0.85) return 'critical';
-  if (type === 'fall' && score >= 0.8) return 'critical';
-  if (type === 'fire' || type === 'gas_leak') return 'critical';
-  
-  // High severity - requires prompt attention
-  if (type === 'fall') return 'high';
-  if (type === 'glass_break') return 'high';
-  if (type === 'no_motion' && duration >= 30 * 60) {
-    // No motion for 30+ minutes
-    return inQuietHours ? 'high' : 'medium';
-  }
-  if (type === 'unusual_noise' && score >= 0.85) return 'high';
-  
-  // Medium severity - monitor and investigate
-  if (type === 'unusual_noise' && score >= 0.7) return 'medium';
-  if (type === 'no_motion' && duration >= 15 * 60) return 'medium';
-  if (type === 'door_open' && inQuietHours) return 'medium';
-  
-  // Low severity - informational
-  if (type === 'dog_bark') return 'low';
-  if (type === 'door_open') return 'low';
-  if (type === 'normal') return 'low';
-  
-  // Default based on ML confidence score
-  if (score >= 0.85) return 'high';
-  if (score >= 0.7) return 'medium';
-  if (score >= 0.5) return 'low';
-  
-  return 'low';
+function decideSeverity({ type, score = 0.5, duration = 0, inQuietHours = false, occurred_at }) {
+  return evaluateRules([], {
+    type,
+    score,
+    duration,
+    minutes_of_day: minutesOfDay(occurred_at, 'UTC'),
+    in_quiet_hours: inQuietHours,
+    location: null,
+    recentCount: () => 0
+  });
 }
 
 /**
@@ -903,10 +883,10 @@ app.post('/api/v1/alerts/ingest', authenticate, async (req, res) => {
       });
     }
 
-    // Use manual severity if provided, otherwise use ML-based decision
-    const severity = manualSeverity && ['low', 'medium', 'high', 'critical'].includes(manualSeverity)
-      ? manualSeverity
-      : decideSeverity({ type, score, duration, inQuietHours });
+    // Use manual severity if provided, otherwise the default severity rules
+    const isManual = Boolean(manualSeverity && ['low', 'medium', 'high', 'critical'].includes(manualSeverity));
+    const decision = isManual ? null : decideSeverity({ type, score, duration, inQuietHours, occurred_at });
+    const severity = isManual ? manualSeverity : decision.severity;
 
     // Insert alert
     const insertResult = await pool.query(
@@ -927,7 +907,7 @@ app.post('/api/v1/alerts/ingest', authenticate, async (req, res) => {
         alert.alert_id,
         null, // system created
         message,
-        JSON.stringify({ score, duration, inQuietHours, severity, ml_based: !manualSeverity })
+        JSON.stringify({ score, duration, inQuietHours, severity, ...(decision && { rule: decision.rule, rule_source: decision.source }) })
       ]
     );
 
@@ -935,10 +915,12 @@ app.post('/api/v1/alerts/ingest', authenticate, async (req, res) => {
     broadcast('alert.new', alert);
 
     // Send notifications
-    const severitySource = manualSeverity ? 'manual' : 'ML-based';
+    const severitySource = isManual ? 'manual' : `rule "${decision.rule}"`;
     console.log(`[alert/ingest] Alert ${alert.alert_id}: ${type} (${severity} - ${severitySource}, score: ${score})`);
     
-    // Get recipients and send notifications asynchronously
+    // Get recipients and send notifications asynchronously. On-call schedules and
+    // escalation chains (services/oncall.js) are SQLite-only; here the owner and
+    // caregivers are notified.
     getAlertRecipients(alert, pool)
       .then(recipients => sendAlertNotifications(alert, recipients, pool))
       .catch(err => console.error('[alert/ingest] Notification error:', err.message));
@@ -1120,6 +1102,95 @@ app.get('/api/v1/alerts/stats', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Move an alert through the shared state machine (services/alert-state.js).
+ * The UPDATE only matches while the alert still has the version it was read
+ * at, so of two caregivers acting at once the second one gets a conflict.
+ */
+async function transitionAlert(alert, action, { actor, note = '', until, meta = {} }) {
+  const ts = nowISO();
+  const plan = planTransition(alert, action, { actor, ts, until });
+  if (plan.error) return { error: plan.error, alert };
+
+  const columns = Object.keys(plan.changes);
+  // The state change and its history row commit together or not at all
+  const client = await pool.connect();
+  let updateResult;
+  try {
+    await client.query('BEGIN');
+    updateResult = await client.query(
+      `UPDATE alerts
+       SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+       WHERE alert_id = $${columns.length + 1} AND version = $${columns.length + 2}
+       RETURNING *`,
+      [...columns.map(column => plan.changes[column]), alert.alert_id, alert.version]
+    );
+
+    if (updateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const currentResult = await client.query('SELECT * FROM alerts WHERE alert_id = $1', [alert.alert_id]);
+      return { error: 'Alert was changed by someone else', alert: currentResult.rows[0] };
+    }
+
+    await client.query(
+      `INSERT INTO alert_history (alert_id, action, actor, note, meta)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [alert.alert_id, action, actor, note, JSON.stringify({ previous_state: plan.from, version: plan.changes.version, ...meta })]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { updated: updateResult.rows[0], changes: plan.changes, ts };
+}
+
+/**
+ * Load an alert for a state change: 404 if missing, 403 outside the caller's
+ * houses, 409 if the If-Match version is stale. Returns null once it has responded.
+ */
+async function loadAlertForUpdate(req, res) {
+  const alertResult = await pool.query(
+    `SELECT a.*, h.owner_id FROM alerts a
+     JOIN houses h ON a.house_id = h.house_id
+     WHERE a.alert_id = $1`,
+    [req.params.id]
+  );
+
+  if (alertResult.rows.length === 0) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
+
+  const alert = alertResult.rows[0];
+
+  // Check access control
+  if (req.user.role !== 'ADMIN' && alert.owner_id !== req.user.user_id) {
+    res.status(403).json({ error: 'Insufficient permissions' });
+    return null;
+  }
+
+  const expected = expectedVersion(req.get('If-Match'), req.body && req.body.version);
+  if (Number.isNaN(expected)) {
+    res.status(400).json({ error: 'VALIDATION_ERROR', details: ['If-Match must be an alert version'] });
+    return null;
+  }
+
+  const conflict = versionConflict(alert, expected);
+  if (conflict) {
+    sendConflict(res, conflict, alert);
+    return null;
+  }
+  return alert;
+}
+
+function sendConflict(res, error, alert) {
+  res.status(409).set('ETag', etag(alert)).json({ error, state: alert.state, version: alert.version });
+}
+
 // GET /api/v1/alerts/:id
 app.get('/api/v1/alerts/:id', authenticate, async (req, res) => {
   try {
@@ -1158,6 +1229,7 @@ app.get('/api/v1/alerts/:id', authenticate, async (req, res) => {
       [id]
     );
 
+    res.set('ETag', etag(alert));
     res.json({ 
       alert, 
       history: historyResult.rows 
@@ -1171,70 +1243,26 @@ app.get('/api/v1/alerts/:id', authenticate, async (req, res) => {
 // POST /api/v1/alerts/:id/ack
 app.post('/api/v1/alerts/:id/ack', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
     const { note = '' } = req.body;
     const actor = req.user.user_id;
 
-    // Get alert
-    const alertResult = await pool.query(
-      `SELECT a.*, h.owner_id FROM alerts a
-       JOIN houses h ON a.house_id = h.house_id
-       WHERE a.alert_id = $1`,
-      [id]
-    );
-
-    if (alertResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Alert not found' });
-    }
-
-    const alert = alertResult.rows[0];
-
-    // Check access control
-    if (req.user.role !== 'ADMIN' && alert.owner_id !== req.user.user_id) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-
-    // Check valid state transition
-    if (alert.state === 'resolved') {
-      return res.status(409).json({ error: 'Cannot acknowledge resolved alert' });
-    }
-
-    if (alert.state === 'acked') {
-      return res.status(409).json({ error: 'Alert already acknowledged' });
-    }
-
-    const acknowledgedAt = nowISO();
+    const alert = await loadAlertForUpdate(req, res);
+    if (!alert) return;
 
-    // Update alert
-    await pool.query(
-      `UPDATE alerts 
-       SET state = 'acked', status = 'acknowledged', 
-           acknowledged_by = $1, acknowledged_at = $2, updated_at = $2
-       WHERE alert_id = $3`,
-      [actor, acknowledgedAt, id]
-    );
+    const result = await transitionAlert(alert, 'ack', { actor, note });
+    if (result.error) return sendConflict(res, result.error, result.alert);
 
-    // Insert history
-    await pool.query(
-      `INSERT INTO alert_history (alert_id, action, actor, note, meta)
-       VALUES ($1, 'ack', $2, $3, $4)`,
-      [id, actor, note, JSON.stringify({ previous_state: alert.state })]
-    );
+    const { updated, ts } = result;
+    broadcast('alert.acked', updated);
 
-    // Get updated alert
-    const updatedResult = await pool.query(
-      'SELECT * FROM alerts WHERE alert_id = $1',
-      [id]
-    );
-
-    broadcast('alert.acked', updatedResult.rows[0]);
-
-    console.log(`[alert/ack] Alert ${id} acknowledged by ${actor}`);
+    console.log(`[alert/ack] Alert ${alert.alert_id} acknowledged by ${actor}`);
 
+    res.set('ETag', etag(updated));
     res.json({ 
       state: 'acked',
       status: 'acknowledged',
-      acknowledged_at: acknowledgedAt
+      acknowledged_at: ts,
+      version: updated.version
     });
   } catch (error) {
     console.error('[alert/:id/ack] Error:', error);
@@ -1245,67 +1273,27 @@ app.post('/api/v1/alerts/:id/ack', authenticate, async (req, res) => {
 // POST /api/v1/alerts/:id/escalate
 app.post('/api/v1/alerts/:id/escalate', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
     const { note = 'No response - escalating' } = req.body;
     const actor = req.user.user_id;
 
-    // Get alert
-    const alertResult = await pool.query(
-      `SELECT a.*, h.owner_id FROM alerts a
-       JOIN houses h ON a.house_id = h.house_id
-       WHERE a.alert_id = $1`,
-      [id]
-    );
-
-    if (alertResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Alert not found' });
-    }
-
-    const alert = alertResult.rows[0];
-
-    // Check access control
-    if (req.user.role !== 'ADMIN' && alert.owner_id !== req.user.user_id) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
-
-    // Check valid state transition
-    if (alert.state === 'resolved') {
-      return res.status(409).json({ error: 'Cannot escalate resolved alert' });
-    }
+    const alert = await loadAlertForUpdate(req, res);
+    if (!alert) return;
 
-    const escalatedAt = nowISO();
     const escalationLevel = (alert.escalation_level || 0) + 1;
+    const result = await transitionAlert(alert, 'escalate', { actor, note, meta: { escalation_level: escalationLevel } });
+    if (result.error) return sendConflict(res, result.error, result.alert);
 
-    // Update alert
-    await pool.query(
-      `UPDATE alerts 
-       SET state = 'escalated', status = 'escalated', 
-           escalated_at = $1, escalation_level = $2, updated_at = $1
-       WHERE alert_id = $3`,
-      [escalatedAt, escalationLevel, id]
-    );
-
-    // Insert history
-    await pool.query(
-      `INSERT INTO alert_history (alert_id, action, actor, note, meta)
-       VALUES ($1, 'escalate', $2, $3, $4)`,
-      [id, actor, note, JSON.stringify({ escalation_level: escalationLevel, previous_state: alert.state })]
-    );
-
-    // Get updated alert
-    const updatedResult = await pool.query(
-      'SELECT * FROM alerts WHERE alert_id = $1',
-      [id]
-    );
-
-    broadcast('alert.escalated', updatedResult.rows[0]);
+    const { updated, ts } = result;
+    broadcast('alert.escalated', updated);
 
-    console.log(`[alert/escalate] Alert ${id} escalated to level ${escalationLevel} by ${actor}`);
+    console.log(`[alert/escalate] Alert ${alert.alert_id} escalated to level ${escalationLevel} by ${actor}`);
 
+    res.set('ETag', etag(updated));
     res.json({ 
       state: 'escalated',
       escalation_level: escalationLevel,
-      escalated_at: escalatedAt
+      escalated_at: ts,
+      version: updated.version
     });
   } catch (error) {
     console.error('[alert/:id/escalate] Error:', error);
@@ -1316,7 +1304,6 @@ app.post('/api/v1/alerts/:id/escalate', authenticate, async (req, res) => {
 // POST /api/v1/alerts/:id/resolve
 app.post('/api/v1/alerts/:id/resolve', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
     const { note } = req.body;
     const actor = req.user.user_id;
 
@@ -1327,69 +1314,128 @@ app.post('/api/v1/alerts/:id/resolve', authenticate, async (req, res) => {
       });
     }
 
-    // Get alert
-    const alertResult = await pool.query(
-      `SELECT a.*, h.owner_id FROM alerts a
-       JOIN houses h ON a.house_id = h.house_id
-       WHERE a.alert_id = $1`,
-      [id]
-    );
+    const alert = await loadAlertForUpdate(req, res);
+    if (!alert) return;
 
-    if (alertResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Alert not found' });
-    }
+    const result = await transitionAlert(alert, 'resolve', { actor, note, meta: { resolution_note: note } });
+    if (result.error) return sendConflict(res, result.error, result.alert);
 
-    const alert = alertResult.rows[0];
+    const { updated, ts } = result;
+    broadcast('alert.resolved', updated);
 
-    // Check access control
-    if (req.user.role !== 'ADMIN' && alert.owner_id !== req.user.user_id) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
-    }
+    console.log(`[alert/resolve] Alert ${alert.alert_id} resolved by ${actor}`);
 
-    // Check if already resolved
-    if (alert.state === 'resolved') {
-      return res.status(409).json({ error: 'Alert already resolved' });
+    res.set('ETag', etag(updated));
+    res.json({ 
+      state: 'resolved',
+      status: 'resolved',
+      resolved_at: ts,
+      version: updated.version
+    });
+  } catch (error) {
+    console.error('[alert/:id/resolve] Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/alerts/:id/snooze
+app.post('/api/v1/alerts/:id/snooze', authenticate, async (req, res) => {
+  try {
+    const { note = '', duration_minutes = 30 } = req.body;
+    const actor = req.user.user_id;
+    const minutes = Number(duration_minutes);
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      return res.status(400).json({ 
+        error: 'VALIDATION_ERROR',
+        details: [`duration_minutes must be a whole number from 1 to ${MAX_SNOOZE_MINUTES}`]
+      });
     }
 
-    const resolvedAt = nowISO();
+    const alert = await loadAlertForUpdate(req, res);
+    if (!alert) return;
 
-    // Update alert
-    await pool.query(
-      `UPDATE alerts 
-       SET state = 'resolved', status = 'resolved', 
-           resolved_by = $1, resolved_at = $2, updated_at = $2
-       WHERE alert_id = $3`,
-      [actor, resolvedAt, id]
-    );
+    const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    const result = await transitionAlert(alert, 'snooze', {
+      actor,
+      note: note || `Snoozed for ${minutes} min`,
+      until,
+      meta: { duration_minutes: minutes, snoozed_until: until }
+    });
+    if (result.error) return sendConflict(res, result.error, result.alert);
 
-    // Insert history
-    await pool.query(
-      `INSERT INTO alert_history (alert_id, action, actor, note, meta)
-       VALUES ($1, 'resolve', $2, $3, $4)`,
-      [id, actor, note, JSON.stringify({ resolution_note: note, previous_state: alert.state })]
-    );
+    const { updated } = result;
+    broadcast('alert.snoozed', updated);
 
-    // Get updated alert
-    const updatedResult = await pool.query(
-      'SELECT * FROM alerts WHERE alert_id = $1',
-      [id]
-    );
+    console.log(`[alert/snooze] Alert ${alert.alert_id} snoozed by ${actor} until ${until}`);
+
+    res.set('ETag', etag(updated));
+    res.json({ 
+      state: 'snoozed',
+      status: 'snoozed',
+      snoozed_until: until,
+      version: updated.version
+    });
+  } catch (error) {
+    console.error('[alert/:id/snooze] Error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/v1/alerts/:id/reopen
+app.post('/api/v1/alerts/:id/reopen', authenticate, async (req, res) => {
+  try {
+    const { note = '' } = req.body;
+    const actor = req.user.user_id;
 
-    broadcast('alert.resolved', updatedResult.rows[0]);
+    const alert = await loadAlertForUpdate(req, res);
+    if (!alert) return;
 
-    console.log(`[alert/resolve] Alert ${id} resolved by ${actor}`);
+    const result = await transitionAlert(alert, 'reopen', { actor, note });
+    if (result.error) return sendConflict(res, result.error, result.alert);
 
+    const { updated } = result;
+    broadcast('alert.reopened', updated);
+
+    console.log(`[alert/reopen] Alert ${alert.alert_id} reopened by ${actor} (was ${alert.state})`);
+
+    res.set('ETag', etag(updated));
     res.json({ 
-      state: 'resolved',
-      status: 'resolved',
-      resolved_at: resolvedAt
+      state: 'new',
+      status: 'open',
+      version: updated.version
     });
   } catch (error) {
-    console.error('[alert/:id/resolve] Error:', error);
+    console.error('[alert/:id/reopen] Error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * Resurface snoozed alerts whose snooze has run out
+ */
+async function resurfaceExpiredSnoozes() {
+  try {
+    const dueResult = await pool.query(
+      `SELECT * FROM alerts WHERE state = 'snoozed' AND snoozed_until <= NOW()`
+    );
+
+    for (const alert of dueResult.rows) {
+      const result = await transitionAlert(alert, 'resurface', {
+        actor: null, // system
+        note: 'Snooze expired',
+        meta: { snoozed_until: alert.snoozed_until }
+      });
+      if (result.error) continue;
+
+      broadcast('alert.resurfaced', result.updated);
+      console.log(`[snooze] Alert ${alert.alert_id} resurfaced`);
+    }
+  } catch (error) {
+    console.error('[snooze] Resurface check failed:', error.message);
+  }
+}
+
 // ============ ANALYTICS ENDPOINTS ============
 
 // GET /api/v1/analytics/trends
@@ -1676,6 +1722,8 @@ async function startServer() {
       console.warn('   To enable full functionality, start PostgreSQL and run:');
       console.warn('   createdb alert_monitoring');
       console.warn('   psql -d alert_monitoring -f db/schema.sql');
+      console.warn('   Databases created from an older schema.sql keep their data with:');
+      console.warn('   psql -d alert_monitoring -f db/migrations/001_alert_transitions.sql');
     }
 
     // Try MongoDB connection (optional for demo)
@@ -1706,6 +1754,9 @@ async function startServer() {
       console.log('');
       console.log('📝 Note: For full functionality, ensure PostgreSQL and MongoDB are running');
       console.log('   See server/README.md for setup instructions');
+
+      // Snoozes are checked once a minute
+      setInterval(resurfaceExpiredSnoozes, 60 * 1000);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -5,10 +5,49 @@ import Database from 'better-sqlite3';
 import { WebSocketServer } from 'ws';
 import { nanoid } from 'nanoid';
 import { MongoClient } from 'mongodb';
-import { hashPassword, comparePassword, generateAccessToken, generateRefreshToken } from './auth/utils.js';
+import { hashPassword, comparePassword, generateAccessToken, generateRefreshToken, verifyAccessToken } from './auth/utils.js';
 import { authenticate, requireRole } from './middleware/auth.js';
 import { MLModuleManager } from './ml/MLModuleManager.js';
 import { createMLRoutes } from './routes/ml-routes.js';
+import { EscalationScheduler } from './services/escalation.js';
+import { OnCallService } from './services/oncall.js';
+import { createOnCallRoutes } from './routes/oncall-routes.js';
+import { NotificationOutbox } from './services/notification-outbox.js';
+import { WebhookService } from './services/webhooks.js';
+import { createWebhookRoutes } from './routes/webhook-routes.js';
+import { QuietHoursService } from './services/quiet-hours.js';
+import { createQuietHoursRoutes } from './routes/quiet-hours-routes.js';
+import { SeverityRulesService } from './services/severity-rules.js';
+import { createSeverityRulesRoutes } from './routes/severity-rules-routes.js';
+import { IncidentService } from './services/incidents.js';
+import { createIncidentRoutes } from './routes/incident-routes.js';
+import { planTransition, expectedVersion, versionConflict, etag, MAX_SNOOZE_MINUTES } from './services/alert-state.js';
+import { SnoozeScheduler } from './services/snooze.js';
+import { TelemetryService } from './services/telemetry.js';
+import { createTelemetryRoutes } from './routes/telemetry-routes.js';
+import { DeviceHealthService, WINDOWS as HEALTH_WINDOWS, DOWN_STATUSES } from './services/device-health.js';
+import { DeviceWatchdog } from './services/device-watchdog.js';
+import { MqttAcl } from './services/mqtt-acl.js';
+import { MqttBridge } from './services/mqtt-bridge.js';
+import { createMqttRoutes } from './routes/mqtt-routes.js';
+import { FirmwareService } from './services/firmware.js';
+import { createFirmwareRoutes } from './routes/firmware-routes.js';
+import { DeviceShadowService } from './services/device-shadow.js';
+import { createDeviceShadowRoutes } from './routes/device-shadow-routes.js';
+import { ProvisioningService } from './services/provisioning.js';
+import { createProvisioningRoutes } from './routes/provisioning-routes.js';
+import { DeviceBulkService } from './services/device-bulk.js';
+import { createDeviceBulkRoutes } from './routes/device-bulk-routes.js';
+import { DeviceGroupService, queryClause, validateTags } from './services/device-groups.js';
+import { createDeviceGroupRoutes } from './routes/device-group-routes.js';
+import { MaintenanceService } from './services/maintenance.js';
+import { createMaintenanceRoutes } from './routes/maintenance-routes.js';
+import { AlertClassifier } from './services/alert-classifier.js';
+import { createAlertModelRoutes } from './routes/alert-model-routes.js';
+import { AlertLabelService } from './services/alert-labels.js';
+import { createAlertLabelRoutes } from './routes/alert-label-routes.js';
+import { AccessControl, canAccessHouse, canAccessTenant, canAccessAlert, canAccessDevice, scopeFilter, requireTenantAccess, requireTenantAdmin } from './services/access-control.js';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -24,7 +63,8 @@ app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:5174', 'http://127.0.0.1:5173'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 app.use(express.json());
@@ -80,7 +120,10 @@ CREATE TABLE IF NOT EXISTS alerts (
   escalated_at TEXT,
   escalation_level INTEGER,
   resolved_by TEXT,
-  resolved_at TEXT
+  resolved_at TEXT,
+  snoozed_until TEXT,
+  state_changed_at TEXT,
+  version INTEGER NOT NULL DEFAULT 1
 );
 CREATE TABLE IF NOT EXISTS alert_history (
   id TEXT PRIMARY KEY,
@@ -120,6 +163,21 @@ CREATE TABLE IF NOT EXISTS ml_inference (
 );
 `);
 
+// Older data.db files predate the alert state machine columns
+const alertColumns = db.prepare('PRAGMA table_info(alerts)').all().map(column => column.name);
+if (!alertColumns.includes('snoozed_until')) db.exec('ALTER TABLE alerts ADD COLUMN snoozed_until TEXT');
+if (!alertColumns.includes('version')) db.exec('ALTER TABLE alerts ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+if (!alertColumns.includes('suppressed_by')) db.exec('ALTER TABLE alerts ADD COLUMN suppressed_by TEXT');
+if (!alertColumns.includes('state_changed_at')) db.exec('ALTER TABLE alerts ADD COLUMN state_changed_at TEXT');
+
+// Decides which houses and tenants each caller can reach (see services/access-control.js)
+const accessControl = new AccessControl(db);
+accessControl.initialize();
+
+// Claim tokens and per-device API keys (see services/provisioning.js)
+const provisioning = new ProvisioningService(db, { registerDevice });
+provisioning.initialize();
+
 // Seed initial data if tables are empty
 const userCount = db.prepare('SELECT COUNT(*) as count FROM users').get().count;
 if (userCount === 0) {
@@ -142,21 +200,97 @@ if (userCount === 0) {
   const house1Id = nanoid();
   const house2Id = nanoid();
   
-  db.prepare(`INSERT INTO houses (id, house_id, owner_id, address, timezone, created_at) VALUES (?, ?, ?, ?, ?, ?)`).run(
-    house1Id, 'H-001', ownerId, '123 Main St, San Jose, CA', 'America/Los_Angeles', new Date().toISOString()
+  db.prepare(`INSERT INTO houses (id, house_id, owner_id, tenant_id, address, timezone, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`).run(
+    house1Id, 'H-001', ownerId, 'T-001', '123 Main St, San Jose, CA', 'America/Los_Angeles', new Date().toISOString()
   );
-  db.prepare(`INSERT INTO houses (id, house_id, owner_id, address, timezone, created_at) VALUES (?, ?, ?, ?, ?, ?)`).run(
-    house2Id, 'H-002', ownerId, '456 Oak Ave, San Francisco, CA', 'America/Los_Angeles', new Date().toISOString()
+  db.prepare(`INSERT INTO houses (id, house_id, owner_id, tenant_id, address, timezone, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`).run(
+    house2Id, 'H-002', ownerId, 'T-001', '456 Oak Ave, San Francisco, CA', 'America/Los_Angeles', new Date().toISOString()
   );
   
+  // The demo caregiver looks after the first house
+  const caregiverId = db.prepare('SELECT id FROM users WHERE email = ?').get('caregiver@example.com').id;
+  accessControl.assign('H-001', caregiverId, { id: nanoid(), assignedBy: ownerId, now: new Date().toISOString() });
+  
+  // ...and the demo admin is the last escalation level for both
+  const adminId = db.prepare('SELECT id FROM users WHERE email = ?').get('admin@example.com').id;
+  for (const houseId of ['H-001', 'H-002']) {
+    accessControl.assign(houseId, adminId, { id: nanoid(), assignedBy: adminId, now: new Date().toISOString() });
+  }
+  
   console.log('[seed] Initial data created');
 }
 
 function nowISO() { return new Date().toISOString(); }
 
+/**
+ * Send an event to every connected client allowed to see it: the record in
+ * the payload (or its `alert` / `device`) is checked by house, then device,
+ * then tenant. Events naming none of them (fleet-wide jobs, deletions by id)
+ * only reach unrestricted callers and whoever the record says created it.
+ */
 function broadcast(type, payload) {
   const msg = JSON.stringify({ type, payload });
-  wss.clients.forEach(ws => { if (ws.readyState === 1) ws.send(msg); });
+  const record = payload && typeof payload === 'object' ? payload.alert || payload.device || payload : {};
+  let canSee = ws => ws.scope.all || Boolean(record.created_by && record.created_by === ws.user.email);
+  if (record.house_id) {
+    canSee = ws => canAccessHouse(ws.scope, record.house_id);
+  } else if (record.device_id) {
+    const device = db.prepare('SELECT device_id, house_id, tenant FROM devices WHERE device_id = ?').get(record.device_id);
+    if (device) canSee = ws => canAccessDevice(ws.scope, device);
+  } else if (record.tenant_id) {
+    canSee = ws => canAccessTenant(ws.scope, record.tenant_id);
+  }
+  wss.clients.forEach(ws => {
+    if (ws.readyState === 1 && ws.scope && canSee(ws)) ws.send(msg);
+  });
+}
+
+// ============ ACCESS CONTROL ============
+// Everything under /api/v1 needs a valid token except signing in and
+// claiming a device. req.scope then carries the houses and tenants the
+// caller may see; routes check records against it instead of looking at
+// roles themselves.
+const PUBLIC_ROUTES = ['/auth/login', '/auth/refresh', '/auth/logout', '/devices/claim'];
+
+// What a device may call with its own API key (X-Device-Key). The id in the
+// path has to be the key's device. Signed-in users can still call these too.
+const DEVICE_ROUTES = [
+  ['POST', /^\/devices\/([^/]+)\/heartbeat$/],
+  ['POST', /^\/devices\/([^/]+)\/metrics$/],
+  ['GET', /^\/devices\/([^/]+)\/shadow$/],
+  ['GET', /^\/devices\/([^/]+)\/firmware\/job$/],
+  ['POST', /^\/devices\/([^/]+)\/firmware\/progress$/],
+  ['POST', /^\/devices\/([^/]+)\/credentials\/rotate$/],
+  ['POST', /^\/alerts\/ingest$/]
+];
+
+app.use('/api/v1', (req, res, next) => {
+  if (PUBLIC_ROUTES.includes(req.path)) return next();
+  if (req.get('X-Device-Key')) return authenticateDevice(req, res, next);
+  authenticate(req, res, () => accessControl.attachScope(req, res, next));
+});
+
+function authenticateDevice(req, res, next) {
+  const verified = provisioning.verify(req.get('X-Device-Key'));
+  if (!verified) return res.status(401).json({ error: 'Invalid or revoked device credential' });
+  
+  const route = DEVICE_ROUTES.find(([method, pattern]) => method === req.method && pattern.test(req.path));
+  if (!route) return res.status(403).json({ error: 'Device credentials are not accepted here' });
+  const [, id] = route[1].exec(req.path);
+  if (id !== undefined && id !== verified.device.id && id !== verified.device.device_id) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  
+  req.device = verified.device;
+  req.credential = verified.credential;
+  req.scope = accessControl.scopeForDevice(verified.device);
+  next();
+}
+
+// Per-route `authenticate` for routers that also serve devices; the gate has already checked their key
+function authenticateCaller(req, res, next) {
+  if (req.device) return next();
+  authenticate(req, res, next);
 }
 
 // ============ AUTH ENDPOINTS ============
@@ -347,13 +481,14 @@ app.post('/api/v1/auth/logout', async (req, res) => {
 // GET /api/v1/houses
 app.get('/api/v1/houses', authenticate, (req, res) => {
   try {
+    const scope = scopeFilter(req.scope, { house: 'h.house_id' });
     const houses = db.prepare(`
       SELECT h.*, u.name as owner_name, u.email as owner_email
       FROM houses h
       JOIN users u ON h.owner_id = u.id
-      ${req.user.role === 'OWNER' ? 'WHERE h.owner_id = ?' : ''}
+      WHERE ${scope.sql}
       ORDER BY h.created_at DESC
-    `).all(req.user.role === 'OWNER' ? req.user.user_id : undefined);
+    `).all(...scope.params);
     
     res.json({ items: houses, count: houses.length });
   } catch (error) {
@@ -364,7 +499,12 @@ app.get('/api/v1/houses', authenticate, (req, res) => {
 
 // POST /api/v1/houses
 app.post('/api/v1/houses', authenticate, requireRole('ADMIN', 'OWNER'), async (req, res) => {
-  const { owner_id, address, timezone = 'UTC' } = req.body || {};
+  const { owner_id, tenant_id = null, address, timezone = 'UTC' } = req.body || {};
+  
+  // Only admins create houses for someone else or place them in a tenant
+  if (req.user.role !== 'ADMIN' && ((owner_id && owner_id !== req.user.user_id) || tenant_id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   
   if (!address) {
     return res.status(400).json({ 
@@ -379,9 +519,9 @@ app.post('/api/v1/houses', authenticate, requireRole('ADMIN', 'OWNER'), async (r
     const finalOwnerId = owner_id || req.user.user_id;
     
     db.prepare(`
-      INSERT INTO houses (id, house_id, owner_id, address, timezone, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(houseId, house_id, finalOwnerId, address, timezone, nowISO());
+      INSERT INTO houses (id, house_id, owner_id, tenant_id, address, timezone, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(houseId, house_id, finalOwnerId, tenant_id, address, timezone, nowISO());
     
     const house = db.prepare('SELECT * FROM houses WHERE id = ?').get(houseId);
     
@@ -408,8 +548,7 @@ app.get('/api/v1/houses/:id', authenticate, (req, res) => {
       return res.status(404).json({ error: 'House not found' });
     }
     
-    // Check permissions
-    if (req.user.role === 'OWNER' && house.owner_id !== req.user.user_id) {
+    if (!canAccessHouse(req.scope, house.house_id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
@@ -420,6 +559,81 @@ app.get('/api/v1/houses/:id', authenticate, (req, res) => {
   }
 });
 
+// Resolve :id to a house the caller may manage (ADMIN, or the OWNER who owns it)
+function loadManagedHouse(req, res) {
+  const house = accessControl.getHouse(req.params.id);
+  if (!house) {
+    res.status(404).json({ error: 'House not found' });
+    return null;
+  }
+  if (!canAccessHouse(req.scope, house.house_id)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return house;
+}
+
+// GET /api/v1/houses/:id/caregivers - Caregivers assigned to a house
+app.get('/api/v1/houses/:id/caregivers', requireRole('ADMIN', 'OWNER'), (req, res) => {
+  const house = loadManagedHouse(req, res);
+  if (!house) return;
+  
+  const items = accessControl.listAssignments(house.house_id);
+  res.json({ items, count: items.length });
+});
+
+// POST /api/v1/houses/:id/caregivers - Give a caregiver access to a house, or put staff on its escalation chain
+app.post('/api/v1/houses/:id/caregivers', requireRole('ADMIN', 'OWNER'), (req, res) => {
+  const house = loadManagedHouse(req, res);
+  if (!house) return;
+  
+  const { user_id } = req.body || {};
+  if (!user_id) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['user_id is required'] });
+  }
+  
+  const caregiver = db.prepare('SELECT id, name, email, role FROM users WHERE id = ? OR user_id = ?').get(user_id, user_id);
+  if (!caregiver) return res.status(404).json({ error: 'User not found' });
+  // Staff and admins see every house already; assigning them makes the house's STAFF/ADMIN chain levels page them
+  if (!['CAREGIVER', 'STAFF', 'ADMIN'].includes(caregiver.role)) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['Only caregivers, staff and admins can be assigned to a house'] });
+  }
+  
+  const assignment = accessControl.assign(house.house_id, caregiver.id, { id: nanoid(), assignedBy: req.user.user_id, now: nowISO() });
+  if (!assignment) return res.status(409).json({ error: 'Caregiver already assigned to this house' });
+  
+  console.log(`[houses] ${caregiver.email} assigned to ${house.house_id} by ${req.user.email}`);
+  res.status(201).json({ ...assignment, name: caregiver.name, email: caregiver.email });
+});
+
+// DELETE /api/v1/houses/:id/caregivers/:userId - Remove a caregiver's access
+app.delete('/api/v1/houses/:id/caregivers/:userId', requireRole('ADMIN', 'OWNER'), (req, res) => {
+  const house = loadManagedHouse(req, res);
+  if (!house) return;
+  
+  if (!accessControl.unassign(house.house_id, req.params.userId)) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+  
+  console.log(`[houses] ${req.params.userId} unassigned from ${house.house_id} by ${req.user.email}`);
+  res.json({ success: true, message: 'Caregiver removed' });
+});
+
+// ============ TELEMETRY ENDPOINTS ============
+// Device metric ingestion, rollups and series queries live in routes/telemetry-routes.js
+// Accepted telemetry shows a device is alive, so it brings a stale or offline device back
+const telemetryService = new TelemetryService(db, {
+  onRecorded: device => {
+    if (['stale', 'offline'].includes(device.status)) recordHeartbeat(device, 'online', 'telemetry');
+  }
+});
+telemetryService.initialize();
+app.use('/api/v1', createTelemetryRoutes(telemetryService, authenticateCaller, requireRole));
+
+// Status history behind the device uptime, MTBF and outage numbers
+const deviceHealth = new DeviceHealthService(db, { telemetry: telemetryService });
+deviceHealth.initialize();
+
 // ============ METRICS ENDPOINTS ============
 
 // GET /api/v1/metrics/alerts-by-day
@@ -430,6 +644,7 @@ app.get('/api/v1/metrics/alerts-by-day', authenticate, (req, res) => {
     const startDate = start_date || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     const endDate = end_date || new Date().toISOString().split('T')[0];
     
+    const scope = scopeFilter(req.scope);
     const results = db.prepare(`
       SELECT 
         DATE(occurred_at) as date,
@@ -440,10 +655,11 @@ app.get('/api/v1/metrics/alerts-by-day', authenticate, (req, res) => {
         SUM(CASE WHEN severity = 'critical' THEN 1 ELSE 0 END) as critical
       FROM alerts
       WHERE DATE(occurred_at) BETWEEN ? AND ?
+      AND ${scope.sql}
       ${owner_id ? 'AND house_id IN (SELECT house_id FROM houses WHERE owner_id = ?)' : ''}
       GROUP BY DATE(occurred_at)
       ORDER BY date ASC
-    `).all(startDate, endDate, owner_id);
+    `).all(startDate, endDate, ...scope.params, ...(owner_id ? [owner_id] : []));
     
     res.json({ items: results, count: results.length });
   } catch (error) {
@@ -452,28 +668,46 @@ app.get('/api/v1/metrics/alerts-by-day', authenticate, (req, res) => {
   }
 });
 
-// GET /api/v1/metrics/device/:id
+// GET /api/v1/metrics/device/:id - Uptime, outages and signal over ?window (24h, 7d, 30d, 90d; default 7d) or ?from&to
 app.get('/api/v1/metrics/device/:id', authenticate, (req, res) => {
+  const { window = '7d', from, to } = req.query;
+  const toMs = to ? Date.parse(to) : Date.now();
+  const fromMs = from ? Date.parse(from) : toMs - (HEALTH_WINDOWS[window] || 0);
+  
+  const details = [];
+  if (!from && !HEALTH_WINDOWS[window]) details.push(`window must be one of: ${Object.keys(HEALTH_WINDOWS).join(', ')}`);
+  if (Number.isNaN(fromMs)) details.push('from must be an ISO timestamp');
+  if (Number.isNaN(toMs)) details.push('to must be an ISO timestamp');
+  if (!details.length && fromMs >= toMs) details.push('from must be before to');
+  if (details.length) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+  }
+  
   try {
     const device = db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(req.params.id, req.params.id);
     
     if (!device) {
       return res.status(404).json({ error: 'Device not found' });
     }
+    if (!canAccessDevice(req.scope, device)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    const alertsGenerated = db.prepare('SELECT COUNT(*) as count FROM alerts WHERE device_id = ?').get(device.device_id).count;
-    
-    // Calculate uptime (mock for now)
-    const uptimePct = device.status === 'online' ? 99.9 : 85.0;
-    
-    // Mock SNR data
-    const avgSnr = 42.5;
+    const range = { from: fromMs, to: toMs };
+    const alertsGenerated = db.prepare(`
+      SELECT COUNT(*) as count FROM alerts WHERE device_id = ? AND occurred_at >= ? AND occurred_at < ?
+    `).get(device.device_id, new Date(fromMs).toISOString(), new Date(toMs).toISOString()).count;
+    const signal = deviceHealth.signal(device.device_id, range);
     
     res.json({
       device_id: device.device_id,
-      uptimePct,
+      status: device.status,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      ...deviceHealth.availability(device.device_id, range),
       alertsGenerated,
-      avgSnr,
+      avgSnr: signal.snr ? signal.snr.avg : null,
+      signal,
       lastSeen: device.last_seen
     });
   } catch (error) {
@@ -482,98 +716,22 @@ app.get('/api/v1/metrics/device/:id', authenticate, (req, res) => {
   }
 });
 
-// POST /api/v1/devices/:id/metrics
-app.post('/api/v1/devices/:id/metrics', authenticate, (req, res) => {
-  const { timestamp, metrics } = req.body || {};
-  
-  if (!metrics) {
-    return res.status(400).json({ 
-      error: 'VALIDATION_ERROR',
-      details: ['Metrics data is required']
-    });
-  }
-  
-  try {
-    const device = db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(req.params.id, req.params.id);
-    
-    if (!device) {
-      return res.status(404).json({ error: 'Device not found' });
-    }
-    
-    // In a real system, this would write to MongoDB/time-series DB
-    // For now, we'll just log it
-    console.log(`[telemetry] Device ${device.device_id} metrics:`, metrics);
-    
-    // Update last_seen
-    db.prepare('UPDATE devices SET last_seen = ? WHERE id = ?').run(timestamp || nowISO(), device.id);
-    
-    res.json({ 
-      success: true, 
-      message: 'Metrics recorded',
-      device_id: device.device_id,
-      timestamp: timestamp || nowISO()
-    });
-  } catch (error) {
-    console.error('[metrics] post error:', error);
-    res.status(500).json({ error: 'Failed to record metrics' });
-  }
-});
-
 // ============ ML MODULE MANAGER ============
 // ML routes are now handled by the ML Module Manager
 // See /api/v1/ml/* endpoints registered during server initialization
 
-// ML-based severity decision engine
-function decideSeverity(event) {
-  const { type, score = 0.5, duration = 0, inQuietHours = false } = event;
-  
-  // Critical alerts - immediate danger
-  if (type === 'glass_break' && score >= 0.85) return 'critical';
-  if (type === 'smoke_alarm') return 'critical';
-  if (type === 'fall' && score >= 0.8) return 'critical';
-  
-  // High severity - requires attention
-  if (type === 'fall') return 'high';
-  if (type === 'no_motion' && duration >= 30 * 60) {
-    return inQuietHours ? 'high' : 'medium';
-  }
-  if (type === 'glass_break') return 'high';
-  
-  // Medium severity - monitor
-  if (type === 'unusual_noise' && score >= 0.7) return 'medium';
-  if (type === 'no_motion' && duration >= 15 * 60) return 'medium';
-  
-  // Low severity - informational
-  if (type === 'dog_bark') return 'low';
-  if (type === 'door_open') return 'low';
-  
-  // Default based on score
-  if (score >= 0.8) return 'high';
-  if (score >= 0.6) return 'medium';
-  return 'low';
-}
-
-// Legacy rules for backward compatibility
-const RULES = { glass_break: 'high', smoke_alarm: 'critical', dog_bark: 'low' };
-
 const insertAlert = db.prepare(`
   INSERT INTO alerts (
     id, tenant_id, house_id, device_id, type, severity, status, state, score, message, 
     ts, occurred_at, created_at, updated_at, 
-    acknowledged_by, acknowledged_at, escalated_at, escalation_level, resolved_by, resolved_at
+    acknowledged_by, acknowledged_at, escalated_at, escalation_level, resolved_by, resolved_at, suppressed_by
   )
   VALUES (
     @id, @tenant_id, @house_id, @device_id, @type, @severity, @status, @state, @score, @message,
     @ts, @occurred_at, @created_at, @updated_at,
-    @acknowledged_by, @acknowledged_at, @escalated_at, @escalation_level, @resolved_by, @resolved_at
+    @acknowledged_by, @acknowledged_at, @escalated_at, @escalation_level, @resolved_by, @resolved_at, @suppressed_by
   )
 `);
-const updateAck = db.prepare(`
-  UPDATE alerts SET status='acknowledged', acknowledged_by=@actor, acknowledged_at=@ts WHERE id=@id
-`);
-const updateResolve = db.prepare(`
-  UPDATE alerts SET status='resolved', resolved_by=@actor, resolved_at=@ts WHERE id=@id
-`);
 const selectAlert = db.prepare(`SELECT * FROM alerts WHERE id = ?`);
 const insertHistory = db.prepare(`
   INSERT INTO alert_history (id, alert_id, action, actor, note, meta, ts)
@@ -582,8 +740,8 @@ const insertHistory = db.prepare(`
 
 // Device prepared statements
 const insertDevice = db.prepare(`
-  INSERT INTO devices (id, device_id, tenant, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
-  VALUES (@id, @device_id, @tenant, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
+  INSERT INTO devices (id, device_id, tenant, house_id, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
+  VALUES (@id, @device_id, @tenant, @house_id, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
 `);
 const updateDevice = db.prepare(`
   UPDATE devices SET tenant=@tenant, location=@location, type=@type, status=@status, 
@@ -593,46 +751,259 @@ const updateDevice = db.prepare(`
 const selectDevice = db.prepare(`SELECT * FROM devices WHERE id = ?`);
 const selectAllDevices = db.prepare(`SELECT * FROM devices ORDER BY created_at DESC`);
 
-app.post('/api/v1/alerts/ingest', (req, res) => {
-  const { 
-    tenant_id='t1', 
-    house_id='h1', 
-    device_id='dev1', 
-    type, 
-    message='',
-    score=0.5,
-    duration=0,
-    severity: manualSeverity,
-    ts
-  } = req.body || {};
+/**
+ * Move an alert through the state machine in services/alert-state.js and
+ * record it in alert_history. The update only lands if the alert still has
+ * the version it was read at, so concurrent writers get a conflict.
+ *
+ * @param {object} alert - current alert row
+ * @param {string} action - ack | escalate | resolve | snooze | reopen
+ * @param {object} options - actor, note, until (snooze), meta for the history entry
+ * @returns {{ updated, changes, ts }|{ error, alert }}
+ */
+function transitionAlert(alert, action, { actor, note = '', until, meta = {} }) {
+  const ts = nowISO();
+  const plan = planTransition(alert, action, { actor, ts, until });
+  if (plan.error) return { error: plan.error, alert };
+
+  const columns = Object.keys(plan.changes);
+  const applied = db.transaction(() => {
+    const { changes } = db.prepare(`
+      UPDATE alerts SET ${columns.map(column => `${column}=@${column}`).join(', ')}
+      WHERE id=@id AND version=@expected_version
+    `).run({ ...plan.changes, id: alert.id, expected_version: alert.version || 1 });
+    if (changes === 0) return false;
+
+    insertHistory.run({ 
+      id: nanoid(), 
+      alert_id: alert.id, 
+      action, 
+      actor, 
+      note,
+      meta: JSON.stringify({ previous_state: plan.from, version: plan.changes.version, ...meta }),
+      ts 
+    });
+    return true;
+  })();
+
+  const updated = selectAlert.get(alert.id);
+  if (!applied) return { error: 'Alert was changed by someone else', alert: updated };
+  return { updated, changes: plan.changes, ts };
+}
+
+/**
+ * Load the alert a state-changing request targets and check its If-Match
+ * (or body `version`) against the stored version. Sends the error response
+ * itself and returns null when the request can't go ahead.
+ */
+function loadAlertForUpdate(req, res) {
+  const alert = selectAlert.get(req.params.id);
+  if (!alert) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
+  if (!canAccessAlert(req.scope, alert)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  const expected = expectedVersion(req.get('If-Match'), req.body && req.body.version);
+  if (Number.isNaN(expected)) {
+    res.status(400).json({ error: 'VALIDATION_ERROR', details: ['If-Match must be an alert version'] });
+    return null;
+  }
+
+  const conflict = versionConflict(alert, expected);
+  if (conflict) {
+    sendConflict(res, conflict, alert);
+    return null;
+  }
+  return alert;
+}
+
+function sendConflict(res, error, alert) {
+  res.status(409).set('ETag', etag(alert)).json({ error, state: alert.state, version: alert.version });
+}
+
+const oncallService = new OnCallService(db, { accessControl });
+oncallService.initialize();
+
+function recordNotifyHistory(alertId, note, meta) {
+  insertHistory.run({ 
+    id: nanoid(), 
+    alert_id: alertId, 
+    action: 'notify', 
+    actor: 'system', 
+    note,
+    meta: JSON.stringify(meta),
+    ts: nowISO() 
+  });
+}
+
+// Durable notification queue; every delivery state change lands in alert_history
+const notificationOutbox = new NotificationOutbox(db, { recordHistory: recordNotifyHistory });
+notificationOutbox.initialize();
+
+// Quiet hours hold low/medium notifications and release them as a digest
+const quietHoursService = new QuietHoursService(db, {
+  sendDigest: (recipient, alerts) => notificationOutbox.enqueueDigest(recipient, alerts),
+  recordHistory: recordNotifyHistory
+});
+quietHoursService.initialize();
+
+// Per-tenant, versioned severity rules (falls back to the built-in defaults)
+const severityRules = new SeverityRulesService(db, {
+  isQuietHours: (houseId, at) => quietHoursService.isHouseQuiet(houseId, at)
+});
+severityRules.initialize();
+
+// Per-tenant use of the alert classification model, with the rules above as fallback
+const alertClassifier = new AlertClassifier(db, {
+  getPredictionService: () => (mlManager ? mlManager.predictionService : null),
+  isQuietHours: (houseId, at) => quietHoursService.isHouseQuiet(houseId, at)
+});
+alertClassifier.initialize();
+
+// Caregivers' verdicts on resolved alerts, passed on to the ML module as ground truth
+const alertLabels = new AlertLabelService(db, {
+  getPerformanceMonitor: () => (mlManager ? mlManager.performanceMonitor : null)
+});
+alertLabels.initialize();
+
+// Doesn't hold up the response; labels stay pending while the ML module is down
+function syncAlertLabel(alertId) {
+  alertLabels.sync(alertId).catch(error => console.error(`[labels] Sync of ${alertId} failed:`, error.message));
+}
+
+// Correlates related alerts into incidents
+const incidentService = new IncidentService(db, { broadcast });
+incidentService.initialize();
+
+// Signed per-tenant webhooks for integrations
+const webhookService = new WebhookService(db, { allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true' });
+webhookService.initialize();
+
+/**
+ * Queue notifications for everyone the house's escalation chain names
+ * for the alert's current level. Recipients in quiet hours get low/medium
+ * alerts later, in a digest.
+ */
+function notifyAlertRecipients(alert, reason) {
+  const level = alert.escalation_level || 0;
+  const recipients = oncallService.resolveRecipients(alert, level);
+  
+  if (recipients.length === 0) {
+    console.warn(`[notify] Alert ${alert.id}: no recipients configured for ${alert.house_id} at level ${level}`);
+    return recipients;
+  }
   
-  if (!type) return res.status(400).json({ error: 'type required' });
+  const { deliver, held } = quietHoursService.partition(alert, recipients);
+  if (held.length) {
+    console.log(`[notify] Alert ${alert.id}: holding for ${held.map(r => r.email).join(', ')} until quiet hours end`);
+  }
+  if (deliver.length) {
+    const queued = notificationOutbox.enqueue(alert, deliver);
+    console.log(`[notify] Alert ${alert.id}: ${alert.type} (${alert.severity} - ${reason}) level ${level} - queued ${queued.length} notification(s) for ${deliver.map(r => r.email).join(', ')}`);
+  }
   
-  const now = nowISO();
-  const occurred_at = ts || now;
+  return recipients;
+}
+
+/**
+ * Move an alert one escalation level up, record it and broadcast it.
+ * Shared by the manual escalate route and the automatic escalation scheduler.
+ */
+function applyEscalation(alert, { actor, note, meta = {} }) {
+  const escalation_level = (alert.escalation_level || 0) + 1;
+  const result = transitionAlert(alert, 'escalate', { actor, note, meta: { escalation_level, ...meta } });
+  if (result.error) return result;
+  
+  const { updated, ts } = result;
+  broadcast('alert.escalated', updated);
+  webhookService.publish(updated.tenant_id, 'alert.escalated', updated);
   
-  // Check for quiet hours (10 PM - 6 AM)
-  const hour = new Date(occurred_at).getHours();
-  const inQuietHours = hour >= 22 || hour < 6;
+  console.log(`[escalate] Alert ${alert.id} escalated to level ${escalation_level} by ${actor}`);
   
-  // Deduplication: check for recent similar alert (within 60 seconds)
-  const recentDupe = db.prepare(`
+  const recipients = notifyAlertRecipients(updated, 'escalation');
+  
+  return { updated, escalation_level, escalated_at: ts, recipients };
+}
+
+const escalationScheduler = new EscalationScheduler(db, { escalate: applyEscalation });
+escalationScheduler.initialize();
+
+/**
+ * Bring a snoozed alert back once its snooze runs out: it becomes new again,
+ * its escalation clock restarts and every open dashboard is told.
+ */
+function resurfaceAlert(alert) {
+  const result = transitionAlert(alert, 'resurface', {
+    actor: 'system',
+    note: 'Snooze expired',
+    meta: { snoozed_until: alert.snoozed_until }
+  });
+  if (result.error) return;
+  
+  const { updated } = result;
+  broadcast('alert.resurfaced', updated);
+  escalationScheduler.schedule(updated);
+  console.log(`[snooze] Alert ${alert.id} resurfaced (snoozed until ${alert.snoozed_until})`);
+}
+
+const snoozeScheduler = new SnoozeScheduler(db, { resurface: resurfaceAlert });
+snoozeScheduler.initialize();
+
+/**
+ * An open alert the event repeats: same device and type within 60 seconds.
+ * Suppressed alerts only fold into suppressed ones, so the first real alert
+ * after a maintenance window gets through.
+ */
+function findRecentDuplicate({ device_id, type, occurred_at, suppressed }) {
+  return db.prepare(`
     SELECT id FROM alerts 
     WHERE device_id = ? AND type = ? 
     AND datetime(occurred_at) > datetime(?, '-60 seconds')
-    AND state IN ('new', 'escalated')
+    AND state IN ('new', 'acked', 'escalated', 'snoozed')
+    AND (suppressed_by IS NULL) = ?
+    ORDER BY occurred_at DESC
     LIMIT 1
-  `).get(device_id, type, occurred_at);
+  `).get(device_id, type, occurred_at, suppressed ? 0 : 1);
+}
+
+/**
+ * Run an alert through dedup, severity rules, storage, incidents and
+ * notifications. Shared by the ingest route and the device offline watchdog.
+ * Alerts raised during a maintenance window are stored as suppressed and go
+ * no further.
+ * @param {object} [event.classification] - the tenant model's answer (see classifyAndIngest);
+ *   it decides severity when the tenant runs in model mode and the answer is usable
+ * @returns {object} `{ deduplicated: true, id, incident }` when it repeats an
+ *   open alert, otherwise `{ alert, decision, severity_source, incident, maintenance }`
+ */
+function ingestAlert({ tenant_id, house_id, device_id, type, message = '', score = 0.5, duration = 0, severity: manualSeverity, ts, classification = null }) {
+  const now = nowISO();
+  const occurred_at = ts || now;
+  
+  // Check the house's quiet hours in its own timezone
+  const inQuietHours = quietHoursService.isHouseQuiet(house_id, occurred_at);
+  const maintenance = maintenanceService.activeWindowFor({ tenant_id, house_id, device_id }, occurred_at);
   
+  const recentDupe = findRecentDuplicate({ device_id, type, occurred_at, suppressed: Boolean(maintenance) });
   if (recentDupe) {
-    console.log(`[dedup] Ignoring duplicate ${type} from ${device_id}`);
-    return res.json({ id: recentDupe.id, deduplicated: true });
+    const incident = incidentService.recordSuppressed(recentDupe.id);
+    console.log(`[dedup] Suppressed duplicate ${type} from ${device_id} (incident ${incident ? incident.id : 'none'})`);
+    return { deduplicated: true, id: recentDupe.id, incident };
   }
   
-  // Use manual severity if provided, otherwise use ML logic
-  const severity = manualSeverity && ['low', 'medium', 'high', 'critical'].includes(manualSeverity)
-    ? manualSeverity
-    : decideSeverity({ type, score, duration, inQuietHours });
+  // Use manual severity if provided, otherwise the tenant's model or severity rules.
+  // The rules always run so the model can be compared against them.
+  const isManual = Boolean(manualSeverity && ['low', 'medium', 'high', 'critical'].includes(manualSeverity));
+  const decision = isManual ? null : severityRules.decide({
+    tenant_id, house_id, device_id, type, score, duration, occurred_at, in_quiet_hours: inQuietHours
+  });
+  const modelDecides = !isManual && alertClassifier.applies(classification);
+  const severity = isManual ? manualSeverity : modelDecides ? classification.prediction.severity : decision.severity;
+  const severity_source = isManual ? 'manual' : modelDecides ? 'model' : 'rules';
   
   const alert = {
     id: nanoid(),
@@ -651,7 +1022,8 @@ app.post('/api/v1/alerts/ingest', (req, res) => {
     escalated_at: null,
     escalation_level: 0,
     resolved_by: null,
-    resolved_at: null
+    resolved_at: null,
+    suppressed_by: maintenance ? maintenance.id : null
   };
   
   insertAlert.run(alert);
@@ -661,45 +1033,169 @@ app.post('/api/v1/alerts/ingest', (req, res) => {
     action: 'create', 
     actor: 'system', 
     note: message,
-    meta: JSON.stringify({ score, duration, inQuietHours, severity }),
+    meta: JSON.stringify({ 
+      score, duration, inQuietHours, severity,
+      ...(decision && { rule: decision.rule, rule_source: decision.source, rule_set_version: decision.version }),
+      ...(classification && !isManual && {
+        model: classification.model_id,
+        model_mode: classification.mode,
+        model_severity: classification.prediction ? classification.prediction.severity : null,
+        model_confidence: classification.prediction ? classification.prediction.confidence : null,
+        severity_source,
+        ...(classification.error && { model_fallback: classification.error })
+      }),
+      ...(maintenance && { maintenance_window: maintenance.id })
+    }),
     ts: now 
   });
+  if (classification && !isManual) alertClassifier.record(alert, classification, decision.severity);
   
   const created = selectAlert.get(alert.id);
+  
+  // Under maintenance: on record and searchable, but nobody is told and nothing escalates
+  if (maintenance) {
+    broadcast('alert.suppressed', created);
+    console.log(`[maintenance] Suppressed ${type} from ${device_id} during "${maintenance.name}" (${maintenance.id})`);
+    return { alert: created, decision, severity_source, incident: null, maintenance };
+  }
+  
   broadcast('alert.new', created);
+  webhookService.publish(created.tenant_id, 'alert.new', created);
+  escalationScheduler.schedule(created);
+  const incident = incidentService.correlate(created);
   
   // Notification simulation
-  const severitySource = manualSeverity ? 'manual' : 'ML-based';
-  console.log(`[notify] Alert ${alert.id}: ${type} (${severity} - ${severitySource}) - would email owner@example.com`);
-  insertHistory.run({ 
-    id: nanoid(), 
-    alert_id: alert.id, 
-    action: 'notify', 
-    actor: 'system', 
-    note: 'email owner@example.com',
-    meta: JSON.stringify({ channel: 'email', status: 'sent' }),
-    ts: nowISO() 
-  });
+  const severitySource = isManual ? 'manual'
+    : modelDecides ? `model ${classification.model_id} (${classification.prediction.confidence})`
+    : `rule "${decision.rule}"`;
+  notifyAlertRecipients(created, severitySource);
   
+  return { alert: created, decision, severity_source, incident };
+}
+
+/**
+ * Ingest an event with the tenant's alert model. In model mode the model is
+ * asked first, unless the event repeats an open alert; in shadow mode the
+ * alert is stored straight away and the model's answer recorded when it
+ * comes. Events with a manual severity skip the model.
+ */
+async function classifyAndIngest(event) {
+  const isManual = ['low', 'medium', 'high', 'critical'].includes(event.severity);
+  const { mode } = alertClassifier.getSettings(event.tenant_id);
+  if (isManual || mode === 'rules') return ingestAlert(event);
+  
+  const modelEvent = { ...event, occurred_at: event.ts || nowISO() };
+  if (mode === 'shadow') {
+    const result = ingestAlert(event);
+    if (result.alert) {
+      alertClassifier.classify(modelEvent)
+        .then(classification => {
+          if (!classification) return;
+          alertClassifier.record(result.alert, classification, result.decision.severity);
+          // The alert may have been labeled while the model was answering
+          if (alertLabels.getLabel(result.alert.id)) syncAlertLabel(result.alert.id);
+        })
+        .catch(error => console.error(`[alert-model] Shadow inference for ${result.alert.id} failed:`, error.message));
+    }
+    return result;
+  }
+  
+  // A repeat folds into the open alert whatever the model would say
+  const maintenance = maintenanceService.activeWindowFor(event, modelEvent.occurred_at);
+  if (findRecentDuplicate({ ...modelEvent, suppressed: Boolean(maintenance) })) return ingestAlert(event);
+  
+  return ingestAlert({ ...event, classification: await alertClassifier.classify(modelEvent) });
+}
+
+app.post('/api/v1/alerts/ingest', async (req, res) => {
+  const { 
+    tenant_id: requestedTenant='t1', 
+    house_id='h1', 
+    device_id='dev1', 
+    type, 
+    message='',
+    score=0.5,
+    duration=0,
+    severity,
+    ts
+  } = req.body || {};
+  
+  if (!type) return res.status(400).json({ error: 'type required' });
+  
+  let target;
+  if (req.device) {
+    // A device files alerts for itself, wherever the body says
+    target = { ...alertTargetFor(req.device), device_id: req.device.device_id };
+  } else {
+    if (!canAccessHouse(req.scope, house_id)) return res.status(403).json({ error: 'Access denied' });
+    // A registered house decides the tenant, so callers can't file alerts under another one
+    const house = accessControl.getHouse(house_id);
+    target = { tenant_id: (house && house.tenant_id) || requestedTenant, house_id, device_id };
+  }
+  
+  let result;
+  try {
+    result = await classifyAndIngest({ ...target, type, message, score, duration, severity, ts });
+  } catch (error) {
+    console.error('[ingest] Failed to ingest alert:', error);
+    return res.status(500).json({ error: 'Failed to ingest alert' });
+  }
+  
+  if (result.deduplicated) {
+    return res.json({ 
+      id: result.id, 
+      deduplicated: true,
+      incident_id: result.incident ? result.incident.id : null,
+      suppressed_count: result.incident ? result.incident.suppressed_count : 0
+    });
+  }
+  
+  const { alert, incident, maintenance, severity_source } = result;
   return res.json({ 
     id: alert.id, 
-    severity, 
+    severity: alert.severity, 
+    severity_source,
     state: 'new',
-    score,
-    occurred_at 
+    score: alert.score,
+    occurred_at: alert.occurred_at,
+    incident_id: incident ? incident.id : null,
+    ...(maintenance && { suppressed: true, maintenance_window_id: maintenance.id })
   });
 });
 
 app.post('/api/v1/alerts/search', (req, res) => {
-  const { severity, status, type, tenant_id, limit=50, since } = req.body || {};
-  const where = [];
-  const params = [];
+  const { severity, status, type, tenant_id, limit=50, since, group_id, tags, suppressed='exclude' } = req.body || {};
+  const scope = scopeFilter(req.scope);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  // Alerts raised during maintenance are left out unless asked for
+  if (!['exclude', 'include', 'only'].includes(suppressed)) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['suppressed must be exclude, include or only'] });
+  }
+  if (suppressed === 'exclude') where.push('suppressed_by IS NULL');
+  if (suppressed === 'only') where.push('suppressed_by IS NOT NULL');
+  // Alerts from devices in a group, or carrying every one of the tags
+  if (group_id) {
+    const group = deviceGroups.getGroup(group_id);
+    if (!group) return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['group_id must name a device group'] });
+    if (!deviceGroups.canAccessGroup(req.scope, group)) return res.status(403).json({ error: 'Access denied' });
+    const clause = deviceGroups.groupClause(group);
+    where.push(`device_id IN (SELECT device_id FROM devices WHERE ${clause.sql})`);
+    params.push(...clause.params);
+  }
+  if (tags !== undefined) {
+    const details = validateTags(tags, 'tags', { wildcards: true });
+    if (details.length) return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    const clause = queryClause({ tags });
+    where.push(`device_id IN (SELECT device_id FROM devices WHERE ${clause.sql})`);
+    params.push(...clause.params);
+  }
   if (tenant_id) { where.push('tenant_id = ?'); params.push(tenant_id); }
   if (severity) { where.push('severity = ?'); params.push(severity); }
   if (status) { where.push('status = ?'); params.push(status); }
   if (type) { where.push('type = ?'); params.push(type); }
   if (since) { where.push('ts >= ?'); params.push(since); }
-  const sql = `SELECT * FROM alerts ${where.length ? 'WHERE '+where.join(' AND ') : ''} ORDER BY ts DESC LIMIT ?`;
+  const sql = `SELECT * FROM alerts WHERE ${where.join(' AND ')} ORDER BY ts DESC LIMIT ?`;
   params.push(limit);
   const items = db.prepare(sql).all(...params);
   res.json({ items });
@@ -708,6 +1204,7 @@ app.post('/api/v1/alerts/search', (req, res) => {
 // GET /api/v1/alerts/weekly-trends - Get weekly alert trends (MUST be before /:id route)
 app.get('/api/v1/alerts/weekly-trends', (req, res) => {
   const { tenant_id } = req.query;
+  const scope = scopeFilter(req.scope);
   const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   const today = new Date();
   const trends = [];
@@ -726,8 +1223,9 @@ app.get('/api/v1/alerts/weekly-trends', (req, res) => {
       FROM alerts 
       WHERE datetime(created_at) >= datetime(?) 
       AND datetime(created_at) < datetime(?)
+      AND ${scope.sql}
     `;
-    const params = [date.toISOString(), nextDate.toISOString()];
+    const params = [date.toISOString(), nextDate.toISOString(), ...scope.params];
     
     if (tenant_id) {
       sql += ' AND tenant_id = ?';
@@ -750,8 +1248,14 @@ app.get('/api/v1/alerts/weekly-trends', (req, res) => {
 app.get('/api/v1/alerts/stats', (req, res) => {
   try {
     const { tenant_id } = req.query;
-    const tenantFilter = tenant_id ? 'AND tenant_id = ?' : '';
-    const tenantParams = tenant_id ? [tenant_id] : [];
+    const scope = scopeFilter(req.scope);
+    const tenantScope = `AND ${scope.sql}${tenant_id ? ' AND tenant_id = ?' : ''}`;
+    const tenantParams = tenant_id ? [...scope.params, tenant_id] : scope.params;
+    // Alerts suppressed by maintenance windows are counted on their own
+    const tenantFilter = `${tenantScope} AND suppressed_by IS NULL`;
+    const suppressedCount = db.prepare(`
+      SELECT COUNT(*) as count FROM alerts WHERE suppressed_by IS NOT NULL ${tenantScope}
+    `).get(...tenantParams).count;
     
     // Open alerts count (new + escalated)
     const openCount = db.prepare(`
@@ -788,7 +1292,7 @@ app.get('/api/v1/alerts/stats', (req, res) => {
     const severityCounts = db.prepare(`
       SELECT severity, COUNT(*) as count 
       FROM alerts 
-      ${tenant_id ? 'WHERE tenant_id = ?' : ''}
+      WHERE 1=1 ${tenantFilter}
       GROUP BY severity
     `).all(...tenantParams);
     
@@ -801,7 +1305,7 @@ app.get('/api/v1/alerts/stats', (req, res) => {
     const stateCounts = db.prepare(`
       SELECT COALESCE(state, status) as state, COUNT(*) as count 
       FROM alerts 
-      ${tenant_id ? 'WHERE tenant_id = ?' : ''}
+      WHERE 1=1 ${tenantFilter}
       GROUP BY COALESCE(state, status)
     `).all(...tenantParams);
     
@@ -812,7 +1316,7 @@ app.get('/api/v1/alerts/stats', (req, res) => {
     // Total alerts
     const totalAlerts = db.prepare(`
       SELECT COUNT(*) as count FROM alerts
-      ${tenant_id ? 'WHERE tenant_id = ?' : ''}
+      WHERE 1=1 ${tenantFilter}
     `).get(...tenantParams).count;
     
     // Alerts in last 24 hours
@@ -831,6 +1335,7 @@ app.get('/api/v1/alerts/stats', (req, res) => {
       byState,
       totalAlerts,
       recentAlerts,
+      suppressedCount,
       timestamp: nowISO()
     });
   } catch (err) {
@@ -842,86 +1347,65 @@ app.get('/api/v1/alerts/stats', (req, res) => {
 app.get('/api/v1/alerts/:id', (req, res) => {
   const alert = selectAlert.get(req.params.id);
   if (!alert) return res.status(404).json({ error: 'not found' });
+  if (!canAccessAlert(req.scope, alert)) return res.status(403).json({ error: 'Access denied' });
   const history = db.prepare(`SELECT * FROM alert_history WHERE alert_id=? ORDER BY ts ASC`).all(alert.id);
-  res.json({ alert, history });
+  res.set('ETag', etag(alert));
+  res.json({
+    alert,
+    history,
+    incident: incidentService.forAlert(alert.id),
+    inferences: alertClassifier.inferencesFor(alert.id),
+    label: alertLabels.getLabel(alert.id)
+  });
 });
 
 app.post('/api/v1/alerts/:id/ack', (req, res) => {
-  const id = req.params.id;
-  const actor = (req.body && req.body.actor) || 'demoUser';
+  const actor = req.user.email;
   const note = (req.body && req.body.note) || '';
   
-  const alert = selectAlert.get(id);
-  if (!alert) return res.status(404).json({ error: 'Alert not found' });
-  
-  // Check valid state transition (new or escalated → acked)
-  const currentState = alert.state || alert.status;
-  if (currentState === 'resolved') {
-    return res.status(409).json({ error: 'Cannot acknowledge resolved alert' });
-  }
-  if (currentState === 'acknowledged' || currentState === 'acked') {
-    return res.status(409).json({ error: 'Alert already acknowledged' });
-  }
-  
-  const ts = nowISO();
-  updateAck.run({ id, actor, ts });
+  const alert = loadAlertForUpdate(req, res);
+  if (!alert) return;
   
-  // Update state as well
-  db.prepare(`UPDATE alerts SET state='acked', status='acknowledged' WHERE id=?`).run(id);
-  
-  insertHistory.run({ 
-    id: nanoid(), 
-    alert_id: id, 
-    action: 'ack', 
-    actor, 
-    note,
-    meta: JSON.stringify({ previous_state: currentState }),
-    ts 
-  });
+  const result = transitionAlert(alert, 'ack', { actor, note });
+  if (result.error) return sendConflict(res, result.error, result.alert);
   
-  const updated = selectAlert.get(id);
+  const { updated, ts } = result;
+  escalationScheduler.cancel(updated.id);
   broadcast('alert.acked', updated);
   
+  res.set('ETag', etag(updated));
   res.json({ 
     state: 'acked',
     status: 'acknowledged',
-    acknowledged_at: ts 
+    acknowledged_at: ts,
+    version: updated.version
   });
 });
 
 // Bulk acknowledge all alerts for a tenant
 app.post('/api/v1/alerts/acknowledge-all', (req, res) => {
   const tenant = req.body.tenant || 'default';
-  const actor = req.body.actor || 'demoUser';
-  const ts = nowISO();
+  const actor = req.user.email;
   
   try {
-    // Get all unacknowledged alerts for this tenant
+    // Get all unacknowledged alerts for this tenant in the caller's houses
+    const scope = scopeFilter(req.scope);
     const alerts = db.prepare(`
       SELECT * FROM alerts 
-      WHERE tenant = ? 
-      AND (state != 'acked' AND state != 'resolved')
-      AND (status != 'acknowledged' AND status != 'resolved')
-    `).all(tenant);
+      WHERE tenant_id = ? 
+      AND state IN ('new', 'escalated', 'snoozed')
+      AND ${scope.sql}
+    `).all(tenant, ...scope.params);
     
     let count = 0;
     
-    // Acknowledge each alert
+    // Acknowledge each alert; ones someone else changed meanwhile are skipped
     for (const alert of alerts) {
-      updateAck.run({ id: alert.id, actor, ts });
-      db.prepare(`UPDATE alerts SET state='acked', status='acknowledged' WHERE id=?`).run(alert.id);
+      const result = transitionAlert(alert, 'ack', { actor, note: 'Bulk acknowledge' });
+      if (result.error) continue;
       
-      insertHistory.run({ 
-        id: nanoid(), 
-        alert_id: alert.id, 
-        action: 'ack', 
-        actor, 
-        note: 'Bulk acknowledge',
-        meta: JSON.stringify({ previous_state: alert.state }),
-        ts 
-      });
-      
-      broadcast('alert.acked', { ...alert, state: 'acked', status: 'acknowledged' });
+      escalationScheduler.cancel(alert.id);
+      broadcast('alert.acked', result.updated);
       count++;
     }
     
@@ -937,88 +1421,173 @@ app.post('/api/v1/alerts/acknowledge-all', (req, res) => {
 });
 
 app.post('/api/v1/alerts/:id/escalate', (req, res) => {
-  const id = req.params.id;
-  const actor = (req.body && req.body.actor) || 'system';
+  const actor = req.user.email;
   const note = (req.body && req.body.note) || 'No response - escalating';
   
-  const alert = selectAlert.get(id);
-  if (!alert) return res.status(404).json({ error: 'Alert not found' });
-  
-  // Check valid state transition
-  const currentState = alert.state || alert.status;
-  if (currentState === 'resolved') {
-    return res.status(409).json({ error: 'Cannot escalate resolved alert' });
-  }
-  
-  const ts = nowISO();
-  const escalation_level = (alert.escalation_level || 0) + 1;
-  
-  // Update alert to escalated state
-  db.prepare(`
-    UPDATE alerts 
-    SET state='escalated', status='escalated', 
-        escalated_at=?, escalation_level=?, updated_at=?
-    WHERE id=?
-  `).run(ts, escalation_level, ts, id);
+  const alert = loadAlertForUpdate(req, res);
+  if (!alert) return;
   
-  // Record history
-  insertHistory.run({ 
-    id: nanoid(), 
-    alert_id: id, 
-    action: 'escalate', 
-    actor, 
-    note,
-    meta: JSON.stringify({ escalation_level, previous_state: currentState }),
-    ts 
-  });
-  
-  const updated = selectAlert.get(id);
-  broadcast('alert.escalated', updated);
+  const result = applyEscalation(alert, { actor, note });
+  if (result.error) return sendConflict(res, result.error, result.alert);
   
-  console.log(`[escalate] Alert ${id} escalated to level ${escalation_level} by ${actor}`);
+  const { updated, escalation_level, escalated_at, recipients } = result;
+  escalationScheduler.schedule(updated);
   
+  res.set('ETag', etag(updated));
   res.json({ 
     state: 'escalated', 
     escalation_level,
-    escalated_at: ts 
+    escalated_at,
+    recipients,
+    version: updated.version
   });
 });
 
+// Stop an alert's timers and tell everyone it was resolved
+function announceResolved(updated, actor) {
+  escalationScheduler.cancel(updated.id);
+  snoozeScheduler.cancel(updated.id);
+  broadcast('alert.resolved', updated);
+  webhookService.publish(updated.tenant_id, 'alert.resolved', updated);
+  incidentService.onAlertResolved(updated, actor);
+}
+
 app.post('/api/v1/alerts/:id/resolve', (req, res) => {
-  const id = req.params.id;
-  const actor = (req.body && req.body.actor) || 'demoUser';
+  const actor = req.user.email;
   const note = (req.body && req.body.note) || '';
   
   if (!note) {
     return res.status(400).json({ error: 'Resolution note required' });
   }
   
-  const alert = selectAlert.get(id);
+  const alert = loadAlertForUpdate(req, res);
+  if (!alert) return;
+  
+  // Optional verdict: { label: true_positive | false_alarm | wrong_type, correct_type? }
+  const { label, correct_type } = req.body || {};
+  if (label !== undefined) {
+    const details = alertLabels.validate({ label, correct_type }, alert);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+  }
+  
+  const meta = { resolution_note: note, ...(label !== undefined && { label, correct_type: correct_type || null }) };
+  const result = transitionAlert(alert, 'resolve', { actor, note, meta });
+  if (result.error) return sendConflict(res, result.error, result.alert);
+  
+  const { updated, ts } = result;
+  announceResolved(updated, actor);
+  
+  let labeled = null;
+  if (label !== undefined) {
+    labeled = alertLabels.setLabel(updated, { label, correct_type }, { actor });
+    syncAlertLabel(updated.id);
+  }
+  
+  res.set('ETag', etag(updated));
+  res.json({ 
+    state: 'resolved',
+    status: 'resolved',
+    resolved_at: ts,
+    version: updated.version,
+    label: labeled
+  });
+});
+
+// PUT /api/v1/alerts/:id/label - Say whether a resolved alert was real ({ label, correct_type?, note? })
+app.put('/api/v1/alerts/:id/label', (req, res) => {
+  const alert = selectAlert.get(req.params.id);
   if (!alert) return res.status(404).json({ error: 'Alert not found' });
+  if (!canAccessAlert(req.scope, alert)) return res.status(403).json({ error: 'Access denied' });
+  if (alert.state !== 'resolved') return res.status(409).json({ error: 'Only resolved alerts can be labeled' });
   
-  const ts = nowISO();
-  updateResolve.run({ id, actor, ts });
+  const { label, correct_type, note } = req.body || {};
+  const details = alertLabels.validate({ label, correct_type, note }, alert);
+  if (details.length) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+  }
   
-  // Update state as well
-  db.prepare(`UPDATE alerts SET state='resolved', status='resolved' WHERE id=?`).run(id);
+  const previous = alertLabels.getLabel(alert.id);
+  const labeled = alertLabels.setLabel(alert, { label, correct_type, note }, { actor: req.user.email });
+  insertHistory.run({
+    id: nanoid(),
+    alert_id: alert.id,
+    action: 'label',
+    actor: req.user.email,
+    note: note || `Labeled ${label.replace('_', ' ')}${labeled.correct_type ? ` (${labeled.correct_type})` : ''}`,
+    meta: JSON.stringify({ label, correct_type: labeled.correct_type, previous_label: previous && previous.label }),
+    ts: nowISO()
+  });
+  syncAlertLabel(alert.id);
+  broadcast('alert.labeled', { alert_id: alert.id, label: labeled });
   
-  insertHistory.run({ 
-    id: nanoid(), 
-    alert_id: id, 
-    action: 'resolve', 
+  res.json(labeled);
+});
+
+// POST /api/v1/alerts/:id/snooze - Hide a non-critical alert for a while (duration_minutes, default 30)
+app.post('/api/v1/alerts/:id/snooze', (req, res) => {
+  const actor = req.user.email;
+  const note = (req.body && req.body.note) || '';
+  const minutes = Number((req.body && req.body.duration_minutes) ?? 30);
+  
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+    return res.status(400).json({ 
+      error: 'VALIDATION_ERROR', 
+      details: [`duration_minutes must be a whole number from 1 to ${MAX_SNOOZE_MINUTES}`] 
+    });
+  }
+  
+  const alert = loadAlertForUpdate(req, res);
+  if (!alert) return;
+  
+  const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  const result = transitionAlert(alert, 'snooze', { 
     actor, 
-    note,
-    meta: JSON.stringify({ resolution_note: note }),
-    ts 
+    note: note || `Snoozed for ${minutes} min`, 
+    until, 
+    meta: { duration_minutes: minutes, snoozed_until: until } 
   });
+  if (result.error) return sendConflict(res, result.error, result.alert);
   
-  const updated = selectAlert.get(id);
-  broadcast('alert.resolved', updated);
+  const { updated } = result;
+  escalationScheduler.cancel(updated.id);
+  snoozeScheduler.schedule(updated);
+  broadcast('alert.snoozed', updated);
+  console.log(`[snooze] Alert ${updated.id} snoozed by ${actor} until ${until}`);
   
+  res.set('ETag', etag(updated));
   res.json({ 
-    state: 'resolved',
-    status: 'resolved',
-    resolved_at: ts 
+    state: 'snoozed',
+    status: 'snoozed',
+    snoozed_until: until,
+    version: updated.version
+  });
+});
+
+// POST /api/v1/alerts/:id/reopen - Reopen a resolved alert, or wake a snoozed one early
+app.post('/api/v1/alerts/:id/reopen', (req, res) => {
+  const actor = req.user.email;
+  const note = (req.body && req.body.note) || '';
+  
+  const alert = loadAlertForUpdate(req, res);
+  if (!alert) return;
+  
+  const result = transitionAlert(alert, 'reopen', { actor, note });
+  if (result.error) return sendConflict(res, result.error, result.alert);
+  
+  const { updated } = result;
+  snoozeScheduler.cancel(updated.id);
+  escalationScheduler.schedule(updated);
+  broadcast('alert.reopened', updated);
+  incidentService.onAlertReopened(updated, actor);
+  console.log(`[alerts] Alert ${updated.id} reopened by ${actor} (was ${alert.state})`);
+  
+  res.set('ETag', etag(updated));
+  res.json({ 
+    state: 'new',
+    status: 'open',
+    version: updated.version
   });
 });
 
@@ -1032,12 +1601,18 @@ app.delete('/api/v1/alerts/:id', (req, res) => {
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
+    if (!canAccessAlert(req.scope, alert)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
     // Delete alert history first (foreign key constraint)
     db.prepare('DELETE FROM alert_history WHERE alert_id = ?').run(id);
     
     // Delete the alert
     db.prepare('DELETE FROM alerts WHERE id = ?').run(id);
+    escalationScheduler.cancel(id);
+    snoozeScheduler.cancel(id);
+    incidentService.detachAlert(id);
     
     console.log(`[alerts] Deleted alert ${id}`);
     
@@ -1056,7 +1631,7 @@ app.delete('/api/v1/alerts/:id', (req, res) => {
 });
 
 // DELETE /api/v1/alerts/clear-all - Delete all alerts (MUST be before /:id route)
-app.delete('/api/v1/alerts/clear-all', (req, res) => {
+app.delete('/api/v1/alerts/clear-all', requireRole('ADMIN'), (req, res) => {
   try {
     const countBefore = db.prepare('SELECT COUNT(*) as count FROM alerts').get().count;
     
@@ -1065,6 +1640,9 @@ app.delete('/api/v1/alerts/clear-all', (req, res) => {
     
     // Delete all alert history
     db.prepare('DELETE FROM alert_history').run();
+    escalationScheduler.cancelAll();
+    snoozeScheduler.cancelAll();
+    incidentService.clearAll();
     
     console.log(`[alerts] Cleared all alerts (${countBefore} deleted)`);
     broadcast('alerts.cleared', { count: countBefore });
@@ -1089,15 +1667,21 @@ app.delete('/api/v1/alerts/:id', (req, res) => {
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
+    if (!canAccessAlert(req.scope, alert)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
     // Delete alert history first (foreign key)
     db.prepare('DELETE FROM alert_history WHERE alert_id = ?').run(id);
     
     // Delete the alert
     db.prepare('DELETE FROM alerts WHERE id = ?').run(id);
+    escalationScheduler.cancel(id);
+    snoozeScheduler.cancel(id);
+    incidentService.detachAlert(id);
     
     console.log(`[alerts] Deleted alert ${id} (${alert.type})`);
-    broadcast('alert.deleted', { id });
+    broadcast('alert.deleted', { id, house_id: alert.house_id, tenant_id: alert.tenant_id });
     
     res.json({ 
       success: true, 
@@ -1142,7 +1726,7 @@ const updateTenant = db.prepare(`
 `);
 
 // POST /api/v1/tenants - Create new tenant
-app.post('/api/v1/tenants', (req, res) => {
+app.post('/api/v1/tenants', requireRole('ADMIN'), (req, res) => {
   const { name, contact_email, contact_phone, status='active' } = req.body || {};
   
   if (!name) return res.status(400).json({ error: 'name required' });
@@ -1178,7 +1762,7 @@ app.post('/api/v1/tenants', (req, res) => {
 
 // GET /api/v1/tenants - List all tenants
 app.get('/api/v1/tenants', (req, res) => {
-  const tenants = selectAllTenants.all();
+  const tenants = selectAllTenants.all().filter(tenant => canAccessTenant(req.scope, tenant.tenant_id));
   res.json({ items: tenants, count: tenants.length });
 });
 
@@ -1186,11 +1770,12 @@ app.get('/api/v1/tenants', (req, res) => {
 app.get('/api/v1/tenants/:id', (req, res) => {
   const tenant = selectTenant.get(req.params.id);
   if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+  if (!canAccessTenant(req.scope, tenant.tenant_id)) return res.status(403).json({ error: 'Access denied' });
   res.json(tenant);
 });
 
 // PUT /api/v1/tenants/:id - Update tenant
-app.put('/api/v1/tenants/:id', (req, res) => {
+app.put('/api/v1/tenants/:id', requireRole('ADMIN'), (req, res) => {
   const id = req.params.id;
   const existing = selectTenant.get(id);
   
@@ -1217,7 +1802,7 @@ app.put('/api/v1/tenants/:id', (req, res) => {
 });
 
 // DELETE /api/v1/tenants/:id - Delete tenant
-app.delete('/api/v1/tenants/:id', (req, res) => {
+app.delete('/api/v1/tenants/:id', requireRole('ADMIN'), (req, res) => {
   const tenant = selectTenant.get(req.params.id);
   if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
   
@@ -1227,23 +1812,116 @@ app.delete('/api/v1/tenants/:id', (req, res) => {
   res.json({ success: true, message: 'Tenant deleted' });
 });
 
-// ============ ADMIN ACTIONS ENDPOINTS ============
+// ============ ESCALATION POLICY ENDPOINTS ============
 
-// POST /api/v1/admin/system-alert - Trigger system-wide alert
-app.post('/api/v1/admin/system-alert', (req, res) => {
-  const { message, severity='critical' } = req.body || {};
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// GET /api/v1/tenants/:id/escalation-policies - Effective escalation ladder for a tenant
+app.get('/api/v1/tenants/:id/escalation-policies', authenticate, requireTenantAccess, (req, res) => {
+  const policies = escalationScheduler.listPolicies(req.params.id);
+  res.json({ items: policies, count: policies.length });
+});
+
+// PUT /api/v1/tenants/:id/escalation-policies/:severity - Create or replace a policy
+app.put('/api/v1/tenants/:id/escalation-policies/:severity', authenticate, requireRole('ADMIN'), requireTenantAdmin, (req, res) => {
+  const { severity } = req.params;
+  const { first_after_sec, repeat_every_sec = null, max_level = 1, enabled = true } = req.body || {};
+  
+  const details = [];
+  if (!SEVERITIES.includes(severity)) details.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (!Number.isInteger(first_after_sec) || first_after_sec <= 0) details.push('first_after_sec must be a positive integer');
+  if (repeat_every_sec !== null && (!Number.isInteger(repeat_every_sec) || repeat_every_sec <= 0)) {
+    details.push('repeat_every_sec must be a positive integer or null');
+  }
+  if (!Number.isInteger(max_level) || max_level < 1) details.push('max_level must be an integer >= 1');
+  
+  if (details.length) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+  }
+  
+  try {
+    const policy = escalationScheduler.upsertPolicy(req.params.id, severity, {
+      id: nanoid(), first_after_sec, repeat_every_sec, max_level, enabled
+    }, nowISO());
+    console.log(`[escalation] Policy ${req.params.id}/${severity} set by ${req.user.email}`);
+    res.json(policy);
+  } catch (err) {
+    console.error('[escalation] Policy update error:', err);
+    res.status(500).json({ error: 'Failed to update escalation policy' });
+  }
+});
+
+// DELETE /api/v1/tenants/:id/escalation-policies/:severity - Revert to the default ladder
+app.delete('/api/v1/tenants/:id/escalation-policies/:severity', authenticate, requireRole('ADMIN'), requireTenantAdmin, (req, res) => {
+  const removed = escalationScheduler.deletePolicy(req.params.id, req.params.severity);
+  if (!removed) return res.status(404).json({ error: 'Policy not found' });
+  res.json({ success: true, message: 'Policy removed, default applies' });
+});
+
+// ============ ON-CALL & ESCALATION CHAIN ENDPOINTS ============
+// Schedules, overrides and escalation chains live in routes/oncall-routes.js
+app.use('/api/v1', createOnCallRoutes(oncallService, authenticate, requireRole));
+
+// ============ SEVERITY RULES ENDPOINTS ============
+// Versioned per-tenant rule sets and dry runs live in routes/severity-rules-routes.js
+app.use('/api/v1', createSeverityRulesRoutes(severityRules, authenticate, requireRole));
+
+// Whether each tenant's severity comes from the rules or the alert model (routes/alert-model-routes.js)
+app.use('/api/v1', createAlertModelRoutes(alertClassifier, authenticate, requireRole));
+
+// Resolved alerts waiting for a label (routes/alert-label-routes.js)
+app.use('/api/v1', createAlertLabelRoutes(alertLabels, authenticate, requireRole));
+
+// ============ INCIDENT ENDPOINTS ============
+// Incident listing and lifecycle live in routes/incident-routes.js
+app.use('/api/v1', createIncidentRoutes(incidentService, authenticate));
+
+// ============ QUIET HOURS ENDPOINTS ============
+// House and personal quiet-hour windows live in routes/quiet-hours-routes.js
+app.use('/api/v1', createQuietHoursRoutes(quietHoursService, authenticate, requireRole));
+
+// ============ WEBHOOK ENDPOINTS ============
+// Tenant webhook subscriptions and delivery logs live in routes/webhook-routes.js
+app.use('/api/v1', createWebhookRoutes(webhookService, authenticate, requireRole));
+
+// ============ NOTIFICATION OUTBOX ENDPOINTS ============
+
+// GET /api/v1/notifications/outbox - Inspect queued/sent/failed/dead notifications
+app.get('/api/v1/notifications/outbox', authenticate, requireRole('ADMIN'), (req, res) => {
+  const { status, alert_id, limit = 100 } = req.query;
+  const items = notificationOutbox.list({ status, alert_id, limit: Math.min(parseInt(limit) || 100, 500) });
+  res.json({ items, count: items.length, stats: notificationOutbox.stats() });
+});
+
+// POST /api/v1/notifications/outbox/:id/retry - Re-queue a dead or failed notification
+app.post('/api/v1/notifications/outbox/:id/retry', authenticate, requireRole('ADMIN'), (req, res) => {
+  const existing = notificationOutbox.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Notification not found' });
+  if (existing.status === 'sent') return res.status(409).json({ error: 'Notification already sent' });
   
+  const updated = notificationOutbox.retry(req.params.id);
+  console.log(`[outbox] ${req.params.id} re-queued by ${req.user.email}`);
+  res.json(updated);
+});
+
+// ============ ADMIN ACTIONS ENDPOINTS ============
+
+/**
+ * Raise an alert for the whole system rather than one device. `device_id`
+ * says what raised it (ADMIN for the admin panel, ml:<model> for a model).
+ */
+function raiseSystemAlert({ device_id = 'ADMIN', type = 'system_alert', severity = 'critical', message, actor = 'admin', note = 'System-wide alert', meta = {} }) {
   const alert = {
     id: nanoid(),
     tenant_id: 'SYSTEM',
     house_id: 'SYSTEM',
-    device_id: 'ADMIN',
-    type: 'system_alert',
+    device_id,
+    type,
     severity,
     status: 'open',
     state: 'new',
     score: 1.0,
-    message: message || 'System-wide alert triggered by administrator',
+    message,
     ts: nowISO(),
     occurred_at: nowISO(),
     created_at: nowISO(),
@@ -1253,7 +1931,8 @@ app.post('/api/v1/admin/system-alert', (req, res) => {
     escalated_at: null,
     escalation_level: 0,
     resolved_by: null,
-    resolved_at: null
+    resolved_at: null,
+    suppressed_by: null
   };
   
   insertAlert.run(alert);
@@ -1261,21 +1940,53 @@ app.post('/api/v1/admin/system-alert', (req, res) => {
     id: nanoid(), 
     alert_id: alert.id, 
     action: 'create', 
-    actor: 'admin', 
-    note: 'System-wide alert',
-    meta: JSON.stringify({ severity }),
+    actor, 
+    note,
+    meta: JSON.stringify({ severity, ...meta }),
     ts: nowISO() 
   });
   
   const created = selectAlert.get(alert.id);
   broadcast('alert.system', created);
+  return created;
+}
+
+// Called by the drift detector's scheduled checks; one open alert per model at a time
+function raiseDriftAlert(model, report) {
+  const device_id = `ml:${model.model_id}`;
+  const open = db.prepare(`
+    SELECT id FROM alerts WHERE device_id = ? AND type = 'model_drift' AND state != 'resolved'
+  `).get(device_id);
+  if (open) return;
+  
+  const drifted = [...report.drifted_features, ...report.drifted_outputs.map(name => `prediction ${name}`)];
+  const created = raiseSystemAlert({
+    device_id,
+    type: 'model_drift',
+    severity: 'high',
+    message: `Model ${model.model_id} ${model.version} is seeing different data than it was deployed with: ${drifted.join(', ')}`,
+    actor: 'system',
+    note: 'Drift check',
+    meta: { model_id: model.model_id, version: model.version, report_id: report.id, drifted }
+  });
+  console.log(`[ML] Drift alert ${created.id} raised for ${model.model_id} ${model.version}`);
+}
+
+// POST /api/v1/admin/system-alert - Trigger system-wide alert
+app.post('/api/v1/admin/system-alert', requireRole('ADMIN'), (req, res) => {
+  const { message, severity='critical' } = req.body || {};
+  
+  const created = raiseSystemAlert({
+    severity,
+    message: message || 'System-wide alert triggered by administrator'
+  });
   
   console.log(`[admin] System-wide alert triggered: ${message}`);
   res.json({ success: true, alert: created });
 });
 
 // POST /api/v1/admin/clear-cache - Clear system caches
-app.post('/api/v1/admin/clear-cache', (req, res) => {
+app.post('/api/v1/admin/clear-cache', requireRole('ADMIN'), (req, res) => {
   console.log('[admin] Cache clear requested');
   // Simulate cache clearing
   setTimeout(() => {
@@ -1362,7 +2073,7 @@ app.get('/api/v1/admin/system-status', authenticate, requireRole('ADMIN'), async
 });
 
 // GET /api/v1/admin/health-report - Generate health report
-app.get('/api/v1/admin/health-report', (req, res) => {
+app.get('/api/v1/admin/health-report', requireRole('ADMIN'), (req, res) => {
   const totalAlerts = db.prepare(`SELECT COUNT(*) as count FROM alerts`).get().count;
   const openAlerts = db.prepare(`SELECT COUNT(*) as count FROM alerts WHERE status='open'`).get().count;
   const criticalAlerts = db.prepare(`SELECT COUNT(*) as count FROM alerts WHERE severity='critical'`).get().count;
@@ -1396,7 +2107,7 @@ app.get('/api/v1/admin/health-report', (req, res) => {
 });
 
 // GET /api/v1/admin/audit-logs/export - Export audit logs as CSV
-app.get('/api/v1/admin/audit-logs/export', (req, res) => {
+app.get('/api/v1/admin/audit-logs/export', requireRole('ADMIN'), (req, res) => {
   const logs = db.prepare(`
     SELECT timestamp, user, action, resource, status, ip_address 
     FROM (
@@ -1438,10 +2149,88 @@ app.get('/api/v1/admin/audit-logs/export', (req, res) => {
   console.log('[admin] Audit logs exported');
 });
 
+// ============ DEVICE TAGS & GROUPS ============
+
+const deviceGroups = new DeviceGroupService(db);
+deviceGroups.initialize();
+
+app.use('/api/v1', createDeviceGroupRoutes(deviceGroups, authenticate, requireRole));
+
+// ============ MAINTENANCE WINDOWS ============
+
+const maintenanceService = new MaintenanceService(db, { groups: deviceGroups });
+maintenanceService.initialize();
+
+app.use('/api/v1', createMaintenanceRoutes(maintenanceService, deviceGroups, authenticate, requireRole));
+
+// ============ BULK DEVICE OPERATIONS ============
+// Mounted ahead of the single-device routes so /devices/export isn't taken for a device id
+
+// Bulk jobs run in the background; look the device up again when its turn comes
+function deviceForJob(deviceId) {
+  const device = db.prepare('SELECT * FROM devices WHERE device_id = ?').get(deviceId);
+  if (!device) throw new Error('Device no longer exists');
+  return device;
+}
+
+function patchDevice(device, changes) {
+  const ts = nowISO();
+  const columns = Object.keys(changes);
+  db.prepare(`UPDATE devices SET ${columns.map(column => `${column} = @${column}`).join(', ')}, updated_at = @updated_at WHERE id = @id`)
+    .run({ ...changes, updated_at: ts, id: device.id });
+  const updated = selectDevice.get(device.id);
+  broadcast('device.updated', updated);
+  return { updated, ts };
+}
+
+const deviceBulk = new DeviceBulkService(db, {
+  broadcast,
+  groups: deviceGroups,
+  validateConfig: (type, config) => validateDeviceConfig(type, config),
+  handlers: {
+    import({ payload }, job) {
+      if (db.prepare('SELECT 1 FROM devices WHERE device_id = ?').get(payload.device_id)) {
+        throw new Error('Device ID already exists');
+      }
+      registerDevice(payload, { actor: job.created_by });
+    },
+    move({ device_id }, job) {
+      const device = deviceForJob(device_id);
+      const house = accessControl.getHouse(job.params.house_id);
+      if (!house) throw new Error(`House ${job.params.house_id} no longer exists`);
+      patchDevice(device, { house_id: house.house_id, tenant: house.tenant_id || device.tenant });
+    },
+    location({ device_id }, job) {
+      patchDevice(deviceForJob(device_id), { location: job.params.location.trim() });
+    },
+    config({ device_id }, job) {
+      const device = deviceForJob(device_id);
+      const config = job.params.merge === false ? {} : { ...deviceShadow.getShadow(device).desired };
+      for (const [key, value] of Object.entries(job.params.config)) {
+        if (value === null) delete config[key];
+        else config[key] = value;
+      }
+      const details = validateDeviceConfig(device.type, config);
+      if (details.length) throw new Error(details.join('; '));
+      deviceShadow.setDesired(device, config, { actor: job.created_by, source: 'bulk', note: `Bulk job ${job.id}` });
+    },
+    decommission({ device_id }, job) {
+      const device = deviceForJob(device_id);
+      if (device.status === 'decommissioned') return;
+      const { updated, ts } = patchDevice(device, { status: 'decommissioned', heartbeat: 'Decommissioned' });
+      provisioning.revokeAll(device.device_id, { actor: job.created_by, now: ts });
+      onDeviceStatusChanged(device, updated, { source: 'bulk', ts });
+    }
+  }
+});
+deviceBulk.initialize();
+
+app.use('/api/v1', createDeviceBulkRoutes(deviceBulk, authenticate, requireRole));
+
 // ============ DEVICE MANAGEMENT ENDPOINTS ============
 
 // POST /api/v1/devices - Register a new device
-app.post('/api/v1/devices', (req, res) => {
+app.post('/api/v1/devices', requireRole('ADMIN', 'OWNER'), (req, res) => {
   const { house_id, device_type, name, deviceId, tenant, location, type, status='online', firmware='v2.4.1', config={} } = req.body || {};
   
   // Support both new format (house_id, device_type, name) and old format (deviceId, tenant, location, type)
@@ -1453,28 +2242,24 @@ app.post('/api/v1/devices', (req, res) => {
   const finalName = name || finalLocation;
   
   if (!finalType) return res.status(400).json({ error: 'device_type or type required' });
-  
-  const device = {
-    id: nanoid(),
-    device_id: finalDeviceId,
-    tenant: finalTenant,
-    house_id: finalHouseId,
-    location: finalLocation,
-    type: finalType,
-    status,
-    heartbeat: 'Just registered',
-    firmware,
-    config: JSON.stringify(config),
-    last_seen: nowISO(),
-    created_at: nowISO(),
-    updated_at: nowISO()
-  };
+  if (!canAccessDevice(req.scope, { house_id: finalHouseId, tenant: finalTenant })) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  const configErrors = validateDeviceConfig(finalType, config);
+  if (configErrors.length) return res.status(400).json({ error: 'VALIDATION_ERROR', details: configErrors });
   
   try {
-    insertDevice.run(device);
-    const created = selectDevice.get(device.id);
+    const created = registerDevice({
+      device_id: finalDeviceId,
+      tenant: finalTenant,
+      house_id: finalHouseId,
+      location: finalLocation,
+      type: finalType,
+      status,
+      firmware,
+      config
+    }, { actor: req.user.email });
     console.log(`[device] Registered ${finalDeviceId} (${finalName}) at ${finalLocation}`);
-    broadcast('device.created', created);
     res.status(201).json(created);
   } catch (err) {
     if (err.message.includes('UNIQUE constraint')) {
@@ -1485,23 +2270,74 @@ app.post('/api/v1/devices', (req, res) => {
   }
 });
 
-// GET /api/v1/devices - List all devices
+/**
+ * Add a device, from the API or a claimed claim token. Callers check access
+ * and validate config first.
+ */
+function registerDevice({ device_id, tenant, house_id, location, type, status = 'online', firmware, config = {} }, { actor }) {
+  const ts = nowISO();
+  const device = {
+    id: nanoid(),
+    device_id: device_id || `DEV-${nanoid(8)}`,
+    tenant: tenant || 'default',
+    house_id: house_id || null,
+    location: location || 'Unknown',
+    type: type || 'unknown',
+    status,
+    heartbeat: 'Just registered',
+    firmware: firmware || 'v2.4.1',
+    config: JSON.stringify(config),
+    last_seen: ts,
+    created_at: ts,
+    updated_at: ts
+  };
+  
+  insertDevice.run(device);
+  let created = selectDevice.get(device.id);
+  deviceHealth.recordStatus(created, created.status, created.created_at, 'registered');
+  if (Object.keys(config).length) {
+    deviceShadow.setDesired(created, config, { actor, source: 'registration', note: 'Initial configuration' });
+    created = selectDevice.get(device.id);
+  }
+  broadcast('device.created', created);
+  return created;
+}
+
+// GET /api/v1/devices - List all devices (?tenant_id, ?group_id, ?tag repeated for every tag)
 app.get('/api/v1/devices', (req, res) => {
   try {
-    const { tenant_id } = req.query;
+    const { tenant_id, group_id } = req.query;
+    const tags = [].concat(req.query.tag || []);
+    const scope = scopeFilter(req.scope, { tenant: 'tenant' });
     
-    let sql = 'SELECT * FROM devices';
-    const params = [];
+    let sql = `SELECT * FROM devices WHERE ${scope.sql}`;
+    const params = [...scope.params];
     
     if (tenant_id) {
-      sql += ' WHERE tenant = ?';
+      sql += ' AND tenant = ?';
       params.push(tenant_id);
     }
+    if (group_id) {
+      const group = deviceGroups.getGroup(group_id);
+      if (!group) return res.status(404).json({ error: 'Group not found' });
+      if (!deviceGroups.canAccessGroup(req.scope, group)) return res.status(403).json({ error: 'Access denied' });
+      const clause = deviceGroups.groupClause(group);
+      sql += ` AND ${clause.sql}`;
+      params.push(...clause.params);
+    }
+    if (tags.length) {
+      const details = validateTags(tags, 'tag', { wildcards: true });
+      if (details.length) return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+      const clause = queryClause({ tags });
+      sql += ` AND ${clause.sql}`;
+      params.push(...clause.params);
+    }
     
     sql += ' ORDER BY created_at DESC';
     
     const devices = db.prepare(sql).all(...params);
-    res.json({ items: devices, count: devices.length });
+    const deviceTags = deviceGroups.tagsFor(devices.map(device => device.device_id));
+    res.json({ items: devices.map(device => ({ ...device, tags: deviceTags.get(device.device_id) })), count: devices.length });
   } catch (error) {
     console.error('[devices] Error:', error);
     res.status(500).json({ error: 'Failed to fetch devices' });
@@ -1512,11 +2348,12 @@ app.get('/api/v1/devices', (req, res) => {
 app.get('/api/v1/devices/:id', (req, res) => {
   const device = selectDevice.get(req.params.id);
   if (!device) return res.status(404).json({ error: 'Device not found' });
-  res.json(device);
+  if (!canAccessDevice(req.scope, device)) return res.status(403).json({ error: 'Access denied' });
+  res.json({ ...device, tags: deviceGroups.getTags(device.device_id) });
 });
 
 // PUT /api/v1/devices/:id - Update device configuration
-app.put('/api/v1/devices/:id', (req, res) => {
+app.put('/api/v1/devices/:id', requireRole('ADMIN', 'OWNER'), (req, res) => {
   const id = req.params.id;
   const existing = selectDevice.get(id);
   
@@ -1524,6 +2361,15 @@ app.put('/api/v1/devices/:id', (req, res) => {
   
   const { tenant, location, type, status, firmware, config } = req.body || {};
   
+  // Moving a device to another tenant needs access to both
+  if (!canAccessDevice(req.scope, existing) || (tenant && !canAccessDevice(req.scope, { ...existing, tenant }))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (config !== undefined) {
+    const configErrors = validateDeviceConfig(type || existing.type, config);
+    if (configErrors.length) return res.status(400).json({ error: 'VALIDATION_ERROR', details: configErrors });
+  }
+  
   const updated = {
     id,
     tenant: tenant || existing.tenant,
@@ -1532,45 +2378,229 @@ app.put('/api/v1/devices/:id', (req, res) => {
     status: status || existing.status,
     heartbeat: existing.heartbeat,
     firmware: firmware || existing.firmware,
-    config: config ? JSON.stringify(config) : existing.config,
+    config: existing.config,
     last_seen: nowISO(),
     updated_at: nowISO()
   };
   
   updateDevice.run(updated);
+  // Config changes go through the shadow so they are versioned and pushed to the device
+  if (config !== undefined && JSON.stringify(config) !== JSON.stringify(deviceShadow.getShadow(existing).desired)) {
+    deviceShadow.setDesired(selectDevice.get(id), config, { actor: req.user.email, source: 'api' });
+  }
   const result = selectDevice.get(id);
-  console.log(`[device] Updated ${result.device_id}: config=${updated.config}`);
+  console.log(`[device] Updated ${result.device_id}: config=${result.config}`);
   broadcast('device.updated', result);
+  onDeviceStatusChanged(existing, result, { source: 'api', ts: updated.updated_at });
   res.json(result);
 });
 
 // DELETE /api/v1/devices/:id - Remove device
-app.delete('/api/v1/devices/:id', (req, res) => {
+app.delete('/api/v1/devices/:id', requireRole('ADMIN', 'OWNER'), (req, res) => {
   const device = selectDevice.get(req.params.id);
   if (!device) return res.status(404).json({ error: 'Device not found' });
+  if (!canAccessDevice(req.scope, device)) return res.status(403).json({ error: 'Access denied' });
   
   db.prepare('DELETE FROM devices WHERE id = ?').run(req.params.id);
+  provisioning.revokeAll(device.device_id, { actor: req.user.email, now: nowISO() });
+  deviceGroups.removeDevice(device.device_id);
   console.log(`[device] Deleted ${device.device_id}`);
-  broadcast('device.deleted', { id: req.params.id });
+  broadcast('device.deleted', { id: req.params.id, house_id: device.house_id, tenant_id: device.tenant });
   res.json({ success: true, message: 'Device deleted' });
 });
 
 // POST /api/v1/devices/:id/heartbeat - Simulate device heartbeat (MQTT simulation)
 app.post('/api/v1/devices/:id/heartbeat', (req, res) => {
-  const device = selectDevice.get(req.params.id);
+  const device = provisioning.getDevice(req.params.id);
   if (!device) return res.status(404).json({ error: 'Device not found' });
+  if (!canAccessDevice(req.scope, device)) return res.status(403).json({ error: 'Access denied' });
   
-  const { status='online' } = req.body || {};
+  const { status='online', reported } = req.body || {};
+  if (typeof status !== 'string' || !status || status.length > 32) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['status must be a short string'] });
+  }
+  if (reported !== undefined && !isPlainObject(reported)) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['reported must be an object'] });
+  }
+  const { ts } = recordHeartbeat(device, status);
+  // Devices without MQTT learn about config changes from the heartbeat response
+  const shadow = reported !== undefined ? deviceShadow.report(device, reported) : deviceShadow.getShadow(device);
+  res.json({ success: true, last_seen: ts, status, config: { version: shadow.version, delta: shadow.delta } });
+});
+
+// A device checked in, over HTTP or MQTT
+function recordHeartbeat(device, status, source = 'heartbeat') {
   const ts = nowISO();
-  
   db.prepare('UPDATE devices SET status=?, last_seen=?, heartbeat=? WHERE id=?')
-    .run(status, ts, 'Just now', req.params.id);
+    .run(status, ts, 'Just now', device.id);
   
-  const updated = selectDevice.get(req.params.id);
-  console.log(`[mqtt-sim] device/${device.device_id}/status: ${status} at ${ts}`);
+  const updated = selectDevice.get(device.id);
+  console.log(`[${source}] device/${device.device_id}/status: ${status} at ${ts}`);
   broadcast('device.heartbeat', updated);
-  res.json({ success: true, last_seen: ts, status });
+  webhookService.publish(updated.tenant, 'device.heartbeat', updated);
+  onDeviceStatusChanged(device, updated, { source, ts });
+  return { ts, updated };
+}
+
+// Alerts from a device go to its house, under the house's tenant when it has one
+function alertTargetFor(device) {
+  const house = device.house_id && accessControl.getHouse(device.house_id);
+  return { tenant_id: (house && house.tenant_id) || device.tenant, house_id: device.house_id };
+}
+
+// ============ DEVICE WATCHDOG ============
+
+/**
+ * Everything that follows a device changing status, whoever noticed it:
+ * status history, the live broadcast, the device.offline webhook, and
+ * resolving its device_offline alerts once it is back up.
+ */
+function onDeviceStatusChanged(previous, device, { source, ts }) {
+  if (previous.status === device.status) return;
+  
+  deviceHealth.recordStatus(device, device.status, ts, source);
+  broadcast('device.status_changed', { device, from: previous.status, to: device.status, source });
+  if (device.status === 'offline') {
+    webhookService.publish(device.tenant, 'device.offline', device);
+  }
+  if (!DOWN_STATUSES.includes(device.status) && device.status !== 'stale') {
+    resolveOfflineAlerts(device);
+  }
+}
+
+function resolveOfflineAlerts(device) {
+  const open = db.prepare(`
+    SELECT * FROM alerts WHERE device_id = ? AND type = 'device_offline' AND state != 'resolved'
+  `).all(device.device_id);
+  
+  const note = device.status === 'decommissioned' ? 'Device decommissioned' : `Device back ${device.status}`;
+  for (const alert of open) {
+    const result = transitionAlert(alert, 'resolve', { actor: 'system', note, meta: { resolution_note: note, auto: true } });
+    if (result.error) continue;
+    announceResolved(result.updated, 'system');
+    console.log(`[watchdog] Resolved alert ${alert.id} of ${device.device_id}: ${note}`);
+  }
+}
+
+// Called by the watchdog when a device has gone quiet for too long
+function markDeviceOverdue(device, status, { missed }) {
+  const ts = nowISO();
+  const heartbeat = `Missed ${missed} heartbeat${missed === 1 ? '' : 's'}`;
+  db.prepare('UPDATE devices SET status=?, heartbeat=?, updated_at=? WHERE id=?')
+    .run(status, heartbeat, ts, device.id);
+  
+  const updated = selectDevice.get(device.id);
+  console.log(`[watchdog] ${device.device_id} ${device.status} -> ${status} (${heartbeat.toLowerCase()}, last seen ${device.last_seen})`);
+  onDeviceStatusChanged(device, updated, { source: 'watchdog', ts });
+  
+  if (status === 'offline') {
+    ingestAlert({
+      ...alertTargetFor(updated),
+      device_id: updated.device_id,
+      type: 'device_offline',
+      message: `${updated.device_id} (${updated.location || 'unknown location'}) missed ${missed} heartbeats, last seen ${device.last_seen}`,
+      duration: Math.round((Date.parse(ts) - Date.parse(device.last_seen)) / 1000)
+    });
+  }
+}
+
+const deviceWatchdog = new DeviceWatchdog(db, { onStatusChange: markDeviceOverdue });
+deviceWatchdog.initialize();
+
+// ============ MQTT BRIDGE ============
+
+const mqttAcl = new MqttAcl(db);
+mqttAcl.initialize();
+
+const mqttBridge = new MqttBridge({
+  acl: mqttAcl,
+  url: process.env.MQTT_URL,
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  handlers: {
+    status(device, { status, reported }) {
+      if (typeof status !== 'string' || !status || status.length > 32) {
+        throw new Error('status must be a short string');
+      }
+      if (reported !== undefined && !isPlainObject(reported)) throw new Error('reported must be an object');
+      recordHeartbeat(device, status, 'mqtt');
+      if (reported !== undefined) deviceShadow.report(device, reported);
+    },
+    telemetry(device, { timestamp, metrics }) {
+      const details = telemetryService.validate(metrics, timestamp);
+      if (details.length) throw new Error(details.join('; '));
+      telemetryService.record(device, metrics, timestamp ? new Date(timestamp).toISOString() : nowISO());
+    },
+    event(device, { type, message, score, duration, severity, ts }) {
+      if (!type || typeof type !== 'string') throw new Error('type required');
+      if (ts !== undefined && Number.isNaN(Date.parse(ts))) throw new Error('ts must be an ISO timestamp');
+      classifyAndIngest({ ...alertTargetFor(device), device_id: device.device_id, type, message, score, duration, severity, ts })
+        .catch(error => console.error(`[mqtt] Failed to ingest ${type} from ${device.device_id}:`, error.message));
+    },
+    ota(device, { deployment_id, state, error }) {
+      if (!deployment_id) throw new Error('deployment_id required');
+      const result = firmwareService.reportProgress(deployment_id, device.device_id, { state, error });
+      if (result.error) throw new Error(result.error);
+    }
+  }
+});
+
+app.use('/api/v1', createMqttRoutes(mqttAcl, mqttBridge, authenticate, requireRole));
+
+// ============ DEVICE SHADOW ============
+
+const deviceShadow = new DeviceShadowService(db, {
+  broadcast,
+  // Devices on MQTT get desired config pushed; the rest see the delta in their heartbeat response
+  push(device, message) {
+    mqttBridge.publish(`device/${device.device_id}/config/desired`, message);
+  }
+});
+deviceShadow.initialize();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateDeviceConfig(type, config) {
+  if (!isPlainObject(config)) return ['config must be an object'];
+  return deviceShadow.validate(type, config);
+}
+
+app.use('/api/v1', createDeviceShadowRoutes(deviceShadow, authenticateCaller, requireRole));
+
+// ============ DEVICE PROVISIONING ============
+
+app.use('/api/v1', createProvisioningRoutes(provisioning, authenticateCaller, requireRole));
+
+// ============ FIRMWARE OTA ============
+
+const firmwareService = new FirmwareService(db, {
+  broadcast,
+  groups: deviceGroups,
+  // Devices on MQTT get their job pushed; the rest pick it up from GET /devices/:id/firmware/job
+  dispatch(device, job) {
+    const sent = mqttBridge.publish(`device/${device.device_id}/ota/job`, job);
+    console.log(`[firmware] ${job.action} ${job.version} for ${device.device_id}${sent ? ' sent over MQTT' : ' waiting for the device to poll'}`);
+  }
 });
+firmwareService.initialize();
+
+// Demo catalog on a fresh database, the versions the fleet page has always offered
+if (firmwareService.listReleases().length === 0) {
+  const demoReleases = [
+    { version: 'v2.3.8', release_notes: 'Legacy build kept for rollbacks' },
+    { version: 'v2.4.1', release_notes: 'Stable: audio pipeline fixes' },
+    { version: 'v2.5.0', release_notes: 'Canary: new on-device noise model' }
+  ];
+  for (const release of demoReleases) {
+    const checksum = crypto.createHash('sha256').update(`firmware-${release.version}`).digest('hex');
+    firmwareService.createRelease({ ...release, checksum }, { createdBy: 'seed' });
+  }
+  console.log(`[seed] Added ${demoReleases.length} firmware releases`);
+}
+
+app.use('/api/v1', createFirmwareRoutes(firmwareService, authenticateCaller, requireRole));
 
 // ============ LOAD TEST ENDPOINTS ============
 // Store latest load test result in memory
@@ -1642,7 +2672,7 @@ let latestLoadTestResult = {
 };
 
 // POST /api/v1/admin/run-load-test - Trigger a load test
-app.post('/api/v1/admin/run-load-test', async (req, res) => {
+app.post('/api/v1/admin/run-load-test', requireRole('ADMIN'), async (req, res) => {
   const { users = 10, duration = 60000 } = req.body || {};
   
   console.log(`[LOAD TEST] Starting test with ${users} users for ${duration}ms`);
@@ -1696,7 +2726,7 @@ app.post('/api/v1/admin/run-load-test', async (req, res) => {
 });
 
 // GET /api/v1/admin/latest-load-test - Get latest load test results
-app.get('/api/v1/admin/latest-load-test', (req, res) => {
+app.get('/api/v1/admin/latest-load-test', requireRole('ADMIN'), (req, res) => {
   res.json(latestLoadTestResult);
 });
 
@@ -1720,8 +2750,29 @@ app.get('/health', (req, res) => {
 
 // HTTP + WS
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: '/ws' });
-wss.on('connection', (ws) => ws.send(JSON.stringify({ type: 'hello', payload: 'connected' })));
+// Sockets sign in like API calls: a JWT in `?token=` (browsers can't set
+// headers on a WebSocket) or an Authorization header. The caller's scope is
+// fixed at connect time and decides which broadcasts they get.
+const wss = new WebSocketServer({
+  server,
+  path: '/ws',
+  verifyClient: ({ req }, done) => {
+    const header = req.headers.authorization || '';
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token') ||
+      (header.startsWith('Bearer ') ? header.slice(7) : null);
+    try {
+      req.user = verifyAccessToken(token);
+      done(true);
+    } catch (error) {
+      done(false, 401, 'Authentication required');
+    }
+  }
+});
+wss.on('connection', (ws, req) => {
+  ws.user = req.user;
+  ws.scope = accessControl.scopeFor(req.user);
+  ws.send(JSON.stringify({ type: 'hello', payload: 'connected' }));
+});
 
 // Initialize MongoDB and ML Module Manager
 let mlManager;
@@ -1741,6 +2792,16 @@ async function initializeMLModule() {
     await mlManager.initialize();
     console.log('[ML] ML Module Manager initialized');
     
+    // Compare what active models see with their deploy-time baselines (every 6h by default)
+    mlManager.driftDetector.start({
+      registry: mlManager.modelRegistry,
+      intervalMs: parseInt(process.env.DRIFT_CHECK_INTERVAL_MS, 10) || undefined,
+      onDrift: raiseDriftAlert
+    });
+    
+    // Labels made while the ML module was down become ground truth now
+    alertLabels.syncPending().catch(error => console.error('[labels] Pending sync failed:', error.message));
+    
     // Register ML routes
     const mlRoutes = createMLRoutes(mlManager, authenticate, requireRole);
     app.use('/api/v1/ml', mlRoutes);
@@ -1760,6 +2821,33 @@ server.listen(PORT, '0.0.0.0', async () => {
   console.log(`🔌 WebSocket: ws://0.0.0.0:${PORT}/ws`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   
+  // Re-arm escalation timers for alerts that were open before a restart
+  escalationScheduler.rebuild();
+  
+  // Re-arm snoozes; any that ran out while we were down resurface now
+  snoozeScheduler.rebuild();
+  
+  // Deliver anything still queued from before a restart
+  notificationOutbox.start();
+  
+  // Send digests for anything held through quiet hours that ended while we were down
+  quietHoursService.start();
+  
+  // Drop telemetry past its retention (hourly)
+  telemetryService.start();
+  
+  // Mark devices that stopped sending heartbeats stale, then offline
+  deviceWatchdog.start();
+  
+  // Consume device status, telemetry and events from the broker (when MQTT_URL is set)
+  mqttBridge.start();
+  
+  // Carry on firmware rollouts that were running before a restart
+  firmwareService.start();
+  
+  // Work through bulk device jobs, including ones interrupted by a restart
+  deviceBulk.start();
+  
   // Initialize ML Module Manager
   await initializeMLModule();
 });
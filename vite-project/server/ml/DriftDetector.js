@@ -0,0 +1,377 @@
+/**
+ * Drift Detector - Watches the inputs and outputs of a model for change
+ *
+ * Ground truth is rarely recorded, so accuracy alone can't tell when a model
+ * stops fitting the data it sees. Instead, each model version gets a baseline
+ * of its input feature and prediction distributions when it is deployed, and
+ * recent predictions are compared against it:
+ *   PSI  population stability index over the baseline's bins (numeric) or
+ *        categories; < 0.1 stable, 0.1-0.25 warning, >= 0.25 drift
+ *   KS   two-sample Kolmogorov-Smirnov statistic and p-value (numeric only)
+ * Every check is kept in drift_reports so drift can be charted over time.
+ */
+import { nanoid } from 'nanoid';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Quantile bins per numeric feature
+const BINS = 10;
+// Baseline values kept per numeric feature for the KS test
+const KS_SAMPLE = 500;
+// Empty bins would make PSI infinite
+const EPSILON = 1e-4;
+const MAX_LOGS = 5000;
+
+export const DEFAULT_THRESHOLDS = {
+  psi_warning: 0.1,
+  psi_drift: 0.25,
+  ks_p_value: 0.01,
+  min_samples: 30
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function categoryOf(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Evenly spaced values from a sorted array
+function downsample(sorted, size) {
+  if (sorted.length <= size) return sorted;
+  return Array.from({ length: size }, (_, i) => sorted[Math.floor((i * (sorted.length - 1)) / (size - 1))]);
+}
+
+function proportions(counts, total) {
+  return Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, count / total]));
+}
+
+// Predictions are compared field by field; a bare value becomes { value }
+function predictionFields(prediction) {
+  return prediction !== null && typeof prediction === 'object' && !Array.isArray(prediction)
+    ? prediction
+    : { value: prediction };
+}
+
+function binIndex(edges, value) {
+  let i = 0;
+  while (i < edges.length && value > edges[i]) i++;
+  return i;
+}
+
+/**
+ * Summarise one feature's values: quantile bins and a sample for numbers,
+ * category shares for everything else
+ */
+export function describeDistribution(values) {
+  const present = values.filter(v => v !== undefined && v !== null);
+  if (!present.length) return null;
+
+  if (present.every(isNumber)) {
+    const sorted = [...present].sort((a, b) => a - b);
+    const edges = [...new Set(Array.from({ length: BINS - 1 }, (_, i) => sorted[Math.floor(((i + 1) * sorted.length) / BINS)]))];
+    const counts = new Array(edges.length + 1).fill(0);
+    for (const value of sorted) counts[binIndex(edges, value)]++;
+    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    return {
+      kind: 'numeric',
+      count: sorted.length,
+      mean,
+      std: Math.sqrt(sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / sorted.length),
+      edges,
+      proportions: counts.map(count => count / sorted.length),
+      sample: downsample(sorted, KS_SAMPLE)
+    };
+  }
+
+  const counts = {};
+  for (const value of present) counts[categoryOf(value)] = (counts[categoryOf(value)] || 0) + 1;
+  return { kind: 'categorical', count: present.length, proportions: proportions(counts, present.length) };
+}
+
+/**
+ * Population stability index of `values` against a baseline distribution
+ */
+export function psi(baseline, values) {
+  let expected;
+  let actual;
+  if (baseline.kind === 'numeric') {
+    const counts = new Array(baseline.proportions.length).fill(0);
+    for (const value of values) counts[binIndex(baseline.edges, value)]++;
+    expected = baseline.proportions;
+    actual = counts.map(count => count / values.length);
+  } else {
+    const counts = {};
+    for (const value of values) counts[categoryOf(value)] = (counts[categoryOf(value)] || 0) + 1;
+    const keys = [...new Set([...Object.keys(baseline.proportions), ...Object.keys(counts)])];
+    expected = keys.map(key => baseline.proportions[key] || 0);
+    actual = keys.map(key => (counts[key] || 0) / values.length);
+  }
+
+  return expected.reduce((sum, e, i) => {
+    const a = Math.max(actual[i], EPSILON);
+    const b = Math.max(e, EPSILON);
+    return sum + (a - b) * Math.log(a / b);
+  }, 0);
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov test
+ * @returns {{ statistic: number, p_value: number }}
+ */
+export function ksTest(sampleA, sampleB) {
+  const a = [...sampleA].sort((x, y) => x - y);
+  const b = [...sampleB].sort((x, y) => x - y);
+  let i = 0;
+  let j = 0;
+  let statistic = 0;
+  while (i < a.length && j < b.length) {
+    const value = Math.min(a[i], b[j]);
+    while (i < a.length && a[i] === value) i++;
+    while (j < b.length && b[j] === value) j++;
+    statistic = Math.max(statistic, Math.abs(i / a.length - j / b.length));
+  }
+
+  // Asymptotic Kolmogorov distribution, with the usual small-sample correction
+  const n = (a.length * b.length) / (a.length + b.length);
+  const lambda = (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * statistic;
+  let p = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (-1) ** (k - 1) * Math.exp(-2 * k * k * lambda * lambda);
+    p += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return { statistic, p_value: Math.min(1, Math.max(0, lambda < 0.2 ? 1 : p)) };
+}
+
+export class DriftDetector {
+  /**
+   * @param {object} db - MongoDB database
+   * @param {object} options
+   * @param {object} options.thresholds - overrides for DEFAULT_THRESHOLDS
+   */
+  constructor(db, { thresholds = {} } = {}) {
+    this.db = db;
+    this.logs = db.collection('prediction_logs');
+    this.baselines = db.collection('drift_baselines');
+    this.reports = db.collection('drift_reports');
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.timer = null;
+  }
+
+  async initialize() {
+    await this.baselines.createIndex({ model_id: 1, version: 1, created_at: -1 });
+    await this.reports.createIndex({ model_id: 1, checked_at: -1 });
+  }
+
+  // ============ BASELINES ============
+
+  /**
+   * Save the distributions a model version should keep seeing, from the
+   * model's recent served inputs and the version's own predictions
+   * (including shadow and canary ones made before it was promoted)
+   * @returns {Promise<object|null>} the baseline, or null without predictions to build it from
+   */
+  async captureBaseline(modelId, { version, days = 7, actor = 'system', reason = 'deploy' } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const inputs = await this.logs
+      .find({ model_id: modelId, role: { $ne: 'shadow' }, timestamp: { $gte: since } })
+      .sort({ timestamp: -1 })
+      .limit(MAX_LOGS)
+      .project({ input_features: 1 })
+      .toArray();
+    if (!inputs.length) return null;
+
+    const outputs = await this.logs
+      .find({ model_id: modelId, model_version: version, timestamp: { $gte: since } })
+      .sort({ timestamp: -1 })
+      .limit(MAX_LOGS)
+      .project({ prediction: 1 })
+      .toArray();
+
+    const baseline = {
+      id: nanoid(),
+      model_id: modelId,
+      version,
+      reason,
+      window_start: since,
+      window_end: new Date(),
+      sample_size: inputs.length,
+      features: this._describeFields(inputs.map(log => log.input_features || {})),
+      prediction: this._describeFields(outputs.map(log => predictionFields(log.prediction))),
+      created_by: actor,
+      created_at: new Date()
+    };
+    await this.baselines.insertOne(baseline);
+
+    console.log(`[DriftDetector] Baseline for ${modelId} ${version} from ${inputs.length} predictions (${reason})`);
+    return baseline;
+  }
+
+  /**
+   * The baseline for a version, or the model's latest when that version has none
+   */
+  async getBaseline(modelId, version) {
+    const newest = { sort: { created_at: -1 } };
+    return (await this.baselines.findOne({ model_id: modelId, version }, newest))
+      || this.baselines.findOne({ model_id: modelId }, newest);
+  }
+
+  _describeFields(rows) {
+    const names = new Set(rows.flatMap(row => Object.keys(row)));
+    const fields = {};
+    for (const name of names) {
+      const distribution = describeDistribution(rows.map(row => row[name]));
+      if (distribution) fields[name] = distribution;
+    }
+    return fields;
+  }
+
+  _compareFields(baseline, rows) {
+    return Object.fromEntries(Object.entries(baseline).map(([name, distribution]) => [
+      name,
+      this._compare(distribution, rows.map(row => row[name]))
+    ]));
+  }
+
+  // ============ CHECKS ============
+
+  _status(psiValue, ks) {
+    const { psi_warning, psi_drift, ks_p_value } = this.thresholds;
+    if (psiValue >= psi_drift) return 'drift';
+    if (psiValue >= psi_warning || (ks && ks.p_value < ks_p_value)) return 'warning';
+    return 'stable';
+  }
+
+  _compare(baseline, values) {
+    const numeric = baseline.kind === 'numeric';
+    const present = values.filter(numeric ? isNumber : v => v !== undefined && v !== null);
+    if (present.length < this.thresholds.min_samples) {
+      return { status: 'insufficient_data', samples: present.length };
+    }
+    const psiValue = psi(baseline, present);
+    const ks = numeric ? ksTest(baseline.sample, present) : null;
+    const result = { status: this._status(psiValue, ks), samples: present.length, psi: parseFloat(psiValue.toFixed(4)) };
+    if (numeric) {
+      result.ks_statistic = parseFloat(ks.statistic.toFixed(4));
+      result.ks_p_value = parseFloat(ks.p_value.toFixed(6));
+      result.mean = parseFloat((present.reduce((a, b) => a + b, 0) / present.length).toFixed(4));
+      result.baseline_mean = parseFloat(baseline.mean.toFixed(4));
+    }
+    return result;
+  }
+
+  /**
+   * Compare a model's recent served predictions with its baseline
+   * @param {object} options
+   * @param {number} options.windowHours - how far back "recent" goes
+   * @param {boolean} options.save - keep the report in drift_reports
+   * @returns {Promise<object>} the report; `status: 'no_baseline'` when there is nothing to compare with
+   */
+  async check(modelId, version, { windowHours = 24, save = true } = {}) {
+    const windowEnd = new Date();
+    const windowStart = new Date(windowEnd.getTime() - windowHours * 60 * 60 * 1000);
+    const baseline = await this.getBaseline(modelId, version);
+    if (!baseline) {
+      return { model_id: modelId, version, status: 'no_baseline', drift_detected: false, checked_at: windowEnd };
+    }
+
+    const logs = await this.logs
+      .find({ model_id: modelId, role: { $ne: 'shadow' }, timestamp: { $gte: windowStart, $lte: windowEnd } })
+      .sort({ timestamp: -1 })
+      .limit(MAX_LOGS)
+      .project({ input_features: 1, prediction: 1, model_version: 1 })
+      .toArray();
+
+    const features = this._compareFields(baseline.features, logs.map(log => log.input_features || {}));
+    const prediction = this._compareFields(
+      baseline.prediction,
+      logs.filter(log => log.model_version === version).map(log => predictionFields(log.prediction))
+    );
+
+    const drifting = results => Object.entries(results).filter(([, result]) => result.status === 'drift').map(([name]) => name);
+    const drifted = drifting(features);
+    const driftedOutputs = drifting(prediction);
+    const report = {
+      id: nanoid(),
+      model_id: modelId,
+      version,
+      baseline_id: baseline.id,
+      baseline_version: baseline.version,
+      window_start: windowStart,
+      window_end: windowEnd,
+      sample_size: logs.length,
+      status: logs.length < this.thresholds.min_samples ? 'insufficient_data' : 'checked',
+      features,
+      prediction,
+      drifted_features: drifted,
+      drifted_outputs: driftedOutputs,
+      drift_detected: drifted.length > 0 || driftedOutputs.length > 0,
+      thresholds: this.thresholds,
+      checked_at: windowEnd
+    };
+    if (save) await this.reports.insertOne({ ...report });
+    return report;
+  }
+
+  /**
+   * Past checks for a model, oldest first, for charting
+   */
+  async history(modelId, { days = 30 } = {}) {
+    return this.reports
+      .find({ model_id: modelId, checked_at: { $gte: new Date(Date.now() - days * DAY_MS) } })
+      .sort({ checked_at: 1 })
+      .project({
+        _id: 0, id: 1, version: 1, checked_at: 1, sample_size: 1, status: 1, thresholds: 1,
+        features: 1, prediction: 1, drifted_features: 1, drifted_outputs: 1, drift_detected: 1
+      })
+      .toArray();
+  }
+
+  // ============ SCHEDULE ============
+
+  /**
+   * Check every active model on an interval. Models without a baseline get
+   * one from their current traffic first.
+   * @param {object} options
+   * @param {object} options.registry - ModelRegistry
+   * @param {Function} options.onDrift - (model, report) => void, for each check that finds drift
+   * @param {number} options.intervalMs
+   */
+  start({ registry, onDrift, intervalMs = 6 * 60 * 60 * 1000 }) {
+    if (this.timer) return;
+    const run = () => this.checkAll(registry, onDrift)
+      .catch(error => console.error('[DriftDetector] Scheduled check failed:', error.message));
+    this.timer = setInterval(run, intervalMs);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`[DriftDetector] Checking models every ${Math.round(intervalMs / 60000)} min`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async checkAll(registry, onDrift) {
+    const models = await registry.listModels({ status: 'active' });
+    const reports = [];
+    for (const { model_id: modelId, version } of models) {
+      try {
+        const report = await this.check(modelId, version);
+        if (report.status === 'no_baseline') {
+          await this.captureBaseline(modelId, { version, reason: 'first check' });
+          continue;
+        }
+        reports.push(report);
+        if (report.drift_detected && onDrift) {
+          const drifted = [...report.drifted_features, ...report.drifted_outputs.map(name => `prediction.${name}`)];
+          console.warn(`[DriftDetector] ${modelId} ${version}: drift in ${drifted.join(', ')}`);
+          await onDrift({ model_id: modelId, version }, report);
+        }
+      } catch (error) {
+        console.error(`[DriftDetector] Check of ${modelId} failed:`, error.message);
+      }
+    }
+    return reports;
+  }
+}
@@ -134,10 +134,21 @@ export class InferenceEngine {
   }
 }
 
+/**
+ * Average path length of an unsuccessful search in a binary search tree of
+ * `size` items: how deep an isolation tree grown on `size` samples would have
+ * gone below a leaf it stopped early at
+ */
+export function averagePathLength(size) {
+  if (size <= 1) return 0;
+  if (size === 2) return 1;
+  return 2 * (Math.log(size - 1) + 0.5772156649) - 2 * (size - 1) / size;
+}
+
 /**
  * JSON Model Adapter - For lightweight decision trees and rule-based models
  */
-class JSONModelAdapter {
+export class JSONModelAdapter {
   async load(modelPath) {
     const content = await fs.readFile(modelPath, 'utf-8');
     return JSON.parse(content);
@@ -199,6 +210,20 @@ class JSONModelAdapter {
   }
 
   _predictIsolationForest(model, features) {
+    // Trained forests (see ml/TrainingAlgorithms.js) record the subsample size
+    // their trees were grown on and are scored the standard way: the shorter
+    // the average path, the more anomalous. Hand-written forests without it
+    // keep the simplified depth / max_depth score.
+    if (model.sample_size) {
+      const pathLength = model.trees.reduce((sum, tree) => sum + this._getPathLength(tree, features), 0) / model.trees.length;
+      const score = Math.pow(2, -pathLength / averagePathLength(model.sample_size));
+      return {
+        prediction: score > model.threshold ? 'anomaly' : 'normal',
+        confidence: Math.abs(score - model.threshold),
+        anomaly_score: score
+      };
+    }
+
     // Simplified isolation forest scoring
     let anomalyScore = 0;
     
@@ -222,7 +247,7 @@ class JSONModelAdapter {
 
   _getPathLength(node, features, depth = 0) {
     if (node.type === 'leaf') {
-      return depth;
+      return depth + (node.size ? averagePathLength(node.size) : 0);
     }
     
     const featureValue = features[node.feature];
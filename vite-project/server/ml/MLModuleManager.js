@@ -6,6 +6,8 @@ import { InferenceEngine } from './InferenceEngine.js';
 import { PredictionService } from './PredictionService.js';
 import { FeatureProcessor } from './FeatureProcessor.js';
 import { PerformanceMonitor } from './PerformanceMonitor.js';
+import { DriftDetector } from './DriftDetector.js';
+import { ModelTrainer } from './ModelTrainer.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -19,11 +21,17 @@ export class MLModuleManager {
     this.inferenceEngine = new InferenceEngine(this.modelRegistry);
     this.featureProcessor = new FeatureProcessor(mongoDb);
     this.performanceMonitor = new PerformanceMonitor(mongoDb);
+    this.driftDetector = new DriftDetector(mongoDb);
     this.predictionService = new PredictionService(
       this.inferenceEngine,
       this.featureProcessor,
       this.performanceMonitor
     );
+    this.modelTrainer = new ModelTrainer(mongoDb, {
+      modelRegistry: this.modelRegistry,
+      featureProcessor: this.featureProcessor,
+      driftDetector: this.driftDetector
+    });
     
     this.initialized = false;
   }
@@ -39,6 +47,8 @@ export class MLModuleManager {
     // Initialize components
     await this.modelRegistry.initialize();
     await this.performanceMonitor.initialize();
+    await this.driftDetector.initialize();
+    await this.modelTrainer.initialize();
     
     // Load built-in models
     await this.loadBuiltInModels();
@@ -328,7 +338,9 @@ export class MLModuleManager {
       inferenceEngine: this.inferenceEngine,
       predictionService: this.predictionService,
       featureProcessor: this.featureProcessor,
-      performanceMonitor: this.performanceMonitor
+      performanceMonitor: this.performanceMonitor,
+      driftDetector: this.driftDetector,
+      modelTrainer: this.modelTrainer
     };
   }
 }
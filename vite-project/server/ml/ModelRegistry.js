@@ -1,11 +1,22 @@
 /**
  * Model Registry - Manages ML model storage, versioning, and metadata
+ *
+ * A new version either replaces the current one straight away or is staged
+ * as a deployment next to it:
+ *   shadow  the new version runs on live inputs, only its logs are kept
+ *   canary  `percent` of predictions are served by the new version
+ * Both versions run on every prediction while a deployment is open, so the
+ * two can be compared (see PerformanceMonitor.compareVersions). A deployment
+ * ends by promoting the new version or rolling it back.
  */
 import { nanoid } from 'nanoid';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 
+export const ROLLOUT_MODES = ['immediate', 'shadow', 'canary'];
+export const DEPLOYMENT_MODES = ['shadow', 'canary'];
+
 export class ModelRegistry {
   constructor(db, modelsPath = './models') {
     this.db = db; // MongoDB connection
@@ -94,6 +105,7 @@ export class ModelRegistry {
         model_id: 1,
         name: 1,
         version: '$current_version',
+        deployment: 1,
         type: 1,
         status: 1,
         created_at: 1,
@@ -119,12 +131,20 @@ export class ModelRegistry {
   }
 
   /**
-   * Update model (creates new version)
+   * Update model (creates new version). With `metadata.rollout` of shadow or
+   * canary the version is staged as a deployment and current_version stays.
    */
   async updateModel(modelId, modelFile, metadata) {
     const existingModel = await this.getModel(modelId);
+    const rollout = metadata.rollout || 'immediate';
+    if (rollout !== 'immediate' && existingModel.deployment) {
+      return { status: 409, error: `Version ${existingModel.deployment.version} is already being deployed; promote or roll it back first` };
+    }
     
-    const newVersion = metadata.version || this._incrementVersion(existingModel.current_version);
+    const newVersion = metadata.version || this._incrementVersion(this._latestVersion(existingModel));
+    if (existingModel.versions.some(v => v.version === newVersion)) {
+      return { status: 409, error: `Version ${newVersion} already exists` };
+    }
     const modelDir = path.join(this.modelsPath, 'custom', modelId, newVersion);
     
     // Create new version directory
@@ -144,16 +164,31 @@ export class ModelRegistry {
       checksum,
       created_at: new Date(),
       created_by: metadata.createdBy || 'system',
-      status: 'active',
-      performance_metrics: metadata.performanceMetrics || {}
+      status: rollout === 'immediate' ? 'active' : 'staged',
+      performance_metrics: metadata.performanceMetrics || {},
+      ...(metadata.inputSchema && { input_schema: metadata.inputSchema }),
+      ...(metadata.outputSchema && { output_schema: metadata.outputSchema })
     };
     
+    if (rollout !== 'immediate') {
+      await this.collection.updateOne({ model_id: modelId }, { $push: { versions: versionEntry } });
+      const result = await this.startDeployment(modelId, {
+        version: newVersion,
+        mode: rollout,
+        percent: metadata.canaryPercent,
+        actor: metadata.createdBy
+      });
+      if (result.error) return result;
+      return { version: newVersion, deployment: result.deployment };
+    }
+    
     // Update document
     await this.collection.updateOne(
       { model_id: modelId },
       {
         $set: {
           current_version: newVersion,
+          previous_version: existingModel.current_version,
           model_path: modelPath,
           checksum,
           updated_at: new Date(),
@@ -166,7 +201,158 @@ export class ModelRegistry {
     );
     
     console.log(`[ModelRegistry] Updated model ${modelId} to version ${newVersion}`);
-    return newVersion;
+    return { version: newVersion, deployment: null };
+  }
+
+  // ============ DEPLOYMENTS ============
+
+  /**
+   * Stage an existing version next to the current one, or change the mode
+   * and canary percentage of the version already being deployed
+   * @returns {{ deployment } | { status, error }}
+   */
+  async startDeployment(modelId, { version, mode, percent = 0, actor = 'system' }) {
+    const model = await this.collection.findOne({ model_id: modelId });
+    if (!model) return { status: 404, error: 'Model not found' };
+    if (!DEPLOYMENT_MODES.includes(mode)) {
+      return { status: 400, error: `mode must be one of: ${DEPLOYMENT_MODES.join(', ')}` };
+    }
+    const canaryPercent = mode === 'canary' ? Number(percent) : 0;
+    if (mode === 'canary' && !(canaryPercent > 0 && canaryPercent < 100)) {
+      return { status: 400, error: 'percent must be between 0 and 100 for a canary' };
+    }
+    if (!model.versions.some(v => v.version === version)) {
+      return { status: 404, error: `Version ${version} not found` };
+    }
+    if (version === model.current_version) {
+      return { status: 409, error: `Version ${version} is already current` };
+    }
+
+    const current = model.deployment;
+    if (current && current.version !== version) {
+      return { status: 409, error: `Version ${current.version} is already being deployed; promote or roll it back first` };
+    }
+    const deployment = current
+      ? { ...current, mode, percent: canaryPercent, updated_at: new Date(), updated_by: actor }
+      : {
+        id: nanoid(),
+        version,
+        baseline_version: model.current_version,
+        mode,
+        percent: canaryPercent,
+        started_at: new Date(),
+        started_by: actor
+      };
+
+    // Only replace the deployment this request saw, so two callers can't both start one
+    const result = await this.collection.updateOne(
+      { model_id: modelId, ...(current ? { 'deployment.id': current.id } : { deployment: null }) },
+      { $set: { deployment, updated_at: new Date() } }
+    );
+    if (!result.matchedCount) return { status: 409, error: 'The deployment changed meanwhile; reload and try again' };
+
+    console.log(`[ModelRegistry] ${modelId} ${version}: ${mode}${mode === 'canary' ? ` at ${canaryPercent}%` : ''} by ${actor}`);
+    return { deployment };
+  }
+
+  /**
+   * Make the version being deployed current
+   * @returns {{ model } | { status, error }}
+   */
+  async promoteDeployment(modelId, { actor = 'system' } = {}) {
+    const model = await this.collection.findOne({ model_id: modelId });
+    if (!model) return { status: 404, error: 'Model not found' };
+    const { deployment } = model;
+    if (!deployment) return { status: 409, error: 'No version is being deployed' };
+
+    const entry = model.versions.find(v => v.version === deployment.version);
+    const result = await this.collection.updateOne(
+      { model_id: modelId, 'deployment.id': deployment.id },
+      {
+        $set: {
+          current_version: entry.version,
+          previous_version: model.current_version,
+          model_path: entry.model_path,
+          checksum: entry.checksum,
+          ...(entry.input_schema && { input_schema: entry.input_schema }),
+          ...(entry.output_schema && { output_schema: entry.output_schema }),
+          deployment: null,
+          updated_at: new Date(),
+          'versions.$[candidate].status': 'active'
+        },
+        $push: { deployments: { ...deployment, ended_at: new Date(), ended_by: actor, outcome: 'promoted' } }
+      },
+      { arrayFilters: [{ 'candidate.version': entry.version }] }
+    );
+    if (!result.matchedCount) return { status: 409, error: 'The deployment changed meanwhile; reload and try again' };
+
+    console.log(`[ModelRegistry] ${modelId}: promoted ${entry.version} over ${model.current_version} by ${actor}`);
+    return { model: await this.getModel(modelId) };
+  }
+
+  /**
+   * Drop the version being deployed, or when none is, go back to the version
+   * that was current before the last promotion or update
+   * @returns {{ model, rolled_back } | { status, error }}
+   */
+  async rollback(modelId, { actor = 'system', reason = null } = {}) {
+    const model = await this.collection.findOne({ model_id: modelId });
+    if (!model) return { status: 404, error: 'Model not found' };
+
+    if (model.deployment) {
+      const { deployment } = model;
+      const result = await this.collection.updateOne(
+        { model_id: modelId, 'deployment.id': deployment.id },
+        {
+          $set: { deployment: null, updated_at: new Date(), 'versions.$[candidate].status': 'rolled_back' },
+          $push: { deployments: { ...deployment, ended_at: new Date(), ended_by: actor, outcome: 'rolled_back', reason } }
+        },
+        { arrayFilters: [{ 'candidate.version': deployment.version }] }
+      );
+      if (!result.matchedCount) return { status: 409, error: 'The deployment changed meanwhile; reload and try again' };
+
+      console.log(`[ModelRegistry] ${modelId}: rolled back deployment of ${deployment.version} by ${actor}`);
+      return { model: await this.getModel(modelId), rolled_back: deployment.version };
+    }
+
+    const entry = model.previous_version && model.versions.find(v => v.version === model.previous_version);
+    if (!entry) return { status: 409, error: 'There is no earlier version to roll back to' };
+
+    const result = await this.collection.updateOne(
+      { model_id: modelId, current_version: model.current_version, deployment: null },
+      {
+        $set: {
+          current_version: entry.version,
+          previous_version: null,
+          model_path: entry.model_path,
+          checksum: entry.checksum,
+          ...(entry.input_schema && { input_schema: entry.input_schema }),
+          ...(entry.output_schema && { output_schema: entry.output_schema }),
+          updated_at: new Date(),
+          'versions.$[undone].status': 'rolled_back'
+        },
+        $push: {
+          deployments: {
+            id: nanoid(),
+            version: entry.version,
+            baseline_version: model.current_version,
+            mode: 'immediate',
+            percent: 100,
+            started_at: new Date(),
+            started_by: actor,
+            ended_at: new Date(),
+            ended_by: actor,
+            outcome: 'reverted',
+            reason
+          }
+        }
+      },
+      { arrayFilters: [{ 'undone.version': model.current_version }] }
+    );
+    if (!result.matchedCount) return { status: 409, error: 'The model changed meanwhile; reload and try again' };
+
+    console.log(`[ModelRegistry] ${modelId}: rolled back from ${model.current_version} to ${entry.version} by ${actor}`);
+    return { model: await this.getModel(modelId), rolled_back: model.current_version };
   }
 
   /**
@@ -219,6 +405,17 @@ export class ModelRegistry {
     );
   }
 
+  // Staged versions can be ahead of current_version
+  _latestVersion(model) {
+    const parse = version => version.split('.').map(Number);
+    return model.versions.map(v => v.version).reduce((latest, version) => {
+      const a = parse(version);
+      const b = parse(latest);
+      const i = a.findIndex((part, index) => part !== b[index]);
+      return i !== -1 && a[i] > b[i] ? version : latest;
+    }, model.current_version);
+  }
+
   _incrementVersion(version) {
     const parts = version.split('.').map(Number);
     parts[2]++; // Increment patch version
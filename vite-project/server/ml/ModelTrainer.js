@@ -0,0 +1,357 @@
+/**
+ * Model Trainer - Training jobs for the built-in JSON model formats
+ *
+ * A job collects samples, either the model's own served predictions (with
+ * their recorded ground truth as labels) or samples posted with the job. It
+ * sets a holdout share aside, trains with one of the trainers in
+ * TrainingAlgorithms.js, and scores both the result and the current version
+ * on the holdout. The result is then registered as a new version with those
+ * metrics attached. By default new versions go out in shadow mode, so they
+ * can be compared with the current one before anyone promotes them.
+ *
+ * Jobs are kept in training_jobs and run one at a time in this process.
+ * Training is synchronous work, so sample counts are capped.
+ */
+import { nanoid } from 'nanoid';
+import { JSONModelAdapter } from './InferenceEngine.js';
+import { ROLLOUT_MODES } from './ModelRegistry.js';
+import {
+  ALGORITHMS,
+  DEFAULT_PARAMS,
+  TRAINERS,
+  createRandom,
+  splitHoldout,
+  inferTask,
+  evaluate
+} from './TrainingAlgorithms.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SAMPLES = 20000;
+const MIN_SAMPLES = 20;
+
+export const SOURCES = ['predictions', 'samples'];
+export const TASKS = ['classification', 'regression'];
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// [min, max] per training parameter; contamination is a share, the rest are counts
+const PARAM_LIMITS = {
+  max_depth: [1, 16],
+  min_samples_leaf: [1, 1000],
+  max_rules: [1, 50],
+  min_coverage: [1, 1000],
+  n_trees: [1, 200],
+  sample_size: [16, 4096],
+  contamination: [0.001, 0.5]
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export class ModelTrainer {
+  /**
+   * @param {object} db - MongoDB database
+   * @param {object} components
+   * @param {ModelRegistry} components.modelRegistry
+   * @param {FeatureProcessor} components.featureProcessor - samples get the model's feature transforms, as at prediction time
+   * @param {DriftDetector} components.driftDetector - baselines versions that go live immediately
+   */
+  constructor(db, { modelRegistry, featureProcessor, driftDetector }) {
+    this.db = db;
+    this.jobs = db.collection('training_jobs');
+    this.logs = db.collection('prediction_logs');
+    this.modelRegistry = modelRegistry;
+    this.featureProcessor = featureProcessor;
+    this.driftDetector = driftDetector;
+    this.adapter = new JSONModelAdapter();
+    this.queue = Promise.resolve();
+  }
+
+  async initialize() {
+    await this.jobs.createIndex({ id: 1 }, { unique: true });
+    await this.jobs.createIndex({ model_id: 1, created_at: -1 });
+
+    // Jobs run in memory; whatever was under way when the process stopped is gone
+    await this.jobs.updateMany(
+      { status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() } }
+    );
+  }
+
+  /**
+   * @param {object} body - { algorithm, source?, samples?, days?, features?, task?,
+   *   params?, holdout?, seed?, rollout?, canary_percent?, version? }
+   * @returns {string[]} validation errors
+   */
+  validate(body) {
+    const details = [];
+    const { algorithm, source = 'predictions' } = body;
+    if (!ALGORITHMS.includes(algorithm)) {
+      details.push(`algorithm must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+    if (!SOURCES.includes(source)) {
+      details.push(`source must be one of: ${SOURCES.join(', ')}`);
+    }
+
+    if (source === 'samples') {
+      if (!Array.isArray(body.samples) || !body.samples.length || body.samples.length > MAX_SAMPLES) {
+        details.push(`samples must be an array of 1 to ${MAX_SAMPLES} { features, label } objects`);
+      } else if (!body.samples.every(sample => isObject(sample) && isObject(sample.features))) {
+        details.push('every sample needs a features object');
+      } else if (algorithm !== 'isolation_forest' &&
+          !body.samples.every(sample => sample.label !== undefined && sample.label !== null)) {
+        details.push(`every sample needs a label to train a ${algorithm}`);
+      }
+    } else if (body.samples !== undefined) {
+      details.push('samples only apply to source samples');
+    }
+    if (body.days !== undefined && (typeof body.days !== 'number' || body.days <= 0 || body.days > 365)) {
+      details.push('days must be a number from 1 to 365');
+    }
+
+    if (body.features !== undefined &&
+        (!Array.isArray(body.features) || !body.features.length || !body.features.every(f => typeof f === 'string'))) {
+      details.push('features must be a list of feature names');
+    }
+    if (body.task !== undefined) {
+      if (algorithm === 'isolation_forest') details.push('task does not apply to isolation_forest');
+      else if (!TASKS.includes(body.task)) details.push(`task must be one of: ${TASKS.join(', ')}`);
+    }
+    if (body.params !== undefined) {
+      if (!isObject(body.params)) {
+        details.push('params must be an object');
+      } else if (DEFAULT_PARAMS[algorithm]) {
+        for (const [name, value] of Object.entries(body.params)) {
+          if (!(name in DEFAULT_PARAMS[algorithm])) {
+            details.push(`params.${name} does not apply to ${algorithm} (allowed: ${Object.keys(DEFAULT_PARAMS[algorithm]).join(', ')})`);
+            continue;
+          }
+          const [min, max] = PARAM_LIMITS[name];
+          const whole = name !== 'contamination';
+          if (typeof value !== 'number' || (whole && !Number.isInteger(value)) || value < min || value > max) {
+            details.push(`params.${name} must be a ${whole ? 'whole number' : 'number'} from ${min} to ${max}`);
+          }
+        }
+      }
+    }
+
+    if (body.holdout !== undefined && (typeof body.holdout !== 'number' || body.holdout < 0.05 || body.holdout > 0.5)) {
+      details.push('holdout must be a number from 0.05 to 0.5');
+    }
+    if (body.seed !== undefined && !Number.isInteger(body.seed)) {
+      details.push('seed must be a whole number');
+    }
+    const rollout = body.rollout || 'shadow';
+    if (!ROLLOUT_MODES.includes(rollout)) {
+      details.push(`rollout must be one of: ${ROLLOUT_MODES.join(', ')}`);
+    } else if (rollout === 'canary' && !(body.canary_percent > 0 && body.canary_percent < 100)) {
+      details.push('canary_percent must be between 0 and 100 for a canary');
+    }
+    if (body.version !== undefined && (typeof body.version !== 'string' || !body.version.trim())) {
+      details.push('version must be a version string');
+    }
+    return details;
+  }
+
+  /**
+   * Queue a training job for a model. Call validate() first.
+   * @returns {Promise<{ job } | { status, error }>}
+   */
+  async createJob(model, body, { actor = 'system' } = {}) {
+    if (model.format !== 'json') {
+      return { status: 400, error: `Only json models can be trained here; ${model.model_id} is ${model.format}` };
+    }
+    const source = body.source || 'predictions';
+    const job = {
+      id: nanoid(),
+      model_id: model.model_id,
+      algorithm: body.algorithm,
+      source,
+      days: source === 'predictions' ? (body.days ?? 90) : null,
+      sample_count: source === 'samples' ? body.samples.length : null,
+      features: body.features || null,
+      task: body.task || null,
+      params: { ...DEFAULT_PARAMS[body.algorithm], ...body.params },
+      holdout: body.holdout ?? 0.2,
+      seed: body.seed ?? Math.floor(Math.random() * 2 ** 31),
+      rollout: body.rollout || 'shadow',
+      canary_percent: body.rollout === 'canary' ? body.canary_percent : null,
+      version: body.version ? body.version.trim() : null,
+      status: 'queued',
+      samples_used: null,
+      metrics: null,
+      current_version_metrics: null,
+      warnings: [],
+      result_version: null,
+      deployment: null,
+      error: null,
+      created_by: actor,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null
+    };
+    await this.jobs.insertOne({ ...job });
+
+    // Posted samples are only held until the job runs
+    const samples = source === 'samples' ? body.samples : null;
+    this.queue = this.queue.then(() => this._run(job.id, samples));
+    return { job };
+  }
+
+  async getJob(jobId) {
+    return this.jobs.findOne({ id: jobId }, { projection: { _id: 0 } });
+  }
+
+  /**
+   * A model's training jobs, newest first
+   */
+  async listJobs(modelId, { limit = 20 } = {}) {
+    return this.jobs
+      .find({ model_id: modelId })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .project({ _id: 0 })
+      .toArray();
+  }
+
+  // ============ RUNNING ============
+
+  async _update(jobId, changes) {
+    await this.jobs.updateOne({ id: jobId }, { $set: changes });
+  }
+
+  // Never throws; the outcome is kept on the job
+  async _run(jobId, postedSamples) {
+    try {
+      const job = await this.getJob(jobId);
+      await this._update(jobId, { status: 'running', started_at: new Date() });
+      const result = await this._train(job, postedSamples);
+      await this._update(jobId, { status: 'succeeded', finished_at: new Date(), ...result });
+      console.log(`[ModelTrainer] Job ${jobId} trained ${job.model_id} ${result.result_version} (${job.algorithm})`);
+    } catch (error) {
+      console.error(`[ModelTrainer] Job ${jobId} failed:`, error.message);
+      await this._update(jobId, { status: 'failed', finished_at: new Date(), error: error.message })
+        .catch(updateError => console.error('[ModelTrainer] Failed to record job failure:', updateError));
+    }
+  }
+
+  async _train(job, postedSamples) {
+    const model = await this.modelRegistry.getModel(job.model_id);
+    const supervised = job.algorithm !== 'isolation_forest';
+
+    let samples = job.source === 'samples' ? postedSamples : await this._loggedSamples(job, supervised);
+    if (supervised) samples = samples.filter(sample => sample.label !== undefined && sample.label !== null);
+    if (samples.length < MIN_SAMPLES) {
+      throw new Error(`Need at least ${MIN_SAMPLES} ${supervised ? 'labeled ' : ''}samples, found ${samples.length}`);
+    }
+
+    // Train on what the model will be given: the raw features after the model's transforms
+    const processed = [];
+    for (const sample of samples) {
+      const { features } = await this.featureProcessor.processFeatures(sample.features, model.model_id);
+      processed.push({ features, label: sample.label });
+    }
+    const features = job.features || [...new Set(processed.flatMap(sample => Object.keys(sample.features)))];
+    const task = supervised ? job.task || inferTask(processed) : 'anomaly_detection';
+    if (task === 'classification' && new Set(processed.map(sample => JSON.stringify(sample.label))).size < 2) {
+      throw new Error('Every sample has the same label; there is nothing to learn');
+    }
+
+    const random = createRandom(job.seed);
+    const { train, holdout } = splitHoldout(processed, job.holdout, random);
+    const started = Date.now();
+    const trained = TRAINERS[job.algorithm](train, { ...job.params, features, task, random });
+    const trainingMs = Date.now() - started;
+
+    const { samples: holdoutSamples, ...scores } = await evaluate(this.adapter, trained, holdout, task);
+    const metrics = {
+      ...scores,
+      algorithm: job.algorithm,
+      task,
+      training_samples: train.length,
+      holdout_samples: holdoutSamples,
+      training_ms: trainingMs,
+      training_job_id: job.id
+    };
+    const outcome = {
+      samples_used: processed.length,
+      task,
+      metrics,
+      current_version_metrics: await this._evaluateCurrent(model, holdout, task),
+      warnings: this._warnings(model, features, trained, processed)
+    };
+    // Kept even if registering fails below
+    await this._update(job.id, outcome);
+
+    const document = { ...trained, training_job_id: job.id, trained_at: new Date().toISOString() };
+    const result = await this.modelRegistry.updateModel(model.model_id, Buffer.from(JSON.stringify(document)), {
+      rollout: job.rollout,
+      canaryPercent: job.canary_percent,
+      version: job.version || undefined,
+      format: 'json',
+      performanceMetrics: metrics,
+      createdBy: job.created_by
+    });
+    if (result.error) throw new Error(result.error);
+
+    // Staged versions get their drift baseline when promoted
+    if (!result.deployment && this.driftDetector) {
+      this.driftDetector.captureBaseline(model.model_id, { version: result.version, actor: job.created_by })
+        .catch(error => console.error('[ModelTrainer] Drift baseline error:', error));
+    }
+    return { ...outcome, result_version: result.version, deployment: result.deployment };
+  }
+
+  // Served predictions only: shadow ones repeat the same inputs
+  async _loggedSamples(job, labeledOnly) {
+    const logs = await this.logs
+      .find({
+        model_id: job.model_id,
+        role: { $ne: 'shadow' },
+        timestamp: { $gte: new Date(Date.now() - job.days * DAY_MS) },
+        ...(labeledOnly && { actual_label: { $ne: null } })
+      })
+      .sort({ timestamp: -1 })
+      .limit(MAX_SAMPLES)
+      .project({ input_features: 1, actual_label: 1 })
+      .toArray();
+    return logs.map(log => ({ features: log.input_features || {}, label: log.actual_label }));
+  }
+
+  /**
+   * The current version's scores on the same holdout, for comparison.
+   * Null when it can't be run here (not a JSON model) or has nothing to be
+   * compared on.
+   */
+  async _evaluateCurrent(model, holdout, task) {
+    const entry = model.versions.find(v => v.version === model.current_version);
+    try {
+      const current = await this.adapter.load((entry && entry.model_path) || model.model_path);
+      const { samples, ...scores } = await evaluate(this.adapter, current, holdout, task);
+      return { version: model.current_version, ...scores };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _warnings(model, features, trained, samples) {
+    const warnings = [];
+    const unused = features.filter(feature => !trained.features.includes(feature));
+    if (unused.length) {
+      warnings.push(`Not used by ${trained.type}: ${unused.join(', ')}`);
+    }
+    const inputs = model.input_schema && model.input_schema.properties;
+    const unknown = inputs ? trained.features.filter(feature => !(feature in inputs)) : [];
+    if (unknown.length) {
+      warnings.push(`Not in the model's input schema, so callers may not send them: ${unknown.join(', ')}`);
+    }
+
+    // Ground truth can name only some of the fields the model is expected to return
+    const schema = model.output_schema && model.output_schema.properties && model.output_schema.properties.prediction;
+    const expected = schema && schema.properties ? Object.keys(schema.properties) : [];
+    const labelled = new Set(samples.flatMap(sample => (isObject(sample.label) ? Object.keys(sample.label) : [])));
+    const missing = expected.filter(field => !labelled.has(field));
+    if (labelled.size && missing.length) {
+      warnings.push(`Labels only give ${[...labelled].join(', ')}; this version will not predict ${missing.join(', ')}`);
+    }
+    return warnings;
+  }
+}
@@ -2,6 +2,29 @@
  * Performance Monitor - Tracks model performance and detects drift
  */
 
+// Predictions are plain values or small objects ({ type, severity })
+function samePrediction(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Ground truth can name just some fields of an object prediction ({ type } for
+// an alert whose severity nobody judged); the rest are left out of the comparison
+export function comparablePrediction(prediction, actualLabel) {
+  if (prediction && typeof prediction === 'object' && actualLabel && typeof actualLabel === 'object' && !Array.isArray(actualLabel)) {
+    return Object.fromEntries(Object.keys(actualLabel).map(key => [key, prediction[key]]));
+  }
+  return prediction;
+}
+
+export function isCorrect(prediction, actualLabel) {
+  return samePrediction(comparablePrediction(prediction, actualLabel), actualLabel);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
 export class PerformanceMonitor {
   constructor(db) {
     this.db = db;
@@ -13,6 +36,7 @@ export class PerformanceMonitor {
     await this.collection.createIndex({ model_id: 1, timestamp: -1 });
     await this.collection.createIndex({ prediction_id: 1 }, { unique: true });
     await this.collection.createIndex({ timestamp: -1 });
+    await this.collection.createIndex({ deployment_id: 1, pair_id: 1 });
   }
 
   /**
@@ -31,6 +55,10 @@ export class PerformanceMonitor {
       processing_time_ms: log.output.metadata.processingTimeMs,
       actual_label: null,
       correct: null,
+      // Set while a deployment is open; shadow predictions were never served
+      deployment_id: log.deploymentId || null,
+      role: log.role || 'served',
+      pair_id: log.pairId || null,
       timestamp: log.timestamp,
       created_at: new Date()
     };
@@ -48,6 +76,7 @@ export class PerformanceMonitor {
     const predictions = await this.collection
       .find({
         model_id: modelId,
+        role: { $ne: 'shadow' },
         timestamp: { $gte: startDate, $lte: endDate }
       })
       .toArray();
@@ -103,14 +132,18 @@ export class PerformanceMonitor {
       accuracy = (correct / labeled.length) * 100;
       
       // Calculate precision and recall per class
-      const classes = [...new Set(labeled.map(p => p.actual_label))];
+      const pairs = labeled.map(p => ({
+        predicted: JSON.stringify(comparablePrediction(p.prediction, p.actual_label)),
+        actual: JSON.stringify(p.actual_label)
+      }));
+      const classes = [...new Set(pairs.map(p => p.actual))];
       const precisionByClass = {};
       const recallByClass = {};
       
       for (const cls of classes) {
-        const truePositives = labeled.filter(p => p.prediction === cls && p.actual_label === cls).length;
-        const falsePositives = labeled.filter(p => p.prediction === cls && p.actual_label !== cls).length;
-        const falseNegatives = labeled.filter(p => p.prediction !== cls && p.actual_label === cls).length;
+        const truePositives = pairs.filter(p => p.predicted === cls && p.actual === cls).length;
+        const falsePositives = pairs.filter(p => p.predicted === cls && p.actual !== cls).length;
+        const falseNegatives = pairs.filter(p => p.predicted !== cls && p.actual === cls).length;
         
         precisionByClass[cls] = truePositives / (truePositives + falsePositives) || 0;
         recallByClass[cls] = truePositives / (truePositives + falseNegatives) || 0;
@@ -186,7 +219,57 @@ export class PerformanceMonitor {
   }
 
   /**
-   * Update with ground truth
+   * Compare the versions in a deployment on the predictions both made:
+   * how often they agree, how fast each is, and how often each was right
+   * where ground truth has been recorded
+   */
+  async compareVersions(modelId, deploymentId) {
+    const predictions = await this.collection
+      .find({ model_id: modelId, deployment_id: deploymentId })
+      .project({ model_version: 1, role: 1, pair_id: 1, prediction: 1, confidence: 1, processing_time_ms: 1, actual_label: 1, correct: 1 })
+      .toArray();
+    
+    const versions = {};
+    const pairs = new Map();
+    for (const p of predictions) {
+      const stats = versions[p.model_version] || (versions[p.model_version] = { predictions: 0, served: 0, latencies: [], confidence: 0, labeled: 0, correct: 0 });
+      stats.predictions++;
+      if (p.role !== 'shadow') stats.served++;
+      stats.latencies.push(p.processing_time_ms || 0);
+      stats.confidence += p.confidence || 0;
+      if (p.actual_label != null) {
+        stats.labeled++;
+        if (p.correct) stats.correct++;
+      }
+      if (p.pair_id) pairs.set(p.pair_id, [...(pairs.get(p.pair_id) || []), p]);
+    }
+    
+    const complete = [...pairs.values()].filter(pair => pair.length === 2);
+    const agreed = complete.filter(([a, b]) => samePrediction(a.prediction, b.prediction)).length;
+    
+    return {
+      deployment_id: deploymentId,
+      total_predictions: predictions.length,
+      compared_pairs: complete.length,
+      agreement_rate: complete.length ? parseFloat(((agreed / complete.length) * 100).toFixed(2)) : null,
+      versions: Object.fromEntries(Object.entries(versions).map(([version, stats]) => {
+        const latencies = stats.latencies.sort((a, b) => a - b);
+        return [version, {
+          predictions: stats.predictions,
+          served: stats.served,
+          avg_latency_ms: parseFloat((latencies.reduce((a, b) => a + b, 0) / latencies.length).toFixed(2)),
+          p95_latency_ms: percentile(latencies, 95),
+          avg_confidence: parseFloat((stats.confidence / stats.predictions).toFixed(4)),
+          labeled_predictions: stats.labeled,
+          accuracy: stats.labeled ? parseFloat(((stats.correct / stats.labeled) * 100).toFixed(2)) : null
+        }];
+      }))
+    };
+  }
+
+  /**
+   * Update with ground truth. The label also applies to the prediction the
+   * other version made on the same input during a deployment.
    */
   async updateGroundTruth(predictionId, actualLabel) {
     const prediction = await this.collection.findOne({ prediction_id: predictionId });
@@ -195,19 +278,24 @@ export class PerformanceMonitor {
       throw new Error(`Prediction not found: ${predictionId}`);
     }
     
-    const correct = prediction.prediction === actualLabel;
+    const related = prediction.pair_id
+      ? await this.collection.find({ pair_id: prediction.pair_id }).toArray()
+      : [prediction];
     
-    await this.collection.updateOne(
-      { prediction_id: predictionId },
-      {
-        $set: {
-          actual_label: actualLabel,
-          correct,
-          updated_at: new Date()
+    for (const p of related) {
+      await this.collection.updateOne(
+        { prediction_id: p.prediction_id },
+        {
+          $set: {
+            actual_label: actualLabel,
+            correct: isCorrect(p.prediction, actualLabel),
+            updated_at: new Date()
+          }
         }
-      }
-    );
+      );
+    }
     
+    const correct = isCorrect(prediction.prediction, actualLabel);
     console.log(`[PerformanceMonitor] Updated ground truth for ${predictionId}: ${correct ? 'correct' : 'incorrect'}`);
     
     return { correct };
@@ -223,6 +311,7 @@ export class PerformanceMonitor {
       {
         $match: {
           model_id: modelId,
+          role: { $ne: 'shadow' },
           timestamp: { $gte: startDate }
         }
       },
@@ -1,7 +1,13 @@
 /**
  * Prediction Service - Unified API for making predictions
+ *
+ * While a model has a deployment open (see ModelRegistry), predictions that
+ * don't ask for a version are split between the current and the new version:
+ * one serves the answer, the other runs in the background on the same input
+ * and is only logged, under the same pair_id.
  */
 import { nanoid } from 'nanoid';
+import crypto from 'crypto';
 
 export class PredictionService {
   constructor(inferenceEngine, featureProcessor, performanceMonitor) {
@@ -11,54 +17,27 @@ export class PredictionService {
   }
 
   /**
-   * Single prediction
+   * Single prediction. Without a version, the model's open deployment (if
+   * any) decides which version answers.
    */
   async predict(modelId, inputData, version = null) {
-    const predictionId = nanoid();
-    const timestamp = new Date();
-    
     try {
-      // Validate input
-      await this._validateInput(modelId, inputData);
-      
-      // Process features
-      const features = await this.featureProcessor.processFeatures(
-        inputData.features,
-        modelId
-      );
-      
-      // Execute inference
-      const inferenceResult = await this.inferenceEngine.infer(
-        modelId,
-        features.features,
-        version
-      );
+      const model = await this.inferenceEngine.modelRegistry.getModel(modelId);
+      const route = version ? { served: version, shadow: null } : this._route(model, inputData);
+      const deployment = route.shadow ? model.deployment : null;
+      const pairId = deployment ? nanoid() : null;
       
-      // Build result
-      const result = {
-        predictionId,
-        modelId,
-        modelVersion: version || 'current',
-        prediction: inferenceResult.prediction,
-        confidence: inferenceResult.confidence,
-        metadata: {
-          processingTimeMs: inferenceResult.processingTimeMs,
-          timestamp,
-          features: features.features,
-          ...(inferenceResult.anomaly_score && { anomaly_score: inferenceResult.anomaly_score })
-        }
-      };
-      
-      // Log prediction
-      await this.performanceMonitor.logPrediction({
-        predictionId,
-        modelId,
-        modelVersion: version || 'current',
-        input: inputData,
-        output: result,
-        timestamp
+      const result = await this._predictVersion(model, route.served, inputData, {
+        deploymentId: deployment && deployment.id,
+        role: 'served',
+        pairId
       });
       
+      if (route.shadow) {
+        this._predictVersion(model, route.shadow, inputData, { deploymentId: deployment.id, role: 'shadow', pairId })
+          .catch(error => console.error(`[PredictionService] Shadow prediction with ${modelId} ${route.shadow} failed:`, error.message));
+      }
+      
       return result;
     } catch (error) {
       console.error(`[PredictionService] Prediction failed:`, error);
@@ -66,6 +45,88 @@ export class PredictionService {
     }
   }
 
+  /**
+   * Which version answers and which runs alongside it
+   * @returns {{ served: string, shadow: string|null }}
+   */
+  _route(model, inputData) {
+    const { deployment } = model;
+    if (!deployment) return { served: model.current_version, shadow: null };
+    
+    if (deployment.mode === 'canary' && this._inCanary(deployment, inputData)) {
+      return { served: deployment.version, shadow: model.current_version };
+    }
+    return { served: model.current_version, shadow: deployment.version };
+  }
+
+  /**
+   * A device stays on one side of a canary for its whole run, so the alerts
+   * it raises are judged consistently; inputs without a device are split at random
+   */
+  _inCanary(deployment, inputData) {
+    const bucket = inputData.deviceId
+      ? crypto.createHash('sha256').update(`${deployment.id}:${inputData.deviceId}`).digest().readUInt32BE(0) % 100
+      : Math.random() * 100;
+    return bucket < deployment.percent;
+  }
+
+  /**
+   * Run one version of a model and log the prediction
+   */
+  async _predictVersion(model, version, inputData, { deploymentId = null, role = 'served', pairId = null } = {}) {
+    const modelId = model.model_id;
+    const predictionId = nanoid();
+    const timestamp = new Date();
+    const versionEntry = (model.versions || []).find(v => v.version === version);
+    
+    // Validate input
+    this._validateInput((versionEntry && versionEntry.input_schema) || model.input_schema, inputData);
+    
+    // Process features
+    const features = await this.featureProcessor.processFeatures(
+      inputData.features,
+      modelId
+    );
+    
+    // Execute inference
+    const inferenceResult = await this.inferenceEngine.infer(
+      modelId,
+      features.features,
+      version
+    );
+    
+    // Build result
+    const result = {
+      predictionId,
+      modelId,
+      modelVersion: version,
+      prediction: inferenceResult.prediction,
+      confidence: inferenceResult.confidence,
+      metadata: {
+        processingTimeMs: inferenceResult.processingTimeMs,
+        timestamp,
+        features: features.features,
+        ...(deploymentId && { deploymentId, role, pairId }),
+        ...(inferenceResult.anomaly_score && { anomaly_score: inferenceResult.anomaly_score })
+      }
+    };
+    
+    // Log prediction
+    await this.performanceMonitor.logPrediction({
+      predictionId,
+      modelId,
+      modelVersion: version,
+      input: inputData,
+      output: result,
+      timestamp,
+      deploymentId,
+      role,
+      pairId
+    });
+    
+    return result;
+  }
+
   /**
    * Batch prediction
    */
@@ -90,10 +151,8 @@ export class PredictionService {
   /**
    * Validate input data against model schema
    */
-  async _validateInput(modelId, inputData) {
-    const model = await this.inferenceEngine.modelRegistry.getModel(modelId);
-    const schema = model.input_schema;
-    
+  _validateInput(schema, inputData) {
+    schema = schema || {};
     if (!inputData.features) {
       throw new Error('Input data must contain features object');
     }
@@ -0,0 +1,522 @@
+/**
+ * Training Algorithms - Pure-JS trainers for the JSON model formats that
+ * JSONModelAdapter (see InferenceEngine.js) executes:
+ *   decision_tree     CART; Gini impurity for labels, variance for numbers
+ *   rules             sequential covering; one condition per rule, first match wins
+ *   isolation_forest  random isolation trees over subsamples; needs no labels
+ *
+ * Samples are `{ features, label }`. Labels can be any JSON value and are
+ * compared by their JSON text. Trees split on numeric and boolean features
+ * only, and see values the way the adapter compares them (`value <= threshold`,
+ * null as 0, anything else non-numeric goes right). Rules can also test text
+ * features with ==. Features with object values are never used.
+ */
+import { averagePathLength } from './InferenceEngine.js';
+import { comparablePrediction } from './PerformanceMonitor.js';
+
+export const ALGORITHMS = ['decision_tree', 'rules', 'isolation_forest'];
+
+export const DEFAULT_PARAMS = {
+  decision_tree: { max_depth: 6, min_samples_leaf: 5 },
+  rules: { max_rules: 10, min_coverage: 5 },
+  isolation_forest: { n_trees: 50, sample_size: 256, contamination: 0.05 }
+};
+
+// Numeric labels with more distinct values than this are treated as a regression target
+const MAX_CLASSES = 20;
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so a training job can be repeated
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Set a random `fraction` of the samples aside for evaluation
+ * @returns {{ train: object[], holdout: object[] }}
+ */
+export function splitHoldout(samples, fraction, random) {
+  const shuffled = shuffle(samples, random);
+  const size = Math.round(shuffled.length * fraction);
+  return { holdout: shuffled.slice(0, size), train: shuffled.slice(size) };
+}
+
+function labelKey(label) {
+  return JSON.stringify(label ?? null);
+}
+
+// How the adapter sees a value in a threshold comparison; undefined goes right
+function numericValue(value) {
+  if (value === null || typeof value === 'boolean') return Number(value);
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Sort the features the samples have into those a threshold can split
+ * (every value a number or boolean) and those only == can test (text)
+ */
+export function featureKinds(samples, features) {
+  const kinds = { numeric: [], categorical: [], ignored: [] };
+  for (const feature of features) {
+    let present = 0;
+    let numbers = 0;
+    let objects = 0;
+    for (const sample of samples) {
+      const value = sample.features[feature];
+      if (value === undefined || value === null) continue;
+      present++;
+      if (numericValue(value) !== undefined) numbers++;
+      else if (typeof value === 'object') objects++;
+    }
+    if (!present || objects) kinds.ignored.push(feature);
+    else if (numbers === present) kinds.numeric.push(feature);
+    else kinds.categorical.push(feature);
+  }
+  return kinds;
+}
+
+/**
+ * 'regression' when every label is a number and there are too many of them
+ * to be classes, otherwise 'classification'
+ */
+export function inferTask(samples) {
+  const numeric = samples.every(sample => typeof sample.label === 'number' && Number.isFinite(sample.label));
+  return numeric && new Set(samples.map(sample => sample.label)).size > MAX_CLASSES ? 'regression' : 'classification';
+}
+
+function majorityOf(samples) {
+  const counts = new Map();
+  for (const sample of samples) {
+    const key = labelKey(sample.label);
+    const entry = counts.get(key) || { label: sample.label, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  let best = null;
+  for (const entry of counts.values()) {
+    if (!best || entry.count > best.count) best = entry;
+  }
+  return { label: best.label, count: best.count, share: best.count / samples.length };
+}
+
+// Label counts (classification) or sums (regression) of one side of a split
+class SplitStats {
+  constructor(task) {
+    this.task = task;
+    this.n = 0;
+    this.sum = 0;
+    this.sumSq = 0;
+    this.counts = new Map();
+  }
+
+  add(label, sign = 1) {
+    this.n += sign;
+    if (this.task === 'regression') {
+      this.sum += sign * label;
+      this.sumSq += sign * label * label;
+    } else {
+      const key = labelKey(label);
+      this.counts.set(key, (this.counts.get(key) || 0) + sign);
+    }
+  }
+
+  minus(other) {
+    const rest = new SplitStats(this.task);
+    rest.n = this.n - other.n;
+    rest.sum = this.sum - other.sum;
+    rest.sumSq = this.sumSq - other.sumSq;
+    for (const [key, count] of this.counts) rest.counts.set(key, count - (other.counts.get(key) || 0));
+    return rest;
+  }
+
+  // n * Gini impurity, or the sum of squared errors around the mean
+  cost() {
+    if (!this.n) return 0;
+    if (this.task === 'regression') return Math.max(0, this.sumSq - (this.sum * this.sum) / this.n);
+    let sumSquares = 0;
+    for (const count of this.counts.values()) sumSquares += (count / this.n) ** 2;
+    return this.n * (1 - sumSquares);
+  }
+}
+
+// ============ DECISION TREE ============
+
+/**
+ * @param {object[]} samples - { features, label }
+ * @param {object} options
+ * @param {string[]} options.features - features to consider
+ * @param {string} options.task - 'classification' or 'regression' (default inferred)
+ * @param {number} options.max_depth
+ * @param {number} options.min_samples_leaf
+ * @returns {object} a decision_tree model
+ */
+export function trainDecisionTree(samples, { features, task = inferTask(samples), ...params }) {
+  const { max_depth: maxDepth, min_samples_leaf: minLeaf } = { ...DEFAULT_PARAMS.decision_tree, ...params };
+  const { numeric } = featureKinds(samples, features);
+  if (!numeric.length) throw new Error('Decision trees need at least one numeric or boolean feature');
+
+  const statsOf = indices => {
+    const stats = new SplitStats(task);
+    for (const i of indices) stats.add(samples[i].label);
+    return stats;
+  };
+
+  const leafFor = indices => {
+    if (task === 'regression') {
+      const stats = statsOf(indices);
+      return { type: 'leaf', value: round(stats.sum / stats.n), samples: indices.length };
+    }
+    const majority = majorityOf(indices.map(i => samples[i]));
+    return { type: 'leaf', value: majority.label, confidence: round(majority.share, 3), samples: indices.length };
+  };
+
+  const bestSplit = (indices, total) => {
+    let best = null;
+    for (const feature of numeric) {
+      const present = [];
+      for (const i of indices) {
+        const value = numericValue(samples[i].features[feature]);
+        if (value !== undefined) present.push([value, i]);
+      }
+      if (present.length < minLeaf) continue;
+      present.sort((a, b) => a[0] - b[0]);
+
+      // Left is everything up to and including position j; missing values go right
+      const left = new SplitStats(task);
+      for (let j = 0; j < present.length - 1; j++) {
+        left.add(samples[present[j][1]].label);
+        if (present[j][0] === present[j + 1][0]) continue;
+        if (left.n < minLeaf || total.n - left.n < minLeaf) continue;
+        const gain = total.cost() - left.cost() - total.minus(left).cost();
+        if (!best || gain > best.gain) {
+          best = { feature, threshold: (present[j][0] + present[j + 1][0]) / 2, gain };
+        }
+      }
+    }
+    return best;
+  };
+
+  const grow = (indices, depth) => {
+    const total = statsOf(indices);
+    if (depth >= maxDepth || indices.length < 2 * minLeaf || total.cost() < 1e-9) return leafFor(indices);
+
+    const split = bestSplit(indices, total);
+    if (!split || split.gain < 1e-9) return leafFor(indices);
+
+    const goesLeft = i => {
+      const value = numericValue(samples[i].features[split.feature]);
+      return value !== undefined && value <= split.threshold;
+    };
+    const left = grow(indices.filter(goesLeft), depth + 1);
+    const right = grow(indices.filter(i => !goesLeft(i)), depth + 1);
+
+    // A split whose sides predict the same thing only adds depth
+    if (task === 'classification' && left.type === 'leaf' && right.type === 'leaf' &&
+        labelKey(left.value) === labelKey(right.value)) {
+      return leafFor(indices);
+    }
+    return { type: 'node', feature: split.feature, threshold: split.threshold, left, right };
+  };
+
+  return {
+    type: 'decision_tree',
+    task,
+    features: numeric,
+    tree: grow(samples.map((_, i) => i), 0)
+  };
+}
+
+// ============ RULES ============
+
+function covers(condition, features) {
+  const value = features[condition.feature];
+  switch (condition.operator) {
+    case '<=': return value <= condition.value;
+    case '>': return value > condition.value;
+    case '==': return value == condition.value;
+    default: return false;
+  }
+}
+
+/**
+ * The single condition that best picks out one label among the samples,
+ * by Laplace-corrected precision, so tiny pure groups don't win outright
+ */
+function bestRule(samples, { numeric, categorical }, minCoverage) {
+  const classes = new Set(samples.map(sample => labelKey(sample.label))).size;
+  const labels = new Map(samples.map(sample => [labelKey(sample.label), sample.label]));
+  let best = null;
+
+  const consider = (condition, counts, coverage) => {
+    if (coverage < minCoverage) return;
+    for (const [key, count] of counts) {
+      const score = (count + 1) / (coverage + classes);
+      if (!best || score > best.score || (score === best.score && coverage > best.coverage)) {
+        best = { condition, key, count, coverage, score };
+      }
+    }
+  };
+
+  for (const feature of categorical) {
+    const byValue = new Map();
+    for (const sample of samples) {
+      const value = sample.features[feature];
+      if (value === undefined || value === null) continue;
+      const entry = byValue.get(value) || { counts: new Map(), coverage: 0 };
+      const key = labelKey(sample.label);
+      entry.counts.set(key, (entry.counts.get(key) || 0) + 1);
+      entry.coverage++;
+      byValue.set(value, entry);
+    }
+    for (const [value, { counts, coverage }] of byValue) {
+      consider({ feature, operator: '==', value }, counts, coverage);
+    }
+  }
+
+  for (const feature of numeric) {
+    const present = samples
+      .map(sample => [numericValue(sample.features[feature]), labelKey(sample.label)])
+      .filter(([value]) => value !== undefined)
+      .sort((a, b) => a[0] - b[0]);
+    const totals = new Map();
+    for (const [, key] of present) totals.set(key, (totals.get(key) || 0) + 1);
+
+    const below = new Map();
+    for (let j = 0; j < present.length - 1; j++) {
+      below.set(present[j][1], (below.get(present[j][1]) || 0) + 1);
+      if (present[j][0] === present[j + 1][0]) continue;
+      const threshold = (present[j][0] + present[j + 1][0]) / 2;
+      const above = new Map([...totals].map(([key, count]) => [key, count - (below.get(key) || 0)]));
+      consider({ feature, operator: '<=', value: threshold }, below, j + 1);
+      consider({ feature, operator: '>', value: threshold }, above, present.length - j - 1);
+    }
+  }
+
+  return best && { ...best, label: labels.get(best.key), precision: best.count / best.coverage };
+}
+
+/**
+ * @param {object[]} samples - { features, label }
+ * @param {object} options
+ * @param {string[]} options.features - features to consider
+ * @param {number} options.max_rules
+ * @param {number} options.min_coverage - fewest training samples a rule may match
+ * @returns {object} a rules model
+ */
+export function trainRules(samples, { features, task = inferTask(samples), ...params }) {
+  if (task === 'regression') throw new Error('Rules models predict labels, not numbers; use a decision tree');
+  const { max_rules: maxRules, min_coverage: minCoverage } = { ...DEFAULT_PARAMS.rules, ...params };
+  const kinds = featureKinds(samples, features);
+  if (!kinds.numeric.length && !kinds.categorical.length) throw new Error('No usable features to build rules from');
+
+  const rules = [];
+  let remaining = samples;
+  while (rules.length < maxRules && remaining.length >= minCoverage) {
+    const rule = bestRule(remaining, kinds, minCoverage);
+    // Stop once no rule beats just answering with the commonest remaining label
+    if (!rule || rule.precision <= majorityOf(remaining).share) break;
+
+    const { feature, operator, value } = rule.condition;
+    rules.push({
+      name: `${feature} ${operator} ${typeof value === 'number' ? round(value) : value}`,
+      condition: rule.condition,
+      prediction: rule.label,
+      confidence: round(rule.precision, 3),
+      coverage: rule.coverage
+    });
+    remaining = remaining.filter(sample => !covers(rule.condition, sample.features));
+  }
+
+  return {
+    type: 'rules',
+    task,
+    features: [...kinds.numeric, ...kinds.categorical],
+    rules,
+    default_prediction: majorityOf(remaining.length ? remaining : samples).label
+  };
+}
+
+// ============ ISOLATION FOREST ============
+
+function pathLength(node, features, depth = 0) {
+  if (node.type === 'leaf') return depth + averagePathLength(node.size);
+  const value = features[node.feature];
+  return pathLength(value <= node.threshold ? node.left : node.right, features, depth + 1);
+}
+
+/**
+ * Labels are not used. The anomaly threshold is set so that about
+ * `contamination` of the training samples score as anomalies.
+ * @param {object[]} samples - { features }
+ * @param {object} options
+ * @param {string[]} options.features - features to consider
+ * @param {Function} options.random - from createRandom()
+ * @param {number} options.n_trees
+ * @param {number} options.sample_size - samples each tree is grown on
+ * @param {number} options.contamination - expected share of anomalies
+ * @returns {object} an isolation_forest model
+ */
+export function trainIsolationForest(samples, { features, random, ...params }) {
+  const { n_trees: nTrees, sample_size: sampleSize, contamination } = { ...DEFAULT_PARAMS.isolation_forest, ...params };
+  const { numeric } = featureKinds(samples, features);
+  if (!numeric.length) throw new Error('Isolation forests need at least one numeric or boolean feature');
+
+  const rows = samples.map(sample => numeric.map(feature => numericValue(sample.features[feature])));
+  const size = Math.min(sampleSize, samples.length);
+  const maxDepth = Math.ceil(Math.log2(Math.max(size, 2)));
+
+  const grow = (indices, depth) => {
+    if (depth >= maxDepth || indices.length <= 1) return { type: 'leaf', size: indices.length };
+
+    // Only features that still vary among these samples can isolate anything
+    const ranges = [];
+    numeric.forEach((_, f) => {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const i of indices) {
+        const value = rows[i][f];
+        if (value === undefined) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      if (min < max) ranges.push({ f, min, max });
+    });
+    if (!ranges.length) return { type: 'leaf', size: indices.length };
+
+    const { f, min, max } = ranges[Math.floor(random() * ranges.length)];
+    const threshold = parseFloat((min + random() * (max - min)).toPrecision(6));
+    const goesLeft = i => rows[i][f] !== undefined && rows[i][f] <= threshold;
+    return {
+      type: 'node',
+      feature: numeric[f],
+      threshold,
+      left: grow(indices.filter(goesLeft), depth + 1),
+      right: grow(indices.filter(i => !goesLeft(i)), depth + 1)
+    };
+  };
+
+  const all = samples.map((_, i) => i);
+  const trees = Array.from({ length: nTrees }, () => grow(shuffle(all, random).slice(0, size), 0));
+
+  const scores = samples
+    .map(sample => {
+      const length = trees.reduce((sum, tree) => sum + pathLength(tree, sample.features), 0) / trees.length;
+      return Math.pow(2, -length / averagePathLength(size));
+    })
+    .sort((a, b) => b - a);
+  const threshold = scores[Math.min(scores.length - 1, Math.ceil(contamination * scores.length))];
+
+  return {
+    type: 'isolation_forest',
+    task: 'anomaly_detection',
+    features: numeric,
+    trees,
+    max_depth: maxDepth,
+    sample_size: size,
+    contamination,
+    threshold: round(threshold, 6)
+  };
+}
+
+export const TRAINERS = {
+  decision_tree: trainDecisionTree,
+  rules: trainRules,
+  isolation_forest: trainIsolationForest
+};
+
+// ============ EVALUATION ============
+
+/**
+ * Score a model on samples it was not trained on, through the same adapter
+ * that serves it. Labels that name only some fields of an object prediction
+ * are compared on those fields, as PerformanceMonitor does.
+ * @param {object} adapter - JSONModelAdapter
+ * @param {object} model - trained model
+ * @param {object[]} samples - { features, label }
+ * @param {string} task - model.task
+ * @returns {Promise<object>} regression: mae, rmse, r2; anomaly detection
+ *   without labels: anomaly_rate; otherwise accuracy, precision, recall, f1
+ *   (percentages, precision and recall averaged over the actual labels)
+ */
+export async function evaluate(adapter, model, samples, task) {
+  const results = [];
+  for (const sample of samples) {
+    const output = await adapter.predict(model, sample.features);
+    results.push({ predicted: output.prediction, actual: sample.label });
+  }
+  const metrics = { samples: results.length };
+  if (!results.length) return metrics;
+
+  if (task === 'regression') {
+    const errors = results.map(r => Number(r.predicted) - r.actual);
+    const mean = results.reduce((sum, r) => sum + r.actual, 0) / results.length;
+    const squared = errors.reduce((sum, e) => sum + e * e, 0);
+    const variance = results.reduce((sum, r) => sum + (r.actual - mean) ** 2, 0);
+    return {
+      ...metrics,
+      mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / results.length),
+      rmse: round(Math.sqrt(squared / results.length)),
+      r2: variance ? round(1 - squared / variance) : null
+    };
+  }
+
+  const labeled = results.filter(r => r.actual !== undefined && r.actual !== null);
+  if (task === 'anomaly_detection') {
+    metrics.anomaly_rate = round((results.filter(r => r.predicted === 'anomaly').length / results.length) * 100, 2);
+    if (!labeled.length) return metrics;
+  }
+
+  const pairs = labeled.map(r => ({
+    predicted: labelKey(comparablePrediction(r.predicted, r.actual)),
+    actual: labelKey(r.actual)
+  }));
+  const classes = [...new Set(pairs.map(p => p.actual))];
+  const byClass = {};
+  for (const cls of classes) {
+    const truePositives = pairs.filter(p => p.predicted === cls && p.actual === cls).length;
+    const predicted = pairs.filter(p => p.predicted === cls).length;
+    const actual = pairs.filter(p => p.actual === cls).length;
+    byClass[cls] = {
+      support: actual,
+      precision: predicted ? truePositives / predicted : 0,
+      recall: truePositives / actual
+    };
+  }
+  const precision = classes.reduce((sum, cls) => sum + byClass[cls].precision, 0) / classes.length;
+  const recall = classes.reduce((sum, cls) => sum + byClass[cls].recall, 0) / classes.length;
+
+  return {
+    ...metrics,
+    labeled: pairs.length,
+    accuracy: round((pairs.filter(p => p.predicted === p.actual).length / pairs.length) * 100, 2),
+    precision: round(precision * 100, 2),
+    recall: round(recall * 100, 2),
+    f1: precision + recall ? round(((2 * precision * recall) / (precision + recall)) * 100, 2) : 0,
+    by_class: Object.fromEntries(Object.entries(byClass).map(([cls, stats]) => [cls, {
+      support: stats.support,
+      precision: round(stats.precision * 100, 2),
+      recall: round(stats.recall * 100, 2)
+    }]))
+  };
+}
@@ -0,0 +1,93 @@
+// Embedded MQTT Broker for local development
+// Stands in for Mosquitto / AWS IoT Core: devices connect with their device_id
+// as the client id (and username) and their API key as the password, and may
+// only publish to the topics their ACL allows. The server's bridge logs in
+// with MQTT_USERNAME / MQTT_PASSWORD and may publish and subscribe anywhere,
+// so there is no default password: the broker won't start without one.
+//
+// While a fleet is being provisioned, MQTT_ALLOW_UNPROVISIONED_DEVICES=true
+// lets devices that have no active key yet connect on their client id alone
+// (the simulator needs this). It is off by default; devices that have a key
+// must always present it.
+//
+//   MQTT_PASSWORD=<secret> npm run mqtt:broker   # listens on MQTT_PORT (1883)
+//   MQTT_URL=mqtt://localhost:1883 MQTT_USERNAME=alert-monitor MQTT_PASSWORD=<secret> npm start
+
+import net from 'net';
+import Aedes from 'aedes';
+import Database from 'better-sqlite3';
+import { MqttAcl } from './services/mqtt-acl.js';
+import { ProvisioningService } from './services/provisioning.js';
+
+const PORT = process.env.MQTT_PORT || 1883;
+const BRIDGE_USERNAME = process.env.MQTT_USERNAME || 'alert-monitor';
+const BRIDGE_PASSWORD = process.env.MQTT_PASSWORD;
+const ALLOW_UNPROVISIONED = process.env.MQTT_ALLOW_UNPROVISIONED_DEVICES === 'true';
+
+if (!BRIDGE_PASSWORD) {
+  console.error('❌ MQTT_PASSWORD is not set. The bridge login can publish as any device, so it needs a password of its own.');
+  process.exit(1);
+}
+
+const db = new Database('data.db');
+const acl = new MqttAcl(db);
+acl.initialize();
+const provisioning = new ProvisioningService(db);
+provisioning.initialize();
+
+const broker = Aedes();
+
+broker.authenticate = (client, username, password, callback) => {
+  if (username === BRIDGE_USERNAME && password && password.toString() === BRIDGE_PASSWORD) {
+    client.bridge = true;
+    return callback(null, true);
+  }
+  const reject = (message) => {
+    const error = new Error(message);
+    error.returnCode = 5;
+    callback(error, null);
+  };
+
+  const device = acl.getDevice(client.id);
+  if (!device || device.device_id !== client.id) return reject(`Unknown device ${client.id}`);
+
+  if (!provisioning.hasActiveCredentials(device.device_id)) {
+    if (ALLOW_UNPROVISIONED) return callback(null, true);
+    return reject(`${client.id} has no active device key`);
+  }
+  const verified = password && provisioning.verify(password.toString());
+  if (verified && verified.device.device_id === device.device_id) return callback(null, true);
+  reject(`Bad credentials for ${client.id}`);
+};
+
+broker.authorizePublish = (client, packet, callback) => {
+  if (packet.topic.startsWith('$SYS/')) return callback(new Error('$SYS topics are reserved'));
+  if (client && client.bridge) return callback(null);
+  if (client && acl.canPublish(client.id, packet.topic)) return callback(null);
+
+  console.warn(`[mqtt-broker] Denied publish by ${client ? client.id : '(none)'} to ${packet.topic}`);
+  callback(new Error('Topic not allowed'));
+};
+
+broker.authorizeSubscribe = (client, subscription, callback) => {
+  if (client.bridge) return callback(null, subscription);
+
+  // Devices may listen on their own prefix only
+  if (subscription.topic.startsWith(`device/${client.id}/`)) return callback(null, subscription);
+  console.warn(`[mqtt-broker] Denied subscribe by ${client.id} to ${subscription.topic}`);
+  callback(null, null);
+};
+
+broker.on('client', client => console.log(`[mqtt-broker] ${client.bridge ? 'Bridge' : 'Device'} ${client.id} connected`));
+broker.on('clientDisconnect', client => console.log(`[mqtt-broker] ${client.id} disconnected`));
+
+const server = net.createServer(broker.handle);
+server.listen(PORT, () => {
+  console.log(`📡 MQTT broker listening on mqtt://localhost:${PORT}`);
+  console.log(`   Bridge login: ${BRIDGE_USERNAME} / MQTT_PASSWORD`);
+  if (ALLOW_UNPROVISIONED) console.warn('   ⚠️  Devices without a key may connect (MQTT_ALLOW_UNPROVISIONED_DEVICES)');
+});
+
+process.on('SIGINT', () => {
+  broker.close(() => server.close(() => process.exit(0)));
+});
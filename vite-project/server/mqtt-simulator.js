@@ -1,40 +1,118 @@
-// MQTT Device Status Simulator
-// Simulates IoT devices publishing status updates via MQTT topics
-// In production, this would be AWS IoT Core handling device/{id}/status messages
+// MQTT Device Simulator
+// Simulates IoT devices publishing to their MQTT topics:
+//   device/{id}/status      { status, reported } reported being the config it runs
+//   device/{id}/telemetry   { timestamp, metrics }
+//   device/{id}/event       { type, score, message }
+//   device/{id}/ota         { deployment_id, state } in answer to device/{id}/ota/job
+// and applies whatever arrives on device/{id}/config/desired.
+// Each simulated device holds its own connection with its device_id as client
+// id, the way real devices do. Point it at Mosquitto, AWS IoT Core or
+// `npm run mqtt:broker`. Simulated devices send no key, so the embedded
+// broker has to run with MQTT_ALLOW_UNPROVISIONED_DEVICES=true.
 
 import Database from 'better-sqlite3';
+import mqtt from 'mqtt';
 
 const db = new Database('data.db');
-const API_BASE = 'http://localhost:5174';
+const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
+// Every device keeps a connection open, so only simulate a handful
+const SIM_DEVICES = parseInt(process.env.SIM_DEVICES || '5', 10);
 
-const devices = db.prepare('SELECT * FROM devices').all();
+const devices = db.prepare('SELECT * FROM devices ORDER BY RANDOM() LIMIT ?').all(SIM_DEVICES);
 
 console.log('🔌 MQTT Device Simulator Started');
-console.log(`📡 Simulating ${devices.length} devices publishing to MQTT topics\n`);
+console.log(`📡 Simulating ${devices.length} devices publishing to ${MQTT_URL}\n`);
 
-// Simulate periodic heartbeats
-setInterval(async () => {
+const clients = new Map(); // device_id -> mqtt client
+const running = new Map(); // device_id -> config the device is running
+
+for (const device of devices) {
+  const client = mqtt.connect(MQTT_URL, { clientId: device.device_id, reconnectPeriod: 5000 });
+  client.on('connect', () => {
+    console.log(`✓ ${device.device_id} connected`);
+    client.subscribe([`device/${device.device_id}/ota/job`, `device/${device.device_id}/config/desired`], { qos: 1 });
+  });
+  client.on('message', (topic, payload) => {
+    const message = JSON.parse(payload.toString());
+    if (topic.endsWith('/config/desired')) applyConfig(device, message);
+    else simulateUpdate(device, message);
+  });
+  client.on('error', (err) => console.error(`✗ ${device.device_id}:`, err.message));
+  clients.set(device.device_id, client);
+}
+
+function publish(device, kind, payload) {
+  const client = clients.get(device.device_id);
+  const topic = `device/${device.device_id}/${kind}`;
+  if (!client.connected) {
+    console.warn(`… ${device.device_id} not connected, skipped ${topic}`);
+    return;
+  }
+  client.publish(topic, JSON.stringify(payload), { qos: 1 }, (err) => {
+    if (err) console.error(`✗ Failed to publish ${topic}:`, err.message);
+  });
+  console.log(`📤 MQTT Publish: ${topic} → ${JSON.stringify(payload)}`);
+}
+
+// Download and apply (now and then fail) the firmware the server sent, or roll it back
+function simulateUpdate(device, job) {
+  console.log(`📥 ${device.device_id} received ${job.action} ${job.version}`);
+  const report = (state, extra = {}) => publish(device, 'ota', { deployment_id: job.deployment_id, state, ...extra });
+
+  if (job.action === 'rollback') {
+    setTimeout(() => report('rolled_back'), 2000);
+    return;
+  }
+  report('downloading');
+  setTimeout(() => {
+    if (Math.random() < 0.1) report('failed', { error: 'Checksum mismatch' });
+    else report('applied');
+  }, 3000 + Math.random() * 4000);
+}
+
+// Take on the desired config after a moment and say so in the next status
+function applyConfig(device, { version, desired }) {
+  console.log(`📥 ${device.device_id} received config v${version}`);
+  setTimeout(() => {
+    running.set(device.device_id, desired);
+    publish(device, 'status', { status: 'online', reported: desired });
+  }, 1000 + Math.random() * 2000);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Simulate periodic heartbeats, telemetry and the odd detection
+setInterval(() => {
   // Pick a random device
   const device = devices[Math.floor(Math.random() * devices.length)];
   const statuses = ['online', 'online', 'online', 'warning']; // Bias toward online
   const status = statuses[Math.floor(Math.random() * statuses.length)];
-  
-  console.log(`📤 MQTT Publish: device/${device.device_id}/status → ${status}`);
-  
-  try {
-    const response = await fetch(`${API_BASE}/api/v1/devices/${device.id}/heartbeat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ status })
-    });
-    
-    if (response.ok) {
-      const result = await response.json();
-      console.log(`✓ Device ${device.device_id} heartbeat acknowledged: ${result.status} at ${result.last_seen}\n`);
+
+  const reported = running.get(device.device_id) || JSON.parse(device.config || '{}');
+  publish(device, 'status', { status, reported });
+  publish(device, 'telemetry', {
+    timestamp: new Date().toISOString(),
+    metrics: {
+      snr: round(20 + Math.random() * 15),
+      rssi: round(-80 + Math.random() * 30),
+      temperature: round(20 + Math.random() * 5)
     }
-  } catch (err) {
-    console.error(`✗ Failed to send heartbeat for ${device.device_id}:`, err.message);
+  });
+
+  if (Math.random() < 0.1) {
+    publish(device, 'event', {
+      type: 'unusual_noise',
+      score: round(0.5 + Math.random() * 0.5),
+      message: `Unusual noise detected by ${device.device_id}`
+    });
   }
 }, 5000); // Every 5 seconds
 
+process.on('SIGINT', () => {
+  for (const client of clients.values()) client.end();
+  process.exit(0);
+});
+
 console.log('Press Ctrl+C to stop the simulator\n');
@@ -0,0 +1,44 @@
+/**
+ * Alert Label API Routes
+ * The labeling queue: resolved alerts still waiting to be told whether they
+ * were real. Labels themselves are set on resolve or with PUT /alerts/:id/label.
+ */
+import express from 'express';
+
+export function createAlertLabelRoutes(alertLabels, authenticate, requireRole) {
+  const router = express.Router();
+  const canReview = requireRole('ADMIN', 'STAFF');
+
+  // GET /api/v1/alert-labels/queue - Unlabeled resolved alerts (?limit, offset, model_only)
+  router.get('/alert-labels/queue', authenticate, canReview, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { items, total } = alertLabels.queue(req.scope, {
+      limit,
+      offset,
+      modelOnly: req.query.model_only === 'true'
+    });
+    res.json({ items, count: items.length, total, limit, offset });
+  });
+
+  // GET /api/v1/alert-labels/summary - Labels by kind and ground-truth sync status
+  router.get('/alert-labels/summary', authenticate, canReview, (req, res) => {
+    res.json(alertLabels.summary(req.scope));
+  });
+
+  // POST /api/v1/alert-labels/sync - Pass labels made while the ML module was down on as ground truth
+  router.post('/alert-labels/sync', authenticate, requireRole('ADMIN'), async (req, res) => {
+    if (!alertLabels.getPerformanceMonitor()) {
+      return res.status(503).json({ error: 'ML module unavailable' });
+    }
+    try {
+      const synced = await alertLabels.syncPending();
+      res.json({ synced, summary: alertLabels.summary(req.scope) });
+    } catch (error) {
+      console.error('[labels] Sync error:', error);
+      res.status(500).json({ error: 'Failed to sync labels' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,39 @@
+/**
+ * Alert Model API Routes
+ * Per-tenant choice between severity rules and the alert classification model
+ */
+import express from 'express';
+import { requireTenantAccess, requireTenantAdmin } from '../services/access-control.js';
+
+export function createAlertModelRoutes(alertClassifier, authenticate, requireRole) {
+  const router = express.Router();
+  const canManage = requireRole('ADMIN');
+
+  // GET /api/v1/tenants/:id/alert-model - Settings and how the model has done (?since, default 7 days)
+  router.get('/tenants/:id/alert-model', authenticate, requireTenantAccess, (req, res) => {
+    const { since } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['since must be an ISO timestamp'] });
+    }
+    res.json({
+      ...alertClassifier.getSettings(req.params.id),
+      summary: alertClassifier.summary(req.params.id, { since: since && new Date(since).toISOString() })
+    });
+  });
+
+  // PUT /api/v1/tenants/:id/alert-model - Change any of { mode, model_id, min_confidence, timeout_ms }
+  router.put('/tenants/:id/alert-model', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const { mode, model_id, min_confidence, timeout_ms } = req.body || {};
+    const changes = Object.fromEntries(Object.entries({ mode, model_id, min_confidence, timeout_ms }).filter(([, value]) => value !== undefined));
+    const details = alertClassifier.validateSettings(changes);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const settings = alertClassifier.updateSettings(req.params.id, changes, { actor: req.user.email });
+    console.log(`[alert-model] ${req.user.email} set ${req.params.id} to ${settings.mode} (${settings.model_id}, min confidence ${settings.min_confidence})`);
+    res.json(settings);
+  });
+
+  return router;
+}
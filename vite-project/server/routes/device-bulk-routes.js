@@ -0,0 +1,216 @@
+/**
+ * Bulk Device API Routes
+ * CSV/JSON import with a dry-run report, export, and bulk actions over a
+ * filtered selection, all run as tracked jobs
+ */
+import express from 'express';
+import { canAccessHouse } from '../services/access-control.js';
+import { BULK_ACTIONS, IMPORT_COLUMNS, MAX_IMPORT_ROWS, MAX_JOB_DEVICES, toCsv } from '../services/device-bulk.js';
+
+const EXPORT_COLUMNS = [...IMPORT_COLUMNS, 'last_seen', 'created_at'];
+const FILTER_KEYS = ['tenant', 'house_id', 'type', 'status', 'firmware', 'q', 'group_id'];
+// Devices listed back by a dry run
+const PREVIEW_LIMIT = 50;
+
+export function createDeviceBulkRoutes(bulkService, authenticate, requireRole) {
+  const router = express.Router();
+
+  const seesAllJobs = (req) => ['ADMIN', 'STAFF'].includes(req.user.role);
+
+  function loadJob(req, res) {
+    const job = bulkService.getJob(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Job not found' });
+      return null;
+    }
+    if (!seesAllJobs(req) && job.created_by !== req.user.email) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * A filter's group has to exist and be one the caller can see
+   * @returns {{ status: number, body: object } | null} the response to send instead, if any
+   */
+  function checkGroup(req, filter) {
+    if (!filter.group_id) return null;
+    const group = bulkService.groups.getGroup(filter.group_id);
+    if (!group) return { status: 400, body: { error: 'VALIDATION_ERROR', details: ['filter.group_id must name a device group'] } };
+    if (!bulkService.groups.canAccessGroup(req.scope, group)) return { status: 403, body: { error: 'Access denied' } };
+    return null;
+  }
+
+  /**
+   * Problems with the params of a bulk action, empty when it can be queued
+   */
+  function validateParams(req, action, params, devices) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) return ['params must be an object'];
+    const details = [];
+    if (action === 'move') {
+      const house = params.house_id && bulkService.getHouse(params.house_id);
+      if (!params.house_id) details.push('params.house_id is required');
+      else if (!house) details.push(`house ${params.house_id} not found`);
+      else if (!canAccessHouse(req.scope, house.house_id)) details.push(`no access to house ${params.house_id}`);
+    }
+    if (action === 'location' && (typeof params.location !== 'string' || !params.location.trim() || params.location.length > 100)) {
+      details.push('params.location must be text of at most 100 characters');
+    }
+    if (action === 'config') {
+      if (!params.config || typeof params.config !== 'object' || Array.isArray(params.config)) {
+        details.push('params.config must be an object');
+      } else if (params.merge !== undefined && typeof params.merge !== 'boolean') {
+        details.push('params.merge must be true or false');
+      } else {
+        // Checked once per device type now; each device's merged config is checked again when applied
+        const settings = Object.fromEntries(Object.entries(params.config).filter(([, value]) => value !== null));
+        for (const type of new Set(devices.map(device => device.type))) {
+          details.push(...bulkService.validateConfig(type, settings).map(detail => `${type}: ${detail}`));
+        }
+      }
+    }
+    return details;
+  }
+
+  // POST /api/v1/devices/import - { format: csv|json, data, defaults?, dry_run?, skip_invalid? }
+  router.post('/devices/import', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const { format = 'csv', data, defaults = {}, dry_run = false, skip_invalid = false } = req.body || {};
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['defaults must be an object'] });
+    }
+
+    const parsed = bulkService.parseImport(format, data);
+    if (parsed.error) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [parsed.error] });
+    }
+    if (!parsed.rows.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['import has no devices'] });
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`at most ${MAX_IMPORT_ROWS} devices per import`] });
+    }
+
+    const report = { ...bulkService.validateImport(parsed.rows, req.scope, defaults), warnings: parsed.warnings };
+    if (dry_run) return res.json({ dry_run: true, ...report });
+
+    if (!report.valid || (report.invalid && !skip_invalid)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        details: [`${report.invalid} of ${report.total} rows are invalid${report.valid ? '; send skip_invalid to import the rest' : ''}`],
+        report
+      });
+    }
+
+    const job = bulkService.createJob({
+      kind: 'import',
+      params: { format, rows: report.total, skipped_rows: report.invalid },
+      items: report.rows.filter(entry => entry.ok).map(entry => ({ device_id: entry.device_id, payload: entry.device })),
+      actor: req.user.email
+    });
+    res.status(202).json({ job, report });
+  });
+
+  // GET /api/v1/devices/export - ?format=csv|json and any of ?tenant&house_id&type&status&firmware&q&group_id&tag
+  router.get('/devices/export', authenticate, (req, res) => {
+    const { format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['format must be csv or json'] });
+    }
+
+    const filter = Object.fromEntries(FILTER_KEYS.filter(key => typeof req.query[key] === 'string').map(key => [key, req.query[key]]));
+    if (req.query.tag) filter.tags = [].concat(req.query.tag);
+    const details = bulkService.validateFilter({ ...filter, all: true });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+    const rejected = checkGroup(req, filter);
+    if (rejected) return res.status(rejected.status).json(rejected.body);
+
+    const devices = bulkService.selectDevices(filter, req.scope);
+    const filename = `devices-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(devices.map(device => ({
+        ...Object.fromEntries(EXPORT_COLUMNS.map(column => [column, device[column]])),
+        config: JSON.parse(device.config || '{}')
+      })));
+    }
+    res.type('text/csv').send(toCsv(EXPORT_COLUMNS, devices));
+  });
+
+  // POST /api/v1/devices/bulk - { action, filter, params?, dry_run? } queues a job over the matching devices
+  router.post('/devices/bulk', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const { action, filter, params = {}, dry_run = false } = req.body || {};
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`action must be one of: ${BULK_ACTIONS.join(', ')}`] });
+    }
+    const filterErrors = bulkService.validateFilter(filter);
+    if (filterErrors.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: filterErrors });
+    }
+    const rejected = checkGroup(req, filter);
+    if (rejected) return res.status(rejected.status).json(rejected.body);
+
+    const devices = bulkService.selectDevices(filter, req.scope, { limit: MAX_JOB_DEVICES + 1 });
+    if (!devices.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['filter matches no devices'] });
+    }
+    if (devices.length > MAX_JOB_DEVICES) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`filter matches more than ${MAX_JOB_DEVICES} devices`] });
+    }
+    const details = validateParams(req, action, params, devices);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    if (dry_run) {
+      return res.json({
+        dry_run: true,
+        action,
+        matched: devices.length,
+        devices: devices.slice(0, PREVIEW_LIMIT).map(device => device.device_id)
+      });
+    }
+
+    const job = bulkService.createJob({
+      kind: action,
+      params,
+      filter,
+      items: devices.map(device => ({ device_id: device.device_id })),
+      actor: req.user.email
+    });
+    res.status(202).json(job);
+  });
+
+  // GET /api/v1/device-jobs - ?state; admins and staff see everyone's jobs, others their own
+  router.get('/device-jobs', authenticate, (req, res) => {
+    const items = bulkService.listJobs({
+      createdBy: seesAllJobs(req) ? undefined : req.user.email,
+      state: req.query.state,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+    res.json({ items, count: items.length });
+  });
+
+  // GET /api/v1/device-jobs/:id - Progress and per-device results (?items=failed to list only failures)
+  router.get('/device-jobs/:id', authenticate, (req, res) => {
+    const job = loadJob(req, res);
+    if (!job) return;
+
+    res.json({ ...job, items: bulkService.listItems(job.id, { state: req.query.items === 'failed' ? 'failed' : undefined }) });
+  });
+
+  // POST /api/v1/device-jobs/:id/cancel - Skip whatever hasn't been applied yet
+  router.post('/device-jobs/:id/cancel', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const job = loadJob(req, res);
+    if (!job) return;
+
+    const result = bulkService.cancel(job.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.job);
+  });
+
+  return router;
+}
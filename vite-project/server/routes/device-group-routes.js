@@ -0,0 +1,203 @@
+/**
+ * Device Tag and Group API Routes
+ * Tags per device, and saved dynamic groups used to target config pushes,
+ * firmware rollouts and alert search
+ */
+import express from 'express';
+import { canAccessDevice, canAccessTenant } from '../services/access-control.js';
+import { validateTags } from '../services/device-groups.js';
+
+// Devices listed back with a group or a preview
+const PREVIEW_LIMIT = 50;
+
+export function createDeviceGroupRoutes(groupService, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Resolve :id (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = groupService.getDevice(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  function loadGroup(req, res) {
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+      res.status(404).json({ error: 'Group not found' });
+      return null;
+    }
+    if (!groupService.canAccessGroup(req.scope, group)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return group;
+  }
+
+  // Only admins keep fleet-wide groups; everyone else groups within a tenant they can reach
+  function checkTenant(req, tenant) {
+    if (!tenant) return req.user.role === 'ADMIN';
+    return canAccessTenant(req.scope, tenant);
+  }
+
+  function sendTags(req, res, device, tags) {
+    const groups = groupService.groupsOf(device)
+      .filter(group => groupService.canAccessGroup(req.scope, group))
+      .map(group => ({ id: group.id, name: group.name }));
+    res.json({ device_id: device.device_id, tags, groups });
+  }
+
+  function changeTags(req, res, change) {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const details = Object.entries(change).flatMap(([name, tags]) => validateTags(tags, name === 'set' ? 'tags' : name));
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const result = groupService.updateTags(device.device_id, change);
+    if (result.error) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [result.error] });
+    }
+    console.log(`[groups] ${req.user.email} tagged ${device.device_id}: ${result.tags.join(', ') || '(none)'}`);
+    sendTags(req, res, device, result.tags);
+  }
+
+  // ============ TAGS ============
+
+  // GET /api/v1/device-tags - Tags in use, with how many devices carry each
+  router.get('/device-tags', authenticate, (req, res) => {
+    const items = groupService.listTags(req.scope);
+    res.json({ items, count: items.length });
+  });
+
+  // GET /api/v1/devices/:id/tags - The device's tags and the groups it is in
+  router.get('/devices/:id/tags', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    sendTags(req, res, device, groupService.getTags(device.device_id));
+  });
+
+  // PUT /api/v1/devices/:id/tags - Replace the device's tags ({ tags })
+  router.put('/devices/:id/tags', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const { tags } = req.body || {};
+    changeTags(req, res, { set: tags });
+  });
+
+  // PATCH /api/v1/devices/:id/tags - Add and remove tags ({ add?, remove? })
+  router.patch('/devices/:id/tags', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const { add = [], remove = [] } = req.body || {};
+    changeTags(req, res, { add, remove });
+  });
+
+  // ============ GROUPS ============
+
+  // GET /api/v1/device-groups - Groups the caller can see, with their current size
+  router.get('/device-groups', authenticate, (req, res) => {
+    const items = groupService.listGroups(req.scope);
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/device-groups/preview - Devices an unsaved query would match ({ query, tenant? })
+  router.post('/device-groups/preview', authenticate, (req, res) => {
+    const { query, tenant = null } = req.body || {};
+    const details = groupService.validateGroup({ name: 'preview', tenant, query });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const preview = { query, tenant };
+    res.json({
+      matched: groupService.countDevices(preview, req.scope),
+      devices: groupService.resolve(preview, req.scope, { limit: PREVIEW_LIMIT }).map(device => device.device_id)
+    });
+  });
+
+  // POST /api/v1/device-groups - { name, description?, tenant?, query }
+  router.post('/device-groups', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const body = req.body || {};
+    const details = groupService.validateGroup(body);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+    if (!checkTenant(req, body.tenant)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (groupService.nameTaken(body.name, body.tenant)) {
+      return res.status(409).json({ error: `A group named "${body.name.trim()}" already exists` });
+    }
+
+    const group = groupService.createGroup(body, { actor: req.user.email });
+    console.log(`[groups] ${req.user.email} created group "${group.name}" (${group.id})`);
+    res.status(201).json({ ...group, device_count: groupService.countDevices(group, req.scope) });
+  });
+
+  // GET /api/v1/device-groups/:id - The group with a sample of its devices
+  router.get('/device-groups/:id', authenticate, (req, res) => {
+    const group = loadGroup(req, res);
+    if (!group) return;
+
+    res.json({
+      ...group,
+      device_count: groupService.countDevices(group, req.scope),
+      devices: groupService.resolve(group, req.scope, { limit: PREVIEW_LIMIT }).map(device => device.device_id)
+    });
+  });
+
+  // GET /api/v1/device-groups/:id/devices - Every device currently in the group
+  router.get('/device-groups/:id/devices', authenticate, (req, res) => {
+    const group = loadGroup(req, res);
+    if (!group) return;
+
+    const items = groupService.resolve(group, req.scope);
+    const tags = groupService.tagsFor(items.map(device => device.device_id));
+    res.json({ items: items.map(device => ({ ...device, tags: tags.get(device.device_id) })), count: items.length });
+  });
+
+  // PUT /api/v1/device-groups/:id - Change any of { name, description, tenant, query }
+  router.put('/device-groups/:id', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const group = loadGroup(req, res);
+    if (!group) return;
+
+    const { name, description, tenant, query } = req.body || {};
+    const changes = Object.fromEntries(Object.entries({ name, description, tenant, query }).filter(([, value]) => value !== undefined));
+    const details = groupService.validateGroup(changes, { partial: true });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+    const next = { ...group, ...changes };
+    if (!checkTenant(req, group.tenant) || !checkTenant(req, next.tenant)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (groupService.nameTaken(next.name, next.tenant, group.id)) {
+      return res.status(409).json({ error: `A group named "${next.name.trim()}" already exists` });
+    }
+
+    const updated = groupService.updateGroup(group, changes);
+    console.log(`[groups] ${req.user.email} updated group "${updated.name}" (${updated.id})`);
+    res.json({ ...updated, device_count: groupService.countDevices(updated, req.scope) });
+  });
+
+  // DELETE /api/v1/device-groups/:id
+  router.delete('/device-groups/:id', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const group = loadGroup(req, res);
+    if (!group) return;
+    if (!checkTenant(req, group.tenant)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    groupService.deleteGroup(group.id);
+    console.log(`[groups] ${req.user.email} deleted group "${group.name}" (${group.id})`);
+    res.json({ success: true });
+  });
+
+  return router;
+}
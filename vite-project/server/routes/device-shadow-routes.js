@@ -0,0 +1,151 @@
+/**
+ * Device Shadow API Routes
+ * Desired / reported configuration, config history and the per-type config schemas
+ */
+import express from 'express';
+import { canAccessDevice } from '../services/access-control.js';
+import { expectedVersion } from '../services/alert-state.js';
+import { checkSchema } from '../services/device-shadow.js';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function createDeviceShadowRoutes(shadowService, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Resolve :id (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = shadowService.getDevice(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  function sendShadow(res, shadow) {
+    res.set('ETag', `"${shadow.version}"`).json(shadow);
+  }
+
+  /**
+   * Validate and store a new desired config, answering the request either way
+   */
+  function applyDesired(req, res, device, config, { source = 'api', note } = {}) {
+    const expected = expectedVersion(req.get('If-Match'), req.body && req.body.version);
+    if (Number.isNaN(expected)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['If-Match must be a shadow version'] });
+    }
+
+    const details = shadowService.validate(device.type, config);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const result = shadowService.setDesired(device, config, {
+      actor: req.user.email,
+      source,
+      note: note || (req.body && req.body.note) || '',
+      expectedVersion: expected
+    });
+    if (result.error) {
+      return res.status(409).set('ETag', `"${result.shadow.version}"`).json({ error: result.error, version: result.shadow.version });
+    }
+    sendShadow(res, result.shadow);
+  }
+
+  // GET /api/v1/devices/:id/shadow - Desired, reported and delta
+  router.get('/devices/:id/shadow', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    sendShadow(res, shadowService.getShadow(device));
+  });
+
+  // PUT /api/v1/devices/:id/shadow/desired - Replace the desired config ({ desired, version?, note? })
+  router.put('/devices/:id/shadow/desired', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const { desired } = req.body || {};
+    if (!isPlainObject(desired)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['desired must be an object'] });
+    }
+    applyDesired(req, res, device, desired);
+  });
+
+  // PATCH /api/v1/devices/:id/shadow/desired - Merge into the desired config; a null value removes the setting
+  router.patch('/devices/:id/shadow/desired', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const { desired } = req.body || {};
+    if (!isPlainObject(desired)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['desired must be an object'] });
+    }
+
+    const config = { ...shadowService.getShadow(device).desired };
+    for (const [key, value] of Object.entries(desired)) {
+      if (value === null) delete config[key];
+      else config[key] = value;
+    }
+    applyDesired(req, res, device, config);
+  });
+
+  // GET /api/v1/devices/:id/shadow/history - Desired config versions, newest first
+  router.get('/devices/:id/shadow/history', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ device_id: device.device_id, versions: shadowService.listVersions(device.device_id, { limit }) });
+  });
+
+  // POST /api/v1/devices/:id/shadow/rollback - Make an earlier version desired again ({ target_version })
+  router.post('/devices/:id/shadow/rollback', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const target = Number((req.body || {}).target_version);
+    if (!Number.isInteger(target) || target < 1) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['target_version must be a config version'] });
+    }
+    const previous = shadowService.getVersion(device.device_id, target);
+    if (!previous) {
+      return res.status(404).json({ error: 'Config version not found' });
+    }
+
+    // The schema may have tightened since, so the old config is checked again
+    applyDesired(req, res, device, previous.config, { source: 'rollback', note: `Rolled back to v${target}` });
+  });
+
+  // GET /api/v1/device-types/:type/config-schema - Schema desired config is checked against
+  router.get('/device-types/:type/config-schema', authenticate, (req, res) => {
+    res.json(shadowService.schemaFor(req.params.type));
+  });
+
+  // PUT /api/v1/device-types/:type/config-schema - Override the schema for a device type ({ schema })
+  router.put('/device-types/:type/config-schema', authenticate, requireRole('ADMIN'), (req, res) => {
+    const { schema } = req.body || {};
+    const details = checkSchema(schema);
+    if (!details.length && schema.type !== 'object') details.push('schema.type must be object');
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const saved = shadowService.setSchema(req.params.type, schema, { actor: req.user.email });
+    console.log(`[shadow] ${req.user.email} set config schema for ${req.params.type}`);
+    res.json(saved);
+  });
+
+  // DELETE /api/v1/device-types/:type/config-schema - Back to the built-in schema
+  router.delete('/device-types/:type/config-schema', authenticate, requireRole('ADMIN'), (req, res) => {
+    res.json(shadowService.resetSchema(req.params.type));
+  });
+
+  return router;
+}
@@ -0,0 +1,166 @@
+/**
+ * Firmware Catalog and OTA Deployment API Routes
+ */
+import express from 'express';
+import { canAccessDevice } from '../services/access-control.js';
+import { DEPLOYMENT_STATES } from '../services/firmware.js';
+
+export function createFirmwareRoutes(firmwareService, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Rollouts span every tenant, so only staff see them
+  const fleetStaff = requireRole('ADMIN', 'STAFF');
+
+  function sendResult(res, result) {
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.deployment);
+  }
+
+  // ============ CATALOG ============
+
+  // GET /api/v1/firmware/releases
+  router.get('/firmware/releases', authenticate, fleetStaff, (req, res) => {
+    const items = firmwareService.listReleases();
+    res.json({ items, count: items.length });
+  });
+
+  // GET /api/v1/firmware/releases/:id - By id or version
+  router.get('/firmware/releases/:id', authenticate, fleetStaff, (req, res) => {
+    const release = firmwareService.getRelease(req.params.id);
+    if (!release) return res.status(404).json({ error: 'Release not found' });
+    res.json(release);
+  });
+
+  // POST /api/v1/firmware/releases - { version, checksum, url?, release_notes?, device_types? }
+  router.post('/firmware/releases', authenticate, requireRole('ADMIN'), (req, res) => {
+    const body = req.body || {};
+    const details = firmwareService.validateRelease(body);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const release = firmwareService.createRelease(body, { createdBy: req.user.email });
+    console.log(`[firmware] ${req.user.email} added release ${release.version}`);
+    res.status(201).json(release);
+  });
+
+  // DELETE /api/v1/firmware/releases/:id - Only releases that were never deployed
+  router.delete('/firmware/releases/:id', authenticate, requireRole('ADMIN'), (req, res) => {
+    const release = firmwareService.getRelease(req.params.id);
+    if (!release) return res.status(404).json({ error: 'Release not found' });
+
+    if (firmwareService.deleteRelease(release.id) === null) {
+      return res.status(409).json({ error: 'Release has deployments and can\'t be removed' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============ DEPLOYMENTS ============
+
+  // GET /api/v1/firmware/deployments?state=
+  router.get('/firmware/deployments', authenticate, fleetStaff, (req, res) => {
+    const { state } = req.query;
+    if (state && !DEPLOYMENT_STATES.includes(state)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`state must be one of: ${DEPLOYMENT_STATES.join(', ')}`] });
+    }
+    const items = firmwareService.listDeployments({ state });
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/firmware/deployments - { release_id | version, canary_percent?, max_failure_rate?, batch_size?, target? }
+  router.post('/firmware/deployments', authenticate, requireRole('ADMIN'), (req, res) => {
+    const body = req.body || {};
+    const details = firmwareService.validateDeployment(body);
+    const release = firmwareService.getRelease(body.release_id || body.version || '');
+    if (!release) details.push('release_id or version must name a release in the catalog');
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const deployment = firmwareService.createDeployment(release, body, { createdBy: req.user.email });
+      if (!deployment) return res.status(409).json({ error: `No devices need ${release.version}` });
+      res.status(201).json(deployment);
+    } catch (error) {
+      console.error('[firmware] Create deployment error:', error);
+      res.status(500).json({ error: 'Failed to create deployment' });
+    }
+  });
+
+  // GET /api/v1/firmware/deployments/:id - With per-device progress
+  router.get('/firmware/deployments/:id', authenticate, fleetStaff, (req, res) => {
+    const deployment = firmwareService.getDeployment(req.params.id);
+    if (!deployment) return res.status(404).json({ error: 'Deployment not found' });
+    res.json({ ...deployment, devices: firmwareService.listDeploymentDevices(deployment.id) });
+  });
+
+  // POST /api/v1/firmware/deployments/:id/halt
+  router.post('/firmware/deployments/:id/halt', authenticate, requireRole('ADMIN'), (req, res) => {
+    const reason = (req.body && req.body.reason) || `Halted by ${req.user.email}`;
+    sendResult(res, firmwareService.halt(req.params.id, reason));
+  });
+
+  // POST /api/v1/firmware/deployments/:id/resume - { max_failure_rate? }
+  router.post('/firmware/deployments/:id/resume', authenticate, requireRole('ADMIN'), (req, res) => {
+    const { max_failure_rate } = req.body || {};
+    const details = firmwareService.validateDeployment({ max_failure_rate });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+    sendResult(res, firmwareService.resume(req.params.id, { max_failure_rate }));
+  });
+
+  // POST /api/v1/firmware/deployments/:id/cancel
+  router.post('/firmware/deployments/:id/cancel', authenticate, requireRole('ADMIN'), (req, res) => {
+    sendResult(res, firmwareService.cancel(req.params.id));
+  });
+
+  // POST /api/v1/firmware/deployments/:id/rollback - Send applied devices back to their previous version
+  router.post('/firmware/deployments/:id/rollback', authenticate, requireRole('ADMIN'), (req, res) => {
+    sendResult(res, firmwareService.rollback(req.params.id));
+  });
+
+  // ============ DEVICE SIDE ============
+
+  // Resolve :deviceId (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = firmwareService.getDevice(req.params.deviceId);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  // GET /api/v1/devices/:deviceId/firmware/job - What the device should install (for devices without MQTT)
+  router.get('/devices/:deviceId/firmware/job', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    res.json({ device_id: device.device_id, firmware: device.firmware, job: firmwareService.currentJob(device.device_id) });
+  });
+
+  // POST /api/v1/devices/:deviceId/firmware/progress - { deployment_id, state, error? }
+  router.post('/devices/:deviceId/firmware/progress', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const { deployment_id, state, error } = req.body || {};
+    if (!deployment_id) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['deployment_id is required'] });
+    }
+    const result = firmwareService.reportProgress(deployment_id, device.device_id, { state, error });
+    if (result.error) {
+      return result.status === 400
+        ? res.status(400).json({ error: 'VALIDATION_ERROR', details: [result.error] })
+        : res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.entry);
+  });
+
+  return router;
+}
@@ -0,0 +1,63 @@
+/**
+ * Incident API Routes
+ */
+import express from 'express';
+import { canAccessHouse, scopeFilter } from '../services/access-control.js';
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+export function createIncidentRoutes(incidentService, authenticate) {
+  const router = express.Router();
+
+  function loadIncident(req, res) {
+    const incident = incidentService.get(req.params.id);
+    if (!incident) {
+      res.status(404).json({ error: 'Incident not found' });
+      return null;
+    }
+    if (!canAccessHouse(req.scope, incident.house_id)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return incident;
+  }
+
+  // GET /api/v1/incidents - List incidents (filters: status, house_id, tenant_id)
+  router.get('/incidents', authenticate, (req, res) => {
+    const { status, house_id, tenant_id, limit = 100 } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`status must be one of: ${STATUSES.join(', ')}`] });
+    }
+
+    const scope = scopeFilter(req.scope);
+    const items = incidentService.list({ status, house_id, tenant_id, scope, limit: Math.min(parseInt(limit) || 100, 500) });
+    res.json({ items, count: items.length, counts: incidentService.counts(scope) });
+  });
+
+  // GET /api/v1/incidents/:id - Incident with its correlated alerts
+  router.get('/incidents/:id', authenticate, (req, res) => {
+    if (!loadIncident(req, res)) return;
+    res.json(incidentService.getWithAlerts(req.params.id));
+  });
+
+  // POST /api/v1/incidents/:id/ack - Acknowledge an incident
+  router.post('/incidents/:id/ack', authenticate, (req, res) => {
+    if (!loadIncident(req, res)) return;
+    const result = incidentService.acknowledge(req.params.id, req.user.email);
+    if (!result) return res.status(404).json({ error: 'Incident not found' });
+    if (result.error) return res.status(409).json({ error: result.error, incident: result.incident });
+    res.json(result.incident);
+  });
+
+  // POST /api/v1/incidents/:id/resolve - Resolve an incident (its alerts keep their own state)
+  router.post('/incidents/:id/resolve', authenticate, (req, res) => {
+    if (!loadIncident(req, res)) return;
+    const { note = '' } = req.body || {};
+    const result = incidentService.resolve(req.params.id, req.user.email, note);
+    if (!result) return res.status(404).json({ error: 'Incident not found' });
+    if (result.error) return res.status(409).json({ error: result.error, incident: result.incident });
+    res.json(result.incident);
+  });
+
+  return router;
+}
@@ -0,0 +1,155 @@
+/**
+ * Maintenance Window API Routes
+ * Scheduled windows during which alerts from a device, group, house or
+ * tenant are stored but suppressed
+ */
+import express from 'express';
+import { canAccessDevice, canAccessHouse, canAccessTenant } from '../services/access-control.js';
+import { SCOPES, WINDOW_STATUSES } from '../services/maintenance.js';
+
+export function createMaintenanceRoutes(maintenanceService, groupService, authenticate, requireRole) {
+  const router = express.Router();
+  // Technicians work as staff; owners schedule their own houses
+  const canSchedule = requireRole('ADMIN', 'STAFF', 'OWNER');
+
+  /**
+   * What a window covers, checked against the caller's scope
+   * @returns {{ scope_id: string } | { status: number, error: string }} the canonical scope_id, or why not
+   */
+  function resolveTarget(req, scope, scopeId) {
+    if (scope === 'device') {
+      const device = groupService.getDevice(scopeId);
+      if (!device) return { status: 404, error: 'Device not found' };
+      if (!canAccessDevice(req.scope, device)) return { status: 403, error: 'Access denied' };
+      return { scope_id: device.device_id };
+    }
+    if (scope === 'group') {
+      const group = groupService.getGroup(scopeId);
+      if (!group) return { status: 404, error: 'Group not found' };
+      if (!groupService.canAccessGroup(req.scope, group)) return { status: 403, error: 'Access denied' };
+      return { scope_id: group.id };
+    }
+    if (scope === 'house') {
+      const house = maintenanceService.getHouse(scopeId);
+      if (!house) return { status: 404, error: 'House not found' };
+      if (!canAccessHouse(req.scope, house.house_id)) return { status: 403, error: 'Access denied' };
+      return { scope_id: house.house_id };
+    }
+    // A tenant can span houses of several owners, so only fleet staff silence one
+    if (!req.scope.all || !canAccessTenant(req.scope, scopeId)) return { status: 403, error: 'Access denied' };
+    return { scope_id: scopeId };
+  }
+
+  // Group windows of restricted callers cover only their own houses, so
+  // they're visible to callers who can reach all of those houses
+  function canSee(req, window) {
+    if (resolveTarget(req, window.scope, window.scope_id).error) return false;
+    if (window.scope !== 'group' || req.scope.all) return true;
+    return Boolean(window.house_ids) && window.house_ids.every(houseId => canAccessHouse(req.scope, houseId));
+  }
+
+  function loadWindow(req, res) {
+    const window = maintenanceService.getWindow(req.params.id);
+    if (!window) {
+      res.status(404).json({ error: 'Maintenance window not found' });
+      return null;
+    }
+    if (!canSee(req, window)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return window;
+  }
+
+  // GET /api/v1/maintenance-windows - ?scope&scope_id&status&include_cancelled
+  router.get('/maintenance-windows', authenticate, (req, res) => {
+    const { scope, scope_id, status } = req.query;
+    if (scope && !SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`scope must be one of: ${SCOPES.join(', ')}`] });
+    }
+    if (status && !WINDOW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`status must be one of: ${WINDOW_STATUSES.join(', ')}`] });
+    }
+
+    const now = new Date();
+    const items = maintenanceService.listWindows({
+      scope,
+      scope_id,
+      includeCancelled: req.query.include_cancelled === 'true' || status === 'cancelled'
+    })
+      .filter(window => canSee(req, window))
+      .map(window => maintenanceService.describe(window, now))
+      .filter(window => !status || window.status === status);
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/maintenance-windows - { name, reason?, scope, scope_id, schedule, starts_at?, ends_at?, start_time?, end_time?, days?, timezone? }
+  router.post('/maintenance-windows', authenticate, canSchedule, (req, res) => {
+    const body = req.body || {};
+    const details = maintenanceService.validateWindow(body);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+    const target = resolveTarget(req, body.scope, body.scope_id);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+
+    const house_ids = body.scope === 'group' && !req.scope.all ? [...req.scope.houseIds] : null;
+    const window = maintenanceService.createWindow({ ...body, scope_id: target.scope_id, house_ids }, { actor: req.user.email });
+    console.log(`[maintenance] ${req.user.email} scheduled "${window.name}" for ${window.scope} ${window.scope_id} (${window.id})`);
+    res.status(201).json(maintenanceService.describe(window));
+  });
+
+  // GET /api/v1/maintenance-windows/:id - The window with its change history
+  router.get('/maintenance-windows/:id', authenticate, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+
+    res.json({ ...maintenanceService.describe(window), history: maintenanceService.history(window.id) });
+  });
+
+  // GET /api/v1/maintenance-windows/:id/alerts - Alerts the window suppressed
+  router.get('/maintenance-windows/:id/alerts', authenticate, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const items = maintenanceService.suppressedAlerts(window.id, req.scope, { limit });
+    res.json({ items, count: items.length });
+  });
+
+  // PUT /api/v1/maintenance-windows/:id - Change its name, reason or timing; scope and schedule are fixed
+  router.put('/maintenance-windows/:id', authenticate, canSchedule, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+    if (window.cancelled_at) return res.status(409).json({ error: 'Maintenance window is cancelled' });
+
+    const body = req.body || {};
+    for (const field of ['scope', 'scope_id', 'schedule']) {
+      if (body[field] !== undefined && body[field] !== window[field]) {
+        return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`${field} can't be changed; cancel the window and create a new one`] });
+      }
+    }
+    const details = maintenanceService.validateWindow(body, { partial: true, existing: window });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const updated = maintenanceService.updateWindow(window, body, { actor: req.user.email });
+    console.log(`[maintenance] ${req.user.email} updated "${updated.name}" (${updated.id})`);
+    res.json(maintenanceService.describe(updated));
+  });
+
+  // DELETE /api/v1/maintenance-windows/:id - Cancel the window ({ note? }); it stays on record
+  router.delete('/maintenance-windows/:id', authenticate, canSchedule, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+
+    const cancelled = maintenanceService.cancelWindow(window, { actor: req.user.email, note: (req.body && req.body.note) || null });
+    if (!cancelled) return res.status(409).json({ error: 'Maintenance window is already cancelled' });
+
+    console.log(`[maintenance] ${req.user.email} cancelled "${window.name}" (${window.id})`);
+    res.json(maintenanceService.describe(cancelled));
+  });
+
+  return router;
+}
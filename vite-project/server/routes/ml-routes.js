@@ -3,6 +3,7 @@
  */
 import express from 'express';
 import multer from 'multer';
+import { ROLLOUT_MODES } from '../ml/ModelRegistry.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -77,14 +78,23 @@ export function createMLRoutes(mlManager, authenticate, requireRole) {
     }
   });
   
-  // PUT /api/v1/ml/models/:id - Update model
+  // PUT /api/v1/ml/models/:id - Update model (rollout: immediate | shadow | canary, canary_percent)
   router.put('/models/:id', authenticate, requireRole('ADMIN'), upload.single('model'), async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'Model file is required' });
       }
+      const rollout = req.body.rollout || 'immediate';
+      if (!ROLLOUT_MODES.includes(rollout)) {
+        return res.status(400).json({
+          error: 'VALIDATION_ERROR',
+          details: [`rollout must be one of: ${ROLLOUT_MODES.join(', ')}`]
+        });
+      }
       
       const metadata = {
+        rollout,
+        canaryPercent: req.body.canary_percent,
         version: req.body.version,
         format: req.body.format,
         description: req.body.description,
@@ -93,16 +103,20 @@ export function createMLRoutes(mlManager, authenticate, requireRole) {
         createdBy: req.user.email
       };
       
-      const newVersion = await mlManager.modelRegistry.updateModel(
+      const result = await mlManager.modelRegistry.updateModel(
         req.params.id,
         req.file.buffer,
         metadata
       );
+      if (result.error) return sendResult(res, result);
+      // Staged versions get theirs when promoted
+      if (!result.deployment) captureBaseline(req.params.id, result.version, req.user.email);
       
       res.json({
         model_id: req.params.id,
-        version: newVersion,
-        message: 'Model updated successfully'
+        version: result.version,
+        deployment: result.deployment,
+        message: result.deployment ? `Version ${result.version} deployed in ${result.deployment.mode} mode` : 'Model updated successfully'
       });
     } catch (error) {
       console.error('[ML API] Update model error:', error);
@@ -132,6 +146,120 @@ export function createMLRoutes(mlManager, authenticate, requireRole) {
     }
   });
   
+  // ============ DEPLOYMENT ENDPOINTS ============
+  
+  function sendResult(res, result) {
+    if (result.status === 400) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [result.error] });
+    }
+    return res.status(result.status).json({ error: result.error });
+  }
+  
+  // The distributions drift checks compare against, saved when a version goes live.
+  // Doesn't hold up the response; a rolled back version keeps its earlier baseline.
+  function captureBaseline(modelId, version, actor) {
+    mlManager.driftDetector.captureBaseline(modelId, { version, actor })
+      .catch(error => console.error('[ML API] Drift baseline error:', error));
+  }
+  
+  // GET /api/v1/ml/models/:id/deployment - The open deployment, past ones, and the comparison report
+  router.get('/models/:id/deployment', authenticate, async (req, res) => {
+    try {
+      const model = await mlManager.modelRegistry.getModel(req.params.id);
+      const { deployment = null, deployments = [] } = model;
+      res.json({
+        model_id: model.model_id,
+        current_version: model.current_version,
+        previous_version: model.previous_version || null,
+        deployment,
+        report: deployment ? await mlManager.performanceMonitor.compareVersions(model.model_id, deployment.id) : null,
+        history: deployments.slice().reverse()
+      });
+    } catch (error) {
+      console.error('[ML API] Get deployment error:', error);
+      res.status(404).json({ error: 'Model not found' });
+    }
+  });
+  
+  // GET /api/v1/ml/models/:id/deployments/:deploymentId/report - Comparison report for any deployment
+  router.get('/models/:id/deployments/:deploymentId/report', authenticate, async (req, res) => {
+    try {
+      const model = await mlManager.modelRegistry.getModel(req.params.id);
+      const deployment = [model.deployment, ...(model.deployments || [])]
+        .find(d => d && d.id === req.params.deploymentId);
+      if (!deployment) return res.status(404).json({ error: 'Deployment not found' });
+      
+      const report = await mlManager.performanceMonitor.compareVersions(model.model_id, deployment.id);
+      res.json({ deployment, ...report });
+    } catch (error) {
+      console.error('[ML API] Deployment report error:', error);
+      res.status(404).json({ error: 'Model not found' });
+    }
+  });
+  
+  // POST /api/v1/ml/models/:id/deployment - Stage an uploaded version, or change the open one ({ version, mode, percent? })
+  router.post('/models/:id/deployment', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const { version, mode, percent } = req.body || {};
+      if (!version) {
+        return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['version is required'] });
+      }
+      
+      const result = await mlManager.modelRegistry.startDeployment(req.params.id, {
+        version: String(version),
+        mode,
+        percent,
+        actor: req.user.email
+      });
+      if (result.error) return sendResult(res, result);
+      
+      res.json(result.deployment);
+    } catch (error) {
+      console.error('[ML API] Start deployment error:', error);
+      res.status(500).json({ error: 'Failed to deploy model version' });
+    }
+  });
+  
+  // POST /api/v1/ml/models/:id/promote - Make the version being deployed current
+  router.post('/models/:id/promote', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const result = await mlManager.modelRegistry.promoteDeployment(req.params.id, { actor: req.user.email });
+      if (result.error) return sendResult(res, result);
+      captureBaseline(result.model.model_id, result.model.current_version, req.user.email);
+      
+      res.json({
+        model_id: result.model.model_id,
+        current_version: result.model.current_version,
+        previous_version: result.model.previous_version,
+        message: `Version ${result.model.current_version} promoted`
+      });
+    } catch (error) {
+      console.error('[ML API] Promote error:', error);
+      res.status(500).json({ error: 'Failed to promote model version' });
+    }
+  });
+  
+  // POST /api/v1/ml/models/:id/rollback - Drop the version being deployed, or undo the last promotion ({ reason? })
+  router.post('/models/:id/rollback', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const result = await mlManager.modelRegistry.rollback(req.params.id, {
+        actor: req.user.email,
+        reason: (req.body && req.body.reason) || null
+      });
+      if (result.error) return sendResult(res, result);
+      
+      res.json({
+        model_id: result.model.model_id,
+        current_version: result.model.current_version,
+        rolled_back: result.rolled_back,
+        message: `Version ${result.rolled_back} rolled back; ${result.model.current_version} is current`
+      });
+    } catch (error) {
+      console.error('[ML API] Rollback error:', error);
+      res.status(500).json({ error: 'Failed to roll back model version' });
+    }
+  });
+  
   // ============ PREDICTION ENDPOINTS ============
   
   // POST /api/v1/ml/predict - Make prediction
@@ -219,23 +347,165 @@ export function createMLRoutes(mlManager, authenticate, requireRole) {
     }
   });
   
-  // GET /api/v1/ml/models/:id/drift - Detect model drift
+  // GET /api/v1/ml/models/:id/drift - Detect model drift: accuracy (needs ground truth)
+  // and input/prediction distributions against the current version's baseline (?window_days, window_hours)
   router.get('/models/:id/drift', authenticate, async (req, res) => {
     try {
       const windowDays = parseInt(req.query.window_days) || 7;
+      const windowHours = parseInt(req.query.window_hours) || 24;
+      const model = await mlManager.modelRegistry.getModel(req.params.id).catch(() => null);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
       
       const driftReport = await mlManager.performanceMonitor.detectDrift(
         req.params.id,
         windowDays
       );
+      const distribution = await mlManager.driftDetector.check(model.model_id, model.current_version, {
+        windowHours,
+        save: false
+      });
       
-      res.json(driftReport);
+      res.json({
+        ...driftReport,
+        drift_detected: driftReport.drift_detected || distribution.drift_detected,
+        accuracy_drift: driftReport.drift_detected,
+        distribution
+      });
     } catch (error) {
       console.error('[ML API] Drift detection error:', error);
       res.status(500).json({ error: 'Failed to detect drift' });
     }
   });
   
+  // GET /api/v1/ml/models/:id/drift/history - Past drift checks, oldest first, and the baseline in use (?days, default 30)
+  router.get('/models/:id/drift/history', authenticate, async (req, res) => {
+    try {
+      const days = parseInt(req.query.days) || 30;
+      const model = await mlManager.modelRegistry.getModel(req.params.id);
+      const baseline = await mlManager.driftDetector.getBaseline(model.model_id, model.current_version);
+      
+      res.json({
+        model_id: model.model_id,
+        current_version: model.current_version,
+        baseline: baseline && {
+          id: baseline.id,
+          version: baseline.version,
+          reason: baseline.reason,
+          sample_size: baseline.sample_size,
+          features: Object.keys(baseline.features),
+          outputs: Object.keys(baseline.prediction),
+          created_by: baseline.created_by,
+          created_at: baseline.created_at
+        },
+        reports: await mlManager.driftDetector.history(model.model_id, { days })
+      });
+    } catch (error) {
+      console.error('[ML API] Drift history error:', error);
+      res.status(404).json({ error: 'Model not found' });
+    }
+  });
+  
+  // POST /api/v1/ml/models/:id/drift/baseline - Save a new baseline for the current version from recent predictions ({ days? })
+  router.post('/models/:id/drift/baseline', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const days = (req.body && req.body.days) ?? 7;
+      if (typeof days !== 'number' || days <= 0 || days > 90) {
+        return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['days must be a number from 1 to 90'] });
+      }
+      const model = await mlManager.modelRegistry.getModel(req.params.id).catch(() => null);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
+      
+      const baseline = await mlManager.driftDetector.captureBaseline(model.model_id, {
+        version: model.current_version,
+        days,
+        actor: req.user.email,
+        reason: 'manual'
+      });
+      if (!baseline) {
+        return res.status(409).json({ error: `No predictions in the last ${days} days to build a baseline from` });
+      }
+      
+      console.log(`[ML API] ${req.user.email} reset the drift baseline of ${model.model_id} ${model.current_version}`);
+      res.status(201).json(baseline);
+    } catch (error) {
+      console.error('[ML API] Drift baseline error:', error);
+      res.status(500).json({ error: 'Failed to save drift baseline' });
+    }
+  });
+  
+  // POST /api/v1/ml/models/:id/drift/check - Run a drift check now and keep it in the history ({ window_hours? })
+  router.post('/models/:id/drift/check', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const windowHours = (req.body && req.body.window_hours) ?? 24;
+      if (typeof windowHours !== 'number' || windowHours <= 0 || windowHours > 24 * 90) {
+        return res.status(400).json({ error: 'VALIDATION_ERROR', details: ['window_hours must be a number from 1 to 2160'] });
+      }
+      const model = await mlManager.modelRegistry.getModel(req.params.id).catch(() => null);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
+      
+      const report = await mlManager.driftDetector.check(model.model_id, model.current_version, { windowHours });
+      if (report.status === 'no_baseline') {
+        return res.status(409).json({ error: 'Model has no drift baseline yet' });
+      }
+      res.json(report);
+    } catch (error) {
+      console.error('[ML API] Drift check error:', error);
+      res.status(500).json({ error: 'Failed to check drift' });
+    }
+  });
+  
+  // ============ TRAINING ENDPOINTS ============
+
+  // POST /api/v1/ml/models/:id/training-jobs - Train a new version in the background
+  // ({ algorithm, source?, samples?, days?, features?, task?, params?, holdout?, seed?, rollout?, canary_percent?, version? })
+  router.post('/models/:id/training-jobs', authenticate, requireRole('ADMIN'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const details = mlManager.modelTrainer.validate(body);
+      if (details.length) {
+        return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+      }
+      const model = await mlManager.modelRegistry.getModel(req.params.id).catch(() => null);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
+
+      const result = await mlManager.modelTrainer.createJob(model, body, { actor: req.user.email });
+      if (result.error) return sendResult(res, result);
+
+      console.log(`[ML API] ${req.user.email} queued ${result.job.algorithm} training job ${result.job.id} for ${model.model_id}`);
+      res.status(202).json(result.job);
+    } catch (error) {
+      console.error('[ML API] Create training job error:', error);
+      res.status(500).json({ error: 'Failed to create training job' });
+    }
+  });
+
+  // GET /api/v1/ml/models/:id/training-jobs - A model's training jobs, newest first (?limit, default 20)
+  router.get('/models/:id/training-jobs', authenticate, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const model = await mlManager.modelRegistry.getModel(req.params.id).catch(() => null);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
+
+      const jobs = await mlManager.modelTrainer.listJobs(model.model_id, { limit });
+      res.json({ jobs, count: jobs.length });
+    } catch (error) {
+      console.error('[ML API] List training jobs error:', error);
+      res.status(500).json({ error: 'Failed to list training jobs' });
+    }
+  });
+
+  // GET /api/v1/ml/training-jobs/:jobId - A training job's status, metrics and resulting version
+  router.get('/training-jobs/:jobId', authenticate, async (req, res) => {
+    try {
+      const job = await mlManager.modelTrainer.getJob(req.params.jobId);
+      if (!job) return res.status(404).json({ error: 'Training job not found' });
+      res.json(job);
+    } catch (error) {
+      console.error('[ML API] Get training job error:', error);
+      res.status(500).json({ error: 'Failed to get training job' });
+    }
+  });
+
   // GET /api/v1/ml/models/:id/trends - Get performance trends
   router.get('/models/:id/trends', authenticate, async (req, res) => {
     try {
@@ -0,0 +1,62 @@
+/**
+ * MQTT Bridge and Topic ACL API Routes
+ */
+import express from 'express';
+import { canAccessDevice } from '../services/access-control.js';
+
+export function createMqttRoutes(mqttAcl, mqttBridge, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Resolve :id (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = mqttAcl.getDevice(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  // GET /api/v1/mqtt/status - Broker connection and message counts
+  router.get('/mqtt/status', authenticate, requireRole('ADMIN'), (req, res) => {
+    res.json(mqttBridge.status());
+  });
+
+  // GET /api/v1/devices/:id/mqtt-acl - Topics the device may publish to
+  router.get('/devices/:id/mqtt-acl', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    res.json({ device_id: device.device_id, ...mqttAcl.topicsFor(device.device_id) });
+  });
+
+  // PUT /api/v1/devices/:id/mqtt-acl - Replace the device's topics ({ topics: [...] }, [] blocks everything)
+  router.put('/devices/:id/mqtt-acl', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const { topics } = req.body || {};
+    const details = mqttAcl.validate(device.device_id, topics);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const acl = mqttAcl.setTopics(device.device_id, topics, new Date().toISOString());
+    console.log(`[mqtt] ${req.user.email} set ACL for ${device.device_id}: ${acl.topics.join(', ') || '(none)'}`);
+    res.json({ device_id: device.device_id, ...acl });
+  });
+
+  // DELETE /api/v1/devices/:id/mqtt-acl - Back to the default topics
+  router.delete('/devices/:id/mqtt-acl', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    res.json({ device_id: device.device_id, ...mqttAcl.reset(device.device_id) });
+  });
+
+  return router;
+}
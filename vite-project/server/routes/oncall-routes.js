@@ -0,0 +1,212 @@
+/**
+ * On-Call and Escalation Chain API Routes
+ */
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { canAccessHouse } from '../services/access-control.js';
+
+export function createOnCallRoutes(oncallService, authenticate, requireRole) {
+  const router = express.Router();
+  const canManage = requireRole('ADMIN', 'OWNER');
+
+  // Resolve :id to a house the caller is allowed to manage
+  function loadHouse(req, res) {
+    const house = oncallService.getHouse(req.params.id);
+    if (!house) {
+      res.status(404).json({ error: 'House not found' });
+      return null;
+    }
+    if (!canAccessHouse(req.scope, house.house_id)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return house;
+  }
+
+  function loadSchedule(req, res, scheduleId = req.params.id) {
+    const schedule = oncallService.getSchedule(scheduleId);
+    if (!schedule) {
+      res.status(404).json({ error: 'Schedule not found' });
+      return null;
+    }
+    const house = oncallService.getHouse(schedule.house_id);
+    if (!canAccessHouse(req.scope, house ? house.house_id : schedule.house_id)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return schedule;
+  }
+
+  // ============ SCHEDULE ENDPOINTS ============
+
+  // GET /api/v1/houses/:id/oncall-schedules - List rotations for a house
+  router.get('/houses/:id/oncall-schedules', authenticate, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const items = oncallService.listSchedules(house.house_id).map(schedule => ({
+      ...schedule,
+      on_call: oncallService.getOnCall(schedule.id, at).user
+    }));
+
+    res.json({ items, count: items.length, timezone: house.timezone });
+  });
+
+  // POST /api/v1/houses/:id/oncall-schedules - Create a rotation
+  router.post('/houses/:id/oncall-schedules', authenticate, canManage, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const { name, participants, rotation_start, handoff_time = '09:00', rotation_length_days = 7 } = req.body || {};
+    const details = oncallService.validateSchedule({ name, participants, rotation_start, handoff_time, rotation_length_days }, { houseId: house.house_id });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const schedule = oncallService.createSchedule({
+        id: nanoid(),
+        house_id: house.house_id,
+        name,
+        participants,
+        rotation_start,
+        handoff_time,
+        rotation_length_days,
+        created_at: now,
+        updated_at: now
+      });
+
+      console.log(`[oncall] Created schedule "${name}" for ${house.house_id}`);
+      res.status(201).json(schedule);
+    } catch (error) {
+      console.error('[oncall] Create schedule error:', error);
+      res.status(500).json({ error: 'Failed to create schedule' });
+    }
+  });
+
+  // GET /api/v1/oncall-schedules/:id - Schedule with overrides and who is on call
+  router.get('/oncall-schedules/:id', authenticate, (req, res) => {
+    const schedule = loadSchedule(req, res);
+    if (!schedule) return;
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    res.json({
+      ...schedule,
+      overrides: oncallService.listOverrides(schedule.id),
+      on_call: oncallService.getOnCall(schedule.id, at).user
+    });
+  });
+
+  // PUT /api/v1/oncall-schedules/:id - Update a rotation
+  router.put('/oncall-schedules/:id', authenticate, canManage, (req, res) => {
+    const schedule = loadSchedule(req, res);
+    if (!schedule) return;
+
+    const { name, participants, rotation_start, handoff_time, rotation_length_days } = req.body || {};
+    const changes = Object.fromEntries(
+      Object.entries({ name, participants, rotation_start, handoff_time, rotation_length_days })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const details = oncallService.validateSchedule(changes, { partial: true, houseId: schedule.house_id });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const updated = oncallService.updateSchedule(schedule.id, { ...changes, updated_at: new Date().toISOString() });
+    res.json(updated);
+  });
+
+  // DELETE /api/v1/oncall-schedules/:id - Remove a rotation (and chain entries pointing at it)
+  router.delete('/oncall-schedules/:id', authenticate, canManage, (req, res) => {
+    const schedule = loadSchedule(req, res);
+    if (!schedule) return;
+
+    oncallService.deleteSchedule(schedule.id);
+    console.log(`[oncall] Deleted schedule ${schedule.id}`);
+    res.json({ success: true, message: 'Schedule deleted' });
+  });
+
+  // POST /api/v1/oncall-schedules/:id/overrides - Temporarily put someone else on call
+  router.post('/oncall-schedules/:id/overrides', authenticate, canManage, (req, res) => {
+    const schedule = loadSchedule(req, res);
+    if (!schedule) return;
+
+    const { user_id, starts_at, ends_at, reason = '' } = req.body || {};
+    const details = [];
+    if (!user_id) details.push('user_id is required');
+    else details.push(...oncallService.validateOnCallUser(user_id, schedule.house_id));
+    if (!starts_at || Number.isNaN(Date.parse(starts_at))) details.push('starts_at must be an ISO timestamp');
+    if (!ends_at || Number.isNaN(Date.parse(ends_at))) details.push('ends_at must be an ISO timestamp');
+    if (!details.length && Date.parse(ends_at) <= Date.parse(starts_at)) details.push('ends_at must be after starts_at');
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const override = oncallService.createOverride({
+      id: nanoid(),
+      schedule_id: schedule.id,
+      user_id,
+      starts_at: new Date(starts_at).toISOString(),
+      ends_at: new Date(ends_at).toISOString(),
+      reason,
+      created_by: req.user.user_id,
+      created_at: new Date().toISOString()
+    });
+
+    res.status(201).json(override);
+  });
+
+  // DELETE /api/v1/oncall-schedules/:id/overrides/:overrideId - Cancel an override
+  router.delete('/oncall-schedules/:id/overrides/:overrideId', authenticate, canManage, (req, res) => {
+    const schedule = loadSchedule(req, res);
+    if (!schedule) return;
+
+    if (!oncallService.deleteOverride(schedule.id, req.params.overrideId)) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    res.json({ success: true, message: 'Override removed' });
+  });
+
+  // ============ ESCALATION CHAIN ENDPOINTS ============
+
+  // GET /api/v1/houses/:id/escalation-chain - Who is paged at each level
+  router.get('/houses/:id/escalation-chain', authenticate, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const chain = oncallService.getChain(house.house_id);
+    const maxLevel = Math.max(...chain.levels.map(entry => entry.level));
+    const resolved = [];
+    for (let level = 0; level <= maxLevel; level++) {
+      resolved.push({ level, recipients: oncallService.resolveRecipients({ house_id: house.house_id }, level) });
+    }
+
+    res.json({ ...chain, resolved });
+  });
+
+  // PUT /api/v1/houses/:id/escalation-chain - Replace the chain
+  router.put('/houses/:id/escalation-chain', authenticate, canManage, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const { levels } = req.body || {};
+    const details = oncallService.validateChain(levels, house.house_id);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const chain = oncallService.setChain(house.house_id, levels, { newId: nanoid, now: new Date().toISOString() });
+      console.log(`[oncall] Escalation chain for ${house.house_id} updated by ${req.user.email}`);
+      res.json(chain);
+    } catch (error) {
+      console.error('[oncall] Set chain error:', error);
+      res.status(500).json({ error: 'Failed to update escalation chain' });
+    }
+  });
+
+  return router;
+}
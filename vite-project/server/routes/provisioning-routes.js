@@ -0,0 +1,162 @@
+/**
+ * Device Provisioning API Routes
+ * Claim tokens per house, the device-side claim exchange, and per-device API keys
+ */
+import express from 'express';
+import { canAccessDevice, canAccessHouse } from '../services/access-control.js';
+import { MAX_ROTATION_GRACE_MINUTES } from '../services/provisioning.js';
+
+export function createProvisioningRoutes(provisioning, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Rotation can be asked for by the device itself, with the key it is replacing
+  const deviceOrManager = (req, res, next) => (req.device ? next() : requireRole('ADMIN', 'OWNER')(req, res, next));
+
+  function actorOf(req) {
+    return req.device ? `device:${req.device.device_id}` : req.user.email;
+  }
+
+  function loadHouse(req, res) {
+    const house = provisioning.getHouse(req.params.id);
+    if (!house) {
+      res.status(404).json({ error: 'House not found' });
+      return null;
+    }
+    if (!canAccessHouse(req.scope, house.house_id)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return house;
+  }
+
+  // Resolve :id (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = provisioning.getDevice(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  // ============ CLAIM TOKENS ============
+
+  // POST /api/v1/houses/:id/claim-tokens - New claim token ({ expires_in_hours?, device_type?, note? }); the token is only returned here
+  router.post('/houses/:id/claim-tokens', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const details = provisioning.validateClaimToken(req.body || {});
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const token = provisioning.createClaimToken(house, req.body || {}, { actor: req.user.email, now: new Date().toISOString() });
+    console.log(`[provisioning] ${req.user.email} created claim token ${token.id} for ${house.house_id} (expires ${token.expires_at})`);
+    res.status(201).json(token);
+  });
+
+  // GET /api/v1/houses/:id/claim-tokens - Tokens created for the house, without their secrets
+  router.get('/houses/:id/claim-tokens', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const items = provisioning.listClaimTokens(house.house_id);
+    res.json({ items, count: items.length });
+  });
+
+  // DELETE /api/v1/claim-tokens/:tokenId - Revoke a token that hasn't been claimed yet
+  router.delete('/claim-tokens/:tokenId', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const token = provisioning.getClaimToken(req.params.tokenId);
+    if (!token) return res.status(404).json({ error: 'Claim token not found' });
+    if (!canAccessHouse(req.scope, token.house_id)) return res.status(403).json({ error: 'Access denied' });
+
+    if (!provisioning.revokeClaimToken(token.id, new Date().toISOString())) {
+      return res.status(409).json({ error: `Claim token is already ${token.status}` });
+    }
+    console.log(`[provisioning] ${req.user.email} revoked claim token ${token.id}`);
+    res.json(provisioning.getClaimToken(token.id));
+  });
+
+  // POST /api/v1/devices/claim - Device side: { claim_token, device_id?, type?, location?, firmware? } for its first API key
+  // No user login here; the claim token is the proof
+  router.post('/devices/claim', (req, res) => {
+    const { claim_token, device_id, type, location, firmware } = req.body || {};
+    const details = [];
+    if (!claim_token || typeof claim_token !== 'string') details.push('claim_token is required');
+    for (const [name, value] of Object.entries({ device_id, type, location, firmware })) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim() || value.length > 100)) {
+        details.push(`${name} must be a non-empty string`);
+      }
+    }
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const result = provisioning.claim(claim_token, { device_id, type, location, firmware }, new Date().toISOString());
+      if (result.error) return res.status(result.status).json({ error: result.error });
+
+      console.log(`[provisioning] ${result.device.device_id} ${result.created ? 'claimed' : 're-provisioned'} in ${result.device.house_id}`);
+      res.status(result.created ? 201 : 200).json({ device: result.device, credential: result.credential });
+    } catch (error) {
+      console.error('[provisioning] Claim error:', error);
+      res.status(500).json({ error: 'Failed to claim device' });
+    }
+  });
+
+  // ============ CREDENTIALS ============
+
+  // GET /api/v1/devices/:id/credentials - The device's API keys, without their secrets
+  router.get('/devices/:id/credentials', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const items = provisioning.listCredentials(device.device_id);
+    res.json({ device_id: device.device_id, items, count: items.length });
+  });
+
+  // POST /api/v1/devices/:id/credentials/rotate - New API key ({ grace_minutes? }); current keys keep working for the grace period
+  router.post('/devices/:id/credentials/rotate', authenticate, deviceOrManager, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const { grace_minutes } = req.body || {};
+    const graceMinutes = grace_minutes === undefined ? undefined : Number(grace_minutes);
+    if (graceMinutes !== undefined && (!Number.isFinite(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_ROTATION_GRACE_MINUTES)) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details: [`grace_minutes must be between 0 and ${MAX_ROTATION_GRACE_MINUTES}`] });
+    }
+
+    const credential = provisioning.rotate(device.device_id, { graceMinutes, actor: actorOf(req), now: new Date().toISOString() });
+    console.log(`[provisioning] ${actorOf(req)} rotated the API key of ${device.device_id}`);
+    res.status(201).json(credential);
+  });
+
+  // DELETE /api/v1/devices/:id/credentials/:credentialId - Revoke one API key now
+  router.delete('/devices/:id/credentials/:credentialId', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const credential = provisioning.revoke(device.device_id, req.params.credentialId, { actor: req.user.email, now: new Date().toISOString() });
+    if (!credential) return res.status(404).json({ error: 'Active credential not found' });
+
+    console.log(`[provisioning] ${req.user.email} revoked API key ${credential.id} of ${device.device_id}`);
+    res.json(credential);
+  });
+
+  // DELETE /api/v1/devices/:id/credentials - Revoke every API key of the device
+  router.delete('/devices/:id/credentials', authenticate, requireRole('ADMIN', 'OWNER'), (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const revoked = provisioning.revokeAll(device.device_id, { actor: req.user.email, now: new Date().toISOString() });
+    console.log(`[provisioning] ${req.user.email} revoked ${revoked} API key(s) of ${device.device_id}`);
+    res.json({ device_id: device.device_id, revoked });
+  });
+
+  return router;
+}
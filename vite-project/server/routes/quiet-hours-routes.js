@@ -0,0 +1,140 @@
+/**
+ * Quiet Hours API Routes
+ */
+import express from 'express';
+import { canAccessHouse } from '../services/access-control.js';
+
+export function createQuietHoursRoutes(quietHoursService, authenticate, requireRole) {
+  const router = express.Router();
+  const canManageHouse = requireRole('ADMIN', 'OWNER');
+
+  function loadHouse(req, res, houseId = req.params.id) {
+    const house = quietHoursService.getHouse(houseId);
+    if (!house) {
+      res.status(404).json({ error: 'House not found' });
+      return null;
+    }
+    if (!canAccessHouse(req.scope, house.house_id)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return house;
+  }
+
+  // Users manage their own windows; admins can manage anyone's. "me" means the caller.
+  function resolveUserId(req, res) {
+    const userId = req.params.id === 'me' ? req.user.user_id : req.params.id;
+    if (userId !== req.user.user_id && req.user.role !== 'ADMIN') {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return userId;
+  }
+
+  // Check the caller may change an existing window, whichever scope it belongs to
+  function loadWindow(req, res) {
+    const window = quietHoursService.getWindow(req.params.id);
+    if (!window) {
+      res.status(404).json({ error: 'Quiet hours window not found' });
+      return null;
+    }
+    if (window.scope === 'house') {
+      if (!['ADMIN', 'OWNER'].includes(req.user.role)) {
+        res.status(403).json({ error: 'Insufficient permissions' });
+        return null;
+      }
+      if (!loadHouse(req, res, window.scope_id)) return null;
+    } else if (window.scope_id !== req.user.user_id && req.user.role !== 'ADMIN') {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return window;
+  }
+
+  function createWindow(req, res, scope, scopeId) {
+    const { name, start_time, end_time, days = null, timezone = null, enabled = true } = req.body || {};
+    const details = quietHoursService.validateWindow({ start_time, end_time, days, timezone, enabled });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const window = quietHoursService.createWindow({
+      scope, scope_id: scopeId, name, start_time, end_time, days, timezone, enabled
+    });
+    console.log(`[quiet-hours] ${scope} ${scopeId}: ${start_time}-${end_time} set by ${req.user.email}`);
+    res.status(201).json(window);
+  }
+
+  // GET /api/v1/houses/:id/quiet-hours - House windows and whether quiet hours are on now
+  router.get('/houses/:id/quiet-hours', authenticate, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+
+    const until = quietHoursService.houseQuietUntil(house.house_id);
+    res.json({
+      items: quietHoursService.listWindows('house', house.house_id),
+      timezone: house.timezone,
+      active: Boolean(until),
+      active_until: until ? until.toISOString() : null
+    });
+  });
+
+  // POST /api/v1/houses/:id/quiet-hours - Add a window (a disabled window switches the 22:00-06:00 default off)
+  router.post('/houses/:id/quiet-hours', authenticate, canManageHouse, (req, res) => {
+    const house = loadHouse(req, res);
+    if (!house) return;
+    createWindow(req, res, 'house', house.house_id);
+  });
+
+  // GET /api/v1/users/:id/quiet-hours - A user's personal do-not-disturb windows
+  router.get('/users/:id/quiet-hours', authenticate, (req, res) => {
+    const userId = resolveUserId(req, res);
+    if (!userId) return;
+
+    const items = quietHoursService.listWindows('user', userId);
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/users/:id/quiet-hours - Add a personal window
+  router.post('/users/:id/quiet-hours', authenticate, (req, res) => {
+    const userId = resolveUserId(req, res);
+    if (!userId) return;
+    createWindow(req, res, 'user', userId);
+  });
+
+  // PUT /api/v1/quiet-hours/:id - Update a window
+  router.put('/quiet-hours/:id', authenticate, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+
+    const { name, start_time, end_time, days, timezone, enabled } = req.body || {};
+    const changes = Object.fromEntries(
+      Object.entries({ name, start_time, end_time, days, timezone, enabled }).filter(([, value]) => value !== undefined)
+    );
+
+    const details = quietHoursService.validateWindow(changes, { partial: true });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    res.json(quietHoursService.updateWindow(window.id, changes));
+  });
+
+  // DELETE /api/v1/quiet-hours/:id - Remove a window
+  router.delete('/quiet-hours/:id', authenticate, (req, res) => {
+    const window = loadWindow(req, res);
+    if (!window) return;
+
+    quietHoursService.deleteWindow(window.id);
+    res.json({ success: true, message: 'Quiet hours window removed' });
+  });
+
+  // GET /api/v1/notifications/held - Notifications waiting for quiet hours to end
+  router.get('/notifications/held', authenticate, (req, res) => {
+    const user_id = req.user.role === 'ADMIN' ? req.query.user_id : req.user.user_id;
+    const items = quietHoursService.listHolds({ user_id, limit: Math.min(parseInt(req.query.limit) || 100, 500) });
+    res.json({ items, count: items.length });
+  });
+
+  return router;
+}
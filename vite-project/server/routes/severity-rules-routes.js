@@ -0,0 +1,106 @@
+/**
+ * Severity Rules API Routes
+ */
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { DEFAULT_RULES, validateRules } from '../services/severity-rules.js';
+import { requireTenantAccess, requireTenantAdmin } from '../services/access-control.js';
+
+export function createSeverityRulesRoutes(severityRules, authenticate, requireRole) {
+  const router = express.Router();
+  const canManage = requireRole('ADMIN');
+
+  // GET /api/v1/severity-rules/defaults - Built-in rules every tenant falls back to
+  router.get('/severity-rules/defaults', authenticate, (req, res) => {
+    res.json({ rules: DEFAULT_RULES });
+  });
+
+  // GET /api/v1/tenants/:id/severity-rules - Active rule set (tenant rules run before the defaults)
+  router.get('/tenants/:id/severity-rules', authenticate, requireTenantAccess, (req, res) => {
+    const active = severityRules.getActive(req.params.id);
+    res.json({
+      tenant_id: req.params.id,
+      active,
+      is_default: !active,
+      defaults: DEFAULT_RULES
+    });
+  });
+
+  // POST /api/v1/tenants/:id/severity-rules - Save a new version (active unless activate=false)
+  router.post('/tenants/:id/severity-rules', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const { rules, notes = '', activate = true } = req.body || {};
+    const details = validateRules(rules);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const ruleSet = severityRules.createVersion(req.params.id, {
+        id: nanoid(),
+        rules,
+        notes,
+        created_by: req.user.email,
+        activate: activate !== false
+      }, new Date().toISOString());
+
+      console.log(`[rules] ${req.params.id} v${ruleSet.version} saved by ${req.user.email}${ruleSet.active ? ' (active)' : ''}`);
+      res.status(201).json(ruleSet);
+    } catch (error) {
+      console.error('[rules] Save rule set error:', error);
+      res.status(500).json({ error: 'Failed to save rule set' });
+    }
+  });
+
+  // GET /api/v1/tenants/:id/severity-rules/versions - Version history
+  router.get('/tenants/:id/severity-rules/versions', authenticate, requireTenantAccess, (req, res) => {
+    const items = severityRules.listVersions(req.params.id);
+    res.json({ items, count: items.length });
+  });
+
+  // GET /api/v1/tenants/:id/severity-rules/versions/:version - One version
+  router.get('/tenants/:id/severity-rules/versions/:version', authenticate, requireTenantAccess, (req, res) => {
+    const ruleSet = severityRules.getVersion(req.params.id, parseInt(req.params.version));
+    if (!ruleSet) return res.status(404).json({ error: 'Rule set version not found' });
+    res.json(ruleSet);
+  });
+
+  // POST /api/v1/tenants/:id/severity-rules/versions/:version/activate - Switch to (or roll back to) a version
+  router.post('/tenants/:id/severity-rules/versions/:version/activate', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const ruleSet = severityRules.activateVersion(req.params.id, parseInt(req.params.version), new Date().toISOString());
+    if (!ruleSet) return res.status(404).json({ error: 'Rule set version not found' });
+
+    console.log(`[rules] ${req.params.id} v${ruleSet.version} activated by ${req.user.email}`);
+    res.json(ruleSet);
+  });
+
+  // POST /api/v1/tenants/:id/severity-rules/dry-run - Replay past alerts through candidate rules
+  router.post('/tenants/:id/severity-rules/dry-run', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const { rules, version, since, until, limit = 500 } = req.body || {};
+
+    let candidate = rules;
+    if (candidate === undefined && version !== undefined) {
+      const ruleSet = severityRules.getVersion(req.params.id, version);
+      if (!ruleSet) return res.status(404).json({ error: 'Rule set version not found' });
+      candidate = ruleSet.rules;
+    }
+
+    const details = validateRules(candidate);
+    if (since && Number.isNaN(Date.parse(since))) details.push('since must be an ISO timestamp');
+    if (until && Number.isNaN(Date.parse(until))) details.push('until must be an ISO timestamp');
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const report = severityRules.dryRun(req.params.id, candidate, {
+        since, until, limit: Math.min(parseInt(limit) || 500, 5000)
+      });
+      res.json(report);
+    } catch (error) {
+      console.error('[rules] Dry run error:', error);
+      res.status(500).json({ error: 'Dry run failed' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,102 @@
+/**
+ * Device Telemetry API Routes
+ */
+import express from 'express';
+import { RESOLUTIONS } from '../services/telemetry.js';
+import { canAccessDevice } from '../services/access-control.js';
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+export function createTelemetryRoutes(telemetryService, authenticate, requireRole) {
+  const router = express.Router();
+
+  // Resolve :id (row id or device_id) to a device the caller can see
+  function loadDevice(req, res) {
+    const device = telemetryService.getDevice(req.params.id);
+    if (!device) {
+      res.status(404).json({ error: 'Device not found' });
+      return null;
+    }
+    if (!canAccessDevice(req.scope, device)) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+    return device;
+  }
+
+  // POST /api/v1/devices/:id/metrics - Record one sample ({ timestamp?, metrics: { name: number } })
+  router.post('/devices/:id/metrics', authenticate, (req, res) => {
+    const { timestamp, metrics } = req.body || {};
+
+    const details = telemetryService.validate(metrics, timestamp);
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    try {
+      const ts = timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+      const stored = telemetryService.record(device, metrics, ts);
+      res.json({
+        success: true,
+        message: 'Metrics recorded',
+        device_id: device.device_id,
+        timestamp: ts,
+        stored
+      });
+    } catch (error) {
+      console.error('[telemetry] Record error:', error);
+      res.status(500).json({ error: 'Failed to record metrics' });
+    }
+  });
+
+  // GET /api/v1/devices/:id/metrics - Metrics a device reports, with their latest values
+  router.get('/devices/:id/metrics', authenticate, (req, res) => {
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const items = telemetryService.listMetrics(device.device_id);
+    res.json({ device_id: device.device_id, items, count: items.length });
+  });
+
+  // GET /api/v1/devices/:id/metrics/:metric - Series over ?from&to (default last 24h) at ?resolution (default auto)
+  router.get('/devices/:id/metrics/:metric', authenticate, (req, res) => {
+    const { from, to, resolution = 'auto' } = req.query;
+    const toMs = to ? Date.parse(to) : Date.now();
+    const fromMs = from ? Date.parse(from) : toMs - DEFAULT_RANGE_MS;
+
+    const details = [];
+    if (Number.isNaN(fromMs)) details.push('from must be an ISO timestamp');
+    if (Number.isNaN(toMs)) details.push('to must be an ISO timestamp');
+    if (!details.length && fromMs >= toMs) details.push('from must be before to');
+    if (resolution !== 'auto' && !RESOLUTIONS[resolution]) {
+      details.push(`resolution must be one of: auto, ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const device = loadDevice(req, res);
+    if (!device) return;
+
+    const series = telemetryService.query(device.device_id, req.params.metric, { from: fromMs, to: toMs, resolution });
+    res.json({
+      device_id: device.device_id,
+      metric: req.params.metric,
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      resolution: series.resolution,
+      points: series.points,
+      count: series.points.length
+    });
+  });
+
+  // GET /api/v1/telemetry/stats - Stored rows and retention per resolution
+  router.get('/telemetry/stats', authenticate, requireRole('ADMIN'), (req, res) => {
+    res.json({ resolutions: telemetryService.stats() });
+  });
+
+  return router;
+}
@@ -0,0 +1,128 @@
+/**
+ * Tenant Webhook API Routes
+ */
+import express from 'express';
+import { WEBHOOK_EVENTS } from '../services/webhooks.js';
+import { requireTenantAdmin } from '../services/access-control.js';
+
+// Secrets are only shown when created or rotated
+function toPublic(endpoint, { includeSecret = false } = {}) {
+  const { secret, ...rest } = endpoint;
+  return includeSecret ? endpoint : { ...rest, secret_hint: `${secret.slice(0, 10)}…` };
+}
+
+export function createWebhookRoutes(webhookService, authenticate, requireRole) {
+  const router = express.Router();
+  const canManage = requireRole('ADMIN');
+
+  function loadEndpoint(req, res) {
+    const endpoint = webhookService.getEndpoint(req.params.id, req.params.webhookId);
+    if (!endpoint) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return null;
+    }
+    return endpoint;
+  }
+
+  // GET /api/v1/webhooks/events - Events that can be subscribed to
+  router.get('/webhooks/events', authenticate, (req, res) => {
+    res.json({ items: WEBHOOK_EVENTS });
+  });
+
+  // GET /api/v1/tenants/:id/webhooks - List a tenant's endpoints
+  router.get('/tenants/:id/webhooks', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const items = webhookService.listEndpoints(req.params.id).map(endpoint => toPublic(endpoint));
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/tenants/:id/webhooks - Register an endpoint (response includes the signing secret)
+  router.post('/tenants/:id/webhooks', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const { url, events, description } = req.body || {};
+    const details = webhookService.validateEndpoint({ url, events });
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    try {
+      const endpoint = webhookService.createEndpoint(req.params.id, { url, events, description });
+      console.log(`[webhook] Registered ${url} for ${req.params.id} (${events.join(', ')})`);
+      res.status(201).json(toPublic(endpoint, { includeSecret: true }));
+    } catch (error) {
+      console.error('[webhook] Create endpoint error:', error);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  // GET /api/v1/tenants/:id/webhooks/:webhookId - Endpoint details
+  router.get('/tenants/:id/webhooks/:webhookId', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+    res.json(toPublic(endpoint));
+  });
+
+  // PUT /api/v1/tenants/:id/webhooks/:webhookId - Change url, events, description or enabled
+  router.put('/tenants/:id/webhooks/:webhookId', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { url, events, description, enabled } = req.body || {};
+    const details = webhookService.validateEndpoint({ url, events }, { partial: true });
+    if (enabled !== undefined && typeof enabled !== 'boolean') details.push('enabled must be a boolean');
+    if (details.length) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', details });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries({ url, events, description, enabled }).filter(([, value]) => value !== undefined)
+    );
+    const updated = webhookService.updateEndpoint(req.params.id, endpoint.id, changes);
+    res.json(toPublic(updated));
+  });
+
+  // DELETE /api/v1/tenants/:id/webhooks/:webhookId - Remove an endpoint and its delivery log
+  router.delete('/tenants/:id/webhooks/:webhookId', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    webhookService.deleteEndpoint(req.params.id, endpoint.id);
+    console.log(`[webhook] Deleted ${endpoint.id} (${endpoint.url})`);
+    res.json({ success: true, message: 'Webhook deleted' });
+  });
+
+  // POST /api/v1/tenants/:id/webhooks/:webhookId/rotate-secret - Issue a new signing secret
+  router.post('/tenants/:id/webhooks/:webhookId/rotate-secret', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const updated = webhookService.rotateSecret(req.params.id, endpoint.id);
+    console.log(`[webhook] Secret rotated for ${endpoint.id} by ${req.user.email}`);
+    res.json(toPublic(updated, { includeSecret: true }));
+  });
+
+  // GET /api/v1/tenants/:id/webhooks/:webhookId/deliveries - Delivery log with response codes
+  router.get('/tenants/:id/webhooks/:webhookId/deliveries', authenticate, canManage, requireTenantAdmin, (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const items = webhookService.listDeliveries(endpoint.id, { limit });
+    res.json({ items, count: items.length });
+  });
+
+  // POST /api/v1/tenants/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send a logged delivery again
+  router.post('/tenants/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticate, canManage, requireTenantAdmin, async (req, res) => {
+    const endpoint = loadEndpoint(req, res);
+    if (!endpoint) return;
+
+    try {
+      const delivery = await webhookService.redeliver(endpoint, req.params.deliveryId);
+      if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+      res.json(delivery);
+    } catch (error) {
+      console.error('[webhook] Redeliver error:', error);
+      res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+  });
+
+  return router;
+}
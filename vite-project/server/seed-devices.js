@@ -6,7 +6,8 @@ const db = new Database('data.db');
 const seedDevices = [
   {
     device_id: 'DEV-LR-001',
-    tenant: 'Johnson Residence (T-001)',
+    tenant: 'T-001',
+    house_id: 'T-001',
     location: 'Living Room',
     type: 'Audio Sensor',
     status: 'online',
@@ -15,7 +16,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-BED-002',
-    tenant: 'Johnson Residence (T-001)',
+    tenant: 'T-001',
+    house_id: 'T-001',
     location: 'Bedroom',
     type: 'Video Camera',
     status: 'online',
@@ -24,7 +26,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-KIT-003',
-    tenant: 'Johnson Residence (T-001)',
+    tenant: 'T-001',
+    house_id: 'T-001',
     location: 'Kitchen',
     type: 'Audio/Motion',
     status: 'offline',
@@ -33,7 +36,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-GV-104',
-    tenant: 'Green Valley Senior (T-002)',
+    tenant: 'T-002',
+    house_id: 'T-002',
     location: 'Common Area',
     type: 'Multi-Sensor',
     status: 'online',
@@ -42,7 +46,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-GV-105',
-    tenant: 'Green Valley Senior (T-002)',
+    tenant: 'T-002',
+    house_id: 'T-002',
     location: 'Room 101',
     type: 'Audio Sensor',
     status: 'warning',
@@ -51,7 +56,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-SR-201',
-    tenant: 'Sunrise Assisted (T-003)',
+    tenant: 'T-003',
+    house_id: 'T-003',
     location: 'Building A',
     type: 'Video Camera',
     status: 'online',
@@ -60,7 +66,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-SR-202',
-    tenant: 'Sunrise Assisted (T-003)',
+    tenant: 'T-003',
+    house_id: 'T-003',
     location: 'Building B',
     type: 'Multi-Sensor',
     status: 'online',
@@ -69,7 +76,8 @@ const seedDevices = [
   },
   {
     device_id: 'DEV-OT-301',
-    tenant: 'Oak Tree Manor (T-004)',
+    tenant: 'T-004',
+    house_id: 'T-004',
     location: 'Main Hall',
     type: 'Audio Sensor',
     status: 'offline',
@@ -79,8 +87,8 @@ const seedDevices = [
 ];
 
 const insertDevice = db.prepare(`
-  INSERT OR IGNORE INTO devices (id, device_id, tenant, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
-  VALUES (@id, @device_id, @tenant, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
+  INSERT OR IGNORE INTO devices (id, device_id, tenant, house_id, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
+  VALUES (@id, @device_id, @tenant, @house_id, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
 `);
 
 const now = new Date().toISOString();
@@ -90,6 +98,7 @@ seedDevices.forEach(device => {
     id: nanoid(),
     device_id: device.device_id,
     tenant: device.tenant,
+    house_id: device.house_id,
     location: device.location,
     type: device.type,
     status: device.status,
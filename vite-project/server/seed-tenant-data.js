@@ -51,6 +51,8 @@ tenants.forEach((tenant, index) => {
       id: nanoid(),
       device_id: deviceId,
       tenant: tenant.tenant_id,
+      // seed-tenants.js gives each tenant one house, under the tenant's id
+      house_id: tenant.tenant_id,
       location,
       type: deviceType,
       status: Math.random() > 0.1 ? 'online' : 'offline',
@@ -63,8 +65,8 @@ tenants.forEach((tenant, index) => {
     };
     
     db.prepare(`
-      INSERT INTO devices (id, device_id, tenant, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
-      VALUES (@id, @device_id, @tenant, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
+      INSERT INTO devices (id, device_id, tenant, house_id, location, type, status, heartbeat, firmware, config, last_seen, created_at, updated_at)
+      VALUES (@id, @device_id, @tenant, @house_id, @location, @type, @status, @heartbeat, @firmware, @config, @last_seen, @created_at, @updated_at)
     `).run(device);
     
     tenantDevices.push(device);
@@ -83,5 +83,33 @@ tenants.forEach(tenant => {
   console.log(`✓ Created tenant: ${tenant.tenant_id} - ${tenant.name}`);
 });
 
+// One residence per demo tenant. Its house_id is the tenant id, which is what
+// seed-tenant-data.js and seed-devices.js file alerts and devices under.
+const hasHouses = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'houses'").get();
+const demoOwner = hasHouses && db.prepare("SELECT id FROM users WHERE email = 'owner@example.com'").get();
+const admin = hasHouses && db.prepare("SELECT id FROM users WHERE role = 'ADMIN' ORDER BY created_at LIMIT 1").get();
+
+if (!demoOwner || !admin) {
+  console.log('\n⚠️  No users yet; start the server once, then re-run this script to create the tenants\' houses.');
+} else {
+  const insertHouse = db.prepare(`
+    INSERT INTO houses (id, house_id, owner_id, tenant_id, address, timezone, created_at)
+    VALUES (@id, @house_id, @owner_id, @tenant_id, @address, 'America/Los_Angeles', @created_at)
+    ON CONFLICT(house_id) DO UPDATE SET tenant_id = excluded.tenant_id
+  `);
+  tenants.forEach(tenant => {
+    insertHouse.run({
+      id: nanoid(),
+      house_id: tenant.tenant_id,
+      // The demo owner's residence; the facilities are run by staff
+      owner_id: tenant.tenant_id === 'T-001' ? demoOwner.id : admin.id,
+      tenant_id: tenant.tenant_id,
+      address: tenant.name,
+      created_at: nowISO()
+    });
+    console.log(`✓ Created house: ${tenant.tenant_id} (${tenant.name})`);
+  });
+}
+
 console.log(`\n✅ Seeded ${tenants.length} tenants successfully!`);
 db.close();
@@ -0,0 +1,270 @@
+/**
+ * Access Control
+ * The one place that decides which houses and tenants a caller can reach.
+ * Every authenticated request gets a `req.scope` built from its JWT:
+ *
+ *   ADMIN, STAFF  every house and tenant
+ *   OWNER         houses they own, and the tenants those houses belong to
+ *   CAREGIVER     houses they are assigned to, and those houses' tenants
+ *
+ * STAFF is fleet staff (support, technicians, firmware, labeling) and is
+ * not assigned to houses, so it is unrestricted like ADMIN; role checks on
+ * individual routes still keep it out of admin-only actions.
+ *
+ * Routes check single records with canAccessHouse / canAccessTenant /
+ * canAccessAlert / canAccessDevice, and narrow list queries with scopeFilter.
+ * Tenant-wide settings can be read by anyone in the tenant, but a tenant
+ * can span houses of several owners, so only unrestricted callers change
+ * them (requireTenantAdmin).
+ */
+
+const UNRESTRICTED_ROLES = ['ADMIN', 'STAFF'];
+
+export class AccessControl {
+  /**
+   * @param {object} db - better-sqlite3 database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS house_assignments (
+        id TEXT PRIMARY KEY,
+        house_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        assigned_by TEXT,
+        created_at TEXT,
+        UNIQUE (house_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_house_assignments_user ON house_assignments (user_id);
+    `);
+
+    // Older data.db files predate house tenancy and device placement
+    const houseColumns = this.db.prepare('PRAGMA table_info(houses)').all().map(column => column.name);
+    if (!houseColumns.includes('tenant_id')) this.db.exec('ALTER TABLE houses ADD COLUMN tenant_id TEXT');
+    const deviceColumns = this.db.prepare('PRAGMA table_info(devices)').all().map(column => column.name);
+    if (!deviceColumns.includes('house_id')) this.db.exec('ALTER TABLE devices ADD COLUMN house_id TEXT');
+    this.backfillTenancy();
+
+    this.selectOwnedHouses = this.db.prepare('SELECT id, house_id, tenant_id FROM houses WHERE owner_id = ?');
+    this.selectAssignedHouses = this.db.prepare(`
+      SELECT h.id, h.house_id, h.tenant_id FROM house_assignments ha
+      JOIN houses h ON h.house_id = ha.house_id
+      WHERE ha.user_id = ?
+    `);
+  }
+
+  /**
+   * Fill in tenancy that older rows are missing, so owners and caregivers
+   * don't lose sight of their fleet. Safe to run on every start; only
+   * touches rows still missing a value.
+   *
+   *   devices.tenant    "Johnson Residence (T-001)" becomes "T-001"
+   *   houses.tenant_id  the tenant most of the house's alerts, or else its
+   *                     devices, belong to
+   *   devices.house_id  the house the device's alerts were raised in, or the
+   *                     tenant's only house
+   * @returns {{ devices_retagged: number, houses: number, devices: number }} rows changed
+   */
+  backfillTenancy() {
+    const tableExists = name => Boolean(this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+    const changed = { devices_retagged: 0, houses: 0, devices: 0 };
+
+    const run = this.db.transaction(() => {
+      // Older seeds stored the tenant's display name with its id in brackets
+      for (const device of this.db.prepare("SELECT id, tenant FROM devices WHERE tenant LIKE '%(%)'").all()) {
+        const match = device.tenant.match(/\(([^()]+)\)\s*$/);
+        if (!match) continue;
+        this.db.prepare('UPDATE devices SET tenant = ? WHERE id = ?').run(match[1], device.id);
+        changed.devices_retagged++;
+      }
+      if (tableExists('tenants')) {
+        changed.devices_retagged += this.db.prepare(`
+          UPDATE devices SET tenant = (SELECT t.tenant_id FROM tenants t WHERE t.name = devices.tenant)
+          WHERE tenant IN (SELECT name FROM tenants WHERE tenant_id IS NOT NULL)
+        `).run().changes;
+      }
+
+      const alertTenant = tableExists('alerts') ? this.db.prepare(`
+        SELECT tenant_id FROM alerts
+        WHERE house_id IN (?, ?) AND tenant_id IS NOT NULL AND tenant_id != 'SYSTEM'
+        GROUP BY tenant_id ORDER BY COUNT(*) DESC LIMIT 1
+      `) : null;
+      const deviceTenant = this.db.prepare(`
+        SELECT tenant FROM devices WHERE house_id IN (?, ?) AND tenant IS NOT NULL
+        GROUP BY tenant ORDER BY COUNT(*) DESC LIMIT 1
+      `);
+      for (const house of this.db.prepare('SELECT id, house_id FROM houses WHERE tenant_id IS NULL').all()) {
+        const row = (alertTenant && alertTenant.get(house.id, house.house_id)) || deviceTenant.get(house.id, house.house_id);
+        const tenantId = row && (row.tenant_id || row.tenant);
+        if (!tenantId) continue;
+        this.db.prepare('UPDATE houses SET tenant_id = ? WHERE id = ?').run(tenantId, house.id);
+        changed.houses++;
+      }
+
+      const alertHouse = tableExists('alerts') ? this.db.prepare(`
+        SELECT h.house_id FROM alerts a JOIN houses h ON a.house_id IN (h.id, h.house_id)
+        WHERE a.device_id = ? AND (h.tenant_id = ? OR h.tenant_id IS NULL)
+        GROUP BY h.house_id ORDER BY COUNT(*) DESC LIMIT 1
+      `) : null;
+      const tenantHouses = this.db.prepare('SELECT house_id FROM houses WHERE tenant_id = ? LIMIT 2');
+      for (const device of this.db.prepare('SELECT id, device_id, tenant FROM devices WHERE house_id IS NULL').all()) {
+        let houseId = alertHouse && alertHouse.get(device.device_id, device.tenant)?.house_id;
+        if (!houseId && device.tenant) {
+          const houses = tenantHouses.all(device.tenant);
+          if (houses.length === 1) houseId = houses[0].house_id;
+        }
+        if (!houseId) continue;
+        this.db.prepare('UPDATE devices SET house_id = ? WHERE id = ?').run(houseId, device.id);
+        changed.devices++;
+      }
+    });
+    run();
+
+    if (changed.devices_retagged || changed.houses || changed.devices) {
+      console.log(`[access] Backfilled tenancy: ${changed.houses} houses, ${changed.devices} devices placed, ${changed.devices_retagged} device tenants normalized`);
+    }
+    return changed;
+  }
+
+  /**
+   * Houses and tenants a user may see
+   * @param {object} user - decoded JWT (`req.user`)
+   * @returns {{ all: boolean, houseIds: Set<string>, tenantIds: Set<string> }}
+   */
+  scopeFor(user) {
+    const scope = { all: false, houseIds: new Set(), tenantIds: new Set() };
+    if (!user) return scope;
+    if (UNRESTRICTED_ROLES.includes(user.role)) return { ...scope, all: true };
+
+    const houses = user.role === 'OWNER'
+      ? this.selectOwnedHouses.all(user.user_id)
+      : user.role === 'CAREGIVER' ? this.selectAssignedHouses.all(user.user_id) : [];
+
+    // Alerts and devices refer to houses by either id, so both count
+    for (const house of houses) {
+      scope.houseIds.add(house.id);
+      scope.houseIds.add(house.house_id);
+      if (house.tenant_id) scope.tenantIds.add(house.tenant_id);
+    }
+    return scope;
+  }
+
+  /**
+   * A device signed in with its own API key sees only its own house (or tenant, when it has no house)
+   */
+  scopeForDevice(device) {
+    return {
+      all: false,
+      houseIds: new Set(device.house_id ? [device.house_id] : []),
+      tenantIds: new Set(device.house_id ? [] : [device.tenant])
+    };
+  }
+
+  /**
+   * Express middleware, runs after `authenticate`
+   */
+  attachScope(req, res, next) {
+    req.scope = this.scopeFor(req.user);
+    next();
+  }
+
+  getHouse(houseId) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(houseId, houseId);
+  }
+
+  // ============ CAREGIVER ASSIGNMENTS ============
+
+  listAssignments(houseId) {
+    return this.db.prepare(`
+      SELECT ha.*, u.name, u.email, u.role FROM house_assignments ha
+      JOIN users u ON u.id = ha.user_id
+      WHERE ha.house_id = ?
+      ORDER BY ha.created_at ASC
+    `).all(houseId);
+  }
+
+  /**
+   * @returns {object|null} the assignment, or null if the user was already assigned
+   */
+  assign(houseId, userId, { id, assignedBy, now }) {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO house_assignments (id, house_id, user_id, assigned_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, houseId, userId, assignedBy, now);
+    if (result.changes === 0) return null;
+    return this.db.prepare('SELECT * FROM house_assignments WHERE id = ?').get(id);
+  }
+
+  unassign(houseId, userId) {
+    return this.db.prepare('DELETE FROM house_assignments WHERE house_id = ? AND user_id = ?')
+      .run(houseId, userId).changes > 0;
+  }
+}
+
+// ============ CHECKS ============
+
+export function canAccessHouse(scope, houseId) {
+  return Boolean(scope && (scope.all || scope.houseIds.has(houseId)));
+}
+
+export function canAccessTenant(scope, tenantId) {
+  return Boolean(scope && (scope.all || scope.tenantIds.has(tenantId)));
+}
+
+export function canAccessAlert(scope, alert) {
+  return canAccessHouse(scope, alert.house_id);
+}
+
+// Devices not yet placed in a house belong to their tenant
+export function canAccessDevice(scope, device) {
+  if (device.house_id) return canAccessHouse(scope, device.house_id);
+  return canAccessTenant(scope, device.tenant);
+}
+
+/**
+ * Express middleware for tenant-level settings; `:id` is the tenant id
+ */
+export function requireTenantAccess(req, res, next) {
+  if (!canAccessTenant(req.scope, req.params.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+}
+
+/**
+ * Express middleware for changing tenant-level settings (severity rules,
+ * escalation policies, webhooks, alert model mode); `:id` is the tenant id.
+ * Settings there page every house in the tenant, so owners of one house can't.
+ */
+export function requireTenantAdmin(req, res, next) {
+  if (!req.scope || !req.scope.all) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+}
+
+/**
+ * SQL condition limiting rows to the caller's scope
+ * @param {object} scope - `req.scope`
+ * @param {object} [columns]
+ * @param {string} [columns.house] - house column (default `house_id`)
+ * @param {string} [columns.tenant] - tenant column, matched only for rows without a house
+ * @returns {{ sql: string, params: string[] }}
+ */
+export function scopeFilter(scope, { house = 'house_id', tenant = null } = {}) {
+  if (scope && scope.all) return { sql: '1=1', params: [] };
+
+  const houseIds = scope ? [...scope.houseIds] : [];
+  const tenantIds = scope && tenant ? [...scope.tenantIds] : [];
+  const conditions = [];
+  if (houseIds.length) conditions.push(`${house} IN (${houseIds.map(() => '?').join(', ')})`);
+  if (tenantIds.length) conditions.push(`(${house} IS NULL AND ${tenant} IN (${tenantIds.map(() => '?').join(', ')}))`);
+  if (!conditions.length) return { sql: '0=1', params: [] };
+
+  return { sql: `(${conditions.join(' OR ')})`, params: [...houseIds, ...tenantIds] };
+}
+
+export default AccessControl;
@@ -0,0 +1,291 @@
+/**
+ * Alert Classifier
+ * Runs the alert classification model (see ml/MLModuleManager.js) on every
+ * ingested alert. Each tenant picks how much the model is trusted:
+ *
+ *   rules   severity rules decide; the model is not called (default)
+ *   model   the model decides when it answers in time with enough confidence,
+ *           otherwise the severity rules do
+ *   shadow  the severity rules decide; the model runs once the alert is
+ *           stored and its answer is recorded
+ *
+ * Every model call is stored in ml_inference next to the alert it was made
+ * for, including calls that failed or timed out, so the model can be judged
+ * against what the rules decided before a tenant switches it on.
+ */
+import { nanoid } from 'nanoid';
+import { getZonedParts } from './timezone.js';
+import { SEVERITIES } from './severity-rules.js';
+
+export const MODES = ['rules', 'model', 'shadow'];
+export const DEFAULT_MODEL_ID = 'alert-classification';
+
+const DEFAULT_SETTINGS = {
+  mode: 'rules',
+  model_id: DEFAULT_MODEL_ID,
+  min_confidence: 0.6,
+  timeout_ms: 250
+};
+// Ingest waits for the model; anything slower than this is not worth waiting for
+const MAX_TIMEOUT_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ml_inference predates model-driven severity
+const INFERENCE_COLUMNS = {
+  mode: 'TEXT',
+  model_version: 'TEXT',
+  predicted_type: 'TEXT',
+  rule_severity: 'TEXT',
+  applied: 'INTEGER NOT NULL DEFAULT 0',
+  latency_ms: 'INTEGER',
+  error: 'TEXT',
+  // prediction_logs entry in the ML module, where ground truth is recorded
+  prediction_id: 'TEXT'
+};
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Model did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class AlertClassifier {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.getPredictionService - () => PredictionService, or null while the ML module is down
+   * @param {Function} options.isQuietHours - (houseId, at) => boolean
+   */
+  constructor(db, { getPredictionService, isQuietHours }) {
+    this.db = db;
+    this.getPredictionService = getPredictionService;
+    this.isQuietHours = isQuietHours;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_model_settings (
+        tenant_id TEXT PRIMARY KEY,
+        mode TEXT NOT NULL,
+        model_id TEXT NOT NULL,
+        min_confidence REAL NOT NULL,
+        timeout_ms INTEGER NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_ml_inference_alert ON ml_inference(alert_id);
+    `);
+
+    const columns = this.db.prepare('PRAGMA table_info(ml_inference)').all().map(column => column.name);
+    for (const [name, type] of Object.entries(INFERENCE_COLUMNS)) {
+      if (!columns.includes(name)) this.db.exec(`ALTER TABLE ml_inference ADD COLUMN ${name} ${type}`);
+    }
+
+    this.selectSettings = this.db.prepare('SELECT * FROM alert_model_settings WHERE tenant_id = ?');
+    this.insertInference = this.db.prepare(`
+      INSERT INTO ml_inference (
+        id, alert_id, device_id, ts, model_name, model_version, prediction_id, score, label, predicted_type,
+        rule_severity, mode, applied, latency_ms, error, window_uri, features, created_at
+      ) VALUES (
+        @id, @alert_id, @device_id, @ts, @model_name, @model_version, @prediction_id, @score, @label, @predicted_type,
+        @rule_severity, @mode, @applied, @latency_ms, @error, NULL, @features, @created_at
+      )
+    `);
+  }
+
+  // ============ SETTINGS ============
+
+  getSettings(tenantId) {
+    const row = this.selectSettings.get(tenantId);
+    return { tenant_id: tenantId, ...DEFAULT_SETTINGS, ...(row || {}), is_default: !row };
+  }
+
+  validateSettings(body) {
+    const details = [];
+    if (body.mode !== undefined && !MODES.includes(body.mode)) {
+      details.push(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (body.model_id !== undefined && (typeof body.model_id !== 'string' || !body.model_id.trim())) {
+      details.push('model_id must be a model ID');
+    }
+    if (body.min_confidence !== undefined &&
+        (typeof body.min_confidence !== 'number' || body.min_confidence < 0 || body.min_confidence > 1)) {
+      details.push('min_confidence must be a number from 0 to 1');
+    }
+    if (body.timeout_ms !== undefined &&
+        (!Number.isInteger(body.timeout_ms) || body.timeout_ms < 10 || body.timeout_ms > MAX_TIMEOUT_MS)) {
+      details.push(`timeout_ms must be a whole number from 10 to ${MAX_TIMEOUT_MS}`);
+    }
+    return details;
+  }
+
+  /**
+   * Change any of { mode, model_id, min_confidence, timeout_ms } for a tenant
+   */
+  updateSettings(tenantId, changes, { actor = null } = {}) {
+    const next = { ...this.getSettings(tenantId), ...changes };
+    this.db.prepare(`
+      INSERT INTO alert_model_settings (tenant_id, mode, model_id, min_confidence, timeout_ms, updated_by, updated_at)
+      VALUES (@tenant_id, @mode, @model_id, @min_confidence, @timeout_ms, @updated_by, @updated_at)
+      ON CONFLICT(tenant_id) DO UPDATE SET
+        mode = excluded.mode, model_id = excluded.model_id, min_confidence = excluded.min_confidence,
+        timeout_ms = excluded.timeout_ms, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+    `).run({ ...next, model_id: next.model_id.trim(), updated_by: actor, updated_at: new Date().toISOString() });
+    return this.getSettings(tenantId);
+  }
+
+  // ============ CLASSIFICATION ============
+
+  /**
+   * Model inputs for an alert, named after the alert classification model's
+   * input schema. The detector's confidence stands in for signal amplitude and
+   * the event duration (seconds) for signal pattern length.
+   * @param {object} event - { tenant_id, house_id, device_id, type, score, duration, occurred_at }
+   */
+  buildFeatures(event) {
+    const at = event.occurred_at || new Date().toISOString();
+    const house = this.db.prepare('SELECT timezone FROM houses WHERE id = ? OR house_id = ?').get(event.house_id, event.house_id);
+    const device = this.db.prepare('SELECT type, location FROM devices WHERE device_id = ?').get(event.device_id);
+    const local = getZonedParts(at, (house && house.timezone) || 'UTC');
+    const { count } = this.db.prepare(`
+      SELECT COUNT(*) as count FROM alerts
+      WHERE device_id = ? AND datetime(occurred_at) > datetime(?) AND datetime(occurred_at) <= datetime(?)
+    `).get(event.device_id, new Date(Date.parse(at) - 7 * DAY_MS).toISOString(), at);
+
+    return {
+      device_type: (device && device.type) || 'unknown',
+      location: (device && device.location) || 'unknown',
+      time_of_day: local.hour,
+      day_of_week: local.weekday,
+      signal_pattern_length: Number(event.duration) || 0,
+      signal_amplitude: Number(event.score ?? 0.5),
+      historical_alert_count_7d: count,
+      quiet_hours: Boolean(event.in_quiet_hours ?? this.isQuietHours(event.house_id, at))
+    };
+  }
+
+  /**
+   * Ask the tenant's model about an alert (before it is stored in model mode,
+   * after in shadow mode). Never throws:
+   * a failed or late model comes back as `error`, and the caller falls back
+   * to the severity rules.
+   * @returns {Promise<object|null>} null in rules mode, otherwise
+   *   `{ mode, model_id, features, prediction, error, latency_ms, usable }`
+   */
+  async classify(event) {
+    const settings = this.getSettings(event.tenant_id);
+    if (settings.mode === 'rules') return null;
+
+    const features = this.buildFeatures(event);
+    const result = { mode: settings.mode, model_id: settings.model_id, features, prediction: null, error: null, latency_ms: null, usable: false };
+    const predictionService = this.getPredictionService();
+    if (!predictionService) {
+      result.error = 'ML module unavailable';
+      return result;
+    }
+
+    const started = Date.now();
+    try {
+      const prediction = await withTimeout(predictionService.predict(settings.model_id, { deviceId: event.device_id, features }), settings.timeout_ms);
+      const output = prediction.prediction || {};
+      result.prediction = {
+        severity: output.severity,
+        type: output.type || null,
+        confidence: prediction.confidence,
+        model_version: prediction.modelVersion || null,
+        prediction_id: prediction.predictionId || null
+      };
+      if (!SEVERITIES.includes(output.severity)) {
+        result.error = `Model returned no usable severity (${JSON.stringify(output.severity ?? null)})`;
+      } else if (!(prediction.confidence >= settings.min_confidence)) {
+        result.error = `Confidence ${prediction.confidence} below ${settings.min_confidence}`;
+      } else {
+        result.usable = true;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.latency_ms = Date.now() - started;
+    return result;
+  }
+
+  /**
+   * Whether the model's answer decides the alert's severity
+   */
+  applies(classification) {
+    return Boolean(classification && classification.mode === 'model' && classification.usable);
+  }
+
+  /**
+   * Store a model call against the alert it was made for
+   * @param {object} alert - the stored alert
+   * @param {object} classification - from classify()
+   * @param {string} ruleSeverity - what the severity rules decided, for comparison
+   */
+  record(alert, classification, ruleSeverity) {
+    const { prediction } = classification;
+    const id = nanoid();
+    this.insertInference.run({
+      id,
+      alert_id: alert.id,
+      device_id: alert.device_id,
+      ts: alert.occurred_at,
+      model_name: classification.model_id,
+      model_version: prediction && prediction.model_version,
+      prediction_id: prediction && prediction.prediction_id,
+      score: prediction && typeof prediction.confidence === 'number' ? prediction.confidence : null,
+      label: prediction && typeof prediction.severity === 'string' ? prediction.severity : null,
+      predicted_type: prediction && prediction.type,
+      rule_severity: ruleSeverity,
+      mode: classification.mode,
+      applied: this.applies(classification) ? 1 : 0,
+      latency_ms: classification.latency_ms,
+      error: classification.error,
+      features: JSON.stringify(classification.features),
+      created_at: new Date().toISOString()
+    });
+    return id;
+  }
+
+  /**
+   * Model calls made for an alert, oldest first
+   */
+  inferencesFor(alertId) {
+    return this.db.prepare('SELECT * FROM ml_inference WHERE alert_id = ? ORDER BY created_at')
+      .all(alertId)
+      .map(row => ({ ...row, applied: Boolean(row.applied), features: row.features ? JSON.parse(row.features) : null }));
+  }
+
+  /**
+   * How the model has done for a tenant's alerts since a point in time:
+   * how often it answered, was used, and agreed with the severity rules
+   */
+  summary(tenantId, { since } = {}) {
+    const row = this.db.prepare(`
+      SELECT
+        COUNT(*) as calls,
+        SUM(CASE WHEN m.error IS NULL THEN 1 ELSE 0 END) as answered,
+        SUM(m.applied) as applied,
+        SUM(CASE WHEN m.error IS NOT NULL THEN 1 ELSE 0 END) as fallbacks,
+        SUM(CASE WHEN m.label IS NOT NULL AND m.label = m.rule_severity THEN 1 ELSE 0 END) as agreed,
+        SUM(CASE WHEN m.label IS NOT NULL THEN 1 ELSE 0 END) as compared,
+        AVG(m.latency_ms) as avg_latency_ms
+      FROM ml_inference m
+      JOIN alerts a ON a.id = m.alert_id
+      WHERE a.tenant_id = ? AND m.mode IS NOT NULL AND m.created_at >= ?
+    `).get(tenantId, since || new Date(Date.now() - 7 * DAY_MS).toISOString());
+
+    return {
+      calls: row.calls,
+      answered: row.answered || 0,
+      applied: row.applied || 0,
+      fallbacks: row.fallbacks || 0,
+      agreement_rate: row.compared ? row.agreed / row.compared : null,
+      avg_latency_ms: row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms)
+    };
+  }
+}
+
+export default AlertClassifier;
@@ -0,0 +1,254 @@
+/**
+ * Alert Labels
+ * What actually happened behind a resolved alert, as told by whoever resolved
+ * it or by a reviewer working through the labeling queue:
+ *
+ *   true_positive  it was real, and of the type the alert said
+ *   false_alarm    nothing happened
+ *   wrong_type     something happened, but not what the alert said (correct_type)
+ *
+ * Each label is passed on as ground truth for every model prediction made for
+ * the alert (ml_inference.prediction_id, see alert-classifier.js), which is
+ * what the ML module's accuracy and precision/recall figures are built from.
+ * The ML module can be down when an alert is labeled; such labels stay
+ * pending until syncPending() runs. A label can also come before its alert's
+ * prediction (shadow mode records it asynchronously); it is kept as
+ * no_prediction and syncPending() picks it up once a prediction exists.
+ */
+import { scopeFilter } from './access-control.js';
+
+export const LABELS = ['true_positive', 'false_alarm', 'wrong_type'];
+export const SYNC_STATUSES = ['pending', 'synced', 'no_prediction', 'failed'];
+// The alert type a false alarm is recorded as, so a model can learn to predict it
+export const FALSE_ALARM_TYPE = 'false_alarm';
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * The ground truth a label gives the alert classification model. Only the
+ * type is judged; nobody re-rates severity when closing an alert.
+ */
+export function groundTruthFor(label, alert) {
+  if (label.label === 'false_alarm') return { type: FALSE_ALARM_TYPE };
+  if (label.label === 'wrong_type') return { type: label.correct_type };
+  return { type: alert.type };
+}
+
+export class AlertLabelService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.getPerformanceMonitor - () => PerformanceMonitor, or null while the ML module is down
+   */
+  constructor(db, { getPerformanceMonitor }) {
+    this.db = db;
+    this.getPerformanceMonitor = getPerformanceMonitor;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_labels (
+        alert_id TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        correct_type TEXT,
+        ground_truth TEXT NOT NULL,
+        note TEXT,
+        labeled_by TEXT,
+        labeled_at TEXT NOT NULL,
+        sync_status TEXT NOT NULL DEFAULT 'pending',
+        synced_predictions INTEGER NOT NULL DEFAULT 0,
+        synced_at TEXT,
+        sync_error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_alert_labels_sync ON alert_labels(sync_status);
+    `);
+
+    this.selectLabel = this.db.prepare('SELECT * FROM alert_labels WHERE alert_id = ?');
+    this.updateSync = this.db.prepare(`
+      UPDATE alert_labels SET sync_status = @sync_status, synced_predictions = @synced_predictions,
+        synced_at = @synced_at, sync_error = @sync_error
+      WHERE alert_id = @alert_id AND labeled_at = @labeled_at
+    `);
+  }
+
+  /**
+   * @param {object} body - { label, correct_type?, note? }
+   * @param {object} alert - the alert being labeled
+   * @returns {string[]} validation errors
+   */
+  validate(body, alert) {
+    const details = [];
+    if (!LABELS.includes(body.label)) {
+      details.push(`label must be one of: ${LABELS.join(', ')}`);
+    }
+    if (body.label === 'wrong_type') {
+      if (typeof body.correct_type !== 'string' || !body.correct_type.trim()) {
+        details.push('correct_type is required when label is wrong_type');
+      } else if (body.correct_type.trim() === alert.type) {
+        details.push(`correct_type must differ from the alert's type (${alert.type})`);
+      } else if (body.correct_type.trim() === FALSE_ALARM_TYPE) {
+        details.push('use label false_alarm when nothing happened');
+      }
+    } else if (body.correct_type !== undefined && body.correct_type !== null) {
+      details.push('correct_type only applies to wrong_type');
+    }
+    if (body.note !== undefined && body.note !== null &&
+        (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+      details.push(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return details;
+  }
+
+  getLabel(alertId) {
+    const row = this.selectLabel.get(alertId);
+    return row ? { ...row, ground_truth: JSON.parse(row.ground_truth) } : null;
+  }
+
+  /**
+   * Label an alert, replacing any earlier label. Call sync() afterwards to
+   * pass it on to the ML module.
+   */
+  setLabel(alert, { label, correct_type = null, note = null }, { actor = null } = {}) {
+    const row = { label, correct_type: label === 'wrong_type' ? correct_type.trim() : null };
+    this.db.prepare(`
+      INSERT INTO alert_labels (alert_id, label, correct_type, ground_truth, note, labeled_by, labeled_at, sync_status, synced_predictions, synced_at, sync_error)
+      VALUES (@alert_id, @label, @correct_type, @ground_truth, @note, @labeled_by, @labeled_at, 'pending', 0, NULL, NULL)
+      ON CONFLICT(alert_id) DO UPDATE SET
+        label = excluded.label, correct_type = excluded.correct_type, ground_truth = excluded.ground_truth,
+        note = excluded.note, labeled_by = excluded.labeled_by, labeled_at = excluded.labeled_at,
+        sync_status = 'pending', synced_predictions = 0, synced_at = NULL, sync_error = NULL
+    `).run({
+      alert_id: alert.id,
+      ...row,
+      ground_truth: JSON.stringify(groundTruthFor(row, alert)),
+      note: note || null,
+      labeled_by: actor,
+      labeled_at: new Date().toISOString()
+    });
+    return this.getLabel(alert.id);
+  }
+
+  // ============ GROUND TRUTH ============
+
+  /**
+   * Record an alert's label as ground truth on the predictions made for it.
+   * Never throws; the outcome is kept on the label's sync_status.
+   * @returns {Promise<object|null>} the label after syncing
+   */
+  async sync(alertId) {
+    const label = this.getLabel(alertId);
+    if (!label) return null;
+
+    const predictionIds = this.db.prepare(`
+      SELECT DISTINCT prediction_id FROM ml_inference WHERE alert_id = ? AND prediction_id IS NOT NULL
+    `).all(alertId).map(row => row.prediction_id);
+    const outcome = { alert_id: alertId, labeled_at: label.labeled_at, synced_predictions: 0, synced_at: null, sync_error: null };
+
+    if (!predictionIds.length) {
+      this.updateSync.run({ ...outcome, sync_status: 'no_prediction' });
+      return this.getLabel(alertId);
+    }
+    const performanceMonitor = this.getPerformanceMonitor();
+    if (!performanceMonitor) return label;
+
+    const errors = [];
+    for (const predictionId of predictionIds) {
+      try {
+        await performanceMonitor.updateGroundTruth(predictionId, label.ground_truth);
+        outcome.synced_predictions++;
+      } catch (error) {
+        errors.push(`${predictionId}: ${error.message}`);
+      }
+    }
+    this.updateSync.run({
+      ...outcome,
+      sync_status: errors.length && !outcome.synced_predictions ? 'failed' : 'synced',
+      synced_at: outcome.synced_predictions ? new Date().toISOString() : null,
+      sync_error: errors.length ? errors.join('; ') : null
+    });
+    return this.getLabel(alertId);
+  }
+
+  /**
+   * Sync labels made while the ML module was down, and no_prediction labels
+   * whose alert has had a prediction recorded since
+   * @returns {Promise<number>} labels synced
+   */
+  async syncPending({ limit = 1000 } = {}) {
+    if (!this.getPerformanceMonitor()) return 0;
+    const pending = this.db.prepare(`
+      SELECT alert_id FROM alert_labels l
+      WHERE l.sync_status = 'pending'
+         OR (l.sync_status = 'no_prediction' AND EXISTS (
+              SELECT 1 FROM ml_inference m WHERE m.alert_id = l.alert_id AND m.prediction_id IS NOT NULL))
+      ORDER BY l.labeled_at LIMIT ?
+    `).all(limit);
+    let synced = 0;
+    for (const { alert_id } of pending) {
+      const label = await this.sync(alert_id);
+      if (label && label.sync_status !== 'pending') synced++;
+    }
+    if (pending.length) console.log(`[labels] Synced ${synced} of ${pending.length} pending labels`);
+    return synced;
+  }
+
+  // ============ QUEUE ============
+
+  /**
+   * Resolved alerts nobody has labeled yet, those with a model prediction
+   * first (they are what the metrics are missing), most recently resolved first
+   * @param {object} scope - `req.scope`
+   * @param {object} options
+   * @param {boolean} options.modelOnly - only alerts with a model prediction
+   */
+  queue(scope, { limit = 50, offset = 0, modelOnly = false } = {}) {
+    const filter = scopeFilter(scope, { house: 'a.house_id', tenant: 'a.tenant_id' });
+    const from = `
+      FROM alerts a
+      LEFT JOIN alert_labels l ON l.alert_id = a.id
+      LEFT JOIN ml_inference m ON m.id = (
+        SELECT id FROM ml_inference WHERE alert_id = a.id AND prediction_id IS NOT NULL ORDER BY created_at DESC LIMIT 1
+      )
+      WHERE a.state = 'resolved' AND l.alert_id IS NULL AND a.tenant_id != 'SYSTEM' AND ${filter.sql}
+        ${modelOnly ? 'AND m.id IS NOT NULL' : ''}
+    `;
+    const items = this.db.prepare(`
+      SELECT a.id, a.tenant_id, a.house_id, a.device_id, a.type, a.severity, a.message, a.occurred_at,
+        a.resolved_by, a.resolved_at,
+        m.model_name, m.model_version, m.predicted_type, m.label as predicted_severity, m.score as confidence, m.mode
+      ${from}
+      ORDER BY m.id IS NULL, a.resolved_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...filter.params, limit, offset).map(({ model_name, model_version, predicted_type, predicted_severity, confidence, mode, ...alert }) => ({
+      ...alert,
+      prediction: model_name
+        ? { model_id: model_name, model_version, type: predicted_type, severity: predicted_severity, confidence, mode }
+        : null
+    }));
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total ${from}`).get(...filter.params);
+    return { items, total };
+  }
+
+  /**
+   * Labels per kind for the caller's alerts, and how many are still unsynced
+   */
+  summary(scope) {
+    const filter = scopeFilter(scope, { house: 'a.house_id', tenant: 'a.tenant_id' });
+    const rows = this.db.prepare(`
+      SELECT l.label, l.sync_status, COUNT(*) as count
+      FROM alert_labels l JOIN alerts a ON a.id = l.alert_id
+      WHERE ${filter.sql}
+      GROUP BY l.label, l.sync_status
+    `).all(...filter.params);
+
+    const summary = { total: 0, by_label: Object.fromEntries(LABELS.map(label => [label, 0])), by_sync_status: Object.fromEntries(SYNC_STATUSES.map(status => [status, 0])) };
+    for (const row of rows) {
+      summary.total += row.count;
+      summary.by_label[row.label] = (summary.by_label[row.label] || 0) + row.count;
+      summary.by_sync_status[row.sync_status] = (summary.by_sync_status[row.sync_status] || 0) + row.count;
+    }
+    return summary;
+  }
+}
+
+export default AlertLabelService;
@@ -0,0 +1,167 @@
+/**
+ * Alert State Machine
+ * The one place that decides how an alert's `state` may change, and the
+ * `status` column kept in step with it. Both the SQLite and the Postgres
+ * servers plan their updates through here so they enforce the same rules.
+ *
+ *   new → acked → escalated → resolved
+ *   new / acked / escalated → snoozed → (resurface when it runs out, or reopen) new
+ *   resolved → (reopen) new
+ *
+ * Critical alerts can't be snoozed.
+ *
+ * Every transition bumps the alert's `version`. Clients send the version
+ * they last saw (If-Match header, or `version` in the body) and get a 409
+ * when someone else changed the alert first, instead of overwriting them.
+ */
+
+export const ALERT_STATES = ['new', 'acked', 'escalated', 'snoozed', 'resolved'];
+
+export const STATUS_FOR_STATE = {
+  new: 'open',
+  acked: 'acknowledged',
+  escalated: 'escalated',
+  snoozed: 'snoozed',
+  resolved: 'resolved'
+};
+
+// Older rows only had `status` kept up to date
+const STATE_FOR_STATUS = Object.fromEntries(
+  Object.entries(STATUS_FOR_STATE).map(([state, status]) => [status, state])
+);
+
+export const TRANSITIONS = {
+  ack: { from: ['new', 'escalated', 'snoozed'], to: 'acked', verb: 'acknowledge' },
+  escalate: { from: ['new', 'acked', 'escalated', 'snoozed'], to: 'escalated', verb: 'escalate' },
+  resolve: { from: ['new', 'acked', 'escalated', 'snoozed'], to: 'resolved', verb: 'resolve' },
+  snooze: { from: ['new', 'acked', 'escalated'], to: 'snoozed', verb: 'snooze' },
+  reopen: { from: ['resolved', 'snoozed'], to: 'new', verb: 'reopen' },
+  resurface: { from: ['snoozed'], to: 'new', verb: 'resurface' }
+};
+
+// Longest snooze a caregiver can ask for
+export const MAX_SNOOZE_MINUTES = 24 * 60;
+
+export function currentState(alert) {
+  if (ALERT_STATES.includes(alert.state)) return alert.state;
+  return STATE_FOR_STATUS[alert.status] || 'new';
+}
+
+export function canTransition(alert, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) return false;
+  if (action === 'snooze' && alert.severity === 'critical') return false;
+  return transition.from.includes(currentState(alert));
+}
+
+/**
+ * Actions the alert's current state allows, in TRANSITIONS order
+ */
+export function availableActions(alert) {
+  return Object.keys(TRANSITIONS).filter(action => canTransition(alert, action));
+}
+
+function rejection(action, state) {
+  if (TRANSITIONS[action].to === state) return `Alert already ${STATUS_FOR_STATE[state]}`;
+  return `Cannot ${TRANSITIONS[action].verb} ${state === 'new' ? 'a new' : `a ${STATUS_FOR_STATE[state]}`} alert`;
+}
+
+/**
+ * Work out the column changes for an action without touching the database.
+ * Callers write `changes` with `WHERE id = ? AND version = <alert.version>`
+ * so a concurrent writer makes the update miss instead of overwrite.
+ *
+ * @param {object} alert - current alert row
+ * @param {string} action - one of TRANSITIONS
+ * @param {object} context
+ * @param {string} context.actor
+ * @param {string} context.ts - ISO timestamp of the change
+ * @param {string} [context.until] - ISO timestamp, required for snooze
+ * @returns {{ from, to, changes }|{ error }}
+ */
+export function planTransition(alert, action, { actor, ts, until } = {}) {
+  if (!TRANSITIONS[action]) return { error: `Unknown alert action: ${action}` };
+
+  const from = currentState(alert);
+  if (action === 'snooze' && alert.severity === 'critical') return { error: 'Critical alerts cannot be snoozed' };
+  if (!canTransition(alert, action)) return { error: rejection(action, from) };
+
+  const to = TRANSITIONS[action].to;
+  const changes = {
+    state: to,
+    status: STATUS_FOR_STATE[to],
+    snoozed_until: null,
+    state_changed_at: ts,
+    updated_at: ts,
+    version: (alert.version || 1) + 1
+  };
+
+  switch (action) {
+    case 'ack':
+      changes.acknowledged_by = actor;
+      changes.acknowledged_at = ts;
+      break;
+    case 'escalate':
+      changes.escalated_at = ts;
+      changes.escalation_level = (alert.escalation_level || 0) + 1;
+      break;
+    case 'resolve':
+      changes.resolved_by = actor;
+      changes.resolved_at = ts;
+      break;
+    case 'snooze':
+      if (!until || Number.isNaN(Date.parse(until))) return { error: 'Snooze needs an end time' };
+      changes.snoozed_until = until;
+      break;
+    case 'reopen':
+    case 'resurface':
+      changes.resolved_by = null;
+      changes.resolved_at = null;
+      break;
+  }
+
+  return { from, to, changes };
+}
+
+/**
+ * The version a request expects, from `If-Match` or a `version` body field.
+ * @returns {number|null} null when the client sent neither (or `*`), NaN when malformed
+ */
+export function expectedVersion(ifMatch, bodyVersion) {
+  if (ifMatch && ifMatch.trim() !== '*') {
+    return Number(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''));
+  }
+  if (bodyVersion !== undefined && bodyVersion !== null) return Number(bodyVersion);
+  return null;
+}
+
+/**
+ * @returns {string|null} why the request is stale, or null when it may proceed
+ */
+export function versionConflict(alert, expected) {
+  if (expected === null) return null;
+  if (!Number.isInteger(expected)) return 'If-Match must be an alert version';
+  const version = alert.version || 1;
+  if (expected !== version) {
+    return `Alert was changed by someone else (version ${version}, you sent ${expected})`;
+  }
+  return null;
+}
+
+export function etag(alert) {
+  return `"${alert.version || 1}"`;
+}
+
+export default {
+  ALERT_STATES,
+  STATUS_FOR_STATE,
+  TRANSITIONS,
+  MAX_SNOOZE_MINUTES,
+  currentState,
+  canTransition,
+  availableActions,
+  planTransition,
+  expectedVersion,
+  versionConflict,
+  etag
+};
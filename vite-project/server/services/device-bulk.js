@@ -0,0 +1,501 @@
+/**
+ * Bulk Device Operations
+ * Onboarding a building means 50-200 sensors at once, so devices can be
+ * imported from CSV or JSON, exported in the same shape, and changed in bulk
+ * over a filtered selection:
+ *
+ *   import        register every row of an import
+ *   move          move devices to another house
+ *   location      set their location
+ *   config        set (merge) desired config through the device shadow
+ *   decommission  retire devices: status decommissioned, API keys revoked
+ *
+ * Imports are validated row by row first; a dry run stops there and returns
+ * the report. The work itself runs as a background job, one item per device,
+ * a batch every poll, with progress broadcast as `device.bulk_job`. What
+ * each kind of job does to a device comes from the `handlers` passed in.
+ */
+import { nanoid } from 'nanoid';
+import { canAccessHouse, canAccessTenant, scopeFilter } from './access-control.js';
+import { queryClause, validateTags } from './device-groups.js';
+
+export const JOB_KINDS = ['import', 'move', 'location', 'config', 'decommission'];
+export const BULK_ACTIONS = JOB_KINDS.filter(kind => kind !== 'import');
+export const JOB_STATES = ['running', 'completed', 'cancelled'];
+export const IMPORT_COLUMNS = ['device_id', 'type', 'location', 'house_id', 'tenant', 'firmware', 'status', 'config'];
+export const IMPORT_STATUSES = ['online', 'offline', 'warning'];
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_JOB_DEVICES = 5000;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// ============ CSV ============
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows of strings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry nothing
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, records) {
+  const lines = [columns.join(',')];
+  for (const record of records) lines.push(columns.map(column => csvField(record[column])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ============ SERVICE ============
+
+export class DeviceBulkService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.broadcast - (type, payload) => void, WebSocket broadcast
+   * @param {Function} options.validateConfig - (type, config) => string[], problems with a device config
+   * @param {object} options.groups - DeviceGroupService, for selections by group or tags
+   * @param {object} options.handlers - { import, move, location, config, decommission }, each
+   *   (item, job) => void applying one item; throw to fail it
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.batchSize] - items applied per job per poll
+   */
+  constructor(db, { broadcast, validateConfig, groups, handlers, pollIntervalMs = 1000, batchSize = 50 }) {
+    this.db = db;
+    this.broadcast = broadcast;
+    this.validateConfig = validateConfig;
+    this.groups = groups;
+    this.handlers = handlers;
+    this.pollIntervalMs = pollIntervalMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_bulk_jobs (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        state TEXT NOT NULL,
+        params TEXT,
+        filter TEXT,
+        total INTEGER NOT NULL DEFAULT 0,
+        succeeded INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        finished_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_device_bulk_jobs_state ON device_bulk_jobs (state, created_at);
+
+      CREATE TABLE IF NOT EXISTS device_bulk_job_items (
+        job_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        device_id TEXT,
+        payload TEXT,
+        state TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        updated_at TEXT,
+        PRIMARY KEY (job_id, seq)
+      );
+    `);
+
+    this.selectJob = this.db.prepare('SELECT * FROM device_bulk_jobs WHERE id = ?');
+  }
+
+  getHouse(id) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(id, id);
+  }
+
+  // ============ IMPORT ============
+
+  /**
+   * Turn an upload into rows of fields
+   * @param {string} format - csv or json
+   * @param {string|object[]} data - CSV text, or an array of objects (or its JSON text)
+   * @returns {{ rows: object[], warnings: string[] }|{ error: string }}
+   */
+  parseImport(format, data) {
+    if (format === 'csv') {
+      if (typeof data !== 'string') return { error: 'data must be CSV text' };
+      const [header, ...lines] = parseCsv(data);
+      if (!header) return { error: 'CSV is empty' };
+      const columns = header.map(column => column.trim().toLowerCase());
+      const warnings = columns.filter(column => column && !IMPORT_COLUMNS.includes(column))
+        .map(column => `Column "${column}" is not imported`);
+      const rows = lines.map(cells => Object.fromEntries(
+        columns.map((column, i) => [column, (cells[i] || '').trim()]).filter(([column, value]) => IMPORT_COLUMNS.includes(column) && value !== '')
+      ));
+      return { rows, warnings };
+    }
+
+    if (format === 'json') {
+      let rows = data;
+      if (typeof data === 'string') {
+        try {
+          rows = JSON.parse(data);
+        } catch {
+          return { error: 'data is not valid JSON' };
+        }
+      }
+      if (!Array.isArray(rows)) return { error: 'data must be an array of devices' };
+      return { rows, warnings: [] };
+    }
+
+    return { error: 'format must be csv or json' };
+  }
+
+  /**
+   * Check every row of an import against the caller's scope, the registry
+   * and the other rows
+   * @param {object[]} rows
+   * @param {object} scope - `req.scope`
+   * @param {object} [defaults] - fields for rows that leave them out
+   * @returns {{ total, valid, invalid, rows: { row, device_id, ok, errors, device }[] }}
+   */
+  validateImport(rows, scope, defaults = {}) {
+    const seen = new Set();
+    const report = rows.map((raw, i) => {
+      const row = i + 1;
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { row, device_id: null, ok: false, errors: ['row must be an object'] };
+      }
+      const fields = { ...defaults, ...raw };
+      const errors = [];
+
+      const text = (name) => {
+        const value = fields[name];
+        if (value === undefined || value === null || value === '') return undefined;
+        if (typeof value !== 'string' || value.length > 100) {
+          errors.push(`${name} must be text of at most 100 characters`);
+          return undefined;
+        }
+        return value.trim();
+      };
+      const device = {
+        device_id: text('device_id'),
+        type: text('type'),
+        location: text('location'),
+        house_id: text('house_id'),
+        tenant: text('tenant'),
+        firmware: text('firmware'),
+        status: text('status') || 'online',
+        config: {}
+      };
+
+      if (device.device_id !== undefined) {
+        if (!DEVICE_ID_PATTERN.test(device.device_id)) {
+          errors.push('device_id may only use letters, digits and . _ : -');
+        } else if (seen.has(device.device_id)) {
+          errors.push(`device_id ${device.device_id} appears more than once`);
+        } else if (this.db.prepare('SELECT 1 FROM devices WHERE device_id = ?').get(device.device_id)) {
+          errors.push(`device_id ${device.device_id} is already registered`);
+        }
+        seen.add(device.device_id);
+      }
+      if (!device.type) errors.push('type is required');
+      if (!IMPORT_STATUSES.includes(device.status)) errors.push(`status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+
+      if (device.house_id) {
+        const house = this.getHouse(device.house_id);
+        if (!house) {
+          errors.push(`house ${device.house_id} not found`);
+        } else if (!canAccessHouse(scope, house.house_id)) {
+          errors.push(`no access to house ${device.house_id}`);
+        } else {
+          device.house_id = house.house_id;
+          // The house decides the tenant, as it does for alerts
+          if (house.tenant_id) {
+            if (device.tenant && device.tenant !== house.tenant_id) {
+              errors.push(`house ${house.house_id} belongs to tenant ${house.tenant_id}, not ${device.tenant}`);
+            }
+            device.tenant = house.tenant_id;
+          }
+        }
+      }
+      device.tenant = device.tenant || 'default';
+      if (!device.house_id && !canAccessTenant(scope, device.tenant)) errors.push(`no access to tenant ${device.tenant}`);
+
+      let config = fields.config;
+      if (typeof config === 'string' && config.trim()) {
+        try {
+          config = JSON.parse(config);
+        } catch {
+          errors.push('config is not valid JSON');
+          config = undefined;
+        }
+      }
+      if (config !== undefined && config !== null && config !== '') {
+        if (typeof config !== 'object' || Array.isArray(config)) errors.push('config must be an object');
+        else if (device.type) {
+          errors.push(...this.validateConfig(device.type, config));
+          device.config = config;
+        }
+      }
+
+      return errors.length
+        ? { row, device_id: device.device_id || null, ok: false, errors }
+        : { row, device_id: device.device_id || null, ok: true, errors: [], device };
+    });
+
+    const valid = report.filter(entry => entry.ok).length;
+    return { total: report.length, valid, invalid: report.length - valid, rows: report };
+  }
+
+  // ============ SELECTION ============
+
+  /**
+   * Problems with a device filter, empty when it selects something on purpose
+   */
+  validateFilter(filter) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return ['filter must be an object'];
+    const details = [];
+    if (filter.device_ids !== undefined && (!Array.isArray(filter.device_ids) || filter.device_ids.some(id => typeof id !== 'string'))) {
+      details.push('filter.device_ids must be an array of device ids');
+    }
+    for (const key of ['tenant', 'house_id', 'type', 'status', 'firmware', 'q', 'group_id']) {
+      if (filter[key] !== undefined && typeof filter[key] !== 'string') details.push(`filter.${key} must be a string`);
+    }
+    if (filter.tags !== undefined) details.push(...validateTags(filter.tags, 'filter.tags', { wildcards: true }));
+    // Nothing narrows the selection: the whole fleet only on purpose
+    const narrowed = ['device_ids', 'tenant', 'house_id', 'type', 'status', 'firmware', 'q', 'group_id', 'tags']
+      .some(key => filter[key] !== undefined);
+    if (!narrowed && filter.all !== true) details.push('filter needs at least one condition, or all: true');
+    return details;
+  }
+
+  /**
+   * Devices matching a filter, narrowed to the caller's scope
+   */
+  selectDevices(filter, scope, { limit } = {}) {
+    const access = scopeFilter(scope, { tenant: 'tenant' });
+    const where = [access.sql];
+    const params = [...access.params];
+    if (filter.device_ids) {
+      if (!filter.device_ids.length) return [];
+      where.push(`(device_id IN (${filter.device_ids.map(() => '?').join(', ')}) OR id IN (${filter.device_ids.map(() => '?').join(', ')}))`);
+      params.push(...filter.device_ids, ...filter.device_ids);
+    }
+    for (const key of ['tenant', 'house_id', 'type', 'status', 'firmware']) {
+      if (filter[key] !== undefined) { where.push(`${key} = ?`); params.push(filter[key]); }
+    }
+    if (filter.q) {
+      where.push('(device_id LIKE ? OR location LIKE ?)');
+      params.push(`%${filter.q}%`, `%${filter.q}%`);
+    }
+    if (filter.group_id) {
+      const group = this.groups.getGroup(filter.group_id);
+      if (!group) return [];
+      const clause = this.groups.groupClause(group);
+      where.push(clause.sql);
+      params.push(...clause.params);
+    }
+    if (filter.tags && filter.tags.length) {
+      const clause = queryClause({ tags: filter.tags });
+      where.push(clause.sql);
+      params.push(...clause.params);
+    }
+    const sql = `SELECT * FROM devices WHERE ${where.join(' AND ')} ORDER BY device_id ASC${limit ? ' LIMIT ?' : ''}`;
+    return this.db.prepare(sql).all(...params, ...(limit ? [limit] : []));
+  }
+
+  // ============ JOBS ============
+
+  /**
+   * Queue a job; it starts on the next poll
+   * @param {object} options
+   * @param {string} options.kind - one of JOB_KINDS
+   * @param {object} [options.params] - what to apply, e.g. { house_id } for move
+   * @param {object} [options.filter] - the selection, kept for the record
+   * @param {{ device_id, payload? }[]} options.items
+   * @param {string} options.actor
+   */
+  createJob({ kind, params = {}, filter = null, items, actor }) {
+    const id = nanoid();
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO device_bulk_jobs (id, kind, state, params, filter, total, created_by, created_at, updated_at)
+        VALUES (?, ?, 'running', ?, ?, ?, ?, ?, ?)
+      `).run(id, kind, JSON.stringify(params), filter ? JSON.stringify(filter) : null, items.length, actor, now, now);
+      const insert = this.db.prepare(`
+        INSERT INTO device_bulk_job_items (job_id, seq, device_id, payload, updated_at) VALUES (?, ?, ?, ?, ?)
+      `);
+      items.forEach((item, i) => insert.run(id, i + 1, item.device_id || null, item.payload ? JSON.stringify(item.payload) : null, now));
+    })();
+
+    const job = this.getJob(id);
+    console.log(`[bulk] ${actor} queued ${kind} job ${id} for ${items.length} device(s)`);
+    this.broadcast('device.bulk_job', job);
+    return job;
+  }
+
+  /**
+   * @returns {object|null} the job with its progress (0-100)
+   */
+  getJob(id) {
+    const row = this.selectJob.get(id);
+    if (!row) return null;
+    const done = row.succeeded + row.failed + row.skipped;
+    return {
+      ...row,
+      params: row.params ? JSON.parse(row.params) : {},
+      filter: row.filter ? JSON.parse(row.filter) : null,
+      progress: row.total ? Math.round(done / row.total * 100) : 100
+    };
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.createdBy] - only this user's jobs
+   * @param {string} [options.state]
+   */
+  listJobs({ createdBy, state, limit = 50 } = {}) {
+    const where = ['1=1'];
+    const params = [];
+    if (createdBy) { where.push('created_by = ?'); params.push(createdBy); }
+    if (state) { where.push('state = ?'); params.push(state); }
+    return this.db.prepare(`SELECT id FROM device_bulk_jobs WHERE ${where.join(' AND ')} ORDER BY created_at DESC LIMIT ?`)
+      .all(...params, limit).map(row => this.getJob(row.id));
+  }
+
+  listItems(jobId, { state, limit = 500 } = {}) {
+    const where = ['job_id = ?'];
+    const params = [jobId];
+    if (state) { where.push('state = ?'); params.push(state); }
+    return this.db.prepare(`
+      SELECT seq, device_id, state, error, updated_at FROM device_bulk_job_items WHERE ${where.join(' AND ')} ORDER BY seq ASC LIMIT ?
+    `).all(...params, limit);
+  }
+
+  /**
+   * Stop a running job; what was already applied stays applied
+   * @returns {{ job }|{ error }}
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job) return { error: 'Job not found', status: 404 };
+    if (job.state !== 'running') return { error: `Job is already ${job.state}`, status: 409 };
+
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      const skipped = this.db.prepare(`
+        UPDATE device_bulk_job_items SET state = 'skipped', updated_at = ? WHERE job_id = ? AND state = 'pending'
+      `).run(now, id).changes;
+      this.db.prepare(`
+        UPDATE device_bulk_jobs SET state = 'cancelled', skipped = skipped + ?, updated_at = ?, finished_at = ? WHERE id = ?
+      `).run(skipped, now, now, id);
+    })();
+
+    const updated = this.getJob(id);
+    console.log(`[bulk] Job ${id} cancelled, ${updated.skipped} item(s) skipped`);
+    this.broadcast('device.bulk_job', updated);
+    return { job: updated };
+  }
+
+  // ============ WORKER ============
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    try {
+      const running = this.db.prepare(`SELECT id FROM device_bulk_jobs WHERE state = 'running' ORDER BY created_at ASC`).all();
+      for (const { id } of running) this.runBatch(id);
+    } catch (error) {
+      console.error('[bulk] Tick failed:', error.message);
+    }
+  }
+
+  /**
+   * Apply the next batch of a job's items and finish it when none are left
+   */
+  runBatch(id) {
+    const job = this.getJob(id);
+    if (!job || job.state !== 'running') return;
+
+    const items = this.db.prepare(`
+      SELECT * FROM device_bulk_job_items WHERE job_id = ? AND state = 'pending' ORDER BY seq ASC LIMIT ?
+    `).all(id, this.batchSize);
+
+    const finish = this.db.prepare(`
+      UPDATE device_bulk_job_items SET state = ?, error = ?, updated_at = ? WHERE job_id = ? AND seq = ?
+    `);
+    let succeeded = 0;
+    let failed = 0;
+    for (const item of items) {
+      const now = new Date().toISOString();
+      try {
+        this.handlers[job.kind]({ ...item, payload: item.payload ? JSON.parse(item.payload) : null }, job);
+        finish.run('succeeded', null, now, id, item.seq);
+        succeeded++;
+      } catch (error) {
+        finish.run('failed', error.message, now, id, item.seq);
+        failed++;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const remaining = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM device_bulk_job_items WHERE job_id = ? AND state = 'pending'
+    `).get(id).count;
+    this.db.prepare(`
+      UPDATE device_bulk_jobs SET succeeded = succeeded + ?, failed = failed + ?, updated_at = ?,
+        state = CASE WHEN ? = 0 THEN 'completed' ELSE state END,
+        finished_at = CASE WHEN ? = 0 THEN ? ELSE finished_at END
+      WHERE id = ? AND state = 'running'
+    `).run(succeeded, failed, now, remaining, remaining, now, id);
+
+    const updated = this.getJob(id);
+    if (updated.state === 'completed') {
+      console.log(`[bulk] Job ${id} (${job.kind}) completed: ${updated.succeeded} succeeded, ${updated.failed} failed`);
+    }
+    this.broadcast('device.bulk_job', updated);
+  }
+}
+
+export default DeviceBulkService;
@@ -0,0 +1,320 @@
+/**
+ * Device Tags and Groups
+ * Devices carry free-form tags (`floor:2`, `wing:east`, `battery-powered`),
+ * and saved groups select devices by tag and attribute:
+ *
+ *   {
+ *     tags: ['floor:2'],              every one of these
+ *     any_tags: ['wing:*'],           at least one (`key:*` is any value of the key)
+ *     exclude_tags: ['spare'],        none of these
+ *     tenant, house_id, type, status, firmware, location   a value or a list of values
+ *   }
+ *
+ * Groups are dynamic: membership is worked out from the query whenever a
+ * group is used, so newly tagged devices join on their own. A group with a
+ * tenant only ever matches that tenant's devices; fleet-wide groups (no
+ * tenant) are for admins. Config pushes, firmware rollouts and alert search
+ * take a group through `groupClause`.
+ */
+import { nanoid } from 'nanoid';
+import { canAccessTenant, scopeFilter } from './access-control.js';
+
+export const TAG_PATTERN = /^[a-z0-9][a-z0-9_.-]*(:[a-z0-9_./-]+)?$/;
+export const MAX_TAG_LENGTH = 64;
+export const MAX_TAGS_PER_DEVICE = 32;
+export const QUERY_ATTRIBUTES = ['tenant', 'house_id', 'type', 'status', 'firmware', 'location'];
+const TAG_CONDITIONS = ['tags', 'any_tags', 'exclude_tags'];
+// A key wildcard, `floor:*`
+const WILDCARD_PATTERN = /^[a-z0-9][a-z0-9_.-]*:\*$/;
+
+export function normalizeTag(tag) {
+  return typeof tag === 'string' ? tag.trim().toLowerCase() : tag;
+}
+
+/**
+ * Problems with a list of tags, empty when every one is usable
+ * @param {boolean} [wildcards] - allow `key:*` (queries, not devices)
+ */
+export function validateTags(tags, name = 'tags', { wildcards = false } = {}) {
+  if (!Array.isArray(tags)) return [`${name} must be an array of tags`];
+  const details = [];
+  for (const tag of tags) {
+    const value = normalizeTag(tag);
+    const valid = typeof value === 'string' && value.length <= MAX_TAG_LENGTH &&
+      (TAG_PATTERN.test(value) || (wildcards && WILDCARD_PATTERN.test(value)));
+    if (!valid) details.push(`${name}: "${tag}" is not a tag (letters, digits, _ . - and an optional :value)`);
+  }
+  return details;
+}
+
+/**
+ * Problems with a group query, empty when it can be saved
+ */
+export function validateQuery(query) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) return ['query must be an object'];
+  const details = [];
+  for (const key of Object.keys(query)) {
+    if (!TAG_CONDITIONS.includes(key) && !QUERY_ATTRIBUTES.includes(key)) details.push(`query.${key} is not supported`);
+  }
+  for (const key of TAG_CONDITIONS) {
+    if (query[key] !== undefined) details.push(...validateTags(query[key], `query.${key}`, { wildcards: true }));
+  }
+  for (const key of QUERY_ATTRIBUTES) {
+    const value = query[key];
+    if (value === undefined) continue;
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.length || values.some(item => typeof item !== 'string' || !item)) {
+      details.push(`query.${key} must be a value or a non-empty list of values`);
+    }
+  }
+  const conditions = [...TAG_CONDITIONS, ...QUERY_ATTRIBUTES].filter(key => query[key] !== undefined);
+  if (!details.length && !conditions.length) details.push('query needs at least one condition');
+  return details;
+}
+
+/**
+ * SQL condition on the `devices` table for one tag, or a `key:*` wildcard
+ */
+function tagCondition(tag) {
+  const value = normalizeTag(tag);
+  if (value.endsWith(':*')) {
+    const prefix = value.slice(0, -1);
+    return { sql: 'device_id IN (SELECT device_id FROM device_tags WHERE substr(tag, 1, ?) = ?)', params: [prefix.length, prefix] };
+  }
+  return { sql: 'device_id IN (SELECT device_id FROM device_tags WHERE tag = ?)', params: [value] };
+}
+
+/**
+ * SQL condition on the `devices` table for a (validated) group query
+ * @returns {{ sql: string, params: any[] }}
+ */
+export function queryClause(query) {
+  const where = [];
+  const params = [];
+  const add = (condition) => { where.push(condition.sql); params.push(...condition.params); };
+
+  for (const tag of query.tags || []) add(tagCondition(tag));
+  if (query.any_tags && query.any_tags.length) {
+    const conditions = query.any_tags.map(tagCondition);
+    add({ sql: `(${conditions.map(c => c.sql).join(' OR ')})`, params: conditions.flatMap(c => c.params) });
+  }
+  for (const tag of query.exclude_tags || []) {
+    const condition = tagCondition(tag);
+    add({ sql: `NOT ${condition.sql}`, params: condition.params });
+  }
+  for (const key of QUERY_ATTRIBUTES) {
+    if (query[key] === undefined) continue;
+    const values = Array.isArray(query[key]) ? query[key] : [query[key]];
+    add({ sql: `${key} IN (${values.map(() => '?').join(', ')})`, params: values });
+  }
+  return { sql: where.length ? `(${where.join(' AND ')})` : '1=1', params };
+}
+
+export class DeviceGroupService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_tags (
+        device_id TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        created_at TEXT,
+        PRIMARY KEY (device_id, tag)
+      );
+      CREATE INDEX IF NOT EXISTS idx_device_tags_tag ON device_tags (tag);
+
+      CREATE TABLE IF NOT EXISTS device_groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        tenant TEXT,
+        query TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+    `);
+  }
+
+  // Devices are addressed by row id or device_id
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  // ============ TAGS ============
+
+  getTags(deviceId) {
+    return this.db.prepare('SELECT tag FROM device_tags WHERE device_id = ? ORDER BY tag ASC').all(deviceId).map(row => row.tag);
+  }
+
+  /**
+   * Tags of many devices at once
+   * @returns {Map<string, string[]>} device_id -> tags
+   */
+  tagsFor(deviceIds) {
+    const tags = new Map(deviceIds.map(id => [id, []]));
+    if (!deviceIds.length) return tags;
+    const rows = this.db.prepare(`
+      SELECT device_id, tag FROM device_tags WHERE device_id IN (SELECT value FROM json_each(?)) ORDER BY tag ASC
+    `).all(JSON.stringify(deviceIds));
+    for (const row of rows) tags.get(row.device_id).push(row.tag);
+    return tags;
+  }
+
+  /**
+   * Change a device's tags; `set` replaces them all, `add` / `remove` edit them
+   * @returns {{ tags: string[] } | { error: string }}
+   */
+  updateTags(deviceId, { set, add = [], remove = [] }) {
+    const current = new Set(this.getTags(deviceId));
+    const next = set ? new Set(set.map(normalizeTag)) : new Set(current);
+    for (const tag of add) next.add(normalizeTag(tag));
+    for (const tag of remove) next.delete(normalizeTag(tag));
+    if (next.size > MAX_TAGS_PER_DEVICE) return { error: `a device can have at most ${MAX_TAGS_PER_DEVICE} tags` };
+
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      const drop = this.db.prepare('DELETE FROM device_tags WHERE device_id = ? AND tag = ?');
+      const insert = this.db.prepare('INSERT OR IGNORE INTO device_tags (device_id, tag, created_at) VALUES (?, ?, ?)');
+      for (const tag of current) if (!next.has(tag)) drop.run(deviceId, tag);
+      for (const tag of next) if (!current.has(tag)) insert.run(deviceId, tag, now);
+    })();
+    return { tags: this.getTags(deviceId) };
+  }
+
+  removeDevice(deviceId) {
+    this.db.prepare('DELETE FROM device_tags WHERE device_id = ?').run(deviceId);
+  }
+
+  /**
+   * Tags in use on the devices a caller can see, with how many devices carry each
+   */
+  listTags(scope) {
+    const access = scopeFilter(scope, { tenant: 'd.tenant', house: 'd.house_id' });
+    return this.db.prepare(`
+      SELECT t.tag, COUNT(*) AS devices FROM device_tags t
+      JOIN devices d ON d.device_id = t.device_id
+      WHERE ${access.sql}
+      GROUP BY t.tag ORDER BY t.tag ASC
+    `).all(...access.params);
+  }
+
+  // ============ GROUPS ============
+
+  format(row) {
+    if (!row) return null;
+    return { ...row, query: JSON.parse(row.query) };
+  }
+
+  getGroup(id) {
+    return this.format(this.db.prepare('SELECT * FROM device_groups WHERE id = ?').get(id));
+  }
+
+  // Fleet-wide groups are visible to admins and staff only
+  canAccessGroup(scope, group) {
+    return group.tenant ? canAccessTenant(scope, group.tenant) : Boolean(scope && scope.all);
+  }
+
+  listGroups(scope) {
+    return this.db.prepare('SELECT * FROM device_groups ORDER BY name ASC').all()
+      .map(row => this.format(row))
+      .filter(group => this.canAccessGroup(scope, group))
+      .map(group => ({ ...group, device_count: this.countDevices(group, scope) }));
+  }
+
+  /**
+   * Problems with a group body, empty when it can be saved
+   * @param {boolean} [partial] - for updates, where every field is optional
+   */
+  validateGroup({ name, description, tenant, query }, { partial = false } = {}) {
+    const details = [];
+    if ((name !== undefined || !partial) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      details.push('name must be text of at most 100 characters');
+    }
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+      details.push('description must be text of at most 500 characters');
+    }
+    if (tenant !== undefined && tenant !== null && (typeof tenant !== 'string' || !tenant)) {
+      details.push('tenant must be a tenant id');
+    }
+    if (query !== undefined || !partial) details.push(...validateQuery(query));
+    return details;
+  }
+
+  nameTaken(name, tenant, exceptId = null) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM device_groups WHERE lower(name) = lower(?) AND tenant IS ? AND id IS NOT ?
+    `).get(name.trim(), tenant || null, exceptId));
+  }
+
+  createGroup({ name, description = null, tenant = null, query }, { actor }) {
+    const id = nanoid();
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO device_groups (id, name, description, tenant, query, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, name.trim(), description, tenant || null, JSON.stringify(query), actor, now, now);
+    return this.getGroup(id);
+  }
+
+  updateGroup(group, changes) {
+    const next = { ...group, ...changes };
+    this.db.prepare(`
+      UPDATE device_groups SET name = ?, description = ?, tenant = ?, query = ?, updated_at = ? WHERE id = ?
+    `).run(next.name.trim(), next.description || null, next.tenant || null, JSON.stringify(next.query), new Date().toISOString(), group.id);
+    return this.getGroup(group.id);
+  }
+
+  deleteGroup(id) {
+    return this.db.prepare('DELETE FROM device_groups WHERE id = ?').run(id).changes > 0;
+  }
+
+  // ============ MEMBERSHIP ============
+
+  /**
+   * SQL condition on the `devices` table for a group's members, including its tenant
+   */
+  groupClause(group) {
+    const clause = queryClause(group.query);
+    if (!group.tenant) return clause;
+    return { sql: `(tenant = ? AND ${clause.sql})`, params: [group.tenant, ...clause.params] };
+  }
+
+  /**
+   * Devices in a group (or matching an unsaved query) that the caller can see
+   * @param {object} group - a group, or `{ query, tenant? }` for a preview
+   */
+  resolve(group, scope, { limit } = {}) {
+    const access = scopeFilter(scope, { tenant: 'tenant' });
+    const clause = this.groupClause(group);
+    return this.db.prepare(`
+      SELECT * FROM devices WHERE ${access.sql} AND ${clause.sql} ORDER BY device_id ASC${limit ? ' LIMIT ?' : ''}
+    `).all(...access.params, ...clause.params, ...(limit ? [limit] : []));
+  }
+
+  countDevices(group, scope) {
+    const access = scopeFilter(scope, { tenant: 'tenant' });
+    const clause = this.groupClause(group);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM devices WHERE ${access.sql} AND ${clause.sql}`)
+      .get(...access.params, ...clause.params).count;
+  }
+
+  /**
+   * Groups a device belongs to
+   */
+  groupsOf(device) {
+    return this.db.prepare('SELECT * FROM device_groups ORDER BY name ASC').all()
+      .map(row => this.format(row))
+      .filter(group => {
+        const clause = this.groupClause(group);
+        return this.db.prepare(`SELECT 1 FROM devices WHERE device_id = ? AND ${clause.sql}`).get(device.device_id, ...clause.params);
+      });
+  }
+}
+
+export default DeviceGroupService;
@@ -0,0 +1,184 @@
+/**
+ * Device Health Service
+ * Records every device status change and turns that history into the
+ * availability numbers shown to customers: uptime over a window, failures,
+ * MTBF (uptime / failures), MTTR and the longest outage. Signal quality
+ * comes from stored telemetry.
+ *
+ * Only time with a known status counts; a device that was registered half
+ * way through the window is measured from its first recorded status.
+ */
+import { nanoid } from 'nanoid';
+
+// Statuses that count as the device being down; anything else is up
+export const DOWN_STATUSES = ['offline', 'error'];
+
+// Telemetry metrics reported as signal quality, when a device sends them
+export const SIGNAL_METRICS = ['snr', 'signal_strength', 'rssi'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Windows the dashboards ask for by name
+export const WINDOWS = {
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS,
+  '30d': 30 * 24 * HOUR_MS,
+  '90d': 90 * 24 * HOUR_MS
+};
+
+function isDown(status) {
+  return DOWN_STATUSES.includes(status);
+}
+
+function toSec(ms) {
+  return Math.round(ms / 1000);
+}
+
+export class DeviceHealthService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {object} options.telemetry - TelemetryService, for signal averages
+   */
+  constructor(db, { telemetry }) {
+    this.db = db;
+    this.telemetry = telemetry;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_status_history (
+        id TEXT PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        source TEXT,
+        ts TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_device_status_history ON device_status_history (device_id, ts);
+    `);
+
+    this.selectLatest = this.db.prepare(`
+      SELECT * FROM device_status_history WHERE device_id = ? ORDER BY ts DESC LIMIT 1
+    `);
+    this.insertChange = this.db.prepare(`
+      INSERT INTO device_status_history (id, device_id, status, source, ts) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    // Devices registered before history was kept are known from their last status onwards
+    const untracked = this.db.prepare(`
+      SELECT device_id, status, COALESCE(last_seen, created_at) AS since FROM devices
+      WHERE status IS NOT NULL AND device_id NOT IN (SELECT DISTINCT device_id FROM device_status_history)
+    `).all();
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      for (const device of untracked) {
+        const since = Number.isNaN(Date.parse(device.since)) ? now : new Date(device.since).toISOString();
+        this.insertChange.run(nanoid(), device.device_id, device.status, 'backfill', since);
+      }
+    })();
+    if (untracked.length) console.log(`[device-health] Started status history for ${untracked.length} device(s)`);
+  }
+
+  /**
+   * Note a reported status; only changes are stored
+   * @param {object} device - devices row
+   * @param {string} status
+   * @param {string} ts - ISO timestamp
+   * @param {string} [source] - heartbeat, api, ...
+   * @returns {boolean} whether the status changed
+   */
+  recordStatus(device, status, ts, source = 'api') {
+    if (!status) return false;
+    const latest = this.selectLatest.get(device.device_id);
+    if (latest && latest.status === status) return false;
+    this.insertChange.run(nanoid(), device.device_id, status, source, ts);
+    return true;
+  }
+
+  /**
+   * Availability over [from, to) from the status history
+   * @returns {object} times in seconds; uptimePct is null when no status was known in the window
+   */
+  availability(deviceId, { from, to }) {
+    const fromISO = new Date(from).toISOString();
+    const toISO = new Date(to).toISOString();
+
+    const before = this.db.prepare(`
+      SELECT status FROM device_status_history WHERE device_id = ? AND ts <= ? ORDER BY ts DESC LIMIT 1
+    `).get(deviceId, fromISO);
+    const changes = this.db.prepare(`
+      SELECT status, ts FROM device_status_history WHERE device_id = ? AND ts > ? AND ts < ? ORDER BY ts ASC
+    `).all(deviceId, fromISO, toISO);
+
+    let status = before ? before.status : null;
+    let cursor = from;
+    let upMs = 0;
+    let downMs = 0;
+    let failures = 0;
+    let outageStart = status && isDown(status) ? from : null;
+    const outages = [];
+
+    for (const change of changes) {
+      const at = Date.parse(change.ts);
+      if (status) {
+        if (isDown(status)) downMs += at - cursor;
+        else upMs += at - cursor;
+      }
+
+      if (isDown(change.status) && outageStart === null) {
+        outageStart = at;
+        if (status) failures++;
+      } else if (!isDown(change.status) && outageStart !== null) {
+        outages.push(at - outageStart);
+        outageStart = null;
+      }
+
+      status = change.status;
+      cursor = at;
+    }
+
+    if (status) {
+      if (isDown(status)) downMs += to - cursor;
+      else upMs += to - cursor;
+    }
+    // An outage still running at the end of the window counts towards the longest, not MTTR
+    const recovered = [...outages];
+    const ongoingOutage = outageStart !== null;
+    if (ongoingOutage) outages.push(to - outageStart);
+
+    const observedMs = upMs + downMs;
+    return {
+      uptimePct: observedMs ? Math.round((upMs / observedMs) * 10000) / 100 : null,
+      observedSec: toSec(observedMs),
+      uptimeSec: toSec(upMs),
+      downtimeSec: toSec(downMs),
+      failures,
+      mtbfSec: failures ? toSec(upMs / failures) : null,
+      mttrSec: recovered.length ? toSec(recovered.reduce((sum, ms) => sum + ms, 0) / recovered.length) : null,
+      outageCount: outages.length,
+      longestOutageSec: outages.length ? toSec(Math.max(...outages)) : 0,
+      ongoingOutage
+    };
+  }
+
+  /**
+   * Signal metrics the device reported over [from, to), keyed by metric
+   */
+  signal(deviceId, range) {
+    const signal = {};
+    for (const metric of SIGNAL_METRICS) {
+      const summary = this.telemetry.summarize(deviceId, metric, range);
+      if (summary) {
+        signal[metric] = {
+          avg: Math.round(summary.avg * 100) / 100,
+          min: summary.min,
+          max: summary.max,
+          count: summary.count
+        };
+      }
+    }
+    return signal;
+  }
+}
+
+export default DeviceHealthService;
@@ -0,0 +1,358 @@
+/**
+ * Device Shadow Service
+ * Each device has a shadow of its configuration:
+ *
+ *   desired   what the API wants the device to run, versioned
+ *   reported  what the device last said it is running (sent with its heartbeat)
+ *   delta     desired keys the device hasn't caught up with yet
+ *
+ * Desired config is validated against the JSON schema for the device's type
+ * (built in below, overridable per type through the API) and every change is
+ * kept as a numbered version that can be rolled back to. `devices.config`
+ * always holds the current desired config, so the rest of the server (the
+ * heartbeat watchdog, for one) reads it as before.
+ *
+ * Devices without a shadow row yet start from whatever `devices.config` held.
+ */
+import { nanoid } from 'nanoid';
+
+// ============ SCHEMAS ============
+
+// Settings every device understands; the heartbeat ones drive the offline watchdog
+const COMMON_PROPERTIES = {
+  heartbeat_interval_sec: { type: 'integer', minimum: 1 },
+  stale_after_missed: { type: 'integer', minimum: 1 },
+  offline_after_missed: { type: 'integer', minimum: 1 },
+  // Older configs use low / medium / high
+  sensitivity: { anyOf: [{ type: 'number', minimum: 0, maximum: 1 }, { type: 'string', enum: ['low', 'medium', 'high'] }] },
+  mode: { type: 'string', enum: ['active', 'passive', 'high-alert', 'sleep'] }
+};
+
+const AUDIO_PROPERTIES = {
+  threshold: { type: 'number', minimum: -60, maximum: 0 },
+  sampleRate: { type: 'integer', enum: [8000, 16000, 44100, 48000] }
+};
+
+const MOTION_PROPERTIES = {
+  cooldown_sec: { type: 'integer', minimum: 0 }
+};
+
+function objectSchema(...propertySets) {
+  return { type: 'object', properties: Object.assign({}, COMMON_PROPERTIES, ...propertySets), additionalProperties: false };
+}
+
+const AUDIO_SCHEMA = objectSchema(AUDIO_PROPERTIES);
+// Cameras pick up sound as well, so they take the audio settings too
+const VIDEO_SCHEMA = objectSchema(AUDIO_PROPERTIES, {
+  resolution: { type: 'string', enum: ['720p', '1080p', '4k'] },
+  fps: { type: 'integer', minimum: 1, maximum: 60 },
+  night_vision: { type: 'boolean' }
+});
+const DOOR_SCHEMA = objectSchema({
+  open_alert_delay_sec: { type: 'integer', minimum: 0 },
+  chime: { type: 'boolean' }
+});
+const MOTION_SCHEMA = objectSchema(MOTION_PROPERTIES);
+const MULTI_SCHEMA = objectSchema(AUDIO_PROPERTIES, MOTION_PROPERTIES);
+
+// Keyed by devices.type; both naming styles in use are covered
+export const BUILT_IN_SCHEMAS = {
+  'Audio Sensor': AUDIO_SCHEMA,
+  microphone: AUDIO_SCHEMA,
+  'Video Camera': VIDEO_SCHEMA,
+  camera: VIDEO_SCHEMA,
+  'Door Sensor': DOOR_SCHEMA,
+  door_sensor: DOOR_SCHEMA,
+  motion_sensor: MOTION_SCHEMA,
+  'Multi-Sensor': MULTI_SCHEMA,
+  'Audio/Motion': MULTI_SCHEMA
+};
+
+// Types nobody has described yet only get the common settings checked
+export const DEFAULT_SCHEMA = { type: 'object', properties: COMMON_PROPERTIES, additionalProperties: true };
+
+const SCHEMA_TYPES = ['object', 'number', 'integer', 'string', 'boolean', 'array'];
+const SCHEMA_KEYWORDS = ['type', 'properties', 'required', 'additionalProperties', 'enum', 'minimum', 'maximum',
+  'minLength', 'maxLength', 'items', 'anyOf', 'description'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the JSON Schema subset the shadow supports
+ * (type, properties, required, additionalProperties, enum, minimum/maximum,
+ * minLength/maxLength, items, anyOf)
+ * @returns {string[]} problems, empty when the value is valid
+ */
+export function validateAgainstSchema(schema, value, path = 'config') {
+  if (schema.anyOf) {
+    const fits = schema.anyOf.some(option => validateAgainstSchema(option, value, path).length === 0);
+    return fits ? [] : [`${path} doesn't match any allowed form`];
+  }
+  if (schema.type && !matchesType(value, schema.type)) return [`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${path} must be one of: ${schema.enum.join(', ')}`];
+
+  const details = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) details.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) details.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) details.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) details.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => details.push(...validateAgainstSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) details.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) details.push(...validateAgainstSchema(properties[key], item, `${path}.${key}`));
+      else if (schema.additionalProperties === false) details.push(`${path}.${key} is not a known setting`);
+    }
+  }
+  return details;
+}
+
+/**
+ * Problems with a schema someone wants to store, empty when the shadow can use it
+ */
+export function checkSchema(schema, path = 'schema') {
+  if (typeOf(schema) !== 'object') return [`${path} must be an object`];
+  const details = [];
+  for (const key of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(key)) details.push(`${path}.${key} is not a supported keyword`);
+  }
+  if (schema.type !== undefined && !SCHEMA_TYPES.includes(schema.type)) {
+    details.push(`${path}.type must be one of: ${SCHEMA_TYPES.join(', ')}`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) details.push(`${path}.enum must be an array`);
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string'))) {
+    details.push(`${path}.required must be an array of property names`);
+  }
+  if (schema.properties !== undefined) {
+    if (typeOf(schema.properties) !== 'object') details.push(`${path}.properties must be an object`);
+    else for (const [key, child] of Object.entries(schema.properties)) details.push(...checkSchema(child, `${path}.properties.${key}`));
+  }
+  if (schema.items !== undefined) details.push(...checkSchema(schema.items, `${path}.items`));
+  if (schema.anyOf !== undefined) {
+    if (!Array.isArray(schema.anyOf) || !schema.anyOf.length) details.push(`${path}.anyOf must be a non-empty array`);
+    else schema.anyOf.forEach((child, i) => details.push(...checkSchema(child, `${path}.anyOf[${i}]`)));
+  }
+  return details;
+}
+
+function parseConfig(text) {
+  try {
+    const config = JSON.parse(text || '{}');
+    return typeOf(config) === 'object' ? config : {};
+  } catch {
+    return {};
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Desired keys whose value the device hasn't reported yet
+ */
+export function computeDelta(desired, reported) {
+  const delta = {};
+  for (const [key, value] of Object.entries(desired || {})) {
+    if (!reported || !sameValue(value, reported[key])) delta[key] = value;
+  }
+  return delta;
+}
+
+export class DeviceShadowService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.broadcast - (type, payload) => void, WebSocket broadcast
+   * @param {Function} options.push - (device, { version, desired, delta }) => void, sends desired config to the device
+   */
+  constructor(db, { broadcast, push }) {
+    this.db = db;
+    this.broadcast = broadcast;
+    this.push = push;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_shadows (
+        device_id TEXT PRIMARY KEY,
+        desired TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        reported TEXT,
+        reported_at TEXT,
+        updated_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS device_config_versions (
+        id TEXT PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        config TEXT NOT NULL,
+        source TEXT NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT,
+        UNIQUE (device_id, version)
+      );
+      CREATE TABLE IF NOT EXISTS device_config_schemas (
+        device_type TEXT PRIMARY KEY,
+        schema TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT
+      );
+    `);
+
+    this.selectShadow = this.db.prepare('SELECT * FROM device_shadows WHERE device_id = ?');
+    this.selectVersion = this.db.prepare('SELECT * FROM device_config_versions WHERE device_id = ? AND version = ?');
+  }
+
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  // ============ SCHEMAS ============
+
+  /**
+   * @returns {{ device_type, schema, source }} source is custom, built-in or default
+   */
+  schemaFor(deviceType) {
+    const custom = this.db.prepare('SELECT * FROM device_config_schemas WHERE device_type = ?').get(deviceType);
+    if (custom) return { device_type: deviceType, schema: JSON.parse(custom.schema), source: 'custom' };
+    if (BUILT_IN_SCHEMAS[deviceType]) return { device_type: deviceType, schema: BUILT_IN_SCHEMAS[deviceType], source: 'built-in' };
+    return { device_type: deviceType, schema: DEFAULT_SCHEMA, source: 'default' };
+  }
+
+  setSchema(deviceType, schema, { actor }) {
+    this.db.prepare(`
+      INSERT INTO device_config_schemas (device_type, schema, updated_by, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (device_type) DO UPDATE SET schema = excluded.schema, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+    `).run(deviceType, JSON.stringify(schema), actor, new Date().toISOString());
+    return this.schemaFor(deviceType);
+  }
+
+  /**
+   * Back to the built-in (or default) schema
+   */
+  resetSchema(deviceType) {
+    this.db.prepare('DELETE FROM device_config_schemas WHERE device_type = ?').run(deviceType);
+    return this.schemaFor(deviceType);
+  }
+
+  /**
+   * Problems with a config for this type of device, empty when it can be desired
+   */
+  validate(deviceType, config) {
+    return validateAgainstSchema(this.schemaFor(deviceType).schema, config);
+  }
+
+  // ============ SHADOW ============
+
+  /**
+   * @returns {{ device_id, type, version, desired, reported, reported_at, delta, in_sync, updated_at }}
+   */
+  getShadow(device) {
+    const row = this.selectShadow.get(device.device_id);
+    const desired = row ? JSON.parse(row.desired) : parseConfig(device.config);
+    const reported = row && row.reported ? JSON.parse(row.reported) : null;
+    const delta = computeDelta(desired, reported);
+    return {
+      device_id: device.device_id,
+      type: device.type,
+      version: row ? row.version : 0,
+      desired,
+      reported,
+      reported_at: row ? row.reported_at : null,
+      delta,
+      in_sync: reported !== null && Object.keys(delta).length === 0,
+      updated_at: row ? row.updated_at : device.updated_at
+    };
+  }
+
+  /**
+   * Replace the desired config. The caller validates first.
+   * @param {object} device - devices row
+   * @param {object} config
+   * @param {object} options
+   * @param {string} options.actor
+   * @param {string} [options.source] - api, rollback, ...
+   * @param {string} [options.note]
+   * @param {number|null} [options.expectedVersion] - reject when the shadow moved on since the caller read it
+   * @returns {{ shadow }|{ error, shadow }}
+   */
+  setDesired(device, config, { actor, source = 'api', note = '', expectedVersion = null }) {
+    const current = this.getShadow(device);
+    if (expectedVersion !== null && expectedVersion !== current.version) {
+      return { error: `Shadow is at version ${current.version}, not ${expectedVersion}`, shadow: current };
+    }
+
+    const now = new Date().toISOString();
+    const version = current.version + 1;
+    const desired = JSON.stringify(config);
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO device_shadows (device_id, desired, version, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (device_id) DO UPDATE SET desired = excluded.desired, version = excluded.version, updated_at = excluded.updated_at
+      `).run(device.device_id, desired, version, now);
+      this.db.prepare(`
+        INSERT INTO device_config_versions (id, device_id, version, config, source, note, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(nanoid(), device.device_id, version, desired, source, note, actor, now);
+      this.db.prepare('UPDATE devices SET config = ?, updated_at = ? WHERE device_id = ?').run(desired, now, device.device_id);
+    })();
+
+    const shadow = this.getShadow({ ...device, config: desired });
+    console.log(`[shadow] ${device.device_id} desired v${version} by ${actor} (${source})`);
+    this.broadcast('device.shadow', shadow);
+    this.push(device, { version: shadow.version, desired: shadow.desired, delta: shadow.delta });
+    return { shadow };
+  }
+
+  /**
+   * Store what the device says it is running
+   */
+  report(device, reported) {
+    const now = new Date().toISOString();
+    const current = this.getShadow(device);
+    this.db.prepare(`
+      INSERT INTO device_shadows (device_id, desired, version, reported, reported_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (device_id) DO UPDATE SET reported = excluded.reported, reported_at = excluded.reported_at, updated_at = excluded.updated_at
+    `).run(device.device_id, JSON.stringify(current.desired), current.version, JSON.stringify(reported), now, now);
+
+    const shadow = this.getShadow(device);
+    if (!sameValue(current.reported, shadow.reported)) this.broadcast('device.shadow', shadow);
+    return shadow;
+  }
+
+  // ============ HISTORY ============
+
+  listVersions(deviceId, { limit = 50 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM device_config_versions WHERE device_id = ? ORDER BY version DESC LIMIT ?
+    `).all(deviceId, limit).map(row => ({ ...row, config: JSON.parse(row.config) }));
+  }
+
+  getVersion(deviceId, version) {
+    const row = this.selectVersion.get(deviceId, version);
+    return row ? { ...row, config: JSON.parse(row.config) } : null;
+  }
+}
+
+export default DeviceShadowService;
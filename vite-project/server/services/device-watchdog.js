@@ -0,0 +1,117 @@
+/**
+ * Device Watchdog
+ * Notices devices that stopped reporting. A device opts in by declaring
+ * `heartbeat_interval_sec` in its config; it is marked `stale` once it has
+ * missed a couple of heartbeats and `offline` once it has missed several.
+ * Devices without an interval are left alone, since nothing says how often
+ * they are meant to check in.
+ *
+ * The watchdog only moves devices down. Coming back is noticed by the
+ * heartbeat itself, or by the device's telemetry being accepted.
+ */
+
+// Missed heartbeats before a device is marked stale / offline, unless its config says otherwise
+export const DEFAULT_STALE_AFTER = 2;
+export const DEFAULT_OFFLINE_AFTER = 5;
+
+// Statuses the watchdog moves a device between
+export const WATCHED_STATUSES = ['online', 'warning', 'stale'];
+
+function positive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * How a device is expected to check in, from its config
+ * @param {object} device - devices row
+ * @returns {{ intervalSec, staleAfter, offlineAfter }|null} null when the device declares no interval
+ */
+export function heartbeatPolicy(device) {
+  let config;
+  try {
+    config = JSON.parse(device.config || '{}');
+  } catch {
+    return null;
+  }
+  const intervalSec = positive(config && config.heartbeat_interval_sec);
+  if (!intervalSec) return null;
+
+  const staleAfter = positive(config.stale_after_missed) || DEFAULT_STALE_AFTER;
+  const offlineAfter = Math.max(positive(config.offline_after_missed) || DEFAULT_OFFLINE_AFTER, staleAfter);
+  return { intervalSec, staleAfter, offlineAfter };
+}
+
+export class DeviceWatchdog {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.onStatusChange - (device, status, { missed }) => void, applies the new status
+   * @param {number} [options.pollIntervalMs] - how often devices are checked
+   */
+  constructor(db, { onStatusChange, pollIntervalMs = 15 * 1000 }) {
+    this.db = db;
+    this.onStatusChange = onStatusChange;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+  }
+
+  initialize() {
+    // json_extract would throw on a malformed config, so only valid JSON is looked into
+    this.selectWatched = this.db.prepare(`
+      SELECT * FROM devices
+      WHERE status IN (${WATCHED_STATUSES.map(() => '?').join(', ')})
+      AND CASE WHEN json_valid(config) THEN json_extract(config, '$.heartbeat_interval_sec') END > 0
+    `);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.pollIntervalMs);
+    this.check();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Status a device should have given how long it has been silent
+   * @returns {{ status, missed }|null} null when it is not overdue
+   */
+  evaluate(device, now = Date.now()) {
+    const policy = heartbeatPolicy(device);
+    const lastSeen = Date.parse(device.last_seen);
+    if (!policy || Number.isNaN(lastSeen)) return null;
+
+    const missed = Math.floor((now - lastSeen) / (policy.intervalSec * 1000));
+    if (missed >= policy.offlineAfter) return { status: 'offline', missed };
+    if (missed >= policy.staleAfter) return { status: 'stale', missed };
+    return null;
+  }
+
+  /**
+   * Mark every overdue device
+   * @returns {number} devices whose status changed
+   */
+  check(now = Date.now()) {
+    let changed = 0;
+    try {
+      for (const device of this.selectWatched.all(...WATCHED_STATUSES)) {
+        const verdict = this.evaluate(device, now);
+        if (!verdict || verdict.status === device.status) continue;
+        try {
+          this.onStatusChange(device, verdict.status, { missed: verdict.missed });
+          changed++;
+        } catch (error) {
+          console.error(`[watchdog] Failed to mark ${device.device_id} ${verdict.status}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[watchdog] Check failed:', error.message);
+    }
+    return changed;
+  }
+}
+
+export default DeviceWatchdog;
@@ -0,0 +1,267 @@
+/**
+ * Escalation Scheduler
+ * Automatically escalates unacknowledged alerts on a per-tenant,
+ * per-severity ladder (e.g. critical: after 2 min, then every 5 min up to level 3)
+ */
+
+// Alert states that still need someone to respond
+const OPEN_STATES = ['new', 'escalated'];
+
+// Fallback ladder used when a tenant has no policy for a severity
+export const DEFAULT_POLICIES = {
+  critical: { first_after_sec: 2 * 60, repeat_every_sec: 5 * 60, max_level: 3 },
+  high: { first_after_sec: 10 * 60, repeat_every_sec: null, max_level: 1 }
+};
+
+function formatWait(seconds) {
+  return seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${seconds} s`;
+}
+
+export class EscalationScheduler {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.escalate - (alert, { actor, note, meta }) => void,
+   *   the same routine the manual escalate route uses
+   */
+  constructor(db, { escalate }) {
+    this.db = db;
+    this.escalate = escalate;
+    this.timers = new Map(); // alert id -> timeout handle
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS escalation_policies (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT NOT NULL,
+        severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+        first_after_sec INTEGER NOT NULL,
+        repeat_every_sec INTEGER,
+        max_level INTEGER NOT NULL DEFAULT 1,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT,
+        updated_at TEXT,
+        UNIQUE (tenant_id, severity)
+      );
+    `);
+
+    this.selectPolicy = this.db.prepare(
+      'SELECT * FROM escalation_policies WHERE tenant_id = ? AND severity = ?'
+    );
+    this.selectAlert = this.db.prepare('SELECT * FROM alerts WHERE id = ?');
+  }
+
+  /**
+   * List policies for a tenant, including the built-in defaults it inherits
+   */
+  listPolicies(tenantId) {
+    const rows = this.db.prepare(
+      'SELECT * FROM escalation_policies WHERE tenant_id = ? ORDER BY severity'
+    ).all(tenantId);
+
+    const configured = new Set(rows.map(r => r.severity));
+    const defaults = Object.entries(DEFAULT_POLICIES)
+      .filter(([severity]) => !configured.has(severity))
+      .map(([severity, policy]) => ({ tenant_id: tenantId, severity, ...policy, enabled: 1, is_default: true }));
+
+    return [...rows.map(r => ({ ...r, is_default: false })), ...defaults];
+  }
+
+  /**
+   * Create or replace a tenant's policy for one severity
+   */
+  upsertPolicy(tenantId, severity, { id, first_after_sec, repeat_every_sec = null, max_level = 1, enabled = true }, now) {
+    this.db.prepare(`
+      INSERT INTO escalation_policies
+        (id, tenant_id, severity, first_after_sec, repeat_every_sec, max_level, enabled, created_at, updated_at)
+      VALUES (@id, @tenant_id, @severity, @first_after_sec, @repeat_every_sec, @max_level, @enabled, @now, @now)
+      ON CONFLICT (tenant_id, severity) DO UPDATE SET
+        first_after_sec = excluded.first_after_sec,
+        repeat_every_sec = excluded.repeat_every_sec,
+        max_level = excluded.max_level,
+        enabled = excluded.enabled,
+        updated_at = excluded.updated_at
+    `).run({
+      id,
+      tenant_id: tenantId,
+      severity,
+      first_after_sec,
+      repeat_every_sec,
+      max_level,
+      enabled: enabled ? 1 : 0,
+      now
+    });
+
+    this.rescheduleTenant(tenantId);
+    return this.selectPolicy.get(tenantId, severity);
+  }
+
+  deletePolicy(tenantId, severity) {
+    const result = this.db.prepare(
+      'DELETE FROM escalation_policies WHERE tenant_id = ? AND severity = ?'
+    ).run(tenantId, severity);
+
+    this.rescheduleTenant(tenantId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Resolve the effective policy for an alert (tenant override, then default)
+   */
+  getPolicy(alert) {
+    const row = this.selectPolicy.get(alert.tenant_id, alert.severity);
+    if (row) return row.enabled ? row : null;
+    return DEFAULT_POLICIES[alert.severity] || null;
+  }
+
+  /**
+   * Work out when the alert should next escalate, or null if it never should.
+   * Derived purely from the alert row so it can be recomputed after a restart.
+   */
+  nextDueAt(alert) {
+    const state = alert.state || alert.status;
+    if (!OPEN_STATES.includes(state)) return null;
+    // Raised during a maintenance window: kept on record, never escalated by itself
+    if (alert.suppressed_by) return null;
+
+    const policy = this.getPolicy(alert);
+    if (!policy) return null;
+
+    const level = alert.escalation_level || 0;
+    if (level >= policy.max_level) return null;
+
+    const since = this._since(alert);
+
+    if (level === 0) {
+      return since + policy.first_after_sec * 1000;
+    }
+
+    if (!policy.repeat_every_sec) return null;
+    return since + policy.repeat_every_sec * 1000;
+  }
+
+  // Counted from the last state change, so a reopened or resurfaced alert starts a fresh wait
+  // but other writes to the row (notes, labels, severity) don't reset the clock
+  _since(alert) {
+    return Date.parse(alert.state_changed_at || alert.escalated_at || alert.created_at);
+  }
+
+  /**
+   * Whether an alert's whole ladder ran out before now, e.g. while the server
+   * was down. Escalating it late would page everyone at once for old news.
+   */
+  isStale(alert, now = Date.now()) {
+    const dueAt = this.nextDueAt(alert);
+    if (dueAt == null || dueAt > now) return false;
+
+    const policy = this.getPolicy(alert);
+    const level = alert.escalation_level || 0;
+    const remainingSec = (level === 0 ? policy.first_after_sec : policy.repeat_every_sec) +
+      Math.max(0, policy.max_level - level - 1) * (policy.repeat_every_sec || 0);
+    return this._since(alert) + remainingSec * 1000 <= now;
+  }
+
+  /**
+   * (Re)arm the timer for an alert
+   */
+  schedule(alert) {
+    this.cancel(alert.id);
+
+    const dueAt = this.nextDueAt(alert);
+    if (dueAt == null || Number.isNaN(dueAt)) return;
+
+    const delay = Math.max(0, dueAt - Date.now());
+    const timer = setTimeout(() => this._fire(alert.id), delay);
+    this.timers.set(alert.id, timer);
+  }
+
+  cancel(alertId) {
+    const timer = this.timers.get(alertId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(alertId);
+    }
+  }
+
+  cancelAll() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Rebuild all timers from the alerts table (used on startup). Overdue
+   * alerts still on their ladder escalate one level; stale ones are skipped.
+   */
+  rebuild() {
+    this.cancelAll();
+
+    const open = this.db.prepare(
+      `SELECT * FROM alerts WHERE state IN (${OPEN_STATES.map(() => '?').join(', ')})`
+    ).all(...OPEN_STATES);
+
+    const skipped = this._scheduleAll(open);
+    console.log(`[escalation] Rebuilt ${this.timers.size} escalation timer(s) from ${open.length} open alert(s)`);
+    if (skipped) console.log(`[escalation] Skipped ${skipped} stale alert(s) whose escalation ladder ran out before start`);
+  }
+
+  rescheduleTenant(tenantId) {
+    const open = this.db.prepare(
+      `SELECT * FROM alerts WHERE tenant_id = ? AND state IN (${OPEN_STATES.map(() => '?').join(', ')})`
+    ).all(tenantId, ...OPEN_STATES);
+
+    const skipped = this._scheduleAll(open);
+    if (skipped) console.log(`[escalation] Skipped ${skipped} stale alert(s) of ${tenantId} under the changed policy`);
+  }
+
+  /**
+   * @returns {number} how many stale alerts were left unscheduled
+   */
+  _scheduleAll(alerts) {
+    const now = Date.now();
+    let skipped = 0;
+    for (const alert of alerts) {
+      if (this.isStale(alert, now)) {
+        this.cancel(alert.id);
+        skipped++;
+      } else {
+        this.schedule(alert);
+      }
+    }
+    return skipped;
+  }
+
+  _fire(alertId) {
+    this.timers.delete(alertId);
+
+    try {
+      // Re-read: the alert may have been acked, resolved or escalated by hand meanwhile
+      const alert = this.selectAlert.get(alertId);
+      if (!alert) return;
+
+      const dueAt = this.nextDueAt(alert);
+      if (dueAt == null) return;
+      if (dueAt > Date.now()) {
+        this.schedule(alert);
+        return;
+      }
+
+      const level = alert.escalation_level || 0;
+      const policy = this.getPolicy(alert);
+      const waitedSec = level === 0 ? policy.first_after_sec : policy.repeat_every_sec;
+
+      this.escalate(alert, {
+        actor: 'system',
+        note: `Auto-escalated: not acknowledged within ${formatWait(waitedSec)}`,
+        meta: { auto: true, policy_severity: alert.severity }
+      });
+
+      const updated = this.selectAlert.get(alertId);
+      if (updated) this.schedule(updated);
+    } catch (error) {
+      console.error(`[escalation] Failed to auto-escalate alert ${alertId}:`, error.message);
+    }
+  }
+}
+
+export default EscalationScheduler;
@@ -0,0 +1,559 @@
+/**
+ * Firmware OTA Service
+ * A catalog of firmware releases and the staged deployments that roll them
+ * out. A deployment first sends the release to a canary slice of its
+ * devices; once every canary device has finished it moves on to the rest,
+ * a batch at a time. Each device reports its own progress:
+ *
+ *   pending → downloading → applied
+ *                        ↘ failed
+ *   applied → rolled_back
+ *
+ * A deployment halts by itself when the share of failed (or rolled back)
+ * devices passes its max_failure_rate, and can be resumed, cancelled or
+ * rolled back by an admin. Devices are told what to install through the
+ * `dispatch` callback (MQTT in index.js) and can also ask for their job over
+ * HTTP. Every change is broadcast for the fleet page.
+ */
+import { nanoid } from 'nanoid';
+import { queryClause, validateTags } from './device-groups.js';
+
+export const DEVICE_STATES = ['pending', 'downloading', 'applied', 'failed', 'rolled_back'];
+export const DEPLOYMENT_STATES = ['running', 'halted', 'completed', 'cancelled', 'rolling_back', 'rolled_back'];
+
+// States a device can report, and where from
+const DEVICE_TRANSITIONS = {
+  downloading: ['pending'],
+  applied: ['pending', 'downloading'],
+  failed: ['pending', 'downloading'],
+  rolled_back: ['applied', 'failed']
+};
+
+const FINISHED_STATES = ['applied', 'failed', 'rolled_back'];
+const FAILED_STATES = ['failed', 'rolled_back'];
+
+// Halting on the very first report would be noise, unless that's all the canary there is
+const MIN_FINISHED_BEFORE_HALT = 3;
+
+export const DEFAULTS = {
+  canary_percent: 10,
+  max_failure_rate: 10,
+  batch_size: 50
+};
+
+const SHA256 = /^[a-f0-9]{64}$/i;
+
+function parseTypes(release) {
+  return release.device_types ? JSON.parse(release.device_types) : null;
+}
+
+export class FirmwareService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.broadcast - (type, payload) => void, WebSocket broadcast
+   * @param {Function} options.dispatch - (device, job) => void, tells a device to install or roll back
+   * @param {object} [options.groups] - DeviceGroupService, for rollouts targeting a group or tags
+   * @param {number} [options.pollIntervalMs] - how often running deployments are advanced
+   * @param {number} [options.deviceTimeoutMs] - how long a device may take after its job was sent
+   */
+  constructor(db, { broadcast, dispatch, groups = null, pollIntervalMs = 10 * 1000, deviceTimeoutMs = 30 * 60 * 1000 }) {
+    this.db = db;
+    this.broadcast = broadcast;
+    this.dispatch = dispatch;
+    this.groups = groups;
+    this.pollIntervalMs = pollIntervalMs;
+    this.deviceTimeoutMs = deviceTimeoutMs;
+    this.timer = null;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS firmware_releases (
+        id TEXT PRIMARY KEY,
+        version TEXT NOT NULL UNIQUE,
+        checksum TEXT NOT NULL,
+        url TEXT,
+        release_notes TEXT,
+        device_types TEXT,
+        created_by TEXT,
+        created_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS firmware_deployments (
+        id TEXT PRIMARY KEY,
+        release_id TEXT NOT NULL,
+        version TEXT NOT NULL,
+        state TEXT NOT NULL,
+        stage TEXT NOT NULL CHECK (stage IN ('canary', 'rollout')),
+        canary_percent REAL NOT NULL,
+        max_failure_rate REAL NOT NULL,
+        batch_size INTEGER NOT NULL,
+        target TEXT,
+        halt_reason TEXT,
+        created_by TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        completed_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS firmware_deployment_devices (
+        deployment_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        stage TEXT NOT NULL CHECK (stage IN ('canary', 'rollout')),
+        state TEXT NOT NULL,
+        previous_version TEXT,
+        error TEXT,
+        dispatched_at TEXT,
+        updated_at TEXT,
+        PRIMARY KEY (deployment_id, device_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_firmware_deployment_devices_device ON firmware_deployment_devices (device_id, state);
+    `);
+
+    this.selectRelease = this.db.prepare('SELECT * FROM firmware_releases WHERE id = ? OR version = ?');
+    this.selectDeployment = this.db.prepare('SELECT * FROM firmware_deployments WHERE id = ?');
+    this.selectDeploymentDevice = this.db.prepare(`
+      SELECT * FROM firmware_deployment_devices WHERE deployment_id = ? AND device_id = ?
+    `);
+  }
+
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  // ============ CATALOG ============
+
+  listReleases() {
+    return this.db.prepare('SELECT * FROM firmware_releases ORDER BY created_at DESC, version DESC').all().map(release => this.formatRelease(release));
+  }
+
+  getRelease(idOrVersion) {
+    const release = this.selectRelease.get(idOrVersion, idOrVersion);
+    return release ? this.formatRelease(release) : null;
+  }
+
+  formatRelease(release) {
+    return { ...release, device_types: parseTypes(release) };
+  }
+
+  /**
+   * Problems with a release, empty when it can be saved
+   */
+  validateRelease({ version, checksum, url, device_types }) {
+    const details = [];
+    if (!version || typeof version !== 'string') details.push('version is required');
+    else if (this.selectRelease.get(version, version)) details.push(`version ${version} is already in the catalog`);
+    if (!checksum || !SHA256.test(checksum)) details.push('checksum must be a SHA-256 hex digest');
+    if (url !== undefined && url !== null && (typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+      details.push('url must be an http(s) URL');
+    }
+    if (device_types !== undefined && device_types !== null &&
+        (!Array.isArray(device_types) || !device_types.length || device_types.some(type => typeof type !== 'string'))) {
+      details.push('device_types must be a non-empty array of device types, or null for every type');
+    }
+    return details;
+  }
+
+  createRelease({ version, checksum, url = null, release_notes = '', device_types = null }, { createdBy }) {
+    const id = nanoid();
+    this.db.prepare(`
+      INSERT INTO firmware_releases (id, version, checksum, url, release_notes, device_types, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, version, checksum.toLowerCase(), url, release_notes, device_types ? JSON.stringify(device_types) : null,
+      createdBy, new Date().toISOString());
+    return this.getRelease(id);
+  }
+
+  /**
+   * @returns {boolean|null} null when the release has deployments and can't be removed
+   */
+  deleteRelease(id) {
+    const used = this.db.prepare('SELECT 1 FROM firmware_deployments WHERE release_id = ? LIMIT 1').get(id);
+    if (used) return null;
+    return this.db.prepare('DELETE FROM firmware_releases WHERE id = ?').run(id).changes > 0;
+  }
+
+  // ============ DEPLOYMENTS ============
+
+  /**
+   * Devices a release would go to: matching type and target, not on the version already
+   * @param {object} release - formatted release
+   * @param {object} [target] - { tenant?, house_id?, device_ids?, group_id?, tags? }
+   */
+  eligibleDevices(release, target = {}) {
+    // Decommissioned devices are out of the fleet for good
+    const where = ["status != 'decommissioned'", '(firmware IS NULL OR firmware != ?)'];
+    const params = [release.version];
+    if (release.device_types) {
+      where.push(`type IN (${release.device_types.map(() => '?').join(', ')})`);
+      params.push(...release.device_types);
+    }
+    if (target.tenant) { where.push('tenant = ?'); params.push(target.tenant); }
+    if (target.house_id) { where.push('house_id = ?'); params.push(target.house_id); }
+    if (target.device_ids) {
+      where.push(`device_id IN (${target.device_ids.map(() => '?').join(', ')})`);
+      params.push(...target.device_ids);
+    }
+    if (target.group_id) {
+      const group = this.groups && this.groups.getGroup(target.group_id);
+      if (!group) return [];
+      const clause = this.groups.groupClause(group);
+      where.push(clause.sql);
+      params.push(...clause.params);
+    }
+    if (target.tags) {
+      const clause = queryClause({ tags: target.tags });
+      where.push(clause.sql);
+      params.push(...clause.params);
+    }
+    // Devices already part of an unfinished deployment wait for it to end
+    where.push(`device_id NOT IN (
+      SELECT dd.device_id FROM firmware_deployment_devices dd
+      JOIN firmware_deployments d ON d.id = dd.deployment_id
+      WHERE d.state IN ('running', 'halted', 'rolling_back') AND dd.state IN ('pending', 'downloading')
+    )`);
+    return this.db.prepare(`SELECT * FROM devices WHERE ${where.join(' AND ')} ORDER BY RANDOM()`).all(...params);
+  }
+
+  validateDeployment({ canary_percent, max_failure_rate, batch_size, target }) {
+    const details = [];
+    const percent = (value, name) => {
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+        details.push(`${name} must be a number from 0 to 100`);
+      }
+    };
+    percent(canary_percent, 'canary_percent');
+    percent(max_failure_rate, 'max_failure_rate');
+    if (batch_size !== undefined && (!Number.isInteger(batch_size) || batch_size < 1)) {
+      details.push('batch_size must be a positive integer');
+    }
+    if (target !== undefined && (typeof target !== 'object' || target === null || Array.isArray(target))) {
+      details.push('target must be an object with tenant, house_id, device_ids, group_id or tags');
+    } else if (target) {
+      if (target.device_ids !== undefined && (!Array.isArray(target.device_ids) || !target.device_ids.length)) {
+        details.push('target.device_ids must be a non-empty array');
+      }
+      if (target.group_id !== undefined && !(this.groups && this.groups.getGroup(target.group_id))) {
+        details.push('target.group_id must name a device group');
+      }
+      if (target.tags !== undefined) details.push(...validateTags(target.tags, 'target.tags', { wildcards: true }));
+    }
+    return details;
+  }
+
+  /**
+   * Start rolling a release out
+   * @returns {object|null} the deployment, or null when no device needs the release
+   */
+  createDeployment(release, options, { createdBy }) {
+    const {
+      canary_percent = DEFAULTS.canary_percent,
+      max_failure_rate = DEFAULTS.max_failure_rate,
+      batch_size = DEFAULTS.batch_size,
+      target = {}
+    } = options;
+
+    const devices = this.eligibleDevices(release, target);
+    if (!devices.length) return null;
+
+    const id = nanoid();
+    const now = new Date().toISOString();
+    // At least one canary device whenever there is a canary stage at all
+    const canaryCount = canary_percent > 0 ? Math.max(1, Math.ceil(devices.length * canary_percent / 100)) : 0;
+    const stage = canaryCount > 0 && canaryCount < devices.length ? 'canary' : 'rollout';
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO firmware_deployments (
+          id, release_id, version, state, stage, canary_percent, max_failure_rate, batch_size, target, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, 'running', ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, release.id, release.version, stage, canary_percent, max_failure_rate, batch_size,
+        JSON.stringify(target), createdBy, now, now);
+
+      const insert = this.db.prepare(`
+        INSERT INTO firmware_deployment_devices (deployment_id, device_id, stage, state, previous_version, updated_at)
+        VALUES (?, ?, ?, 'pending', ?, ?)
+      `);
+      devices.forEach((device, i) => {
+        insert.run(id, device.device_id, i < canaryCount ? 'canary' : 'rollout', device.firmware, now);
+      });
+    })();
+
+    console.log(`[firmware] Deployment ${id}: ${release.version} to ${devices.length} device(s), ${canaryCount} canary`);
+    this.advance(id);
+    return this.getDeployment(id);
+  }
+
+  listDeployments({ state, limit = 50 } = {}) {
+    const rows = state
+      ? this.db.prepare('SELECT * FROM firmware_deployments WHERE state = ? ORDER BY created_at DESC LIMIT ?').all(state, limit)
+      : this.db.prepare('SELECT * FROM firmware_deployments ORDER BY created_at DESC LIMIT ?').all(limit);
+    return rows.map(deployment => this.summarize(deployment));
+  }
+
+  getDeployment(id) {
+    const deployment = this.selectDeployment.get(id);
+    return deployment ? this.summarize(deployment) : null;
+  }
+
+  listDeploymentDevices(id) {
+    return this.db.prepare(`
+      SELECT * FROM firmware_deployment_devices WHERE deployment_id = ? ORDER BY stage ASC, device_id ASC
+    `).all(id);
+  }
+
+  /**
+   * Deployment row with per-state counts, completion and failure rate
+   */
+  summarize(deployment) {
+    const rows = this.db.prepare(`
+      SELECT state, COUNT(*) AS count FROM firmware_deployment_devices WHERE deployment_id = ? GROUP BY state
+    `).all(deployment.id);
+    const counts = Object.fromEntries(DEVICE_STATES.map(state => [state, 0]));
+    for (const row of rows) counts[row.state] = row.count;
+
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+    const finished = FINISHED_STATES.reduce((sum, state) => sum + counts[state], 0);
+    const failed = FAILED_STATES.reduce((sum, state) => sum + counts[state], 0);
+    return {
+      ...deployment,
+      target: deployment.target ? JSON.parse(deployment.target) : {},
+      total,
+      counts,
+      progress: total ? Math.round((finished / total) * 100) : 100,
+      failure_rate: finished ? Math.round((failed / finished) * 10000) / 100 : 0
+    };
+  }
+
+  // ============ DEVICE PROGRESS ============
+
+  /**
+   * The job a device should be working on, if any
+   */
+  currentJob(deviceId) {
+    const row = this.db.prepare(`
+      SELECT dd.*, d.state AS deployment_state FROM firmware_deployment_devices dd
+      JOIN firmware_deployments d ON d.id = dd.deployment_id
+      WHERE dd.device_id = ? AND dd.dispatched_at IS NOT NULL
+      AND ((d.state = 'running' AND dd.state IN ('pending', 'downloading'))
+        OR (d.state = 'rolling_back' AND dd.state = 'applied'))
+      ORDER BY dd.dispatched_at DESC LIMIT 1
+    `).get(deviceId);
+    if (!row) return null;
+    return this.jobFor(this.selectDeployment.get(row.deployment_id), row);
+  }
+
+  jobFor(deployment, entry) {
+    if (deployment.state === 'rolling_back') {
+      return { deployment_id: deployment.id, action: 'rollback', version: entry.previous_version };
+    }
+    const release = this.getRelease(deployment.release_id);
+    return {
+      deployment_id: deployment.id,
+      action: 'install',
+      version: release.version,
+      checksum: release.checksum,
+      url: release.url
+    };
+  }
+
+  /**
+   * A device reports how its update is going
+   * @returns {{ entry }|{ error, status }}
+   */
+  reportProgress(deploymentId, deviceId, { state, error = null }) {
+    if (!DEVICE_TRANSITIONS[state]) {
+      return { status: 400, error: `state must be one of: ${Object.keys(DEVICE_TRANSITIONS).join(', ')}` };
+    }
+    const entry = this.selectDeploymentDevice.get(deploymentId, deviceId);
+    if (!entry) return { status: 404, error: 'Device is not part of this deployment' };
+    if (entry.state === state) return { entry };
+    if (!DEVICE_TRANSITIONS[state].includes(entry.state)) {
+      return { status: 409, error: `Cannot go from ${entry.state} to ${state}` };
+    }
+
+    const deployment = this.selectDeployment.get(deploymentId);
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE firmware_deployment_devices SET state = ?, error = ?, updated_at = ? WHERE deployment_id = ? AND device_id = ?
+      `).run(state, state === 'failed' ? (error || 'Update failed') : error, now, deploymentId, deviceId);
+
+      if (state === 'applied') {
+        this.db.prepare('UPDATE devices SET firmware = ?, updated_at = ? WHERE device_id = ?').run(deployment.version, now, deviceId);
+      } else if (state === 'rolled_back' && entry.state === 'applied') {
+        this.db.prepare('UPDATE devices SET firmware = ?, updated_at = ? WHERE device_id = ?').run(entry.previous_version, now, deviceId);
+      }
+    })();
+
+    const updated = this.selectDeploymentDevice.get(deploymentId, deviceId);
+    this.broadcast('firmware.device', updated);
+    this.advance(deploymentId);
+    return { entry: updated };
+  }
+
+  // ============ ADMIN ACTIONS ============
+
+  /**
+   * @returns {{ deployment }|{ error, status }}
+   */
+  halt(id, reason) {
+    return this.changeState(id, ['running'], 'halted', { halt_reason: reason });
+  }
+
+  /**
+   * Carry on after a halt, optionally with a higher failure threshold
+   */
+  resume(id, { max_failure_rate } = {}) {
+    const deployment = this.selectDeployment.get(id);
+    if (!deployment) return { status: 404, error: 'Deployment not found' };
+    const threshold = max_failure_rate ?? deployment.max_failure_rate;
+    const { failure_rate } = this.summarize(deployment);
+    if (deployment.state === 'halted' && failure_rate > threshold) {
+      return { status: 409, error: `Failure rate ${failure_rate}% is above ${threshold}%; raise max_failure_rate to resume` };
+    }
+    const result = this.changeState(id, ['halted'], 'running', { halt_reason: null, max_failure_rate: threshold });
+    if (!result.error) this.advance(id);
+    return result.error ? result : { deployment: this.getDeployment(id) };
+  }
+
+  cancel(id) {
+    return this.changeState(id, ['running', 'halted'], 'cancelled', { completed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Stop the rollout and send devices that applied the release back to their previous version
+   */
+  rollback(id) {
+    const result = this.changeState(id, ['running', 'halted', 'completed'], 'rolling_back', {});
+    if (result.error) return result;
+
+    const deployment = this.selectDeployment.get(id);
+    const applied = this.db.prepare(`
+      SELECT * FROM firmware_deployment_devices WHERE deployment_id = ? AND state = 'applied' AND previous_version IS NOT NULL
+    `).all(id);
+    for (const entry of applied) this.send(deployment, entry);
+    console.log(`[firmware] Deployment ${id}: rolling back ${applied.length} device(s)`);
+    this.advance(id);
+    return { deployment: this.getDeployment(id) };
+  }
+
+  changeState(id, from, to, changes) {
+    const deployment = this.selectDeployment.get(id);
+    if (!deployment) return { status: 404, error: 'Deployment not found' };
+    if (!from.includes(deployment.state)) {
+      return { status: 409, error: `Deployment is ${deployment.state}` };
+    }
+    const columns = { ...changes, state: to, updated_at: new Date().toISOString() };
+    this.db.prepare(`
+      UPDATE firmware_deployments SET ${Object.keys(columns).map(column => `${column} = @${column}`).join(', ')} WHERE id = @id
+    `).run({ ...columns, id });
+
+    const updated = this.getDeployment(id);
+    console.log(`[firmware] Deployment ${id}: ${deployment.state} -> ${to}${changes.halt_reason ? ` (${changes.halt_reason})` : ''}`);
+    this.broadcast('firmware.deployment', updated);
+    return { deployment: updated };
+  }
+
+  // ============ ROLLOUT ============
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick(now = Date.now()) {
+    try {
+      const active = this.db.prepare(`SELECT id FROM firmware_deployments WHERE state IN ('running', 'rolling_back')`).all();
+      for (const { id } of active) this.advance(id, now);
+    } catch (error) {
+      console.error('[firmware] Tick failed:', error.message);
+    }
+  }
+
+  send(deployment, entry) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE firmware_deployment_devices SET dispatched_at = ?, updated_at = ? WHERE deployment_id = ? AND device_id = ?
+    `).run(now, now, deployment.id, entry.device_id);
+    const device = this.db.prepare('SELECT * FROM devices WHERE device_id = ?').get(entry.device_id);
+    if (device) this.dispatch(device, this.jobFor(deployment, entry));
+  }
+
+  /**
+   * Move a deployment along: time out silent devices, halt on failures,
+   * leave the canary stage, send the next batch and notice when it's done
+   */
+  advance(id, now = Date.now()) {
+    let deployment = this.selectDeployment.get(id);
+    if (!deployment) return;
+
+    if (deployment.state === 'rolling_back') {
+      const waiting = this.db.prepare(`
+        SELECT COUNT(*) AS count FROM firmware_deployment_devices
+        WHERE deployment_id = ? AND state = 'applied' AND previous_version IS NOT NULL
+      `).get(id).count;
+      if (!waiting) this.changeState(id, ['rolling_back'], 'rolled_back', { completed_at: new Date(now).toISOString() });
+      else this.broadcast('firmware.deployment', this.summarize(deployment));
+      return;
+    }
+    if (deployment.state !== 'running') {
+      this.broadcast('firmware.deployment', this.summarize(deployment));
+      return;
+    }
+
+    const timedOut = this.db.prepare(`
+      UPDATE firmware_deployment_devices SET state = 'failed', error = 'Timed out', updated_at = ?
+      WHERE deployment_id = ? AND state IN ('pending', 'downloading') AND dispatched_at IS NOT NULL AND dispatched_at < ?
+    `).run(new Date(now).toISOString(), id, new Date(now - this.deviceTimeoutMs).toISOString()).changes;
+    if (timedOut) console.log(`[firmware] Deployment ${id}: ${timedOut} device(s) timed out`);
+
+    let summary = this.summarize(deployment);
+    const finished = FINISHED_STATES.reduce((sum, state) => sum + summary.counts[state], 0);
+    const dispatched = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM firmware_deployment_devices WHERE deployment_id = ? AND dispatched_at IS NOT NULL
+    `).get(id).count;
+    if (summary.failure_rate > deployment.max_failure_rate && finished >= Math.min(MIN_FINISHED_BEFORE_HALT, dispatched)) {
+      this.halt(id, `Failure rate ${summary.failure_rate}% passed ${deployment.max_failure_rate}%`);
+      return;
+    }
+
+    if (deployment.stage === 'canary') {
+      const canaryOpen = this.db.prepare(`
+        SELECT COUNT(*) AS count FROM firmware_deployment_devices
+        WHERE deployment_id = ? AND stage = 'canary' AND state IN ('pending', 'downloading')
+      `).get(id).count;
+      if (!canaryOpen) {
+        this.db.prepare(`UPDATE firmware_deployments SET stage = 'rollout', updated_at = ? WHERE id = ?`)
+          .run(new Date(now).toISOString(), id);
+        console.log(`[firmware] Deployment ${id}: canary passed, rolling out`);
+        deployment = this.selectDeployment.get(id);
+      }
+    }
+
+    const inFlight = summary.counts.downloading + this.db.prepare(`
+      SELECT COUNT(*) AS count FROM firmware_deployment_devices
+      WHERE deployment_id = ? AND state = 'pending' AND dispatched_at IS NOT NULL
+    `).get(id).count;
+    const next = this.db.prepare(`
+      SELECT * FROM firmware_deployment_devices
+      WHERE deployment_id = ? AND state = 'pending' AND dispatched_at IS NULL ${deployment.stage === 'canary' ? `AND stage = 'canary'` : ''}
+      LIMIT ?
+    `).all(id, Math.max(0, deployment.batch_size - inFlight));
+    for (const entry of next) this.send(deployment, entry);
+
+    summary = this.summarize(deployment);
+    if (summary.counts.pending === 0 && summary.counts.downloading === 0) {
+      this.changeState(id, ['running'], 'completed', { completed_at: new Date(now).toISOString() });
+      return;
+    }
+    this.broadcast('firmware.deployment', summary);
+  }
+}
+
+export default FirmwareService;
@@ -0,0 +1,363 @@
+/**
+ * Incident Service
+ * Groups related alerts into incidents. An incoming alert joins an open
+ * incident when a correlation rule links it (same house and related types,
+ * or the same device repeating) within that rule's time window; otherwise it
+ * starts a new incident. Duplicates dropped at ingest are counted on the
+ * incident they belong to.
+ *
+ * Lifecycle: open → acknowledged → resolved. An incident resolves itself
+ * once every alert in it is resolved, and opens again if one of them is
+ * reopened.
+ */
+import { nanoid } from 'nanoid';
+
+// Checked in order; the first rule that lists the alert's type applies
+export const CORRELATION_RULES = [
+  {
+    name: 'intrusion',
+    title: 'Possible intrusion',
+    types: ['glass_break', 'door_open', 'window_open', 'motion', 'unusual_noise'],
+    scope: 'house',
+    window_sec: 10 * 60
+  },
+  {
+    name: 'inactivity',
+    title: 'Repeated inactivity',
+    types: ['no_motion'],
+    scope: 'device',
+    window_sec: 2 * 60 * 60
+  },
+  {
+    name: 'fall',
+    title: 'Fall detected',
+    types: ['fall'],
+    scope: 'house',
+    window_sec: 15 * 60
+  }
+];
+
+// Alerts no rule covers only group with repeats of the same type in the same house
+const FALLBACK_WINDOW_SEC = 10 * 60;
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+function higherSeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+}
+
+export class IncidentService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.broadcast - (type, payload) => void, WebSocket broadcast
+   */
+  constructor(db, { broadcast }) {
+    this.db = db;
+    this.broadcast = broadcast;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS incidents (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT,
+        house_id TEXT,
+        title TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        correlation_key TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('open', 'acknowledged', 'resolved')),
+        alert_count INTEGER NOT NULL DEFAULT 0,
+        suppressed_count INTEGER NOT NULL DEFAULT 0,
+        first_alert_at TEXT,
+        last_alert_at TEXT,
+        acknowledged_by TEXT,
+        acknowledged_at TEXT,
+        resolved_by TEXT,
+        resolved_at TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_incidents_key ON incidents (correlation_key, status);
+      CREATE TABLE IF NOT EXISTS incident_alerts (
+        alert_id TEXT PRIMARY KEY,
+        incident_id TEXT NOT NULL,
+        reason TEXT,
+        suppressed_count INTEGER NOT NULL DEFAULT 0,
+        added_at TEXT,
+        FOREIGN KEY (incident_id) REFERENCES incidents(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_incident_alerts_incident ON incident_alerts (incident_id);
+    `);
+
+    this.selectIncident = this.db.prepare('SELECT * FROM incidents WHERE id = ?');
+    this.selectLink = this.db.prepare('SELECT * FROM incident_alerts WHERE alert_id = ?');
+    this.insertLink = this.db.prepare(`
+      INSERT INTO incident_alerts (alert_id, incident_id, reason, added_at) VALUES (?, ?, ?, ?)
+    `);
+  }
+
+  /**
+   * Which rule applies to an alert and the key incidents are matched on
+   */
+  correlationFor(alert) {
+    const rule = CORRELATION_RULES.find(r => r.types.includes(alert.type));
+    if (!rule) {
+      return {
+        rule: 'same_type',
+        title: alert.type.charAt(0).toUpperCase() + alert.type.slice(1).replace(/_/g, ' '),
+        window_sec: FALLBACK_WINDOW_SEC,
+        key: `same_type:${alert.tenant_id}:${alert.house_id}:${alert.type}`
+      };
+    }
+
+    const scopeKey = rule.scope === 'device' ? alert.device_id : alert.house_id;
+    return {
+      rule: rule.name,
+      title: rule.title,
+      window_sec: rule.window_sec,
+      key: `${rule.name}:${alert.tenant_id}:${scopeKey}`
+    };
+  }
+
+  /**
+   * Attach a newly ingested alert to a matching open incident, or open one
+   * @returns {object} the incident, with `created` true when it is new
+   */
+  correlate(alert) {
+    const correlation = this.correlationFor(alert);
+    const at = alert.occurred_at || alert.created_at;
+    const now = new Date().toISOString();
+
+    const existing = this.db.prepare(`
+      SELECT * FROM incidents
+      WHERE correlation_key = ? AND status IN ('open', 'acknowledged')
+        AND datetime(last_alert_at) >= datetime(?, ?)
+      ORDER BY last_alert_at DESC LIMIT 1
+    `).get(correlation.key, at, `-${correlation.window_sec} seconds`);
+
+    if (existing) {
+      this.db.transaction(() => {
+        this.insertLink.run(alert.id, existing.id, `${correlation.rule} within ${Math.round(correlation.window_sec / 60)} min`, now);
+        this.db.prepare(`
+          UPDATE incidents SET alert_count = alert_count + 1, severity = ?, last_alert_at = ?, updated_at = ? WHERE id = ?
+        `).run(higherSeverity(existing.severity, alert.severity), at > existing.last_alert_at ? at : existing.last_alert_at, now, existing.id);
+      })();
+
+      const incident = this.get(existing.id);
+      console.log(`[incident] Alert ${alert.id} (${alert.type}) joined incident ${incident.id} (${incident.alert_count} alerts)`);
+      this.broadcast('incident.updated', { ...incident, added_alert_id: alert.id });
+      return { ...incident, created: false };
+    }
+
+    const incident = {
+      id: nanoid(),
+      tenant_id: alert.tenant_id,
+      house_id: alert.house_id,
+      title: `${correlation.title} at ${alert.house_id}`,
+      rule: correlation.rule,
+      correlation_key: correlation.key,
+      severity: alert.severity,
+      first_alert_at: at,
+      last_alert_at: at,
+      now
+    };
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO incidents (id, tenant_id, house_id, title, rule, correlation_key, severity, status,
+          alert_count, suppressed_count, first_alert_at, last_alert_at, created_at, updated_at)
+        VALUES (@id, @tenant_id, @house_id, @title, @rule, @correlation_key, @severity, 'open',
+          1, 0, @first_alert_at, @last_alert_at, @now, @now)
+      `).run(incident);
+      this.insertLink.run(alert.id, incident.id, 'first alert', now);
+    })();
+
+    const created = this.get(incident.id);
+    this.broadcast('incident.created', created);
+    return { ...created, created: true };
+  }
+
+  /**
+   * Count a duplicate that ingest dropped against the original alert's incident
+   * @returns {object|null} the incident, or null if the alert has none
+   */
+  recordSuppressed(alertId) {
+    const link = this.selectLink.get(alertId);
+    if (!link) return null;
+
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE incident_alerts SET suppressed_count = suppressed_count + 1 WHERE alert_id = ?').run(alertId);
+      this.db.prepare('UPDATE incidents SET suppressed_count = suppressed_count + 1, updated_at = ? WHERE id = ?')
+        .run(now, link.incident_id);
+    })();
+
+    const incident = this.get(link.incident_id);
+    this.broadcast('incident.updated', { ...incident, suppressed_alert_id: alertId });
+    return incident;
+  }
+
+  /**
+   * Resolve the incident once none of its alerts are still unresolved
+   */
+  onAlertResolved(alert, actor) {
+    const link = this.selectLink.get(alert.id);
+    if (!link) return null;
+
+    const incident = this.get(link.incident_id);
+    if (!incident || incident.status === 'resolved') return incident;
+
+    const { remaining } = this.db.prepare(`
+      SELECT COUNT(*) as remaining FROM incident_alerts ia
+      JOIN alerts a ON a.id = ia.alert_id
+      WHERE ia.incident_id = ? AND a.state != 'resolved'
+    `).get(incident.id);
+
+    if (remaining > 0) return incident;
+    return this._setStatus(incident, 'resolved', actor, 'All alerts resolved');
+  }
+
+  /**
+   * Open the incident again when one of its alerts is reopened after it resolved
+   */
+  onAlertReopened(alert, actor) {
+    const link = this.selectLink.get(alert.id);
+    if (!link) return null;
+
+    const incident = this.get(link.incident_id);
+    if (!incident || incident.status !== 'resolved') return incident;
+    return this._setStatus(incident, 'reopened', actor, `Alert ${alert.id} reopened`);
+  }
+
+  acknowledge(id, actor) {
+    const incident = this.get(id);
+    if (!incident) return null;
+    if (incident.status !== 'open') return { error: `Incident is already ${incident.status}`, incident };
+    return { incident: this._setStatus(incident, 'acknowledged', actor) };
+  }
+
+  resolve(id, actor, note) {
+    const incident = this.get(id);
+    if (!incident) return null;
+    if (incident.status === 'resolved') return { error: 'Incident is already resolved', incident };
+    return { incident: this._setStatus(incident, 'resolved', actor, note) };
+  }
+
+  _setStatus(incident, status, actor, note = '') {
+    const now = new Date().toISOString();
+    if (status === 'acknowledged') {
+      this.db.prepare(`
+        UPDATE incidents SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = ?, updated_at = ? WHERE id = ?
+      `).run(actor, now, now, incident.id);
+    } else if (status === 'reopened') {
+      // Back to open; an earlier acknowledgement no longer covers the new activity
+      this.db.prepare(`
+        UPDATE incidents SET status = 'open', acknowledged_by = NULL, acknowledged_at = NULL,
+          resolved_by = NULL, resolved_at = NULL, updated_at = ? WHERE id = ?
+      `).run(now, incident.id);
+    } else {
+      this.db.prepare(`
+        UPDATE incidents SET status = 'resolved', resolved_by = ?, resolved_at = ?, updated_at = ? WHERE id = ?
+      `).run(actor, now, now, incident.id);
+    }
+
+    const updated = this.get(incident.id);
+    console.log(`[incident] ${incident.id} ${status} by ${actor}${note ? `: ${note}` : ''}`);
+    this.broadcast(`incident.${status}`, updated);
+    return updated;
+  }
+
+  /**
+   * Forget a deleted alert; incidents left without alerts are removed
+   */
+  detachAlert(alertId) {
+    const link = this.selectLink.get(alertId);
+    if (!link) return;
+
+    this.db.prepare('DELETE FROM incident_alerts WHERE alert_id = ?').run(alertId);
+    const { count } = this.db.prepare('SELECT COUNT(*) as count FROM incident_alerts WHERE incident_id = ?').get(link.incident_id);
+
+    if (count === 0) {
+      this.db.prepare('DELETE FROM incidents WHERE id = ?').run(link.incident_id);
+      this.broadcast('incident.deleted', { id: link.incident_id });
+    } else {
+      this.db.prepare('UPDATE incidents SET alert_count = ?, updated_at = ? WHERE id = ?')
+        .run(count, new Date().toISOString(), link.incident_id);
+    }
+  }
+
+  clearAll() {
+    this.db.exec('DELETE FROM incident_alerts; DELETE FROM incidents;');
+  }
+
+  // ============ QUERIES ============
+
+  get(id) {
+    return this.selectIncident.get(id) || null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {{ sql, params }} [filters.scope] - access-control scopeFilter for the caller
+   */
+  list({ status, house_id, tenant_id, scope, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (scope) { where.push(scope.sql); params.push(...scope.params); }
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (house_id) { where.push('house_id = ?'); params.push(house_id); }
+    if (tenant_id) { where.push('tenant_id = ?'); params.push(tenant_id); }
+    params.push(limit);
+
+    return this.db.prepare(`
+      SELECT * FROM incidents
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY last_alert_at DESC LIMIT ?
+    `).all(...params);
+  }
+
+  /**
+   * Incident with its member alerts (oldest first)
+   */
+  getWithAlerts(id) {
+    const incident = this.get(id);
+    if (!incident) return null;
+
+    const alerts = this.db.prepare(`
+      SELECT a.*, ia.reason AS correlation_reason, ia.suppressed_count, ia.added_at
+      FROM incident_alerts ia
+      JOIN alerts a ON a.id = ia.alert_id
+      WHERE ia.incident_id = ?
+      ORDER BY a.occurred_at ASC
+    `).all(id);
+
+    return { ...incident, alerts };
+  }
+
+  /**
+   * The incident an alert belongs to, for the alert detail page
+   */
+  forAlert(alertId) {
+    const link = this.selectLink.get(alertId);
+    if (!link) return null;
+
+    const incident = this.getWithAlerts(link.incident_id);
+    return incident && {
+      ...incident,
+      correlation_reason: link.reason,
+      alert_suppressed_count: link.suppressed_count
+    };
+  }
+
+  counts(scope = { sql: '1=1', params: [] }) {
+    const counts = { open: 0, acknowledged: 0, resolved: 0 };
+    this.db.prepare(`SELECT status, COUNT(*) as count FROM incidents WHERE ${scope.sql} GROUP BY status`)
+      .all(...scope.params)
+      .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+}
+
+export default IncidentService;
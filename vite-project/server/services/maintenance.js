@@ -0,0 +1,368 @@
+/**
+ * Maintenance Windows
+ * While a technician services a house, its devices still raise alerts, but
+ * nobody should be woken by them. A maintenance window covers a device, a
+ * device group, a house or a whole tenant, either once (starts_at → ends_at)
+ * or on a daily/weekly schedule:
+ *
+ *   once       { starts_at, ends_at }
+ *   recurring  { start_time, end_time, days?, timezone?, starts_at?, ends_at? }
+ *              HH:MM in the window's timezone (the house's when not set);
+ *              starts_at / ends_at bound the series
+ *
+ * Alerts ingested during a window are stored with `suppressed_by` set to the
+ * window and skip notification, escalation and incident correlation (see
+ * ingestAlert in index.js). Every change to a window is written to
+ * maintenance_window_history.
+ */
+import { nanoid } from 'nanoid';
+import { scopeFilter } from './access-control.js';
+import { dailyWindowEndsAt, parseTimeOfDay, isValidTimeZone } from './timezone.js';
+
+export const SCOPES = ['device', 'group', 'house', 'tenant'];
+export const SCHEDULES = ['once', 'recurring'];
+export const WINDOW_STATUSES = ['active', 'scheduled', 'ended', 'cancelled'];
+// A one-off window longer than this is more likely a mistake than maintenance
+export const MAX_ONCE_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECURRING_FIELDS = ['start_time', 'end_time', 'days', 'timezone'];
+const EDITABLE_FIELDS = ['name', 'reason', 'starts_at', 'ends_at', ...RECURRING_FIELDS];
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+export class MaintenanceService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {object} options.groups - DeviceGroupService, for group-scoped windows
+   */
+  constructor(db, { groups }) {
+    this.db = db;
+    this.groups = groups;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        reason TEXT,
+        scope TEXT NOT NULL CHECK (scope IN ('device', 'group', 'house', 'tenant')),
+        scope_id TEXT NOT NULL,
+        schedule TEXT NOT NULL CHECK (schedule IN ('once', 'recurring')),
+        starts_at TEXT,
+        ends_at TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        days TEXT,
+        timezone TEXT,
+        house_ids TEXT,
+        created_by TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        cancelled_by TEXT,
+        cancelled_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_maintenance_windows_scope ON maintenance_windows (scope, scope_id);
+
+      CREATE TABLE IF NOT EXISTS maintenance_window_history (
+        id TEXT PRIMARY KEY,
+        window_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT,
+        changes TEXT,
+        ts TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_maintenance_history_window ON maintenance_window_history (window_id, ts);
+    `);
+
+    // Windows saved before group windows were limited to their creator's houses
+    const columns = this.db.prepare('PRAGMA table_info(maintenance_windows)').all().map(column => column.name);
+    if (!columns.includes('house_ids')) this.db.exec('ALTER TABLE maintenance_windows ADD COLUMN house_ids TEXT');
+  }
+
+  getHouse(houseId) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(houseId, houseId);
+  }
+
+  // ============ VALIDATION ============
+
+  /**
+   * Problems with a window body, empty when it can be saved
+   * @param {boolean} [partial] - for updates: only the fields sent are checked, against the saved window
+   */
+  validateWindow(body, { partial = false, existing = null } = {}) {
+    const window = { ...(existing || {}), ...body };
+    const details = [];
+
+    if ((!partial || body.name !== undefined) && (typeof window.name !== 'string' || !window.name.trim() || window.name.length > 100)) {
+      details.push('name must be text of at most 100 characters');
+    }
+    if (body.reason !== undefined && body.reason !== null && (typeof body.reason !== 'string' || body.reason.length > 500)) {
+      details.push('reason must be text of at most 500 characters');
+    }
+    if (!partial) {
+      if (!SCOPES.includes(window.scope)) details.push(`scope must be one of: ${SCOPES.join(', ')}`);
+      if (typeof window.scope_id !== 'string' || !window.scope_id) details.push('scope_id is required');
+      if (!SCHEDULES.includes(window.schedule)) details.push(`schedule must be one of: ${SCHEDULES.join(', ')}`);
+    }
+    for (const field of ['starts_at', 'ends_at']) {
+      if (window[field] !== undefined && window[field] !== null && !isTimestamp(window[field])) {
+        details.push(`${field} must be an ISO timestamp`);
+      }
+    }
+    if (isTimestamp(window.starts_at) && isTimestamp(window.ends_at) && Date.parse(window.ends_at) <= Date.parse(window.starts_at)) {
+      details.push('ends_at must be after starts_at');
+    }
+
+    if (window.schedule === 'once') {
+      if (!window.starts_at || !window.ends_at) details.push('a one-off window needs starts_at and ends_at');
+      else if (Date.parse(window.ends_at) - Date.parse(window.starts_at) > MAX_ONCE_DAYS * DAY_MS) {
+        details.push(`a one-off window can last at most ${MAX_ONCE_DAYS} days; use a recurring window instead`);
+      }
+    } else if (window.schedule === 'recurring') {
+      if (parseTimeOfDay(window.start_time) == null) details.push('start_time must be HH:MM');
+      if (parseTimeOfDay(window.end_time) == null) details.push('end_time must be HH:MM');
+      if (window.days !== undefined && window.days !== null &&
+          (!Array.isArray(window.days) || !window.days.length || !window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        details.push('days must be null or a non-empty array of weekdays 0-6 (0 = Sunday)');
+      }
+      if (window.timezone !== undefined && window.timezone !== null && !isValidTimeZone(window.timezone)) {
+        details.push(`Unknown timezone: ${window.timezone}`);
+      }
+    }
+    return details;
+  }
+
+  // ============ WINDOWS ============
+
+  _hydrate(row) {
+    if (!row) return null;
+    return { ...row, days: row.days ? JSON.parse(row.days) : null, house_ids: row.house_ids ? JSON.parse(row.house_ids) : null };
+  }
+
+  getWindow(id) {
+    return this._hydrate(this.db.prepare('SELECT * FROM maintenance_windows WHERE id = ?').get(id));
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.scope]
+   * @param {string} [filter.scope_id]
+   * @param {boolean} [filter.includeCancelled]
+   */
+  listWindows({ scope, scope_id, includeCancelled = false } = {}) {
+    const where = ['1=1'];
+    const params = [];
+    if (scope) { where.push('scope = ?'); params.push(scope); }
+    if (scope_id) { where.push('scope_id = ?'); params.push(scope_id); }
+    if (!includeCancelled) where.push('cancelled_at IS NULL');
+    return this.db.prepare(`SELECT * FROM maintenance_windows WHERE ${where.join(' AND ')} ORDER BY created_at DESC`)
+      .all(...params).map(row => this._hydrate(row));
+  }
+
+  createWindow(body, { actor }) {
+    const id = nanoid();
+    const now = new Date().toISOString();
+    const recurring = body.schedule === 'recurring';
+    const window = {
+      id,
+      name: body.name.trim(),
+      reason: body.reason || null,
+      scope: body.scope,
+      scope_id: body.scope_id,
+      schedule: body.schedule,
+      starts_at: body.starts_at ? new Date(body.starts_at).toISOString() : null,
+      ends_at: body.ends_at ? new Date(body.ends_at).toISOString() : null,
+      start_time: recurring ? body.start_time : null,
+      end_time: recurring ? body.end_time : null,
+      days: recurring && body.days ? JSON.stringify(body.days) : null,
+      timezone: recurring ? body.timezone || null : null,
+      // A group can reach past the creator's houses, so it only covers those; null covers the whole group
+      house_ids: body.scope === 'group' && body.house_ids ? JSON.stringify(body.house_ids) : null
+    };
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO maintenance_windows (
+          id, name, reason, scope, scope_id, schedule, starts_at, ends_at, start_time, end_time, days, timezone,
+          house_ids, created_by, created_at, updated_at
+        ) VALUES (
+          @id, @name, @reason, @scope, @scope_id, @schedule, @starts_at, @ends_at, @start_time, @end_time, @days, @timezone,
+          @house_ids, @actor, @now, @now
+        )
+      `).run({ ...window, actor, now });
+      this._record(id, 'created', actor, this._hydrate(window), now);
+    })();
+    return this.getWindow(id);
+  }
+
+  /**
+   * Change the editable fields of a window; scope and schedule stay as created
+   */
+  updateWindow(window, body, { actor }) {
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] === undefined) continue;
+      if (window.schedule === 'once' && RECURRING_FIELDS.includes(field)) continue;
+      let value = body[field];
+      if ((field === 'starts_at' || field === 'ends_at') && value) value = new Date(value).toISOString();
+      if (field === 'name') value = value.trim();
+      if (JSON.stringify(value) !== JSON.stringify(window[field])) changes[field] = value;
+    }
+    if (!Object.keys(changes).length) return window;
+
+    const next = { ...window, ...changes };
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE maintenance_windows SET name = @name, reason = @reason, starts_at = @starts_at, ends_at = @ends_at,
+          start_time = @start_time, end_time = @end_time, days = @days, timezone = @timezone, updated_at = @now
+        WHERE id = @id
+      `).run({ ...next, days: next.days ? JSON.stringify(next.days) : null, now });
+      this._record(window.id, 'updated', actor, changes, now);
+    })();
+    return this.getWindow(window.id);
+  }
+
+  /**
+   * Cancel a window; it stays on record, and alerts it already suppressed stay suppressed
+   * @returns {object|null} the window, or null if it was already cancelled
+   */
+  cancelWindow(window, { actor, note = null }) {
+    const now = new Date().toISOString();
+    let cancelled = false;
+    this.db.transaction(() => {
+      cancelled = this.db.prepare(`
+        UPDATE maintenance_windows SET cancelled_by = ?, cancelled_at = ?, updated_at = ? WHERE id = ? AND cancelled_at IS NULL
+      `).run(actor, now, now, window.id).changes > 0;
+      if (cancelled) this._record(window.id, 'cancelled', actor, note ? { note } : null, now);
+    })();
+    return cancelled ? this.getWindow(window.id) : null;
+  }
+
+  history(windowId) {
+    return this.db.prepare('SELECT * FROM maintenance_window_history WHERE window_id = ? ORDER BY ts ASC')
+      .all(windowId).map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : null }));
+  }
+
+  /**
+   * Alerts a window has suppressed, newest first, narrowed to the caller's scope
+   */
+  suppressedAlerts(windowId, scope, { limit = 100 } = {}) {
+    const access = scopeFilter(scope);
+    return this.db.prepare(`
+      SELECT * FROM alerts WHERE suppressed_by = ? AND ${access.sql} ORDER BY occurred_at DESC LIMIT ?
+    `).all(windowId, ...access.params, limit);
+  }
+
+  _record(windowId, action, actor, changes, ts) {
+    this.db.prepare(`
+      INSERT INTO maintenance_window_history (id, window_id, action, actor, changes, ts) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(nanoid(), windowId, action, actor, changes ? JSON.stringify(changes) : null, ts);
+  }
+
+  // ============ EVALUATION ============
+
+  /**
+   * Timezone a recurring window is read in: its own, else its house's
+   */
+  timeZoneFor(window, fallback = 'UTC') {
+    if (window.timezone) return window.timezone;
+    let houseId = null;
+    if (window.scope === 'house') houseId = window.scope_id;
+    if (window.scope === 'device') {
+      const device = this.db.prepare('SELECT house_id FROM devices WHERE device_id = ?').get(window.scope_id);
+      houseId = device && device.house_id;
+    }
+    const house = houseId && this.getHouse(houseId);
+    return (house && house.timezone) || fallback;
+  }
+
+  /**
+   * End of the window if it is in effect at `at`, otherwise null
+   */
+  endsAt(window, at = new Date(), timeZone) {
+    if (window.cancelled_at) return null;
+    const time = new Date(at).getTime();
+    const startsAt = window.starts_at ? Date.parse(window.starts_at) : null;
+    const endsAt = window.ends_at ? Date.parse(window.ends_at) : null;
+    if ((startsAt !== null && time < startsAt) || (endsAt !== null && time >= endsAt)) return null;
+
+    if (window.schedule === 'once') return new Date(endsAt);
+    const end = dailyWindowEndsAt(window, at, timeZone || this.timeZoneFor(window));
+    if (!end) return null;
+    return endsAt !== null && end.getTime() > endsAt ? new Date(endsAt) : end;
+  }
+
+  /**
+   * Where a window is in its life: active now, scheduled (later, or between
+   * recurrences), ended or cancelled
+   */
+  statusOf(window, at = new Date()) {
+    if (window.cancelled_at) return 'cancelled';
+    if (this.endsAt(window, at)) return 'active';
+    if (window.ends_at && Date.parse(window.ends_at) <= new Date(at).getTime()) return 'ended';
+    return 'scheduled';
+  }
+
+  /**
+   * The window list entry: the window plus its status and, when active, when it ends
+   */
+  describe(window, at = new Date()) {
+    const until = this.endsAt(window, at);
+    return { ...window, status: this.statusOf(window, at), active_until: until ? until.toISOString() : null };
+  }
+
+  /**
+   * The maintenance window covering an alert's device, house or tenant at an
+   * instant, or null. When several apply, the one running longest wins.
+   * @param {{ tenant_id, house_id, device_id }} target
+   */
+  activeWindowFor({ tenant_id, house_id, device_id }, at = new Date()) {
+    const when = new Date(at).toISOString();
+    const house = house_id ? this.getHouse(house_id) : null;
+    const houseIds = house ? [house.id, house.house_id] : house_id ? [house_id] : [];
+
+    const candidates = this.db.prepare(`
+      SELECT * FROM maintenance_windows
+      WHERE cancelled_at IS NULL
+        AND (starts_at IS NULL OR starts_at <= ?)
+        AND (ends_at IS NULL OR ends_at > ?)
+        AND (
+          (scope = 'device' AND scope_id = ?)
+          OR (scope = 'house' AND scope_id IN (SELECT value FROM json_each(?)))
+          OR (scope = 'tenant' AND scope_id = ?)
+          OR scope = 'group'
+        )
+    `).all(when, when, device_id || null, JSON.stringify(houseIds), tenant_id || null).map(row => this._hydrate(row));
+
+    let best = null;
+    let bestEnd = null;
+    for (const window of candidates) {
+      if (window.scope === 'group' && !this._inGroup(window, device_id)) continue;
+      const end = this.endsAt(window, at, this.timeZoneFor(window, (house && house.timezone) || 'UTC'));
+      if (end && (!bestEnd || end > bestEnd)) {
+        best = window;
+        bestEnd = end;
+      }
+    }
+    return best ? { ...best, active_until: bestEnd.toISOString() } : null;
+  }
+
+  // A group window only reaches devices in its houses, when it was limited to some
+  _inGroup(window, deviceId) {
+    if (!deviceId || !this.groups) return false;
+    const group = this.groups.getGroup(window.scope_id);
+    if (!group) return false;
+    const clause = this.groups.groupClause(group);
+    const houses = window.house_ids ? ' AND house_id IN (SELECT value FROM json_each(?))' : '';
+    return Boolean(this.db.prepare(`SELECT 1 FROM devices WHERE device_id = ? AND ${clause.sql}${houses}`)
+      .get(deviceId, ...clause.params, ...(window.house_ids ? [JSON.stringify(window.house_ids)] : [])));
+  }
+}
+
+export default MaintenanceService;
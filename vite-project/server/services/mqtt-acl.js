@@ -0,0 +1,129 @@
+/**
+ * MQTT Topic ACLs
+ * Which topics each device may publish to. Devices publish under
+ * `device/{device_id}/{kind}` and by default may use every kind on their own
+ * prefix; a device can be narrowed to some of them (a sensor that should only
+ * ever report telemetry, say). A device can never be granted another
+ * device's topics.
+ *
+ * Both the server's bridge and the embedded broker (mqtt-broker.js) check
+ * messages here.
+ */
+
+// Message kinds a device publishes, the last level of its topics
+export const MESSAGE_KINDS = ['status', 'telemetry', 'event', 'ota'];
+
+/**
+ * @returns {{ deviceId, kind }|null} null when the topic isn't a device topic
+ */
+export function parseTopic(topic) {
+  const match = /^device\/([^/+#]+)\/([^/+#]+)$/.exec(topic || '');
+  if (!match || !MESSAGE_KINDS.includes(match[2])) return null;
+  return { deviceId: match[1], kind: match[2] };
+}
+
+/**
+ * MQTT topic filter matching, with `+` for one level and a trailing `#` for the rest
+ */
+export function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+export function defaultTopics(deviceId) {
+  return MESSAGE_KINDS.map(kind => `device/${deviceId}/${kind}`);
+}
+
+export class MqttAcl {
+  /**
+   * @param {object} db - better-sqlite3 database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS mqtt_acls (
+        device_id TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        created_at TEXT,
+        PRIMARY KEY (device_id, topic)
+      );
+    `);
+
+    this.selectTopics = this.db.prepare('SELECT topic FROM mqtt_acls WHERE device_id = ? ORDER BY topic ASC');
+    this.selectCustomized = this.db.prepare('SELECT 1 FROM mqtt_acls WHERE device_id = ? LIMIT 1');
+  }
+
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  /**
+   * Topic filters a device may publish to
+   * @returns {{ topics: string[], custom: boolean }}
+   */
+  topicsFor(deviceId) {
+    // A device narrowed to nothing keeps an empty marker row so it doesn't fall back to the defaults
+    if (!this.selectCustomized.get(deviceId)) return { topics: defaultTopics(deviceId), custom: false };
+    const topics = this.selectTopics.all(deviceId).map(row => row.topic).filter(Boolean);
+    return { topics, custom: true };
+  }
+
+  canPublish(deviceId, topic) {
+    const parsed = parseTopic(topic);
+    if (!parsed || parsed.deviceId !== deviceId) return false;
+    return this.topicsFor(deviceId).topics.some(filter => topicMatches(filter, topic));
+  }
+
+  /**
+   * Problems with a list of topic filters for a device, empty when it can be saved
+   */
+  validate(deviceId, topics) {
+    if (!Array.isArray(topics)) return ['topics must be an array of topic filters'];
+    const details = [];
+    const prefix = `device/${deviceId}/`;
+    for (const topic of topics) {
+      if (typeof topic !== 'string' || !topic.startsWith(prefix)) {
+        details.push(`topic "${topic}" must start with ${prefix}`);
+        continue;
+      }
+      const levels = topic.slice(prefix.length).split('/');
+      const wellFormed = levels.every((level, i) =>
+        level === '+' || (level === '#' && i === levels.length - 1) || (level && !/[+#]/.test(level))
+      );
+      if (!wellFormed) details.push(`topic "${topic}" is not a valid topic filter`);
+    }
+    return details;
+  }
+
+  /**
+   * Replace a device's topics; an empty list blocks everything
+   */
+  setTopics(deviceId, topics, now) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM mqtt_acls WHERE device_id = ?').run(deviceId);
+      const insert = this.db.prepare('INSERT OR IGNORE INTO mqtt_acls (device_id, topic, created_at) VALUES (?, ?, ?)');
+      if (!topics.length) insert.run(deviceId, '', now);
+      for (const topic of topics) insert.run(deviceId, topic, now);
+    })();
+    return this.topicsFor(deviceId);
+  }
+
+  /**
+   * Back to the default of every kind on the device's own prefix
+   */
+  reset(deviceId) {
+    this.db.prepare('DELETE FROM mqtt_acls WHERE device_id = ?').run(deviceId);
+    return this.topicsFor(deviceId);
+  }
+}
+
+export default MqttAcl;
@@ -0,0 +1,158 @@
+/**
+ * MQTT Bridge
+ * Subscribes to the device topics on an MQTT broker (Mosquitto, or the
+ * embedded one in mqtt-broker.js) and hands each message to the same code
+ * the HTTP API uses:
+ *
+ *   device/{id}/status     heartbeat, payload { status } or a bare status string
+ *   device/{id}/telemetry  metrics, payload { timestamp?, metrics: { name: number } }
+ *   device/{id}/event      alert ingest, payload { type, message?, score?, duration?, severity?, ts? }
+ *   device/{id}/ota        firmware update progress, payload { deployment_id, state, error? }
+ *
+ * Firmware jobs and desired config go the other way, published to
+ * device/{id}/ota/job and device/{id}/config/desired. A device reports the
+ * config it is running as `reported` in its status payload.
+ *
+ * Messages from unknown devices, or on topics the device's ACL doesn't
+ * allow, are dropped. The bridge only runs when MQTT_URL is set.
+ */
+import mqtt from 'mqtt';
+import { nanoid } from 'nanoid';
+import { parseTopic } from './mqtt-acl.js';
+
+export const SUBSCRIPTIONS = ['device/+/status', 'device/+/telemetry', 'device/+/event', 'device/+/ota'];
+
+// Broker URL with any credentials taken out, for logs and the status endpoint
+function redact(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+export class MqttBridge {
+  /**
+   * @param {object} options
+   * @param {object} options.acl - MqttAcl
+   * @param {object} options.handlers - { status, telemetry, event, ota }, each (device, payload) => void; throw to reject the message
+   * @param {string} [options.url] - broker URL, e.g. mqtt://localhost:1883
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   */
+  constructor({ acl, handlers, url, username, password }) {
+    this.acl = acl;
+    this.handlers = handlers;
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this.client = null;
+    this.counts = { received: 0, processed: 0, rejected: 0, failed: 0 };
+    this.lastMessageAt = null;
+  }
+
+  start() {
+    if (this.client) return;
+    if (!this.url) {
+      console.log('[mqtt] MQTT_URL not set, bridge disabled');
+      return;
+    }
+
+    this.client = mqtt.connect(this.url, {
+      clientId: `alert-monitor-${nanoid(8)}`,
+      username: this.username,
+      password: this.password,
+      reconnectPeriod: 5000
+    });
+
+    this.client.on('connect', () => {
+      console.log(`[mqtt] Connected to ${redact(this.url)}`);
+      this.client.subscribe(SUBSCRIPTIONS, { qos: 1 }, (error) => {
+        if (error) console.error('[mqtt] Subscribe failed:', error.message);
+        else console.log(`[mqtt] Subscribed to ${SUBSCRIPTIONS.join(', ')}`);
+      });
+    });
+    this.client.on('message', (topic, payload) => this.handle(topic, payload));
+    this.client.on('error', (error) => console.error('[mqtt] Client error:', error.message));
+    this.client.on('offline', () => console.warn(`[mqtt] Broker ${redact(this.url)} unreachable, retrying`));
+  }
+
+  /**
+   * Send a message to devices
+   * @returns {boolean} false when the broker isn't connected
+   */
+  publish(topic, payload) {
+    if (!this.client || !this.client.connected) return false;
+    this.client.publish(topic, JSON.stringify(payload), { qos: 1 }, (error) => {
+      if (error) console.error(`[mqtt] Publish to ${topic} failed:`, error.message);
+    });
+    return true;
+  }
+
+  stop() {
+    if (this.client) this.client.end();
+    this.client = null;
+  }
+
+  /**
+   * Process one message
+   * @param {string} topic
+   * @param {Buffer|string} payload
+   * @returns {{ ok: boolean, reason?: string }}
+   */
+  handle(topic, payload) {
+    this.counts.received++;
+    this.lastMessageAt = new Date().toISOString();
+
+    const reject = (reason) => {
+      this.counts.rejected++;
+      console.warn(`[mqtt] Rejected ${topic}: ${reason}`);
+      return { ok: false, reason };
+    };
+
+    const parsed = parseTopic(topic);
+    if (!parsed) return reject('not a device topic');
+
+    const device = this.acl.getDevice(parsed.deviceId);
+    if (!device || device.device_id !== parsed.deviceId) return reject('unknown device');
+    if (!this.acl.canPublish(device.device_id, topic)) return reject('topic not allowed by device ACL');
+
+    const text = payload.toString();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Small devices often publish their status as a bare word
+      if (parsed.kind !== 'status') return reject('payload must be JSON');
+      body = { status: text.trim() };
+    }
+    if (parsed.kind === 'status' && typeof body === 'string') body = { status: body };
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return reject('payload must be a JSON object');
+
+    try {
+      this.handlers[parsed.kind](device, body);
+      this.counts.processed++;
+      return { ok: true };
+    } catch (error) {
+      this.counts.failed++;
+      console.error(`[mqtt] Failed ${topic}: ${error.message}`);
+      return { ok: false, reason: error.message };
+    }
+  }
+
+  status() {
+    return {
+      enabled: Boolean(this.url),
+      connected: Boolean(this.client && this.client.connected),
+      broker: this.url ? redact(this.url) : null,
+      subscriptions: SUBSCRIPTIONS,
+      counts: { ...this.counts },
+      last_message_at: this.lastMessageAt
+    };
+  }
+}
+
+export default MqttBridge;
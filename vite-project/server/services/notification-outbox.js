@@ -0,0 +1,302 @@
+/**
+ * Notification Outbox
+ * Durable queue of per-recipient, per-channel notifications with a polling
+ * worker that delivers them, retrying with exponential backoff.
+ *
+ * Delivery states: queued → sent, or queued → failed (retrying) → ... → dead
+ */
+import { nanoid } from 'nanoid';
+import { planDeliveries, deliverNotification, deliverDigest } from './notification.js';
+
+const DEFAULTS = {
+  pollIntervalMs: 2000,
+  batchSize: 20,
+  maxAttempts: 5,
+  baseDelayMs: 5000,
+  maxDelayMs: 15 * 60 * 1000
+};
+
+export class NotificationOutbox {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.recordHistory - (alertId, note, meta) => void, writes an alert_history row
+   * @param {Function} [options.deliver] - (channel, alert, recipient) => Promise<result>, defaults to notification.js
+   * @param {Function} [options.deliverDigest] - (channel, alerts, recipient) => Promise<result>, defaults to notification.js
+   */
+  constructor(db, { recordHistory, deliver = deliverNotification, deliverDigest: sendDigest = deliverDigest, ...options } = {}) {
+    this.db = db;
+    this.recordHistory = recordHistory;
+    this.deliver = deliver;
+    this.deliverDigest = sendDigest;
+    this.options = { ...DEFAULTS, ...options };
+    this.timer = null;
+    this.running = false;
+    this.processing = false;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id TEXT PRIMARY KEY,
+        alert_id TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient_id TEXT,
+        recipient TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('queued', 'sent', 'failed', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        sent_at TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_due ON notification_outbox (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_outbox_alert ON notification_outbox (alert_id);
+    `);
+
+    this.insertRow = this.db.prepare(`
+      INSERT INTO notification_outbox
+        (id, alert_id, channel, recipient_id, recipient, payload, status, attempts, max_attempts, next_attempt_at, created_at, updated_at)
+      VALUES (@id, @alert_id, @channel, @recipient_id, @recipient, @payload, 'queued', 0, @max_attempts, @now, @now, @now)
+    `);
+    this.selectDue = this.db.prepare(`
+      SELECT * FROM notification_outbox
+      WHERE status IN ('queued', 'failed') AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `);
+    this.markSent = this.db.prepare(`
+      UPDATE notification_outbox SET status='sent', attempts=@attempts, sent_at=@now, last_error=NULL, updated_at=@now
+      WHERE id=@id
+    `);
+    this.markFailed = this.db.prepare(`
+      UPDATE notification_outbox SET status=@status, attempts=@attempts, last_error=@error,
+        next_attempt_at=@next_attempt_at, updated_at=@now
+      WHERE id=@id
+    `);
+  }
+
+  /**
+   * Queue notifications for an alert. The alert is snapshotted into the
+   * payload so later retries send what the recipient would have seen.
+   * @returns {Array} queued outbox rows
+   */
+  enqueue(alert, recipients) {
+    const now = new Date().toISOString();
+    // notification.js senders use the Postgres naming (alert_id)
+    const payload = JSON.stringify({ ...alert, alert_id: alert.alert_id || alert.id });
+    const queued = [];
+
+    const insertAll = this.db.transaction(() => {
+      for (const { channel, recipient } of planDeliveries(alert, recipients)) {
+        const row = {
+          id: nanoid(),
+          alert_id: alert.id || alert.alert_id,
+          channel,
+          recipient_id: recipient.user_id || null,
+          recipient: JSON.stringify(recipient),
+          payload,
+          max_attempts: this.options.maxAttempts,
+          now
+        };
+        this.insertRow.run(row);
+        queued.push(row);
+      }
+    });
+    insertAll();
+
+    for (const row of queued) {
+      const recipient = JSON.parse(row.recipient);
+      this._record(row, 'queued', `${row.channel} queued for ${recipient.email || recipient.name || row.recipient_id}`);
+    }
+
+    // Deliver promptly rather than waiting for the next poll
+    if (queued.length && this.running) setImmediate(() => this.processDue());
+
+    return queued;
+  }
+
+  /**
+   * Queue one digest email covering several alerts. The row is filed under
+   * the first alert; history is recorded against every alert in it.
+   */
+  enqueueDigest(recipient, alerts) {
+    const now = new Date().toISOString();
+    const row = {
+      id: nanoid(),
+      alert_id: alerts[0].id,
+      channel: 'email',
+      recipient_id: recipient.user_id || null,
+      recipient: JSON.stringify(recipient),
+      payload: JSON.stringify({ digest: true, alerts: alerts.map(alert => ({ ...alert, alert_id: alert.id })) }),
+      max_attempts: this.options.maxAttempts,
+      now
+    };
+    this.insertRow.run(row);
+    this._record(row, 'queued', `digest of ${alerts.length} alert(s) queued for ${recipient.email}`);
+
+    if (this.running) setImmediate(() => this.processDue());
+    return row;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.timer = setInterval(() => this.processDue(), this.options.pollIntervalMs);
+    console.log(`[outbox] Worker started (poll every ${this.options.pollIntervalMs}ms, max ${this.options.maxAttempts} attempts)`);
+    this.processDue();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver every notification that is due. Safe to call concurrently;
+   * only one pass runs at a time.
+   */
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const due = this.selectDue.all(new Date().toISOString(), this.options.batchSize);
+      for (const row of due) {
+        await this._attempt(row);
+      }
+    } catch (error) {
+      console.error('[outbox] Worker pass failed:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Put a dead (or failed) notification back in the queue
+   */
+  retry(id) {
+    const row = this.get(id);
+    if (!row || row.status === 'sent') return null;
+
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      UPDATE notification_outbox SET status='queued', attempts=0, next_attempt_at=?, last_error=NULL, updated_at=?
+      WHERE id=?
+    `).run(now, now, id);
+
+    const updated = this.get(id);
+    this._record(updated, 'queued', `${updated.channel} manually re-queued`);
+    if (this.running) setImmediate(() => this.processDue());
+    return updated;
+  }
+
+  get(id) {
+    return this.db.prepare('SELECT * FROM notification_outbox WHERE id = ?').get(id);
+  }
+
+  list({ status, alert_id, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (alert_id) { where.push('alert_id = ?'); params.push(alert_id); }
+    params.push(limit);
+
+    return this.db.prepare(`
+      SELECT * FROM notification_outbox
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY created_at DESC LIMIT ?
+    `).all(...params);
+  }
+
+  stats() {
+    const counts = { queued: 0, sent: 0, failed: 0, dead: 0 };
+    this.db.prepare('SELECT status, COUNT(*) as count FROM notification_outbox GROUP BY status')
+      .all()
+      .forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base ... capped at maxDelayMs
+   */
+  backoffMs(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async _attempt(row) {
+    const attempts = row.attempts + 1;
+    const payload = JSON.parse(row.payload);
+    const recipient = JSON.parse(row.recipient);
+    const address = recipient.email || recipient.phone || recipient.name || row.recipient_id;
+
+    let result;
+    try {
+      result = payload.digest
+        ? await this.deliverDigest(row.channel, payload.alerts, recipient)
+        : await this.deliver(row.channel, payload, recipient);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const now = new Date().toISOString();
+
+    if (result && result.success) {
+      this.markSent.run({ id: row.id, attempts, now });
+      this._record({ ...row, attempts }, 'sent', `${row.channel} sent to ${address}`, { simulated: result.simulated || false });
+      return;
+    }
+
+    const error = (result && result.error) || 'Unknown delivery error';
+    const dead = attempts >= row.max_attempts;
+    const nextAttemptAt = dead ? null : new Date(Date.now() + this.backoffMs(attempts)).toISOString();
+
+    this.markFailed.run({
+      id: row.id,
+      status: dead ? 'dead' : 'failed',
+      attempts,
+      error,
+      next_attempt_at: nextAttemptAt,
+      now
+    });
+
+    if (dead) {
+      console.error(`[outbox] ${row.channel} to ${address} for alert ${row.alert_id} is dead after ${attempts} attempts: ${error}`);
+      this._record({ ...row, attempts }, 'dead', `${row.channel} to ${address} gave up after ${attempts} attempts`, { error });
+    } else {
+      console.warn(`[outbox] ${row.channel} to ${address} failed (attempt ${attempts}/${row.max_attempts}), retrying at ${nextAttemptAt}`);
+      this._record({ ...row, attempts }, 'failed', `${row.channel} to ${address} failed, will retry`, { error, next_attempt_at: nextAttemptAt });
+    }
+  }
+
+  _record(row, status, note, extra = {}) {
+    if (!this.recordHistory) return;
+
+    const payload = JSON.parse(row.payload);
+    const alertIds = payload.digest ? payload.alerts.map(alert => alert.id) : [row.alert_id];
+    const meta = {
+      channel: row.channel,
+      status,
+      outbox_id: row.id,
+      recipient_id: row.recipient_id,
+      attempt: row.attempts || 0,
+      ...(payload.digest && { digest: true }),
+      ...extra
+    };
+
+    for (const alertId of alertIds) {
+      try {
+        this.recordHistory(alertId, note, meta);
+      } catch (error) {
+        console.error('[outbox] Failed to record history:', error.message);
+      }
+    }
+  }
+}
+
+export default NotificationOutbox;
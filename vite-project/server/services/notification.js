@@ -24,16 +24,22 @@ const NOTIFICATION_RULES = {
 
 /**
  * Email transporter configuration
- * In production, use actual SMTP credentials
+ * In production, use actual SMTP credentials. Setting SMTP_HOST outside
+ * production (e.g. a local MailHog/smtp4dev on port 1025) sends real mail
+ * to that stand-in instead of only logging it.
  */
-const emailTransporter = nodemailer.createTransporter({
+const SMTP_CONFIGURED = Boolean(process.env.SMTP_HOST);
+
+const emailTransporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: process.env.SMTP_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER || 'alerts@example.com',
-    pass: process.env.SMTP_PASS || 'password'
-  }
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  ...(process.env.SMTP_USER && {
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  })
 });
 
 /**
@@ -60,8 +66,8 @@ async function sendEmailNotification(alert, recipient) {
   `;
 
   try {
-    // In development, just log the email
-    if (process.env.NODE_ENV !== 'production') {
+    // In development without an SMTP server, just log the email
+    if (process.env.NODE_ENV !== 'production' && !SMTP_CONFIGURED) {
       console.log(`[notification/email] Would send to ${recipient.email}:`);
       console.log(`  Subject: ${subject}`);
       console.log(`  Alert: ${alert.alert_id} (${alert.type})`);
@@ -70,7 +76,7 @@ async function sendEmailNotification(alert, recipient) {
 
     // In production, actually send the email
     const info = await emailTransporter.sendMail({
-      from: '"Alert Monitoring System" <alerts@example.com>',
+      from: process.env.SMTP_FROM || '"Alert Monitoring System" <alerts@example.com>',
       to: recipient.email,
       subject: subject,
       text: body,
@@ -85,6 +91,48 @@ async function sendEmailNotification(alert, recipient) {
   }
 }
 
+/**
+ * Send a digest email summarising alerts held during quiet hours
+ */
+async function sendDigestEmail(alerts, recipient) {
+  const subject = `Quiet hours digest: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`;
+  const lines = alerts.map(alert =>
+    `    - [${alert.severity.toUpperCase()}] ${alert.type} at ${alert.house_id} (${alert.occurred_at}) - ${alert.status}, ID ${alert.alert_id || alert.id}`
+  );
+  const body = `
+    Quiet Hours Digest
+    ==================
+    
+    These alerts were held while quiet hours were active:
+    
+${lines.join('\n')}
+    
+    Please log in to the dashboard to review them.
+  `;
+
+  try {
+    if (process.env.NODE_ENV !== 'production' && !SMTP_CONFIGURED) {
+      console.log(`[notification/email] Would send digest to ${recipient.email}:`);
+      console.log(`  Subject: ${subject}`);
+      return { success: true, channel: 'email', simulated: true };
+    }
+
+    const info = await emailTransporter.sendMail({
+      from: process.env.SMTP_FROM || '"Alert Monitoring System" <alerts@example.com>',
+      to: recipient.email,
+      subject: subject,
+      text: body,
+      html: `<pre>${body}</pre>`
+    });
+
+    console.log(`[notification/email] Digest sent to ${recipient.email}: ${info.messageId}`);
+    return { success: true, channel: 'email', messageId: info.messageId };
+  } catch (error) {
+    console.error(`[notification/email] Failed to send digest to ${recipient.email}:`, error.message);
+    return { success: false, channel: 'email', error: error.message };
+  }
+}
+
 /**
  * Send SMS notification
  */
@@ -197,76 +245,103 @@ async function sendWebhookNotification(alert, webhookUrl) {
 }
 
 /**
- * Main notification dispatcher
- * Sends notifications based on alert severity and user preferences
+ * Work out which (channel, recipient) deliveries an alert needs.
+ * Channels come from the recipient's preferences, else the severity rules,
+ * and are skipped when the recipient has no address for that channel.
  */
-export async function sendAlertNotifications(alert, recipients, pool) {
+export function planDeliveries(alert, recipients) {
   const channels = NOTIFICATION_RULES[alert.severity] || ['email'];
-  const results = [];
-
-  console.log(`[notification] Dispatching ${channels.length} notifications for alert ${alert.alert_id}`);
+  const deliveries = [];
 
   for (const recipient of recipients) {
-    // Get user preferences (if available)
     const userChannels = recipient.notification_preferences || channels;
 
     for (const channel of userChannels) {
-      let result;
-
-      switch (channel) {
-        case NOTIFICATION_CHANNELS.EMAIL:
-          if (recipient.email) {
-            result = await sendEmailNotification(alert, recipient);
-          }
-          break;
-
-        case NOTIFICATION_CHANNELS.SMS:
-          if (recipient.phone) {
-            result = await sendSMSNotification(alert, recipient);
-          }
-          break;
-
-        case NOTIFICATION_CHANNELS.PUSH:
-          if (recipient.device_token) {
-            result = await sendPushNotification(alert, recipient);
-          }
-          break;
-
-        case NOTIFICATION_CHANNELS.WEBHOOK:
-          if (recipient.webhook_url) {
-            result = await sendWebhookNotification(alert, recipient.webhook_url);
-          }
-          break;
-
-        default:
-          console.warn(`[notification] Unknown channel: ${channel}`);
+      if (hasAddress(channel, recipient)) {
+        deliveries.push({ channel, recipient });
       }
+    }
+  }
+
+  return deliveries;
+}
+
+function hasAddress(channel, recipient) {
+  switch (channel) {
+    case NOTIFICATION_CHANNELS.EMAIL: return Boolean(recipient.email);
+    case NOTIFICATION_CHANNELS.SMS: return Boolean(recipient.phone);
+    case NOTIFICATION_CHANNELS.PUSH: return Boolean(recipient.device_token);
+    case NOTIFICATION_CHANNELS.WEBHOOK: return Boolean(recipient.webhook_url);
+    default:
+      console.warn(`[notification] Unknown channel: ${channel}`);
+      return false;
+  }
+}
+
+/**
+ * Deliver a single notification over one channel
+ * @returns {Promise<object>} - { success, channel, error?, simulated? }
+ */
+export async function deliverNotification(channel, alert, recipient) {
+  switch (channel) {
+    case NOTIFICATION_CHANNELS.EMAIL:
+      return sendEmailNotification(alert, recipient);
+    case NOTIFICATION_CHANNELS.SMS:
+      return sendSMSNotification(alert, recipient);
+    case NOTIFICATION_CHANNELS.PUSH:
+      return sendPushNotification(alert, recipient);
+    case NOTIFICATION_CHANNELS.WEBHOOK:
+      return sendWebhookNotification(alert, recipient.webhook_url);
+    default:
+      return { success: false, channel, error: `Unknown channel: ${channel}` };
+  }
+}
+
+/**
+ * Deliver a quiet-hours digest. Digests are low urgency, so they only go by email.
+ * @returns {Promise<object>} - { success, channel, error?, simulated? }
+ */
+export async function deliverDigest(channel, alerts, recipient) {
+  if (channel !== NOTIFICATION_CHANNELS.EMAIL) {
+    return { success: false, channel, error: `Digests are not sent over ${channel}` };
+  }
+  return sendDigestEmail(alerts, recipient);
+}
+
+/**
+ * Main notification dispatcher
+ * Sends notifications based on alert severity and user preferences.
+ */
+export async function sendAlertNotifications(alert, recipients, pool) {
+  const deliveries = planDeliveries(alert, recipients);
+  const results = [];
 
-      if (result) {
-        results.push(result);
-
-        // Log notification in database
-        if (pool) {
-          try {
-            await pool.query(
-              `INSERT INTO alert_history (alert_id, action, actor, note, meta)
-               VALUES ($1, 'notify', $2, $3, $4)`,
-              [
-                alert.alert_id,
-                null,
-                `${channel} notification sent to ${recipient.name || recipient.email}`,
-                JSON.stringify({ 
-                  channel, 
-                  recipient_id: recipient.user_id,
-                  success: result.success,
-                  simulated: result.simulated || false
-                })
-              ]
-            );
-          } catch (dbError) {
-            console.error('[notification] Failed to log notification:', dbError.message);
-          }
-        }
+  console.log(`[notification] Dispatching ${deliveries.length} notifications for alert ${alert.alert_id}`);
+
+  for (const { channel, recipient } of deliveries) {
+    const result = await deliverNotification(channel, alert, recipient);
+    results.push(result);
+
+    // Log notification in database
+    if (pool) {
+      try {
+        await pool.query(
+          `INSERT INTO alert_history (alert_id, action, actor, note, meta)
+           VALUES ($1, 'notify', $2, $3, $4)`,
+          [
+            alert.alert_id,
+            null,
+            `${channel} notification sent to ${recipient.name || recipient.email}`,
+            JSON.stringify({ 
+              channel, 
+              recipient_id: recipient.user_id,
+              success: result.success,
+              simulated: result.simulated || false
+            })
+          ]
+        );
+      } catch (dbError) {
+        console.error('[notification] Failed to log notification:', dbError.message);
       }
     }
   }
@@ -302,6 +377,9 @@ export async function getAlertRecipients(alert, pool) {
 export default {
   sendAlertNotifications,
   getAlertRecipients,
+  planDeliveries,
+  deliverNotification,
+  deliverDigest,
   NOTIFICATION_CHANNELS,
   NOTIFICATION_RULES
 };
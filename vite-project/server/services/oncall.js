@@ -0,0 +1,349 @@
+/**
+ * On-Call Service
+ * Weekly on-call rotations with overrides, and per-house escalation chains
+ * that map an alert's escalation_level to the people who get paged.
+ * SQLite server (index.js) only; index-postgres.js notifies through
+ * getAlertRecipients.
+ */
+import { canAccessHouse } from './access-control.js';
+import { toWallClockMs, parseTimeOfDay } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chain used for houses that have not configured one: caregiver → owner → staff → admin
+export const DEFAULT_CHAIN = [
+  { level: 0, target_type: 'role', target_id: 'CAREGIVER' },
+  { level: 1, target_type: 'role', target_id: 'OWNER' },
+  { level: 2, target_type: 'role', target_id: 'STAFF' },
+  { level: 3, target_type: 'role', target_id: 'ADMIN' }
+];
+
+export const TARGET_TYPES = ['user', 'schedule', 'role'];
+
+export class OnCallService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {object} options.accessControl - AccessControl, for who may be put on call for a house
+   */
+  constructor(db, { accessControl }) {
+    this.db = db;
+    this.accessControl = accessControl;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS oncall_schedules (
+        id TEXT PRIMARY KEY,
+        house_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        participants TEXT NOT NULL,
+        rotation_start TEXT NOT NULL,
+        handoff_time TEXT NOT NULL DEFAULT '09:00',
+        rotation_length_days INTEGER NOT NULL DEFAULT 7,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS oncall_overrides (
+        id TEXT PRIMARY KEY,
+        schedule_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        created_at TEXT,
+        FOREIGN KEY (schedule_id) REFERENCES oncall_schedules(id)
+      );
+      CREATE TABLE IF NOT EXISTS escalation_chains (
+        id TEXT PRIMARY KEY,
+        house_id TEXT NOT NULL,
+        level INTEGER NOT NULL,
+        target_type TEXT NOT NULL CHECK (target_type IN ('user', 'schedule', 'role')),
+        target_id TEXT NOT NULL,
+        created_at TEXT,
+        UNIQUE (house_id, level, target_type, target_id)
+      );
+    `);
+  }
+
+  // ============ HOUSES ============
+
+  getHouse(houseId) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(houseId, houseId);
+  }
+
+  // ============ SCHEDULES ============
+
+  listSchedules(houseId) {
+    return this.db.prepare('SELECT * FROM oncall_schedules WHERE house_id = ? ORDER BY created_at ASC')
+      .all(houseId)
+      .map(row => this._hydrateSchedule(row));
+  }
+
+  getSchedule(id) {
+    const row = this.db.prepare('SELECT * FROM oncall_schedules WHERE id = ?').get(id);
+    return row ? this._hydrateSchedule(row) : null;
+  }
+
+  createSchedule(schedule) {
+    this.db.prepare(`
+      INSERT INTO oncall_schedules
+        (id, house_id, name, participants, rotation_start, handoff_time, rotation_length_days, created_at, updated_at)
+      VALUES (@id, @house_id, @name, @participants, @rotation_start, @handoff_time, @rotation_length_days, @created_at, @updated_at)
+    `).run({ ...schedule, participants: JSON.stringify(schedule.participants) });
+
+    return this.getSchedule(schedule.id);
+  }
+
+  updateSchedule(id, changes) {
+    const existing = this.getSchedule(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...changes };
+    this.db.prepare(`
+      UPDATE oncall_schedules SET name=@name, participants=@participants, rotation_start=@rotation_start,
+        handoff_time=@handoff_time, rotation_length_days=@rotation_length_days, updated_at=@updated_at
+      WHERE id=@id
+    `).run({ ...merged, id, participants: JSON.stringify(merged.participants) });
+
+    return this.getSchedule(id);
+  }
+
+  deleteSchedule(id) {
+    this.db.prepare('DELETE FROM oncall_overrides WHERE schedule_id = ?').run(id);
+    this.db.prepare("DELETE FROM escalation_chains WHERE target_type = 'schedule' AND target_id = ?").run(id);
+    return this.db.prepare('DELETE FROM oncall_schedules WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Validate schedule input, returning a list of problems (empty when valid)
+   * @param {string} houseId - the schedule's house; every participant must be able to access it
+   */
+  validateSchedule({ name, participants, rotation_start, handoff_time, rotation_length_days }, { partial = false, houseId } = {}) {
+    const details = [];
+
+    if (!partial || name !== undefined) {
+      if (!name) details.push('name is required');
+    }
+    if (!partial || participants !== undefined) {
+      if (!Array.isArray(participants) || participants.length === 0) {
+        details.push('participants must be a non-empty array of user ids');
+      } else {
+        for (const userId of participants) details.push(...this.validateOnCallUser(userId, houseId));
+      }
+    }
+    if (!partial || rotation_start !== undefined) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(rotation_start || '')) details.push('rotation_start must be a YYYY-MM-DD date');
+    }
+    if (handoff_time !== undefined && parseTimeOfDay(handoff_time) == null) {
+      details.push('handoff_time must be HH:MM');
+    }
+    if (rotation_length_days !== undefined && (!Number.isInteger(rotation_length_days) || rotation_length_days < 1)) {
+      details.push('rotation_length_days must be a positive integer');
+    }
+
+    return details;
+  }
+
+  // ============ OVERRIDES ============
+
+  listOverrides(scheduleId) {
+    return this.db.prepare('SELECT * FROM oncall_overrides WHERE schedule_id = ? ORDER BY starts_at ASC').all(scheduleId);
+  }
+
+  createOverride(override) {
+    this.db.prepare(`
+      INSERT INTO oncall_overrides (id, schedule_id, user_id, starts_at, ends_at, reason, created_by, created_at)
+      VALUES (@id, @schedule_id, @user_id, @starts_at, @ends_at, @reason, @created_by, @created_at)
+    `).run(override);
+
+    return this.db.prepare('SELECT * FROM oncall_overrides WHERE id = ?').get(override.id);
+  }
+
+  deleteOverride(scheduleId, id) {
+    return this.db.prepare('DELETE FROM oncall_overrides WHERE id = ? AND schedule_id = ?').run(id, scheduleId).changes > 0;
+  }
+
+  /**
+   * Problems with putting a user on call for a house, empty when they can be
+   */
+  validateOnCallUser(userId, houseId) {
+    const user = this._getUser(userId);
+    if (!user) return [`Unknown user: ${userId}`];
+    const house = this.getHouse(houseId);
+    if (!canAccessHouse(this.accessControl.scopeFor(user), house ? house.house_id : houseId)) {
+      return [`${user.email} has no access to this house`];
+    }
+    return [];
+  }
+
+  /**
+   * Who is on call for a schedule at a given instant.
+   * Rotations hand off at handoff_time in the house's timezone.
+   */
+  getOnCallUserId(schedule, at = new Date()) {
+    const instant = new Date(at).toISOString();
+
+    const override = this.db.prepare(`
+      SELECT user_id FROM oncall_overrides
+      WHERE schedule_id = ? AND starts_at <= ? AND ends_at > ?
+      ORDER BY created_at DESC LIMIT 1
+    `).get(schedule.id, instant, instant);
+
+    if (override) return override.user_id;
+
+    const { participants } = schedule;
+    if (!participants.length) return null;
+
+    const house = this.getHouse(schedule.house_id);
+    const timeZone = house?.timezone || 'UTC';
+
+    // Anchor: the first handoff, expressed in local wall-clock time
+    const [y, m, d] = schedule.rotation_start.split('-').map(Number);
+    const handoffMinutes = parseTimeOfDay(schedule.handoff_time) ?? 9 * 60;
+    const anchorWall = Date.UTC(y, m - 1, d) + handoffMinutes * 60 * 1000;
+
+    const elapsed = toWallClockMs(at, timeZone) - anchorWall;
+    const rotationMs = schedule.rotation_length_days * DAY_MS;
+    const shifts = Math.floor(elapsed / rotationMs);
+    const index = ((shifts % participants.length) + participants.length) % participants.length;
+
+    return participants[index];
+  }
+
+  getOnCall(scheduleId, at = new Date()) {
+    const schedule = this.getSchedule(scheduleId);
+    if (!schedule) return null;
+
+    const userId = this.getOnCallUserId(schedule, at);
+    return { schedule_id: schedule.id, at: new Date(at).toISOString(), user: userId ? this._getUser(userId) : null };
+  }
+
+  // ============ ESCALATION CHAINS ============
+
+  /**
+   * Chain entries for a house, falling back to the default chain
+   */
+  getChain(houseId) {
+    const rows = this.db.prepare(
+      'SELECT * FROM escalation_chains WHERE house_id = ? ORDER BY level ASC, created_at ASC'
+    ).all(houseId);
+
+    if (rows.length) return { house_id: houseId, is_default: false, levels: rows };
+    return { house_id: houseId, is_default: true, levels: DEFAULT_CHAIN.map(entry => ({ house_id: houseId, ...entry })) };
+  }
+
+  /**
+   * Replace a house's chain in one transaction
+   * @param {Array} levels - [{ level, target_type, target_id }]
+   */
+  setChain(houseId, levels, { newId, now }) {
+    const insert = this.db.prepare(`
+      INSERT INTO escalation_chains (id, house_id, level, target_type, target_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM escalation_chains WHERE house_id = ?').run(houseId);
+      for (const entry of levels) {
+        insert.run(newId(), houseId, entry.level, entry.target_type, entry.target_id, now);
+      }
+    })();
+
+    return this.getChain(houseId);
+  }
+
+  /**
+   * @param {string} houseId - the chain's house; users must be able to access it and schedules belong to it
+   */
+  validateChain(levels, houseId) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      return ['levels must be a non-empty array'];
+    }
+
+    const details = [];
+    levels.forEach((entry, i) => {
+      if (!Number.isInteger(entry.level) || entry.level < 0) details.push(`levels[${i}].level must be an integer >= 0`);
+      if (!TARGET_TYPES.includes(entry.target_type)) details.push(`levels[${i}].target_type must be one of: ${TARGET_TYPES.join(', ')}`);
+      if (!entry.target_id) details.push(`levels[${i}].target_id is required`);
+      else if (entry.target_type === 'user') {
+        details.push(...this.validateOnCallUser(entry.target_id, houseId).map(problem => `levels[${i}]: ${problem}`));
+      } else if (entry.target_type === 'schedule') {
+        const schedule = this.getSchedule(entry.target_id);
+        if (!schedule || schedule.house_id !== houseId) details.push(`levels[${i}]: unknown schedule ${entry.target_id}`);
+      }
+    });
+    return details;
+  }
+
+  /**
+   * Resolve who should be paged for an alert at a given escalation level.
+   * Levels beyond the end of the chain use its last level.
+   * @returns {Array} users ({ user_id, name, email, role }), de-duplicated
+   */
+  resolveRecipients(alert, level = alert.escalation_level || 0, at = new Date()) {
+    const house = this.getHouse(alert.house_id);
+    const houseKey = house ? house.house_id : alert.house_id;
+    const chain = this.getChain(houseKey).levels;
+
+    const available = [...new Set(chain.map(entry => entry.level))].sort((a, b) => a - b);
+    const effective = available.filter(l => l <= level).pop() ?? available[0];
+    const entries = chain.filter(entry => entry.level === effective);
+
+    const recipients = new Map();
+    for (const entry of entries) {
+      for (const user of this._resolveTarget(entry, house, at)) {
+        recipients.set(user.user_id, user);
+      }
+    }
+
+    return [...recipients.values()];
+  }
+
+  _resolveTarget(entry, house, at) {
+    switch (entry.target_type) {
+      // Chains saved before targets were checked against the house may still point elsewhere
+      case 'user': {
+        const user = this._getUser(entry.target_id);
+        return user && house && !this.validateOnCallUser(user.user_id, house.house_id).length ? [user] : [];
+      }
+      case 'schedule': {
+        const schedule = this.getSchedule(entry.target_id);
+        if (!schedule || !house || schedule.house_id !== house.house_id) return [];
+        const userId = this.getOnCallUserId(schedule, at);
+        const user = userId && this._getUser(userId);
+        return user && !this.validateOnCallUser(user.user_id, house.house_id).length ? [user] : [];
+      }
+      case 'role': {
+        // The owner of a house is a specific person, not every OWNER account
+        if (entry.target_id === 'OWNER') {
+          const owner = house && this._getUser(house.owner_id);
+          return owner ? [owner] : [];
+        }
+        // Other roles page the people assigned to this house, not every account with the role
+        if (!house) return [];
+        return this.db.prepare(`
+          SELECT u.id AS user_id, u.name, u.email, u.role FROM house_assignments ha
+          JOIN users u ON u.id = ha.user_id
+          WHERE ha.house_id = ? AND u.role = ?
+          ORDER BY ha.created_at ASC
+        `).all(house.house_id, entry.target_id);
+      }
+      default:
+        return [];
+    }
+  }
+
+  _getUser(userId) {
+    return this.db.prepare(
+      'SELECT id AS user_id, name, email, role FROM users WHERE id = ? OR user_id = ?'
+    ).get(userId, userId);
+  }
+
+  _hydrateSchedule(row) {
+    return { ...row, participants: JSON.parse(row.participants || '[]') };
+  }
+}
+
+export default OnCallService;
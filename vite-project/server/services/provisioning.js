@@ -0,0 +1,300 @@
+/**
+ * Device Provisioning
+ * How a device gets an identity of its own:
+ *
+ *   1. An admin or the house owner creates a claim token for a house
+ *   2. The device (or whoever installs it) exchanges the token at
+ *      POST /devices/claim, which registers the device in that house and
+ *      returns an API key bound to its device_id
+ *   3. The device sends the key as `X-Device-Key` on its own routes
+ *      (heartbeat, metrics, alert ingest, ...) and as its MQTT password,
+ *      with its device_id as the MQTT username
+ *
+ * Claim tokens are single use and expire. API keys can be rotated (the old
+ * key keeps working for a grace period so the device can switch over) and
+ * revoked. Only hashes of either are stored; the secret is shown once.
+ */
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+export const CLAIM_TOKEN_PREFIX = 'ct_';
+export const DEVICE_KEY_PREFIX = 'dk_';
+export const DEFAULT_CLAIM_TTL_HOURS = 24;
+export const MAX_CLAIM_TTL_HOURS = 7 * 24;
+export const DEFAULT_ROTATION_GRACE_MINUTES = 15;
+export const MAX_ROTATION_GRACE_MINUTES = 24 * 60;
+
+// last_used_at is only written this often, not on every heartbeat
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sameHash(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// `<prefix><id>.<secret>`, so a record can be found without scanning hashes
+function mint(prefix) {
+  const id = nanoid(12);
+  const secret = `${prefix}${id}.${crypto.randomBytes(24).toString('base64url')}`;
+  return { id, secret, hash: hash(secret) };
+}
+
+function idFrom(prefix, secret) {
+  if (typeof secret !== 'string' || !secret.startsWith(prefix)) return null;
+  const dot = secret.indexOf('.', prefix.length);
+  return dot > prefix.length ? secret.slice(prefix.length, dot) : null;
+}
+
+function plusMinutes(now, minutes) {
+  return new Date(Date.parse(now) + minutes * 60 * 1000).toISOString();
+}
+
+export class ProvisioningService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} [options]
+   * @param {Function} [options.registerDevice] - (fields, { actor }) => device row, registers a claimed device
+   */
+  constructor(db, { registerDevice } = {}) {
+    this.db = db;
+    this.registerDevice = registerDevice;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_claim_tokens (
+        id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL,
+        house_id TEXT NOT NULL,
+        tenant_id TEXT,
+        device_type TEXT,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT,
+        expires_at TEXT NOT NULL,
+        claimed_at TEXT,
+        claimed_device_id TEXT,
+        revoked_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_claim_tokens_house ON device_claim_tokens (house_id, created_at);
+
+      CREATE TABLE IF NOT EXISTS device_credentials (
+        id TEXT PRIMARY KEY,
+        device_id TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT,
+        expires_at TEXT,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        revoked_by TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_device_credentials_device ON device_credentials (device_id);
+    `);
+
+    this.selectCredential = this.db.prepare('SELECT * FROM device_credentials WHERE id = ?');
+    this.selectDevice = this.db.prepare('SELECT * FROM devices WHERE device_id = ?');
+  }
+
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  getHouse(id) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(id, id);
+  }
+
+  // ============ CLAIM TOKENS ============
+
+  /**
+   * Problems with a claim token request, empty when one can be created
+   */
+  validateClaimToken({ expires_in_hours, device_type, note } = {}) {
+    const details = [];
+    if (expires_in_hours !== undefined) {
+      const hours = Number(expires_in_hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_CLAIM_TTL_HOURS) {
+        details.push(`expires_in_hours must be between 0 and ${MAX_CLAIM_TTL_HOURS}`);
+      }
+    }
+    if (device_type !== undefined && (typeof device_type !== 'string' || !device_type.trim())) {
+      details.push('device_type must be a non-empty string');
+    }
+    if (note !== undefined && typeof note !== 'string') details.push('note must be a string');
+    return details;
+  }
+
+  /**
+   * @returns {object} the token record, with the secret `token` the only time it is available
+   */
+  createClaimToken(house, { expires_in_hours = DEFAULT_CLAIM_TTL_HOURS, device_type, note }, { actor, now }) {
+    const { id, secret, hash: tokenHash } = mint(CLAIM_TOKEN_PREFIX);
+    this.db.prepare(`
+      INSERT INTO device_claim_tokens (id, token_hash, house_id, tenant_id, device_type, note, created_by, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, tokenHash, house.house_id, house.tenant_id || null, device_type || null, note || null,
+      actor, now, plusMinutes(now, Number(expires_in_hours) * 60));
+    return { ...this.getClaimToken(id, now), token: secret };
+  }
+
+  getClaimToken(id, now = new Date().toISOString()) {
+    const row = this.db.prepare('SELECT * FROM device_claim_tokens WHERE id = ?').get(id);
+    return row ? this.describeClaimToken(row, now) : null;
+  }
+
+  listClaimTokens(houseId, now = new Date().toISOString()) {
+    return this.db.prepare('SELECT * FROM device_claim_tokens WHERE house_id = ? ORDER BY created_at DESC')
+      .all(houseId).map(row => this.describeClaimToken(row, now));
+  }
+
+  describeClaimToken(row, now) {
+    const { token_hash, ...token } = row;
+    const status = token.revoked_at ? 'revoked'
+      : token.claimed_at ? 'claimed'
+      : token.expires_at <= now ? 'expired' : 'pending';
+    return { ...token, status };
+  }
+
+  /**
+   * @returns {boolean} false when the token was no longer pending
+   */
+  revokeClaimToken(id, now) {
+    return this.db.prepare(`
+      UPDATE device_claim_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL AND claimed_at IS NULL
+    `).run(now, id).changes > 0;
+  }
+
+  /**
+   * Exchange a claim token for a device and its first API key. A device_id
+   * that already exists in the token's house is re-provisioned: its old keys
+   * are revoked.
+   * @param {string} token
+   * @param {object} fields - { device_id?, type?, location?, firmware? }
+   * @returns {{ device, credential, created }|{ error, status }}
+   */
+  claim(token, fields, now) {
+    const id = idFrom(CLAIM_TOKEN_PREFIX, token);
+    const row = id && this.db.prepare('SELECT * FROM device_claim_tokens WHERE id = ?').get(id);
+    if (!row || !sameHash(row.token_hash, hash(token))) return { error: 'Invalid claim token', status: 401 };
+
+    const { status } = this.describeClaimToken(row, now);
+    if (status !== 'pending') return { error: `Claim token is ${status}`, status: 401 };
+
+    const existing = fields.device_id ? this.selectDevice.get(fields.device_id) : null;
+    if (existing && existing.house_id !== row.house_id) {
+      return { error: 'Device ID already registered elsewhere', status: 409 };
+    }
+
+    return this.db.transaction(() => {
+      // Claimed inside the transaction so two devices racing for one token can't both win
+      const claimed = this.db.prepare(`
+        UPDATE device_claim_tokens SET claimed_at = ? WHERE id = ? AND claimed_at IS NULL AND revoked_at IS NULL
+      `).run(now, row.id).changes > 0;
+      if (!claimed) return { error: 'Claim token is claimed', status: 401 };
+
+      const device = existing || this.registerDevice({
+        device_id: fields.device_id,
+        house_id: row.house_id,
+        tenant: row.tenant_id || 'default',
+        type: row.device_type || fields.type,
+        location: fields.location,
+        firmware: fields.firmware
+      }, { actor: `claim:${row.id}` });
+
+      this.db.prepare('UPDATE device_claim_tokens SET claimed_device_id = ? WHERE id = ?').run(device.device_id, row.id);
+      if (existing) this.revokeAll(device.device_id, { actor: `claim:${row.id}`, now });
+      const credential = this.issue(device.device_id, { actor: `claim:${row.id}`, now });
+      return { device, credential, created: !existing };
+    })();
+  }
+
+  // ============ CREDENTIALS ============
+
+  /**
+   * New API key for a device
+   * @returns {object} the credential, with the secret `key` the only time it is available
+   */
+  issue(deviceId, { actor, now }) {
+    const { id, secret, hash: keyHash } = mint(DEVICE_KEY_PREFIX);
+    this.db.prepare(`
+      INSERT INTO device_credentials (id, device_id, key_hash, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(id, deviceId, keyHash, actor, now);
+    return { ...this.describeCredential(this.selectCredential.get(id), now), key: secret };
+  }
+
+  listCredentials(deviceId, now = new Date().toISOString()) {
+    return this.db.prepare('SELECT * FROM device_credentials WHERE device_id = ? ORDER BY created_at DESC')
+      .all(deviceId).map(row => this.describeCredential(row, now));
+  }
+
+  describeCredential(row, now) {
+    const { key_hash, ...credential } = row;
+    const status = credential.revoked_at ? 'revoked'
+      : credential.expires_at && credential.expires_at <= now ? 'expired' : 'active';
+    return { ...credential, status };
+  }
+
+  hasActiveCredentials(deviceId, now = new Date().toISOString()) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM device_credentials
+      WHERE device_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?) LIMIT 1
+    `).get(deviceId, now));
+  }
+
+  /**
+   * Issue a new key; the device's current keys stop working after the grace period
+   */
+  rotate(deviceId, { graceMinutes = DEFAULT_ROTATION_GRACE_MINUTES, actor, now }) {
+    return this.db.transaction(() => {
+      const retireAt = plusMinutes(now, graceMinutes);
+      this.db.prepare(`
+        UPDATE device_credentials SET expires_at = ?
+        WHERE device_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+      `).run(retireAt, deviceId, retireAt);
+      return this.issue(deviceId, { actor, now });
+    })();
+  }
+
+  /**
+   * @returns {object|null} the revoked credential, or null when it wasn't this device's or was already revoked
+   */
+  revoke(deviceId, credentialId, { actor, now }) {
+    const changes = this.db.prepare(`
+      UPDATE device_credentials SET revoked_at = ?, revoked_by = ? WHERE id = ? AND device_id = ? AND revoked_at IS NULL
+    `).run(now, actor, credentialId, deviceId).changes;
+    return changes ? this.describeCredential(this.selectCredential.get(credentialId), now) : null;
+  }
+
+  /**
+   * @returns {number} how many keys were revoked
+   */
+  revokeAll(deviceId, { actor, now }) {
+    return this.db.prepare(`
+      UPDATE device_credentials SET revoked_at = ?, revoked_by = ? WHERE device_id = ? AND revoked_at IS NULL
+    `).run(now, actor, deviceId).changes;
+  }
+
+  /**
+   * Check an API key
+   * @returns {{ device, credential }|null} null when the key is unknown, revoked or expired
+   */
+  verify(key, now = new Date().toISOString()) {
+    const id = idFrom(DEVICE_KEY_PREFIX, key);
+    const row = id && this.selectCredential.get(id);
+    if (!row || !sameHash(row.key_hash, hash(key))) return null;
+    if (this.describeCredential(row, now).status !== 'active') return null;
+
+    const device = this.selectDevice.get(row.device_id);
+    if (!device) return null;
+
+    if (!row.last_used_at || Date.parse(now) - Date.parse(row.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+      this.db.prepare('UPDATE device_credentials SET last_used_at = ? WHERE id = ?').run(now, row.id);
+    }
+    return { device, credential: this.describeCredential(row, now) };
+  }
+}
+
+export default ProvisioningService;
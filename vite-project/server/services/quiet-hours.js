@@ -0,0 +1,340 @@
+/**
+ * Quiet Hours Service
+ * Per-house and per-user quiet-hour windows evaluated in the house's timezone.
+ * House windows feed severity decisions at ingest; both house and user windows
+ * hold low/medium notifications, which are released as a digest once the
+ * window ends. Critical and high alerts always break through.
+ */
+import { nanoid } from 'nanoid';
+import { dailyWindowEndsAt, parseTimeOfDay, isValidTimeZone } from './timezone.js';
+
+// Severities whose notifications wait for the end of quiet hours
+export const HOLDABLE_SEVERITIES = ['low', 'medium'];
+
+// Used for houses that have not configured any window (the old 22:00-06:00 rule)
+export const DEFAULT_WINDOW = { start_time: '22:00', end_time: '06:00', days: null };
+
+export const SCOPES = ['house', 'user'];
+
+// Alerts still waiting on someone; holds for any other state are released without a digest
+const PENDING_STATES = ['new', 'escalated'];
+
+export class QuietHoursService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.sendDigest - (recipient, alerts) => void, queues the digest for delivery
+   * @param {Function} [options.recordHistory] - (alertId, note, meta) => void, writes an alert_history row
+   * @param {number} [options.pollIntervalMs] - how often held notifications are checked for release
+   */
+  constructor(db, { sendDigest, recordHistory, pollIntervalMs = 60 * 1000 }) {
+    this.db = db;
+    this.sendDigest = sendDigest;
+    this.recordHistory = recordHistory;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS quiet_hours (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL CHECK (scope IN ('house', 'user')),
+        scope_id TEXT NOT NULL,
+        name TEXT,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        days TEXT,
+        timezone TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_quiet_hours_scope ON quiet_hours (scope, scope_id);
+      CREATE TABLE IF NOT EXISTS notification_holds (
+        id TEXT PRIMARY KEY,
+        alert_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('held', 'released')),
+        held_at TEXT NOT NULL,
+        release_at TEXT NOT NULL,
+        released_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_notification_holds_due ON notification_holds (status, release_at);
+    `);
+
+    this.selectWindows = this.db.prepare(
+      'SELECT * FROM quiet_hours WHERE scope = ? AND scope_id = ? ORDER BY start_time ASC'
+    );
+    this.insertHold = this.db.prepare(`
+      INSERT INTO notification_holds (id, alert_id, user_id, recipient, status, held_at, release_at)
+      VALUES (@id, @alert_id, @user_id, @recipient, 'held', @held_at, @release_at)
+    `);
+  }
+
+  // ============ WINDOWS ============
+
+  /**
+   * Windows for a house or user. Houses without any configured window
+   * inherit DEFAULT_WINDOW; an explicitly disabled window turns that off.
+   */
+  listWindows(scope, scopeId) {
+    const rows = this.selectWindows.all(scope, scopeId).map(row => this._hydrate(row));
+    if (rows.length || scope !== 'house') return rows;
+    return [{ scope, scope_id: scopeId, ...DEFAULT_WINDOW, timezone: null, enabled: true, is_default: true }];
+  }
+
+  getWindow(id) {
+    const row = this.db.prepare('SELECT * FROM quiet_hours WHERE id = ?').get(id);
+    return row ? this._hydrate(row) : null;
+  }
+
+  createWindow({ scope, scope_id, name = '', start_time, end_time, days = null, timezone = null, enabled = true }) {
+    const now = new Date().toISOString();
+    const id = nanoid();
+
+    this.db.prepare(`
+      INSERT INTO quiet_hours (id, scope, scope_id, name, start_time, end_time, days, timezone, enabled, created_at, updated_at)
+      VALUES (@id, @scope, @scope_id, @name, @start_time, @end_time, @days, @timezone, @enabled, @now, @now)
+    `).run({
+      id, scope, scope_id, name, start_time, end_time, timezone, now,
+      days: days ? JSON.stringify(days) : null,
+      enabled: enabled ? 1 : 0
+    });
+
+    return this.getWindow(id);
+  }
+
+  updateWindow(id, changes) {
+    const existing = this.getWindow(id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...changes };
+    this.db.prepare(`
+      UPDATE quiet_hours SET name=@name, start_time=@start_time, end_time=@end_time, days=@days,
+        timezone=@timezone, enabled=@enabled, updated_at=@updated_at
+      WHERE id=@id
+    `).run({
+      id,
+      name: merged.name,
+      start_time: merged.start_time,
+      end_time: merged.end_time,
+      days: merged.days ? JSON.stringify(merged.days) : null,
+      timezone: merged.timezone,
+      enabled: merged.enabled ? 1 : 0,
+      updated_at: new Date().toISOString()
+    });
+
+    return this.getWindow(id);
+  }
+
+  deleteWindow(id) {
+    return this.db.prepare('DELETE FROM quiet_hours WHERE id = ?').run(id).changes > 0;
+  }
+
+  validateWindow({ start_time, end_time, days, timezone, enabled }, { partial = false } = {}) {
+    const details = [];
+
+    if (!partial || start_time !== undefined) {
+      if (parseTimeOfDay(start_time) == null) details.push('start_time must be HH:MM');
+    }
+    if (!partial || end_time !== undefined) {
+      if (parseTimeOfDay(end_time) == null) details.push('end_time must be HH:MM');
+    }
+    if (days !== undefined && days !== null) {
+      if (!Array.isArray(days) || !days.length || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        details.push('days must be null or a non-empty array of weekdays 0-6 (0 = Sunday)');
+      }
+    }
+    if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+      details.push(`Unknown timezone: ${timezone}`);
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      details.push('enabled must be a boolean');
+    }
+
+    return details;
+  }
+
+  // ============ EVALUATION ============
+
+  /**
+   * End of a window if it is active at `at`, otherwise null
+   * (see dailyWindowEndsAt for overnight windows and `days`)
+   */
+  windowEndsAt(window, at, timeZone) {
+    if (!window.enabled) return null;
+    return dailyWindowEndsAt(window, at, window.timezone || timeZone);
+  }
+
+  /**
+   * Latest end among the active windows in a list, or null when none is active
+   */
+  _quietUntil(windows, at, timeZone) {
+    let until = null;
+    for (const window of windows) {
+      const end = this.windowEndsAt(window, at, timeZone);
+      if (end && (!until || end > until)) until = end;
+    }
+    return until;
+  }
+
+  getHouse(houseId) {
+    return this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?').get(houseId, houseId);
+  }
+
+  /**
+   * Whether a house is in quiet hours at an instant, in the house's timezone
+   */
+  isHouseQuiet(houseId, at = new Date()) {
+    return Boolean(this.houseQuietUntil(houseId, at));
+  }
+
+  houseQuietUntil(houseId, at = new Date()) {
+    const house = this.getHouse(houseId);
+    const houseKey = house ? house.house_id : houseId;
+    return this._quietUntil(this.listWindows('house', houseKey), at, house?.timezone || 'UTC');
+  }
+
+  /**
+   * When a recipient's quiet time ends for an alert's house (house or user
+   * window, whichever ends last), or null if they can be notified now
+   */
+  recipientQuietUntil(houseId, userId, at = new Date()) {
+    const house = this.getHouse(houseId);
+    const houseKey = house ? house.house_id : houseId;
+    const timeZone = house?.timezone || 'UTC';
+
+    const windows = [...this.listWindows('house', houseKey), ...this.listWindows('user', userId)];
+    return this._quietUntil(windows, at, timeZone);
+  }
+
+  // ============ HOLDING & DIGESTS ============
+
+  /**
+   * Split recipients into those to notify now and those held until their
+   * quiet hours end. Only low/medium alerts are ever held.
+   * @returns {{ deliver: Array, held: Array }}
+   */
+  partition(alert, recipients, at = new Date()) {
+    if (!HOLDABLE_SEVERITIES.includes(alert.severity)) {
+      return { deliver: recipients, held: [] };
+    }
+
+    const deliver = [];
+    const held = [];
+    for (const recipient of recipients) {
+      const until = this.recipientQuietUntil(alert.house_id, recipient.user_id, at);
+      if (!until) {
+        deliver.push(recipient);
+        continue;
+      }
+
+      this.insertHold.run({
+        id: nanoid(),
+        alert_id: alert.id,
+        user_id: recipient.user_id,
+        recipient: JSON.stringify(recipient),
+        held_at: new Date(at).toISOString(),
+        release_at: until.toISOString()
+      });
+      this._record(alert.id, `Held for ${recipient.email} until quiet hours end`, {
+        channel: 'digest', status: 'held', recipient_id: recipient.user_id, release_at: until.toISOString()
+      });
+      held.push(recipient);
+    }
+
+    return { deliver, held };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.releaseDue(), this.pollIntervalMs);
+    this.releaseDue();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send one digest per user for everything held whose window has ended.
+   * Holds whose recipient has since entered another window are pushed back;
+   * alerts acknowledged, snoozed or resolved in the meantime are left out.
+   */
+  releaseDue(now = new Date()) {
+    const due = this.db.prepare(`
+      SELECT * FROM notification_holds WHERE status = 'held' AND release_at <= ? ORDER BY held_at ASC
+    `).all(now.toISOString());
+    if (!due.length) return 0;
+
+    const byUser = new Map();
+    for (const hold of due) {
+      if (!byUser.has(hold.user_id)) byUser.set(hold.user_id, []);
+      byUser.get(hold.user_id).push(hold);
+    }
+
+    const selectAlert = this.db.prepare('SELECT * FROM alerts WHERE id = ?');
+    const postpone = this.db.prepare('UPDATE notification_holds SET release_at = ? WHERE id = ?');
+    const release = this.db.prepare("UPDATE notification_holds SET status = 'released', released_at = ? WHERE id = ?");
+    let sent = 0;
+
+    for (const holds of byUser.values()) {
+      const ready = [];
+      for (const hold of holds) {
+        const alert = selectAlert.get(hold.alert_id);
+        if (!alert || !PENDING_STATES.includes(alert.state)) {
+          ready.push({ hold, alert: null });
+          continue;
+        }
+        const until = this.recipientQuietUntil(alert.house_id, hold.user_id, now);
+        if (until) postpone.run(until.toISOString(), hold.id);
+        else ready.push({ hold, alert });
+      }
+      if (!ready.length) continue;
+
+      const recipient = JSON.parse(ready[0].hold.recipient);
+      const alerts = ready.map(({ alert }) => alert).filter(Boolean);
+
+      this.db.transaction(() => {
+        for (const { hold } of ready) release.run(now.toISOString(), hold.id);
+      })();
+
+      if (alerts.length) {
+        this.sendDigest(recipient, alerts);
+        sent++;
+        console.log(`[quiet-hours] Released digest of ${alerts.length} alert(s) for ${recipient.email}`);
+      }
+    }
+
+    return sent;
+  }
+
+  listHolds({ status = 'held', user_id, limit = 100 } = {}) {
+    const where = ['status = ?'];
+    const params = [status];
+    if (user_id) { where.push('user_id = ?'); params.push(user_id); }
+    params.push(limit);
+
+    return this.db.prepare(`
+      SELECT * FROM notification_holds WHERE ${where.join(' AND ')} ORDER BY held_at DESC LIMIT ?
+    `).all(...params).map(row => ({ ...row, recipient: JSON.parse(row.recipient) }));
+  }
+
+  _record(alertId, note, meta) {
+    if (!this.recordHistory) return;
+    try {
+      this.recordHistory(alertId, note, meta);
+    } catch (error) {
+      console.error('[quiet-hours] Failed to record history:', error.message);
+    }
+  }
+
+  _hydrate(row) {
+    return { ...row, days: row.days ? JSON.parse(row.days) : null, enabled: Boolean(row.enabled), is_default: false };
+  }
+}
+
+export default QuietHoursService;
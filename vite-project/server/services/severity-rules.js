@@ -0,0 +1,415 @@
+/**
+ * Severity Rules Engine
+ * Data-driven replacement for the hardcoded decideSeverity(). Each tenant
+ * keeps versioned rule sets in the database; exactly one version is active.
+ * Rules are checked in order and the first match decides the severity.
+ * Anything no tenant rule matches falls through to DEFAULT_RULES, which
+ * reproduce the original decideSeverity() behaviour.
+ *
+ * Rule shape:
+ *   {
+ *     name: 'pet sitter barks',
+ *     when: {
+ *       type: 'dog_bark' | ['dog_bark', 'unusual_noise'],
+ *       score: { gte: 0.7 },              // eq / gt / gte / lt / lte
+ *       duration: { gte: 1800 },          // seconds
+ *       time_of_day: { from: '22:00', to: '06:00' },  // house timezone, may wrap midnight
+ *       quiet_hours: true,
+ *       location: 'kitchen' | ['kitchen', 'garage'],  // device location, case-insensitive
+ *       recent_count: { window_sec: 600, gte: 3, scope: 'device' | 'house', same_type: true }
+ *     },
+ *     severity: 'medium'
+ *   }
+ */
+import { minutesOfDay, parseTimeOfDay } from './timezone.js';
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const NUMERIC_OPERATORS = ['eq', 'gt', 'gte', 'lt', 'lte'];
+const CONDITION_KEYS = ['type', 'score', 'duration', 'time_of_day', 'quiet_hours', 'location', 'recent_count'];
+
+// The original decideSeverity() if-chain, expressed as rules, plus device offline
+export const DEFAULT_RULES = [
+  { name: 'glass break, high confidence', when: { type: 'glass_break', score: { gte: 0.85 } }, severity: 'critical' },
+  { name: 'smoke alarm', when: { type: 'smoke_alarm' }, severity: 'critical' },
+  { name: 'fall, high confidence', when: { type: 'fall', score: { gte: 0.8 } }, severity: 'critical' },
+  { name: 'fall', when: { type: 'fall' }, severity: 'high' },
+  { name: 'no motion 30 min at night', when: { type: 'no_motion', duration: { gte: 30 * 60 }, quiet_hours: true }, severity: 'high' },
+  { name: 'no motion 30 min', when: { type: 'no_motion', duration: { gte: 30 * 60 } }, severity: 'medium' },
+  { name: 'glass break', when: { type: 'glass_break' }, severity: 'high' },
+  { name: 'unusual noise', when: { type: 'unusual_noise', score: { gte: 0.7 } }, severity: 'medium' },
+  { name: 'no motion 15 min', when: { type: 'no_motion', duration: { gte: 15 * 60 } }, severity: 'medium' },
+  { name: 'dog bark', when: { type: 'dog_bark' }, severity: 'low' },
+  { name: 'door open', when: { type: 'door_open' }, severity: 'low' },
+  // Raised by the device watchdog after missed heartbeats
+  { name: 'device offline', when: { type: 'device_offline' }, severity: 'high' },
+  { name: 'score >= 0.8', when: { score: { gte: 0.8 } }, severity: 'high' },
+  { name: 'score >= 0.6', when: { score: { gte: 0.6 } }, severity: 'medium' },
+  { name: 'default', when: {}, severity: 'low' }
+];
+
+function matchesNumber(value, condition) {
+  if (typeof condition === 'number') return value === condition;
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case 'eq': return value === expected;
+      case 'gt': return value > expected;
+      case 'gte': return value >= expected;
+      case 'lt': return value < expected;
+      case 'lte': return value <= expected;
+      default: return false;
+    }
+  });
+}
+
+function matchesString(value, condition, { caseInsensitive = false } = {}) {
+  if (value == null) return false;
+  const normalize = v => (caseInsensitive ? String(v).toLowerCase() : String(v));
+  const options = Array.isArray(condition) ? condition : [condition];
+  return options.some(option => normalize(option) === normalize(value));
+}
+
+function inTimeRange(minutes, { from, to }) {
+  const start = parseTimeOfDay(from);
+  const end = parseTimeOfDay(to);
+  if (start === end) return true;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Check one rule's conditions against an evaluation context
+ * @param {object} when - rule conditions
+ * @param {object} ctx - { type, score, duration, minutes_of_day, in_quiet_hours, location, recentCount(opts) }
+ */
+export function matchesRule(when, ctx) {
+  for (const [key, condition] of Object.entries(when || {})) {
+    switch (key) {
+      case 'type':
+        if (!matchesString(ctx.type, condition)) return false;
+        break;
+      case 'score':
+        if (!matchesNumber(Number(ctx.score), condition)) return false;
+        break;
+      case 'duration':
+        if (!matchesNumber(Number(ctx.duration), condition)) return false;
+        break;
+      case 'time_of_day':
+        if (!inTimeRange(ctx.minutes_of_day, condition)) return false;
+        break;
+      case 'quiet_hours':
+        if (Boolean(ctx.in_quiet_hours) !== Boolean(condition)) return false;
+        break;
+      case 'location':
+        if (!matchesString(ctx.location, condition, { caseInsensitive: true })) return false;
+        break;
+      case 'recent_count': {
+        const { window_sec, scope = 'device', same_type = true, ...comparison } = condition;
+        if (!matchesNumber(ctx.recentCount({ window_sec, scope, same_type }), comparison)) return false;
+        break;
+      }
+      default:
+        return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * First matching rule across the tenant rules, then the defaults
+ * @returns {{ severity, rule, source }} - source is 'tenant' or 'default'
+ */
+export function evaluateRules(rules, ctx) {
+  for (const rule of rules || []) {
+    if (matchesRule(rule.when, ctx)) return { severity: rule.severity, rule: rule.name || null, source: 'tenant' };
+  }
+  for (const rule of DEFAULT_RULES) {
+    if (matchesRule(rule.when, ctx)) return { severity: rule.severity, rule: rule.name, source: 'default' };
+  }
+  return { severity: 'low', rule: null, source: 'default' };
+}
+
+/**
+ * Validate a list of rules, returning a list of problems (empty when valid)
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+
+  const details = [];
+  const checkNumeric = (path, condition) => {
+    if (typeof condition === 'number') return;
+    if (!condition || typeof condition !== 'object' || !Object.keys(condition).length) {
+      details.push(`${path} must be a number or an object of ${NUMERIC_OPERATORS.join('/')}`);
+      return;
+    }
+    for (const [op, value] of Object.entries(condition)) {
+      if (!NUMERIC_OPERATORS.includes(op)) details.push(`${path}.${op} is not a supported operator`);
+      else if (typeof value !== 'number') details.push(`${path}.${op} must be a number`);
+    }
+  };
+  const checkStrings = (path, condition) => {
+    const values = Array.isArray(condition) ? condition : [condition];
+    if (!values.length || !values.every(v => typeof v === 'string' && v)) {
+      details.push(`${path} must be a string or an array of strings`);
+    }
+  };
+
+  rules.forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      details.push(`${path} must be an object`);
+      return;
+    }
+    if (!SEVERITIES.includes(rule.severity)) details.push(`${path}.severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (rule.when === undefined) return;
+    if (!rule.when || typeof rule.when !== 'object' || Array.isArray(rule.when)) {
+      details.push(`${path}.when must be an object`);
+      return;
+    }
+
+    for (const [key, condition] of Object.entries(rule.when)) {
+      const at = `${path}.when.${key}`;
+      switch (key) {
+        case 'type':
+        case 'location':
+          checkStrings(at, condition);
+          break;
+        case 'score':
+        case 'duration':
+          checkNumeric(at, condition);
+          break;
+        case 'time_of_day':
+          if (parseTimeOfDay(condition?.from) == null || parseTimeOfDay(condition?.to) == null) {
+            details.push(`${at} must be { from: 'HH:MM', to: 'HH:MM' }`);
+          }
+          break;
+        case 'quiet_hours':
+          if (typeof condition !== 'boolean') details.push(`${at} must be a boolean`);
+          break;
+        case 'recent_count': {
+          const { window_sec, scope = 'device', same_type = true, ...comparison } = condition || {};
+          if (!Number.isInteger(window_sec) || window_sec <= 0) details.push(`${at}.window_sec must be a positive integer`);
+          if (!['device', 'house'].includes(scope)) details.push(`${at}.scope must be device or house`);
+          if (typeof same_type !== 'boolean') details.push(`${at}.same_type must be a boolean`);
+          checkNumeric(at, comparison);
+          break;
+        }
+        default:
+          details.push(`${at} is not a supported condition (use ${CONDITION_KEYS.join(', ')})`);
+      }
+    }
+  });
+
+  return details;
+}
+
+export class SeverityRulesService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.isQuietHours - (houseId, at) => boolean
+   */
+  constructor(db, { isQuietHours }) {
+    this.db = db;
+    this.isQuietHours = isQuietHours;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS severity_rule_sets (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        rules TEXT NOT NULL,
+        notes TEXT,
+        active INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT,
+        activated_at TEXT,
+        UNIQUE (tenant_id, version)
+      );
+    `);
+
+    this.selectActive = this.db.prepare(
+      'SELECT * FROM severity_rule_sets WHERE tenant_id = ? AND active = 1'
+    );
+    this.selectHouse = this.db.prepare('SELECT * FROM houses WHERE id = ? OR house_id = ?');
+    this.selectDevice = this.db.prepare('SELECT * FROM devices WHERE device_id = ? OR id = ?');
+  }
+
+  // ============ RULE SETS ============
+
+  getActive(tenantId) {
+    const row = this.selectActive.get(tenantId);
+    return row ? this._hydrate(row) : null;
+  }
+
+  listVersions(tenantId) {
+    return this.db.prepare(
+      'SELECT * FROM severity_rule_sets WHERE tenant_id = ? ORDER BY version DESC'
+    ).all(tenantId).map(row => this._hydrate(row));
+  }
+
+  getVersion(tenantId, version) {
+    const row = this.db.prepare(
+      'SELECT * FROM severity_rule_sets WHERE tenant_id = ? AND version = ?'
+    ).get(tenantId, version);
+    return row ? this._hydrate(row) : null;
+  }
+
+  /**
+   * Save rules as the tenant's next version, optionally making it active
+   */
+  createVersion(tenantId, { id, rules, notes = '', created_by = null, activate = true }, now) {
+    return this.db.transaction(() => {
+      const { latest } = this.db.prepare(
+        'SELECT MAX(version) as latest FROM severity_rule_sets WHERE tenant_id = ?'
+      ).get(tenantId);
+      const version = (latest || 0) + 1;
+
+      this.db.prepare(`
+        INSERT INTO severity_rule_sets (id, tenant_id, version, rules, notes, active, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+      `).run(id, tenantId, version, JSON.stringify(rules), notes, created_by, now);
+
+      if (activate) this._activate(tenantId, version, now);
+      return this.getVersion(tenantId, version);
+    })();
+  }
+
+  /**
+   * Make an existing version the active one (also how rollbacks are done)
+   */
+  activateVersion(tenantId, version, now) {
+    if (!this.getVersion(tenantId, version)) return null;
+    this.db.transaction(() => this._activate(tenantId, version, now))();
+    return this.getVersion(tenantId, version);
+  }
+
+  _activate(tenantId, version, now) {
+    this.db.prepare('UPDATE severity_rule_sets SET active = 0 WHERE tenant_id = ?').run(tenantId);
+    this.db.prepare(
+      'UPDATE severity_rule_sets SET active = 1, activated_at = ? WHERE tenant_id = ? AND version = ?'
+    ).run(now, tenantId, version);
+  }
+
+  // ============ EVALUATION ============
+
+  /**
+   * Everything a rule can look at for one event, as of the event's time
+   * @param {object} event - { tenant_id, house_id, device_id, type, score, duration, occurred_at, exclude_id? }
+   */
+  buildContext(event) {
+    const at = event.occurred_at || new Date().toISOString();
+    const house = this.selectHouse.get(event.house_id, event.house_id);
+    const device = this.selectDevice.get(event.device_id, event.device_id);
+    const houseKey = house ? house.house_id : event.house_id;
+
+    const recentCount = ({ window_sec, scope, same_type }) => {
+      const where = [scope === 'house' ? 'house_id = ?' : 'device_id = ?'];
+      const params = [scope === 'house' ? houseKey : event.device_id];
+      if (same_type) { where.push('type = ?'); params.push(event.type); }
+      if (event.exclude_id) { where.push('id != ?'); params.push(event.exclude_id); }
+
+      return this.db.prepare(`
+        SELECT COUNT(*) as count FROM alerts
+        WHERE ${where.join(' AND ')}
+          AND datetime(occurred_at) > datetime(?, ?) AND datetime(occurred_at) <= datetime(?)
+      `).get(...params, at, `-${window_sec} seconds`, at).count;
+    };
+
+    return {
+      type: event.type,
+      score: event.score ?? 0.5,
+      duration: event.duration ?? 0,
+      minutes_of_day: minutesOfDay(at, house?.timezone || 'UTC'),
+      in_quiet_hours: event.in_quiet_hours ?? this.isQuietHours(event.house_id, at),
+      location: device ? device.location : null,
+      recentCount
+    };
+  }
+
+  /**
+   * Decide severity for an incoming event with the tenant's active rules
+   * @returns {{ severity, rule, source, version, in_quiet_hours }}
+   */
+  decide(event) {
+    const ruleSet = this.getActive(event.tenant_id);
+    const ctx = this.buildContext(event);
+    const result = evaluateRules(ruleSet ? ruleSet.rules : [], ctx);
+    return { ...result, version: ruleSet ? ruleSet.version : null, in_quiet_hours: ctx.in_quiet_hours };
+  }
+
+  /**
+   * Replay a tenant's past alerts through candidate rules and report which
+   * severities would change. Manually-set severities are replayed too; the
+   * comparison is against what is stored on each alert.
+   */
+  dryRun(tenantId, rules, { since, until, limit = 500 } = {}) {
+    const where = ['tenant_id = ?'];
+    const params = [tenantId];
+    if (since) { where.push('occurred_at >= ?'); params.push(since); }
+    if (until) { where.push('occurred_at <= ?'); params.push(until); }
+    params.push(limit);
+
+    const alerts = this.db.prepare(`
+      SELECT * FROM alerts WHERE ${where.join(' AND ')} ORDER BY occurred_at DESC LIMIT ?
+    `).all(...params);
+
+    const transitions = {};
+    const changes = [];
+
+    for (const alert of alerts) {
+      const meta = this._createMeta(alert.id);
+      const ctx = this.buildContext({
+        ...alert,
+        duration: meta.duration ?? 0,
+        exclude_id: alert.id
+      });
+      const result = evaluateRules(rules, ctx);
+
+      if (result.severity !== alert.severity) {
+        const key = `${alert.severity}->${result.severity}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+        changes.push({
+          alert_id: alert.id,
+          type: alert.type,
+          house_id: alert.house_id,
+          device_id: alert.device_id,
+          occurred_at: alert.occurred_at,
+          current: alert.severity,
+          candidate: result.severity,
+          rule: result.rule,
+          source: result.source
+        });
+      }
+    }
+
+    return {
+      tenant_id: tenantId,
+      replayed: alerts.length,
+      changed: changes.length,
+      transitions,
+      changes
+    };
+  }
+
+  // Ingest stores duration only in the 'create' history entry
+  _createMeta(alertId) {
+    const row = this.db.prepare(
+      "SELECT meta FROM alert_history WHERE alert_id = ? AND action = 'create' ORDER BY ts ASC LIMIT 1"
+    ).get(alertId);
+    try {
+      return row ? JSON.parse(row.meta || '{}') : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  _hydrate(row) {
+    return { ...row, rules: JSON.parse(row.rules), active: Boolean(row.active) };
+  }
+}
+
+export default SeverityRulesService;
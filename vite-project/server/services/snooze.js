@@ -0,0 +1,82 @@
+/**
+ * Snooze Scheduler
+ * Brings snoozed alerts back when their snooze runs out. Timers are derived
+ * from `alerts.snoozed_until`, so they are rebuilt after a restart and an
+ * alert whose snooze expired while the server was down resurfaces at startup.
+ */
+
+export class SnoozeScheduler {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} options
+   * @param {Function} options.resurface - (alert) => void, moves the alert out of snoozed
+   */
+  constructor(db, { resurface }) {
+    this.db = db;
+    this.resurface = resurface;
+    this.timers = new Map(); // alert id -> timeout handle
+  }
+
+  initialize() {
+    this.selectAlert = this.db.prepare('SELECT * FROM alerts WHERE id = ?');
+  }
+
+  /**
+   * (Re)arm the timer for a snoozed alert
+   */
+  schedule(alert) {
+    this.cancel(alert.id);
+    if (alert.state !== 'snoozed' || !alert.snoozed_until) return;
+
+    const dueAt = Date.parse(alert.snoozed_until);
+    if (Number.isNaN(dueAt)) return;
+
+    const timer = setTimeout(() => this._fire(alert.id), Math.max(0, dueAt - Date.now()));
+    this.timers.set(alert.id, timer);
+  }
+
+  cancel(alertId) {
+    const timer = this.timers.get(alertId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(alertId);
+    }
+  }
+
+  cancelAll() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /**
+   * Rebuild all timers from the alerts table (used on startup)
+   */
+  rebuild() {
+    this.cancelAll();
+
+    const snoozed = this.db.prepare(`SELECT * FROM alerts WHERE state = 'snoozed'`).all();
+    snoozed.forEach(alert => this.schedule(alert));
+    console.log(`[snooze] Rebuilt ${this.timers.size} snooze timer(s)`);
+  }
+
+  _fire(alertId) {
+    this.timers.delete(alertId);
+
+    try {
+      // Re-read: the alert may have been acked, resolved or re-snoozed meanwhile
+      const alert = this.selectAlert.get(alertId);
+      if (!alert || alert.state !== 'snoozed') return;
+
+      if (Date.parse(alert.snoozed_until) > Date.now()) {
+        this.schedule(alert);
+        return;
+      }
+
+      this.resurface(alert);
+    } catch (error) {
+      console.error(`[snooze] Failed to resurface alert ${alertId}:`, error.message);
+    }
+  }
+}
+
+export default SnoozeScheduler;
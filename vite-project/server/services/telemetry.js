@@ -0,0 +1,299 @@
+/**
+ * Telemetry Service
+ * Stores device metrics as a time series in SQLite. Every sample is kept
+ * raw and folded into 1-minute, 1-hour and 1-day rollups as it is written,
+ * so charts over long ranges never scan raw rows. Each resolution has its
+ * own retention; a periodic prune drops what has aged out.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Finest first. `span_ms` is the longest range a query is answered from this
+// resolution before falling back to a coarser one.
+export const RESOLUTIONS = {
+  raw: { bucket_ms: null, span_ms: HOUR_MS },
+  '1m': { bucket_ms: MINUTE_MS, span_ms: DAY_MS },
+  '1h': { bucket_ms: HOUR_MS, span_ms: 60 * DAY_MS },
+  '1d': { bucket_ms: DAY_MS, span_ms: Infinity }
+};
+
+// How long each resolution is kept
+export const DEFAULT_RETENTION_MS = {
+  raw: 2 * DAY_MS,
+  '1m': 14 * DAY_MS,
+  '1h': 180 * DAY_MS,
+  '1d': 730 * DAY_MS
+};
+
+const ROLLUPS = ['1m', '1h', '1d'];
+
+// Longest metric name accepted, to keep junk keys out of the index
+const MAX_METRIC_LENGTH = 64;
+
+// How far ahead of the server clock a device's timestamp may be. Later ones
+// would keep last_seen in the future, hiding the device from the watchdog.
+export const MAX_CLOCK_SKEW_MS = 5 * MINUTE_MS;
+
+function bucketStart(ts, resolution) {
+  const size = RESOLUTIONS[resolution].bucket_ms;
+  return new Date(Math.floor(Date.parse(ts) / size) * size).toISOString();
+}
+
+export class TelemetryService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} [options]
+   * @param {object} [options.retentionMs] - per-resolution overrides of DEFAULT_RETENTION_MS
+   * @param {number} [options.pruneIntervalMs] - how often expired rows are deleted
+   * @param {Function} [options.onRecorded] - (device, ts) => void, after a sample is stored
+   */
+  constructor(db, { retentionMs = {}, pruneIntervalMs = HOUR_MS, onRecorded = null } = {}) {
+    this.db = db;
+    this.onRecorded = onRecorded;
+    this.retentionMs = { ...DEFAULT_RETENTION_MS, ...retentionMs };
+    this.pruneIntervalMs = pruneIntervalMs;
+    this.timer = null;
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS telemetry_raw (
+        device_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        ts TEXT NOT NULL,
+        value REAL NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_telemetry_raw_series ON telemetry_raw (device_id, metric, ts);
+      CREATE INDEX IF NOT EXISTS idx_telemetry_raw_ts ON telemetry_raw (ts);
+      CREATE TABLE IF NOT EXISTS telemetry_rollups (
+        device_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        resolution TEXT NOT NULL CHECK (resolution IN ('1m', '1h', '1d')),
+        bucket TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        sum REAL NOT NULL,
+        min REAL NOT NULL,
+        max REAL NOT NULL,
+        last REAL NOT NULL,
+        last_ts TEXT NOT NULL,
+        PRIMARY KEY (device_id, metric, resolution, bucket)
+      );
+      CREATE INDEX IF NOT EXISTS idx_telemetry_rollups_bucket ON telemetry_rollups (resolution, bucket);
+    `);
+
+    this.insertRaw = this.db.prepare('INSERT INTO telemetry_raw (device_id, metric, ts, value) VALUES (?, ?, ?, ?)');
+    this.upsertRollup = this.db.prepare(`
+      INSERT INTO telemetry_rollups (device_id, metric, resolution, bucket, count, sum, min, max, last, last_ts)
+      VALUES (@device_id, @metric, @resolution, @bucket, 1, @value, @value, @value, @value, @ts)
+      ON CONFLICT (device_id, metric, resolution, bucket) DO UPDATE SET
+        count = count + 1,
+        sum = sum + excluded.sum,
+        min = MIN(min, excluded.min),
+        max = MAX(max, excluded.max),
+        last = CASE WHEN excluded.last_ts >= last_ts THEN excluded.last ELSE last END,
+        last_ts = MAX(last_ts, excluded.last_ts)
+    `);
+    this.touchDevice = this.db.prepare('UPDATE devices SET last_seen = ? WHERE id = ? AND (last_seen IS NULL OR last_seen < ?)');
+  }
+
+  getDevice(id) {
+    return this.db.prepare('SELECT * FROM devices WHERE id = ? OR device_id = ?').get(id, id);
+  }
+
+  /**
+   * Problems with a metrics payload, empty when it can be stored
+   * @param {object} metrics - { name: number }
+   * @param {string} [timestamp] - ISO timestamp of the sample; at most
+   *   MAX_CLOCK_SKEW_MS ahead of now and no older than raw retention
+   */
+  validate(metrics, timestamp, now = Date.now()) {
+    const details = [];
+    if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) {
+      return ['metrics must be an object of metric name to number'];
+    }
+    const names = Object.keys(metrics);
+    if (!names.length) details.push('metrics must contain at least one metric');
+    for (const name of names) {
+      if (!/^[A-Za-z0-9_.-]+$/.test(name) || name.length > MAX_METRIC_LENGTH) {
+        details.push(`metric name "${name}" must be up to ${MAX_METRIC_LENGTH} letters, digits, "_", "." or "-"`);
+      } else if (typeof metrics[name] !== 'number' || !Number.isFinite(metrics[name])) {
+        details.push(`metric "${name}" must be a finite number`);
+      }
+    }
+    if (timestamp !== undefined) {
+      const ts = Date.parse(timestamp);
+      if (Number.isNaN(ts)) details.push('timestamp must be an ISO timestamp');
+      else if (ts > now + MAX_CLOCK_SKEW_MS) details.push(`timestamp is more than ${MAX_CLOCK_SKEW_MS / MINUTE_MS} minutes in the future`);
+      else if (ts < now - this.retentionMs.raw) details.push(`timestamp is older than raw telemetry is kept (${this.retentionMs.raw / HOUR_MS} hours)`);
+    }
+    return details;
+  }
+
+  /**
+   * Store one sample of every metric and fold it into the rollups
+   * @param {object} device - devices row
+   * @param {object} metrics - validated { name: number }
+   * @param {string} ts - ISO timestamp of the sample
+   * @returns {number} metrics stored
+   */
+  record(device, metrics, ts) {
+    const at = new Date(ts).toISOString();
+    const names = Object.keys(metrics);
+
+    this.db.transaction(() => {
+      for (const metric of names) {
+        const value = metrics[metric];
+        this.insertRaw.run(device.device_id, metric, at, value);
+        for (const resolution of ROLLUPS) {
+          this.upsertRollup.run({
+            device_id: device.device_id, metric, resolution, bucket: bucketStart(at, resolution), value, ts: at
+          });
+        }
+      }
+      // A sample from a clock running slightly ahead still can't put last_seen in the future
+      const seen = at < new Date().toISOString() ? at : new Date().toISOString();
+      this.touchDevice.run(seen, device.id, seen);
+    })();
+
+    if (this.onRecorded) this.onRecorded(device, at);
+
+    return names.length;
+  }
+
+  // ============ QUERIES ============
+
+  /**
+   * Metrics a device has reported, with the latest value of each
+   */
+  listMetrics(deviceId) {
+    return this.db.prepare(`
+      SELECT metric, last AS value, last_ts AS ts, since
+      FROM (
+        SELECT metric, last, last_ts,
+          MIN(bucket) OVER (PARTITION BY metric) AS since,
+          ROW_NUMBER() OVER (PARTITION BY metric ORDER BY bucket DESC) AS rn
+        FROM telemetry_rollups
+        WHERE device_id = ? AND resolution = '1d'
+      )
+      WHERE rn = 1
+      ORDER BY metric ASC
+    `).all(deviceId);
+  }
+
+  /**
+   * Finest resolution that still holds data for `from` and keeps the series short
+   */
+  pickResolution(from, to, now = Date.now()) {
+    const span = to - from;
+    return Object.keys(RESOLUTIONS).find(resolution =>
+      span <= RESOLUTIONS[resolution].span_ms && from >= now - this.retentionMs[resolution]
+    ) || '1d';
+  }
+
+  /**
+   * One metric's series for a device over [from, to)
+   * @param {string} deviceId
+   * @param {string} metric
+   * @param {object} range
+   * @param {number} range.from - epoch ms
+   * @param {number} range.to - epoch ms
+   * @param {string} [range.resolution] - raw, 1m, 1h, 1d or auto
+   * @returns {{ resolution, points: Array<{ ts, value, min, max, count }> }}
+   */
+  query(deviceId, metric, { from, to, resolution = 'auto' }) {
+    const chosen = resolution === 'auto' ? this.pickResolution(from, to) : resolution;
+    const fromISO = new Date(from).toISOString();
+    const toISO = new Date(to).toISOString();
+
+    const points = chosen === 'raw'
+      ? this.db.prepare(`
+          SELECT ts, value, value AS min, value AS max, 1 AS count FROM telemetry_raw
+          WHERE device_id = ? AND metric = ? AND ts >= ? AND ts < ?
+          ORDER BY ts ASC
+        `).all(deviceId, metric, fromISO, toISO)
+      : this.db.prepare(`
+          SELECT bucket AS ts, sum / count AS value, min, max, count FROM telemetry_rollups
+          WHERE device_id = ? AND metric = ? AND resolution = ? AND bucket >= ? AND bucket < ?
+          ORDER BY bucket ASC
+        `).all(deviceId, metric, chosen, bucketStart(fromISO, chosen), toISO);
+
+    return { resolution: chosen, points };
+  }
+
+  /**
+   * Average, min, max and sample count of one metric over [from, to)
+   * @returns {{ avg, min, max, count }|null} null when nothing was recorded
+   */
+  summarize(deviceId, metric, { from, to }) {
+    const resolution = this.pickResolution(from, to);
+    const fromISO = new Date(from).toISOString();
+    const toISO = new Date(to).toISOString();
+
+    const row = resolution === 'raw'
+      ? this.db.prepare(`
+          SELECT AVG(value) AS avg, MIN(value) AS min, MAX(value) AS max, COUNT(*) AS count FROM telemetry_raw
+          WHERE device_id = ? AND metric = ? AND ts >= ? AND ts < ?
+        `).get(deviceId, metric, fromISO, toISO)
+      : this.db.prepare(`
+          SELECT SUM(sum) / SUM(count) AS avg, MIN(min) AS min, MAX(max) AS max, COALESCE(SUM(count), 0) AS count
+          FROM telemetry_rollups
+          WHERE device_id = ? AND metric = ? AND resolution = ? AND bucket >= ? AND bucket < ?
+        `).get(deviceId, metric, resolution, bucketStart(fromISO, resolution), toISO);
+
+    return row.count ? row : null;
+  }
+
+  /**
+   * Row counts and the oldest sample per resolution, for the admin view
+   */
+  stats() {
+    const raw = this.db.prepare('SELECT COUNT(*) AS rows, MIN(ts) AS oldest FROM telemetry_raw').get();
+    const rollups = this.db.prepare(`
+      SELECT resolution, COUNT(*) AS rows, MIN(bucket) AS oldest FROM telemetry_rollups GROUP BY resolution
+    `).all();
+
+    const resolutions = { raw: { ...raw, retention_ms: this.retentionMs.raw } };
+    for (const resolution of ROLLUPS) {
+      const row = rollups.find(r => r.resolution === resolution) || { rows: 0, oldest: null };
+      resolutions[resolution] = { rows: row.rows, oldest: row.oldest, retention_ms: this.retentionMs[resolution] };
+    }
+    return resolutions;
+  }
+
+  // ============ RETENTION ============
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.prune(), this.pruneIntervalMs);
+    this.prune();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete samples and buckets older than their resolution's retention
+   * @returns {number} rows deleted
+   */
+  prune(now = Date.now()) {
+    try {
+      let deleted = this.db.prepare('DELETE FROM telemetry_raw WHERE ts < ?')
+        .run(new Date(now - this.retentionMs.raw).toISOString()).changes;
+      for (const resolution of ROLLUPS) {
+        deleted += this.db.prepare('DELETE FROM telemetry_rollups WHERE resolution = ? AND bucket < ?')
+          .run(resolution, new Date(now - this.retentionMs[resolution]).toISOString()).changes;
+      }
+      if (deleted) console.log(`[telemetry] Pruned ${deleted} expired row(s)`);
+      return deleted;
+    } catch (error) {
+      console.error('[telemetry] Prune failed:', error.message);
+      return 0;
+    }
+  }
+}
+
+export default TelemetryService;
@@ -0,0 +1,142 @@
+/**
+ * Timezone helpers
+ * Wall-clock arithmetic in an IANA timezone (houses.timezone) without extra dependencies
+ */
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a timezone name is understood by the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Break an instant down into local calendar fields for a timezone.
+ * Falls back to UTC for unknown zones.
+ * @returns {{ year, month, day, hour, minute, second, weekday }} - month is 1-12, weekday 0 = Sunday
+ */
+export function getZonedParts(date, timeZone = 'UTC') {
+  const formatter = isValidTimeZone(timeZone) ? getFormatter(timeZone) : getFormatter('UTC');
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Local wall-clock time of an instant, encoded as if it were UTC milliseconds.
+ * Differences between two such values are wall-clock differences, which is what
+ * "every Monday at 09:00 local" style rules need.
+ */
+export function toWallClockMs(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * Minutes since local midnight for an instant
+ */
+export function minutesOfDay(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  return p.hour * 60 + p.minute;
+}
+
+/**
+ * Parse 'HH:MM' into minutes since midnight, or null if malformed
+ */
+export function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Convert a local wall-clock time in a timezone back to a real instant
+ * @param {number} wallMs - wall-clock time encoded as UTC milliseconds
+ */
+export function fromWallClockMs(wallMs, timeZone = 'UTC') {
+  // Guess using the offset at the target, then correct once for DST shifts
+  let guess = wallMs - (toWallClockMs(wallMs, timeZone) - wallMs);
+  const drift = toWallClockMs(guess, timeZone) - wallMs;
+  if (drift !== 0) guess -= drift;
+  return new Date(guess);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * End of a daily window if it is active at `at`, otherwise null.
+ * Windows whose end is before their start run overnight; `days` are the
+ * weekdays a window starts on (null for every day). Equal start and end
+ * means all day.
+ * @param {{ start_time: string, end_time: string, days: number[]|null }} window - times as 'HH:MM'
+ * @returns {Date|null}
+ */
+export function dailyWindowEndsAt(window, at, timeZone = 'UTC') {
+  const start = parseTimeOfDay(window.start_time);
+  const end = parseTimeOfDay(window.end_time);
+
+  const parts = getZonedParts(at, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  const midnight = toWallClockMs(at, timeZone) - (minutes * 60 + parts.second) * 1000;
+  const startsOn = weekday => !window.days || window.days.includes(weekday);
+
+  let endWall = null;
+  if (start === end) {
+    if (startsOn(parts.weekday)) endWall = midnight + DAY_MS;
+  } else if (start < end) {
+    if (startsOn(parts.weekday) && minutes >= start && minutes < end) endWall = midnight + end * 60 * 1000;
+  } else if (minutes >= start && startsOn(parts.weekday)) {
+    endWall = midnight + DAY_MS + end * 60 * 1000;
+  } else if (minutes < end && startsOn((parts.weekday + 6) % 7)) {
+    endWall = midnight + end * 60 * 1000;
+  }
+
+  return endWall == null ? null : fromWallClockMs(endWall, timeZone);
+}
+
+export default {
+  isValidTimeZone,
+  getZonedParts,
+  toWallClockMs,
+  fromWallClockMs,
+  minutesOfDay,
+  parseTimeOfDay,
+  dailyWindowEndsAt
+};
@@ -0,0 +1,442 @@
+/**
+ * Webhook Service
+ * Per-tenant outbound webhook subscriptions. Each delivery is signed with the
+ * endpoint's secret (HMAC-SHA256 over "<timestamp>.<body>") so receivers can
+ * verify the sender and reject replays, and every attempt is logged.
+ *
+ * Headers sent with each delivery:
+ *   X-Webhook-Event      event name, e.g. alert.new
+ *   X-Webhook-Delivery   delivery id (changes on redelivery)
+ *   X-Webhook-Timestamp  unix seconds when the request was signed
+ *   X-Webhook-Signature  sha256=<hex hmac>
+ *
+ * Endpoints must be public: loopback, private, link-local and cloud metadata
+ * addresses are refused when an endpoint is saved and again, after DNS
+ * resolution, before every delivery. Redirects aren't followed, and only the
+ * receiver's status is logged, never its response body.
+ */
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { nanoid } from 'nanoid';
+
+export const WEBHOOK_EVENTS = [
+  'alert.new',
+  'alert.escalated',
+  'alert.resolved',
+  'device.heartbeat',
+  'device.offline'
+];
+
+const DEFAULTS = {
+  timeoutMs: 10000,
+  disableAfterFailures: 10,
+  // Local development receivers only
+  allowPrivateAddresses: false
+};
+
+// Addresses a webhook must never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const BLOCKED_HOSTNAMES = /(^|\.)(localhost|internal|local)$/i;
+
+/**
+ * Whether an IP address is loopback, private, link-local (including the cloud
+ * metadata address 169.254.169.254), multicast or otherwise not public
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+// URL hostnames keep IPv6 brackets
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+export function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature for a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Receiver-side check: signature matches and timestamp is within tolerance
+ */
+export function verifySignature(secret, { signature, timestamp, body, toleranceSec = 300, now = Date.now() }) {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSec) return false;
+
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+export class WebhookService {
+  /**
+   * @param {object} db - better-sqlite3 database
+   * @param {object} [options]
+   * @param {Function} [options.fetch] - fetch implementation, defaults to global fetch
+   * @param {Function} [options.lookup] - dns.promises.lookup compatible resolver
+   * @param {boolean} [options.allowPrivateAddresses] - let endpoints reach private networks
+   */
+  constructor(db, { fetch: fetchImpl = globalThis.fetch, lookup = dns.promises.lookup, ...options } = {}) {
+    this.db = db;
+    this.fetch = fetchImpl;
+    this.lookup = lookup;
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  initialize() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        description TEXT,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        disabled_at TEXT,
+        disabled_reason TEXT,
+        last_delivery_at TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_tenant ON webhook_endpoints (tenant_id);
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        endpoint_id TEXT NOT NULL,
+        tenant_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'failed')),
+        response_code INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        redelivery_of TEXT,
+        created_at TEXT,
+        completed_at TEXT,
+        FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, created_at);
+    `);
+
+    this.selectSubscribed = this.db.prepare(
+      'SELECT * FROM webhook_endpoints WHERE tenant_id = ? AND enabled = 1'
+    );
+    this.insertDelivery = this.db.prepare(`
+      INSERT INTO webhook_deliveries (id, endpoint_id, tenant_id, event, event_id, payload, status, redelivery_of, created_at)
+      VALUES (@id, @endpoint_id, @tenant_id, @event, @event_id, @payload, 'pending', @redelivery_of, @created_at)
+    `);
+    this.completeDelivery = this.db.prepare(`
+      UPDATE webhook_deliveries SET status=@status, response_code=@response_code, response_body=@response_body,
+        error=@error, duration_ms=@duration_ms, completed_at=@completed_at
+      WHERE id=@id
+    `);
+  }
+
+  // ============ ENDPOINTS ============
+
+  listEndpoints(tenantId) {
+    return this.db.prepare('SELECT * FROM webhook_endpoints WHERE tenant_id = ? ORDER BY created_at ASC')
+      .all(tenantId)
+      .map(row => this._hydrate(row));
+  }
+
+  getEndpoint(tenantId, id) {
+    const row = this.db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND tenant_id = ?').get(id, tenantId);
+    return row ? this._hydrate(row) : null;
+  }
+
+  createEndpoint(tenantId, { url, events, description = '' }) {
+    const now = new Date().toISOString();
+    const endpoint = {
+      id: nanoid(),
+      tenant_id: tenantId,
+      url,
+      description,
+      secret: generateSecret(),
+      events: JSON.stringify(events),
+      created_at: now,
+      updated_at: now
+    };
+
+    this.db.prepare(`
+      INSERT INTO webhook_endpoints (id, tenant_id, url, description, secret, events, enabled, created_at, updated_at)
+      VALUES (@id, @tenant_id, @url, @description, @secret, @events, 1, @created_at, @updated_at)
+    `).run(endpoint);
+
+    return this.getEndpoint(tenantId, endpoint.id);
+  }
+
+  /**
+   * Update url/events/description/enabled. Re-enabling clears the failure streak.
+   */
+  updateEndpoint(tenantId, id, changes) {
+    const existing = this.getEndpoint(tenantId, id);
+    if (!existing) return null;
+
+    const merged = { ...existing, ...changes };
+    const reenabled = changes.enabled === true && !existing.enabled;
+
+    this.db.prepare(`
+      UPDATE webhook_endpoints SET url=@url, description=@description, events=@events, enabled=@enabled,
+        consecutive_failures=@consecutive_failures, disabled_at=@disabled_at, disabled_reason=@disabled_reason,
+        updated_at=@updated_at
+      WHERE id=@id
+    `).run({
+      id,
+      url: merged.url,
+      description: merged.description,
+      events: JSON.stringify(merged.events),
+      enabled: merged.enabled ? 1 : 0,
+      consecutive_failures: reenabled ? 0 : existing.consecutive_failures,
+      disabled_at: merged.enabled ? null : (existing.disabled_at || new Date().toISOString()),
+      disabled_reason: merged.enabled ? null : (existing.disabled_reason || 'Disabled manually'),
+      updated_at: new Date().toISOString()
+    });
+
+    return this.getEndpoint(tenantId, id);
+  }
+
+  rotateSecret(tenantId, id) {
+    const existing = this.getEndpoint(tenantId, id);
+    if (!existing) return null;
+
+    this.db.prepare('UPDATE webhook_endpoints SET secret = ?, updated_at = ? WHERE id = ?')
+      .run(generateSecret(), new Date().toISOString(), id);
+    return this.getEndpoint(tenantId, id);
+  }
+
+  deleteEndpoint(tenantId, id) {
+    const existing = this.getEndpoint(tenantId, id);
+    if (!existing) return false;
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id = ?').run(id);
+      this.db.prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(id);
+    })();
+    return true;
+  }
+
+  validateEndpoint({ url, events }, { partial = false } = {}) {
+    const details = [];
+
+    if (!partial || url !== undefined) {
+      let parsed = null;
+      try { parsed = new URL(url); } catch (error) { /* reported below */ }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        details.push('url must be an http(s) URL');
+      } else if (!this.options.allowPrivateAddresses &&
+          (BLOCKED_HOSTNAMES.test(bareHostname(parsed)) || isPrivateAddress(bareHostname(parsed)))) {
+        details.push('url must point to a public address');
+      }
+    }
+    if (!partial || events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        details.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+      } else {
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length) details.push(`Unknown event(s): ${unknown.join(', ')}`);
+      }
+    }
+
+    return details;
+  }
+
+  // ============ DELIVERIES ============
+
+  listDeliveries(endpointId, { limit = 50 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM webhook_deliveries WHERE endpoint_id = ? ORDER BY created_at DESC LIMIT ?
+    `).all(endpointId, limit).map(row => this._hydrateDelivery(row));
+  }
+
+  getDelivery(endpointId, id) {
+    const row = this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND endpoint_id = ?').get(id, endpointId);
+    return row ? this._hydrateDelivery(row) : null;
+  }
+
+  // Older deliveries logged the receiver's response body; it is never returned
+  _hydrateDelivery({ response_body, ...row }) {
+    return { ...row, payload: JSON.parse(row.payload) };
+  }
+
+  /**
+   * Resolve an endpoint's host and refuse it if any address isn't public
+   * @returns {Promise<string|null>} why the endpoint can't be sent to, or null
+   */
+  async _checkDestination(url) {
+    if (this.options.allowPrivateAddresses) return null;
+
+    const hostname = bareHostname(new URL(url));
+    if (BLOCKED_HOSTNAMES.test(hostname)) return `${hostname} is not a public address`;
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await this.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    return blocked ? `${hostname} resolves to non-public address ${blocked.address}` : null;
+  }
+
+  /**
+   * Fan an event out to every enabled endpoint of the tenant subscribed to it.
+   * Deliveries run in the background; the caller never waits on receivers.
+   * @returns {Array} pending delivery ids
+   */
+  publish(tenantId, event, data) {
+    if (!tenantId) return [];
+
+    const endpoints = this.selectSubscribed.all(tenantId)
+      .map(row => this._hydrate(row))
+      .filter(endpoint => endpoint.events.includes(event));
+    if (!endpoints.length) return [];
+
+    const created_at = new Date().toISOString();
+    const body = { id: nanoid(), event, tenant_id: tenantId, created_at, data };
+
+    return endpoints.map(endpoint => {
+      const delivery = this._createDelivery(endpoint, body);
+      this._send(endpoint, delivery).catch(error => {
+        console.error(`[webhook] Delivery ${delivery.id} crashed:`, error.message);
+      });
+      return delivery.id;
+    });
+  }
+
+  /**
+   * Send a logged delivery again with a fresh signature and timestamp.
+   * The payload (including its event id) is unchanged so receivers can dedupe.
+   */
+  async redeliver(endpoint, deliveryId) {
+    const original = this.getDelivery(endpoint.id, deliveryId);
+    if (!original) return null;
+
+    const delivery = this._createDelivery(endpoint, original.payload, original.redelivery_of || original.id);
+    await this._send(endpoint, delivery);
+    return this.getDelivery(endpoint.id, delivery.id);
+  }
+
+  _createDelivery(endpoint, body, redeliveryOf = null) {
+    const delivery = {
+      id: nanoid(),
+      endpoint_id: endpoint.id,
+      tenant_id: endpoint.tenant_id,
+      event: body.event,
+      event_id: body.id,
+      payload: JSON.stringify(body),
+      redelivery_of: redeliveryOf,
+      created_at: new Date().toISOString()
+    };
+    this.insertDelivery.run(delivery);
+    return delivery;
+  }
+
+  async _send(endpoint, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(endpoint.secret, timestamp, delivery.payload);
+    const started = Date.now();
+
+    let response_code = null;
+    let error = null;
+
+    try {
+      error = await this._checkDestination(endpoint.url);
+      const response = error ? null : await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AlertMonitoring-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body: delivery.payload,
+        // A redirect could point anywhere, including past the address check
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+
+      if (response) {
+        response_code = response.status;
+        if (response.body) await response.body.cancel();
+        if (!response.ok) error = `Endpoint returned ${response.status}`;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${this.options.timeoutMs}ms` : err.message;
+    }
+
+    const completed_at = new Date().toISOString();
+    this.completeDelivery.run({
+      id: delivery.id,
+      status: error ? 'failed' : 'delivered',
+      response_code,
+      response_body: null,
+      error,
+      duration_ms: Date.now() - started,
+      completed_at
+    });
+
+    this._recordOutcome(endpoint, !error, completed_at);
+
+    if (error) {
+      console.warn(`[webhook] ${delivery.event} to ${endpoint.url} failed: ${error}`);
+    } else {
+      console.log(`[webhook] ${delivery.event} delivered to ${endpoint.url} (${response_code})`);
+    }
+  }
+
+  /**
+   * Track the failure streak and disable endpoints that keep failing
+   */
+  _recordOutcome(endpoint, success, now) {
+    if (success) {
+      this.db.prepare('UPDATE webhook_endpoints SET consecutive_failures = 0, last_delivery_at = ? WHERE id = ?')
+        .run(now, endpoint.id);
+      return;
+    }
+
+    this.db.prepare(`
+      UPDATE webhook_endpoints SET consecutive_failures = consecutive_failures + 1, last_delivery_at = ? WHERE id = ?
+    `).run(now, endpoint.id);
+
+    const { consecutive_failures, enabled } = this.db.prepare(
+      'SELECT consecutive_failures, enabled FROM webhook_endpoints WHERE id = ?'
+    ).get(endpoint.id) || {};
+
+    if (enabled && consecutive_failures >= this.options.disableAfterFailures) {
+      this.db.prepare(`
+        UPDATE webhook_endpoints SET enabled = 0, disabled_at = ?, disabled_reason = ?, updated_at = ? WHERE id = ?
+      `).run(now, `Disabled after ${consecutive_failures} consecutive failed deliveries`, now, endpoint.id);
+      console.warn(`[webhook] Endpoint ${endpoint.id} (${endpoint.url}) disabled after ${consecutive_failures} consecutive failures`);
+    }
+  }
+
+  _hydrate(row) {
+    return { ...row, events: JSON.parse(row.events || '[]'), enabled: Boolean(row.enabled) };
+  }
+}
+
+export default WebhookService;
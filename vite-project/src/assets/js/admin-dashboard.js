@@ -1,4 +1,4 @@
-import { post, get, put, detectBackend } from './api.js';
+import { post, get, put, detectBackend, authHeaders } from './api.js';
 import { SkeletonLoader } from './skeleton.js';
 import wsClient from './websocket-client.js';
 import { CloudVisualizer, MatrixLogStream } from './cloud-viz.js';
@@ -527,7 +527,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         (async () => {
           try {
             const apiBase = await getAPIBase();
-            const response = await fetch(`${apiBase}/api/v1/admin/audit-logs/export`);
+            const response = await fetch(`${apiBase}/api/v1/admin/audit-logs/export`, { headers: authHeaders() });
             const blob = await response.blob();
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
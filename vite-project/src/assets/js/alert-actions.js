@@ -1,5 +1,5 @@
 // Alert action handlers with state-based button rules
-import { post, del } from './api.js';
+import { post, put, del } from './api.js';
 
 // Get available actions based on alert state/status
 export function getAvailableActions(alert) {
@@ -9,36 +9,49 @@ export function getAvailableActions(alert) {
   switch (status.toLowerCase()) {
     case 'new':
     case 'open':
-      actions.push('acknowledge', 'escalate');
+      actions.push('acknowledge', 'escalate', 'snooze');
       break;
     case 'acknowledged':
     case 'acked':
-      actions.push('resolve');
+      actions.push('resolve', 'snooze');
       break;
     case 'escalated':
-      actions.push('acknowledge', 'resolve');
+      actions.push('acknowledge', 'resolve', 'snooze');
+      break;
+    case 'snoozed':
+      actions.push('acknowledge', 'resolve', 'reopen');
       break;
     case 'resolved':
-      // No actions available
+      actions.push('reopen');
       break;
     default:
       actions.push('acknowledge');
   }
 
+  // Critical alerts can't be snoozed
+  if (alert.severity === 'critical') {
+    return actions.filter(action => action !== 'snooze');
+  }
+
   return actions;
 }
 
+// Send the version the page loaded so a concurrent change comes back as a 409
+function ifMatch(version) {
+  return version != null ? { 'If-Match': `"${version}"` } : {};
+}
+
 // Acknowledge alert
-export async function acknowledgeAlert(alertId, actor = 'current_user') {
+export async function acknowledgeAlert(alertId, actor = 'current_user', version = null) {
   try {
-    const response = await post(`/api/v1/alerts/${alertId}/ack`, { actor });
+    const response = await post(`/api/v1/alerts/${alertId}/ack`, { actor }, ifMatch(version));
     return { success: true, data: response };
   } catch (error) {
     if (error.status === 409) {
       return { 
         success: false, 
         error: 'conflict',
-        message: 'Alert already acknowledged or resolved. Refreshing...' 
+        message: 'Alert was changed by someone else. Refreshing...' 
       };
     }
     return { 
@@ -50,9 +63,9 @@ export async function acknowledgeAlert(alertId, actor = 'current_user') {
 }
 
 // Escalate alert
-export async function escalateAlert(alertId, actor = 'current_user', note = '') {
+export async function escalateAlert(alertId, actor = 'current_user', note = '', version = null) {
   try {
-    const response = await post(`/api/v1/alerts/${alertId}/escalate`, { actor, note });
+    const response = await post(`/api/v1/alerts/${alertId}/escalate`, { actor, note }, ifMatch(version));
     return { success: true, data: response };
   } catch (error) {
     if (error.status === 409) {
@@ -70,8 +83,60 @@ export async function escalateAlert(alertId, actor = 'current_user', note = '')
   }
 }
 
-// Resolve alert
-export async function resolveAlert(alertId, actor = 'current_user', note = '') {
+// What was behind an alert, asked when it is resolved; becomes ground truth for the ML module
+export const ALERT_LABELS = {
+  true_positive: 'Real, and the type was right',
+  false_alarm: 'False alarm',
+  wrong_type: 'Real, but a different type'
+};
+
+// The API answers a bad label with 400 { details }
+function validationMessage(error, fallback) {
+  try {
+    const body = JSON.parse(error.message);
+    return (body.details && body.details.join('; ')) || body.error || fallback;
+  } catch {
+    return error.message || fallback;
+  }
+}
+
+// Label fields for a resolve or labeling dialog; wire them up with bindLabelFields
+export function getLabelFields(alert) {
+  const options = Object.entries(ALERT_LABELS)
+    .map(([value, text]) => `<option value="${value}">${text}</option>`)
+    .join('');
+  return `
+    <label for="resolve-label">What happened?</label>
+    <select id="resolve-label">
+      <option value="">Not sure</option>
+      ${options}
+    </select>
+    <div id="resolve-correct-type-field" hidden>
+      <label for="resolve-correct-type">Actual type (alert said ${alert.type || 'unknown'})</label>
+      <input id="resolve-correct-type" type="text" placeholder="e.g. dog_bark">
+    </div>
+  `;
+}
+
+// Show the type field only for wrong_type; returns a reader for the chosen label (null when not sure)
+export function bindLabelFields(container) {
+  const select = container.querySelector('#resolve-label');
+  const typeField = container.querySelector('#resolve-correct-type-field');
+  const typeInput = container.querySelector('#resolve-correct-type');
+  select.onchange = () => {
+    typeField.hidden = select.value !== 'wrong_type';
+    if (!typeField.hidden) typeInput.focus();
+  };
+  return () => {
+    if (!select.value) return null;
+    return select.value === 'wrong_type'
+      ? { label: select.value, correct_type: typeInput.value.trim() }
+      : { label: select.value };
+  };
+}
+
+// Resolve alert, optionally labeling it ({ label, correct_type? })
+export async function resolveAlert(alertId, actor = 'current_user', note = '', version = null, label = null) {
   if (!note || note.trim() === '') {
     return {
       success: false,
@@ -81,9 +146,16 @@ export async function resolveAlert(alertId, actor = 'current_user', note = '') {
   }
 
   try {
-    const response = await post(`/api/v1/alerts/${alertId}/resolve`, { actor, note });
+    const response = await post(`/api/v1/alerts/${alertId}/resolve`, { actor, note, ...label }, ifMatch(version));
     return { success: true, data: response };
   } catch (error) {
+    if (error.status === 400) {
+      return {
+        success: false,
+        error: 'validation',
+        message: validationMessage(error, 'Resolution note is required')
+      };
+    }
     if (error.status === 422) {
       return { 
         success: false, 
@@ -95,7 +167,7 @@ export async function resolveAlert(alertId, actor = 'current_user', note = '') {
       return { 
         success: false, 
         error: 'conflict',
-        message: 'Alert already resolved. Refreshing...' 
+        message: 'Alert was changed by someone else. Refreshing...' 
       };
     }
     return { 
@@ -106,6 +178,75 @@ export async function resolveAlert(alertId, actor = 'current_user', note = '') {
   }
 }
 
+// Label a resolved alert, or change its label ({ label, correct_type?, note? })
+export async function labelAlert(alertId, label) {
+  try {
+    const response = await put(`/api/v1/alerts/${alertId}/label`, label);
+    return { success: true, data: response };
+  } catch (error) {
+    if (error.status === 400) {
+      return { success: false, error: 'validation', message: validationMessage(error, 'Invalid label') };
+    }
+    if (error.status === 409) {
+      return { success: false, error: 'conflict', message: 'Only resolved alerts can be labeled' };
+    }
+    return { 
+      success: false, 
+      error: 'unknown',
+      message: error.message || 'Failed to label alert' 
+    };
+  }
+}
+
+// Snooze alert for a number of minutes
+export async function snoozeAlert(alertId, actor = 'current_user', minutes = 30, version = null) {
+  try {
+    const response = await post(`/api/v1/alerts/${alertId}/snooze`, { actor, duration_minutes: minutes }, ifMatch(version));
+    return { success: true, data: response };
+  } catch (error) {
+    if (error.status === 400) {
+      return { 
+        success: false, 
+        error: 'validation',
+        message: 'Snooze for between 1 minute and 24 hours' 
+      };
+    }
+    if (error.status === 409) {
+      return { 
+        success: false, 
+        error: 'conflict',
+        message: 'Alert can no longer be snoozed. Refreshing...' 
+      };
+    }
+    return { 
+      success: false, 
+      error: 'unknown',
+      message: error.message || 'Failed to snooze alert' 
+    };
+  }
+}
+
+// Reopen a resolved alert, or wake a snoozed one early
+export async function reopenAlert(alertId, actor = 'current_user', note = '', version = null) {
+  try {
+    const response = await post(`/api/v1/alerts/${alertId}/reopen`, { actor, note }, ifMatch(version));
+    return { success: true, data: response };
+  } catch (error) {
+    if (error.status === 409) {
+      return { 
+        success: false, 
+        error: 'conflict',
+        message: 'Alert was changed by someone else. Refreshing...' 
+      };
+    }
+    return { 
+      success: false, 
+      error: 'unknown',
+      message: error.message || 'Failed to reopen alert' 
+    };
+  }
+}
+
 // Delete alert
 export async function deleteAlert(alertId) {
   try {
@@ -179,6 +320,22 @@ export function createActionButtons(alert, callbacks = {}) {
     buttons.push(resolveBtn);
   }
 
+  if (actions.includes('snooze')) {
+    const snoozeBtn = document.createElement('button');
+    snoozeBtn.className = 'btn btn-sm btn-secondary';
+    snoozeBtn.textContent = '💤 Snooze';
+    snoozeBtn.onclick = () => callbacks.onSnooze?.(alert);
+    buttons.push(snoozeBtn);
+  }
+
+  if (actions.includes('reopen')) {
+    const reopenBtn = document.createElement('button');
+    reopenBtn.className = 'btn btn-sm btn-secondary';
+    reopenBtn.textContent = '↺ Reopen';
+    reopenBtn.onclick = () => callbacks.onReopen?.(alert);
+    buttons.push(reopenBtn);
+  }
+
   return buttons;
 }
 
@@ -201,6 +358,7 @@ export function getStatusBadge(status) {
     acknowledged: '<span class="badge badge-success">Acknowledged</span>',
     acked: '<span class="badge badge-success">Acknowledged</span>',
     escalated: '<span class="badge badge-warning">Escalated</span>',
+    snoozed: '<span class="badge badge-secondary">Snoozed</span>',
     resolved: '<span class="badge badge-secondary">Resolved</span>'
   };
   return badges[status?.toLowerCase()] || badges.open;
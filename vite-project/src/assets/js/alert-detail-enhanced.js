@@ -4,14 +4,21 @@ import {
   acknowledgeAlert,
   escalateAlert,
   resolveAlert,
+  getLabelFields,
+  bindLabelFields,
+  snoozeAlert,
+  reopenAlert,
+  ALERT_LABELS,
   getAvailableActions,
   getSeverityBadge,
   getStatusBadge
 } from './alert-actions.js';
 import alertSounds from './alert-sounds.js';
+import wsClient from './websocket-client.js';
 
 const toast = window.showToast || console.log;
 let currentAlert = null;
+let currentIncident = null;
 
 // Get alert ID from URL
 function getAlertIdFromUrl() {
@@ -33,9 +40,10 @@ async function loadAlertDetail() {
     const history = response.history || [];
 
     renderAlertHeader(currentAlert);
-    renderAlertInfo(currentAlert);
+    renderAlertInfo(currentAlert, response.label);
     renderAlertTimeline(currentAlert, history);
     renderActionButtons(currentAlert);
+    renderIncident(response.incident);
     
     // Setup audio player
     const playAudioBtn = document.getElementById('playAudio');
@@ -64,6 +72,20 @@ async function loadAlertDetail() {
   }
 }
 
+// Re-render after the alert changed elsewhere
+async function refreshAlert() {
+  try {
+    const response = await get(`/api/v1/alerts/${currentAlert.id}`);
+    currentAlert = response.alert;
+    renderAlertHeader(currentAlert);
+    renderAlertInfo(currentAlert, response.label);
+    renderAlertTimeline(currentAlert, response.history || []);
+    renderActionButtons(currentAlert);
+  } catch (err) {
+    console.error('[alert-detail] Failed to refresh alert:', err);
+  }
+}
+
 // Render alert header
 function renderAlertHeader(alert) {
   const headerTitle = document.querySelector('.header-title h1');
@@ -115,13 +137,14 @@ function getStatusText(status) {
     acknowledged: 'Acknowledged - Awaiting resolution',
     acked: 'Acknowledged - Awaiting resolution',
     escalated: 'Escalated - Requires immediate attention',
+    snoozed: 'Snoozed - Will resurface automatically',
     resolved: 'Resolved'
   };
   return texts[status?.toLowerCase()] || 'Unknown status';
 }
 
 // Render alert info
-function renderAlertInfo(alert) {
+function renderAlertInfo(alert, label = null) {
   const alertInfo = document.getElementById('alertInfo');
   if (!alertInfo) return;
 
@@ -173,12 +196,24 @@ function renderAlertInfo(alert) {
       <dd>${alert.escalation_level || 'N/A'}</dd>
     ` : ''}
     
+    ${alert.snoozed_until ? `
+      <dt>Snoozed Until</dt>
+      <dd>${new Date(alert.snoozed_until).toLocaleString()}</dd>
+    ` : ''}
+    
     ${alert.resolved_at ? `
       <dt>Resolved At</dt>
       <dd>${new Date(alert.resolved_at).toLocaleString()}</dd>
       <dt>Resolved By</dt>
       <dd>${alert.resolved_by || 'Unknown'}</dd>
     ` : ''}
+    
+    ${label ? `
+      <dt>Outcome</dt>
+      <dd>${ALERT_LABELS[label.label] || label.label}${label.correct_type ? ` (${label.correct_type.replace(/_/g, ' ')})` : ''}</dd>
+      <dt>Labeled By</dt>
+      <dd>${label.labeled_by || 'Unknown'}</dd>
+    ` : ''}
   `;
 }
 
@@ -203,7 +238,11 @@ function renderAlertTimeline(alert, history) {
     const eventTypes = {
       ack: { icon: '✓', title: 'Acknowledged', type: 'ack' },
       escalate: { icon: '⚠️', title: 'Escalated', type: 'escalate' },
-      resolve: { icon: '✓', title: 'Resolved', type: 'resolve' }
+      resolve: { icon: '✓', title: 'Resolved', type: 'resolve' },
+      snooze: { icon: '💤', title: 'Snoozed', type: 'snooze' },
+      resurface: { icon: '⏰', title: 'Snooze Expired', type: 'reopen' },
+      reopen: { icon: '↺', title: 'Reopened', type: 'reopen' },
+      label: { icon: '🏷️', title: 'Labeled', type: 'other' }
     };
 
     const eventType = eventTypes[h.action] || { icon: '📝', title: h.action, type: 'other' };
@@ -234,6 +273,71 @@ function renderAlertTimeline(alert, history) {
   `).join('');
 }
 
+// Render the incident this alert was correlated into
+function renderIncident(incident) {
+  const panel = document.getElementById('incidentPanel');
+  if (!panel) return;
+
+  currentIncident = incident || null;
+  if (!incident) {
+    panel.innerHTML = '<p class="incident-empty">This alert is not part of an incident.</p>';
+    return;
+  }
+
+  const related = incident.alerts.map(a => `
+    <li class="incident-alert ${a.id === currentAlert.id ? 'incident-alert-current' : ''}">
+      ${a.id === currentAlert.id
+        ? `<strong>${a.type.replace(/_/g, ' ')}</strong> (this alert)`
+        : `<a href="alert-detail.html?id=${a.id}">${a.type.replace(/_/g, ' ')}</a>`}
+      <span class="incident-alert-meta">
+        ${a.device_id} · ${new Date(a.occurred_at).toLocaleTimeString()} · ${getStatusBadge(a.status || a.state)}
+        ${a.suppressed_count ? ` · ${a.suppressed_count} duplicate${a.suppressed_count === 1 ? '' : 's'} suppressed` : ''}
+      </span>
+    </li>
+  `).join('');
+
+  panel.innerHTML = `
+    <div class="incident-header">
+      <strong>${incident.title}</strong>
+      <span class="incident-status incident-status-${incident.status}">${incident.status}</span>
+    </div>
+    <div class="incident-stats">
+      ${getSeverityBadge(incident.severity)}
+      <span>${incident.alert_count} alert${incident.alert_count === 1 ? '' : 's'}</span>
+      <span>${incident.suppressed_count} duplicate${incident.suppressed_count === 1 ? '' : 's'} suppressed</span>
+    </div>
+    <p class="incident-reason">Correlated by <code>${incident.rule}</code>: ${incident.correlation_reason}</p>
+    <ul class="incident-alerts">${related}</ul>
+  `;
+}
+
+// Keep the alert and its incident panel live while the page is open
+function subscribeToIncidentUpdates() {
+  wsClient.connect(currentAlert?.tenant_id, currentAlert?.house_id);
+
+  // Someone else (or the snooze timer) changed this alert
+  ['alert.acked', 'alert.escalated', 'alert.resolved', 'alert.snoozed', 'alert.reopened', 'alert.resurfaced'].forEach(event => {
+    wsClient.on(event, (data) => {
+      const alert = data.payload;
+      if (!alert || alert.id !== currentAlert.id || alert.version === currentAlert.version) return;
+      if (event === 'alert.resurfaced') toast('Snooze expired - this alert needs attention again', 'warning');
+      refreshAlert();
+    });
+  });
+
+  ['incident.updated', 'incident.acknowledged', 'incident.resolved', 'incident.reopened'].forEach(event => {
+    wsClient.on(event, async (data) => {
+      if (!currentIncident || data.payload?.id !== currentIncident.id) return;
+      try {
+        const response = await get(`/api/v1/alerts/${currentAlert.id}`);
+        renderIncident(response.incident);
+      } catch (err) {
+        console.error('[alert-detail] Failed to refresh incident:', err);
+      }
+    });
+  });
+}
+
 // Render action buttons based on alert state
 function renderActionButtons(alert) {
   const actionGrid = document.querySelector('.action-grid');
@@ -266,6 +370,22 @@ function renderActionButtons(alert) {
     `);
   }
 
+  if (actions.includes('snooze')) {
+    buttons.push(`
+      <button class="action-btn secondary" data-action="snooze">
+        💤 Snooze Alert
+      </button>
+    `);
+  }
+
+  if (actions.includes('reopen')) {
+    buttons.push(`
+      <button class="action-btn secondary" data-action="reopen">
+        ↺ ${alert.state === 'snoozed' ? 'Wake Up Now' : 'Reopen Alert'}
+      </button>
+    `);
+  }
+
   // Always show these buttons
   buttons.push(`
     <button class="action-btn secondary" data-action="share">
@@ -298,6 +418,12 @@ async function handleAction(action) {
     case 'resolve':
       await handleResolve();
       break;
+    case 'snooze':
+      await handleSnooze();
+      break;
+    case 'reopen':
+      await handleReopen();
+      break;
     case 'share':
       toast('Share functionality coming soon', 'info');
       break;
@@ -311,7 +437,7 @@ async function handleAction(action) {
 
 // Handle acknowledge
 async function handleAcknowledge() {
-  const result = await acknowledgeAlert(currentAlert.id);
+  const result = await acknowledgeAlert(currentAlert.id, 'current_user', currentAlert.version);
   
   if (result.success) {
     toast('Alert acknowledged successfully', 'success');
@@ -330,7 +456,7 @@ async function handleEscalate() {
   const note = prompt('Enter escalation note (optional):');
   if (note === null) return;
   
-  const result = await escalateAlert(currentAlert.id, 'current_user', note);
+  const result = await escalateAlert(currentAlert.id, 'current_user', note, currentAlert.version);
   
   if (result.success) {
     toast('Alert escalated successfully', 'success');
@@ -343,6 +469,42 @@ async function handleEscalate() {
   }
 }
 
+// Handle snooze
+async function handleSnooze() {
+  const input = prompt('Snooze for how many minutes?', '30');
+  if (input === null) return;
+  
+  const result = await snoozeAlert(currentAlert.id, 'current_user', parseInt(input, 10), currentAlert.version);
+  
+  if (result.success) {
+    toast(`Alert snoozed until ${new Date(result.data.snoozed_until).toLocaleTimeString()}`, 'success');
+    setTimeout(() => location.reload(), 1000);
+  } else {
+    toast(result.message, 'error');
+    if (result.error === 'conflict') {
+      setTimeout(() => location.reload(), 2000);
+    }
+  }
+}
+
+// Handle reopen (or waking a snoozed alert early)
+async function handleReopen() {
+  const note = prompt('Why is this alert being reopened? (optional)');
+  if (note === null) return;
+  
+  const result = await reopenAlert(currentAlert.id, 'current_user', note, currentAlert.version);
+  
+  if (result.success) {
+    toast('Alert reopened', 'success');
+    setTimeout(() => location.reload(), 1000);
+  } else {
+    toast(result.message, 'error');
+    if (result.error === 'conflict') {
+      setTimeout(() => location.reload(), 2000);
+    }
+  }
+}
+
 // Handle resolve
 async function handleResolve() {
   showResolveModal();
@@ -362,6 +524,7 @@ function showResolveModal() {
         <label for="resolve-note">Resolution Note *</label>
         <textarea id="resolve-note" placeholder="Describe how the alert was resolved..." 
                   aria-required="true" required></textarea>
+        ${getLabelFields(currentAlert)}
         <div class="resolve-modal-error" id="resolve-error" role="alert"></div>
       </div>
       <div class="resolve-modal-footer">
@@ -375,6 +538,7 @@ function showResolveModal() {
   
   const textarea = modal.querySelector('#resolve-note');
   textarea.focus();
+  const readLabel = bindLabelFields(modal);
   
   const closeModal = () => modal.remove();
   
@@ -394,7 +558,14 @@ function showResolveModal() {
       return;
     }
     
-    const result = await resolveAlert(currentAlert.id, 'current_user', note);
+    const label = readLabel();
+    if (label && label.label === 'wrong_type' && !label.correct_type) {
+      errorEl.textContent = 'Enter what the alert actually was';
+      modal.querySelector('#resolve-correct-type').focus();
+      return;
+    }
+    
+    const result = await resolveAlert(currentAlert.id, 'current_user', note, currentAlert.version, label);
     
     if (result.success) {
       toast('Alert resolved successfully', 'success');
@@ -435,4 +606,4 @@ function downloadAlertDetails() {
 }
 
 // Initialize
-loadAlertDetail();
+loadAlertDetail().then(subscribeToIncidentUpdates);
@@ -6,6 +6,10 @@ import {
   acknowledgeAlert,
   escalateAlert,
   resolveAlert,
+  getLabelFields,
+  bindLabelFields,
+  snoozeAlert,
+  reopenAlert,
   deleteAlert,
   clearAllAlertsAction,
   bulkAcknowledgeAlerts,
@@ -72,6 +76,24 @@ function rowHtml(alert) {
     `);
   }
 
+  if (actions.includes('snooze')) {
+    actionButtons.push(`
+      <button class="btn btn-sm btn-secondary action-snooze" data-id="${alert.id}"
+              aria-label="Snooze alert">
+        💤 Snooze
+      </button>
+    `);
+  }
+
+  if (actions.includes('reopen')) {
+    actionButtons.push(`
+      <button class="btn btn-sm btn-secondary action-reopen" data-id="${alert.id}"
+              aria-label="Reopen alert">
+        ↺ Reopen
+      </button>
+    `);
+  }
+
   const isNew = alert.status === 'new' || alert.status === 'open';
   const rowClass = isNew ? 'alert-row-new' : '';
 
@@ -163,16 +185,17 @@ async function loadAlerts() {
 
 // Handle acknowledge action
 async function handleAcknowledge(alertId) {
-  const result = await acknowledgeAlert(alertId);
+  const alert = alerts.find(a => a.id === alertId);
+  const result = await acknowledgeAlert(alertId, 'current_user', alert?.version);
   
   if (result.success) {
     toast('Alert acknowledged successfully', 'success');
     announceToScreenReader('Alert acknowledged');
     
     // Update the alert in the list
-    const alert = alerts.find(a => a.id === alertId);
     if (alert) {
       alert.status = 'acknowledged';
+      alert.version = result.data.version;
       upsertRow(alert);
     }
   } else {
@@ -191,16 +214,71 @@ async function handleEscalate(alertId) {
   const note = prompt('Enter escalation note (optional):');
   if (note === null) return; // User cancelled
   
-  const result = await escalateAlert(alertId, 'current_user', note);
+  const alert = alerts.find(a => a.id === alertId);
+  const result = await escalateAlert(alertId, 'current_user', note, alert?.version);
   
   if (result.success) {
     toast('Alert escalated successfully', 'success');
     announceToScreenReader('Alert escalated');
     
     // Update the alert in the list
-    const alert = alerts.find(a => a.id === alertId);
     if (alert) {
       alert.status = 'escalated';
+      alert.version = result.data.version;
+      upsertRow(alert);
+    }
+  } else {
+    if (result.error === 'conflict') {
+      toast(result.message, 'warning');
+      await reloadAlert(alertId);
+    } else {
+      toast(result.message, 'error');
+    }
+  }
+}
+
+// Handle snooze action
+async function handleSnooze(alertId) {
+  const input = prompt('Snooze for how many minutes?', '30');
+  if (input === null) return; // User cancelled
+  
+  const alert = alerts.find(a => a.id === alertId);
+  const result = await snoozeAlert(alertId, 'current_user', parseInt(input, 10), alert?.version);
+  
+  if (result.success) {
+    toast(`Alert snoozed until ${new Date(result.data.snoozed_until).toLocaleTimeString()}`, 'success');
+    announceToScreenReader('Alert snoozed');
+    
+    if (alert) {
+      alert.status = 'snoozed';
+      alert.state = 'snoozed';
+      alert.snoozed_until = result.data.snoozed_until;
+      alert.version = result.data.version;
+      upsertRow(alert);
+    }
+  } else {
+    if (result.error === 'conflict') {
+      toast(result.message, 'warning');
+      await reloadAlert(alertId);
+    } else {
+      toast(result.message, 'error');
+    }
+  }
+}
+
+// Handle reopen action
+async function handleReopen(alertId) {
+  const alert = alerts.find(a => a.id === alertId);
+  const result = await reopenAlert(alertId, 'current_user', '', alert?.version);
+  
+  if (result.success) {
+    toast('Alert reopened', 'success');
+    announceToScreenReader('Alert reopened');
+    
+    if (alert) {
+      alert.status = 'open';
+      alert.state = 'new';
+      alert.version = result.data.version;
       upsertRow(alert);
     }
   } else {
@@ -232,6 +310,7 @@ function showResolveModal(alertId) {
         <label for="resolve-note">Resolution Note *</label>
         <textarea id="resolve-note" placeholder="Describe how the alert was resolved..." 
                   aria-required="true" required></textarea>
+        ${getLabelFields(alerts.find(a => a.id === alertId) || {})}
         <div class="resolve-modal-error" id="resolve-error" role="alert"></div>
       </div>
       <div class="resolve-modal-footer">
@@ -246,6 +325,7 @@ function showResolveModal(alertId) {
   // Focus on textarea
   const textarea = modal.querySelector('#resolve-note');
   textarea.focus();
+  const readLabel = bindLabelFields(modal);
   
   // Close handlers
   const closeModal = () => {
@@ -269,7 +349,15 @@ function showResolveModal(alertId) {
       return;
     }
     
-    const result = await resolveAlert(alertId, 'current_user', note);
+    const label = readLabel();
+    if (label && label.label === 'wrong_type' && !label.correct_type) {
+      errorEl.textContent = 'Enter what the alert actually was';
+      modal.querySelector('#resolve-correct-type').focus();
+      return;
+    }
+    
+    const alert = alerts.find(a => a.id === alertId);
+    const result = await resolveAlert(alertId, 'current_user', note, alert?.version, label);
     
     if (result.success) {
       toast('Alert resolved successfully', 'success');
@@ -277,9 +365,9 @@ function showResolveModal(alertId) {
       closeModal();
       
       // Update the alert in the list
-      const alert = alerts.find(a => a.id === alertId);
       if (alert) {
         alert.status = 'resolved';
+        alert.version = result.data.version;
         upsertRow(alert);
       }
     } else {
@@ -527,6 +615,18 @@ if (tbody) {
       await handleResolve(alertId);
       return;
     }
+    
+    // Snooze button
+    if (target.classList.contains('action-snooze')) {
+      await handleSnooze(target.dataset.id);
+      return;
+    }
+    
+    // Reopen button
+    if (target.classList.contains('action-reopen')) {
+      await handleReopen(target.dataset.id);
+      return;
+    }
   });
 }
 
@@ -575,6 +675,23 @@ function setupWebSocket() {
     }
   });
   
+  // Handle snoozed, reopened and resurfaced alerts
+  wsClient.on('alert.snoozed', (data) => {
+    if (data.payload) upsertRow(data.payload);
+  });
+  
+  wsClient.on('alert.reopened', (data) => {
+    if (data.payload) upsertRow(data.payload);
+  });
+  
+  wsClient.on('alert.resurfaced', (data) => {
+    if (data.payload) {
+      upsertRow(data.payload);
+      toast(`Snooze expired: ${data.payload.type.replace(/_/g, ' ')} alert is back`, 'warning');
+      announceToScreenReader('A snoozed alert needs attention again');
+    }
+  });
+  
   // Handle deleted alerts
   wsClient.on('alert.deleted', (data) => {
     console.log('[alerts-list] Alert deleted:', data);
@@ -25,10 +25,7 @@ async function detectBackend() {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 1000);
       
-      const response = await fetch(`${LOCAL_BACKEND}/api/v1/alerts/search`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ limit: 1 }),
+      const response = await fetch(`${LOCAL_BACKEND}/health`, {
         signal: controller.signal
       });
       
@@ -51,10 +48,7 @@ async function detectBackend() {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 2000);
       
-      const response = await fetch(`${EC2_BACKEND}/api/v1/alerts/search`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ limit: 1 }),
+      const response = await fetch(`${EC2_BACKEND}/health`, {
         signal: controller.signal
       });
       
@@ -85,14 +79,31 @@ async function detectBackend() {
 
 export { API_BASE, WS_BASE, usingAWS, detectBackend };
 
-export async function post(path, body) {
+// Every API route except signing in needs the token saved by login.js
+export function authHeaders() {
+  const token = localStorage.getItem('access_token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Keep the HTTP status on thrown errors so callers can tell a 409 conflict apart
+async function requestError(res) {
+  // An expired or missing session sends the user back to sign in
+  if (res.status === 401 && !document.getElementById('loginForm')) {
+    window.location.href = 'index.html';
+  }
+  const error = new Error(await res.text());
+  error.status = res.status;
+  return error;
+}
+
+export async function post(path, body, headers = {}) {
   await detectBackend();
   const res = await fetch(`${API_BASE}${path}`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...headers },
     body: JSON.stringify(body || {})
   });
-  if (!res.ok) throw new Error(await res.text());
+  if (!res.ok) throw await requestError(res);
   return res.json();
 }
 
@@ -100,17 +111,28 @@ export async function put(path, body) {
   await detectBackend();
   const res = await fetch(`${API_BASE}${path}`, {
     method: 'PUT',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body || {})
+  });
+  if (!res.ok) throw await requestError(res);
+  return res.json();
+}
+
+export async function patch(path, body) {
+  await detectBackend();
+  const res = await fetch(`${API_BASE}${path}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify(body || {})
   });
-  if (!res.ok) throw new Error(await res.text());
+  if (!res.ok) throw await requestError(res);
   return res.json();
 }
 
 export async function get(path) {
   await detectBackend();
-  const res = await fetch(`${API_BASE}${path}`);
-  if (!res.ok) throw new Error(await res.text());
+  const res = await fetch(`${API_BASE}${path}`, { headers: authHeaders() });
+  if (!res.ok) throw await requestError(res);
   return res.json();
 }
 
@@ -118,9 +140,9 @@ export async function del(path) {
   await detectBackend();
   const res = await fetch(`${API_BASE}${path}`, {
     method: 'DELETE',
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json', ...authHeaders() }
   });
-  if (!res.ok) throw new Error(await res.text());
+  if (!res.ok) throw await requestError(res);
   return res.json();
 }
 
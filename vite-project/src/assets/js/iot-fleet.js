@@ -1,24 +1,34 @@
-import { get, post, API_BASE } from './api.js';
+import { get, post, put, patch, del, API_BASE, authHeaders } from './api.js';
+import wsClient from './websocket-client.js';
 
 (function () {
   const toast = window.showToast || (() => {});
 
   let deviceRows = [];
+  let firmwareReleases = [];
+  let firmwareDeployments = [];
+  let deviceGroups = [];
+  let maintenanceWindows = [];
+
+  function toDeviceRow(d) {
+    return {
+      id: d.id,
+      deviceId: d.device_id,
+      tenant: d.tenant,
+      location: d.location,
+      type: d.type,
+      status: d.status === 'online' ? 'success' : d.status === 'offline' ? 'danger' : 'warning',
+      heartbeat: d.heartbeat,
+      firmware: d.firmware,
+      tags: d.tags || []
+    };
+  }
 
   // Load devices from API
   async function loadDevices() {
     try {
       const response = await get('/api/v1/devices');
-      deviceRows = response.items.map(d => ({
-        id: d.id,
-        deviceId: d.device_id,
-        tenant: d.tenant,
-        location: d.location,
-        type: d.type,
-        status: d.status === 'online' ? 'success' : d.status === 'offline' ? 'danger' : 'warning',
-        heartbeat: d.heartbeat,
-        firmware: d.firmware
-      }));
+      deviceRows = response.items.map(toDeviceRow);
       renderKpis();
       renderDeviceTable();
     } catch (err) {
@@ -48,27 +58,79 @@ import { get, post, API_BASE } from './api.js';
     { label: 'Failed Messages', value: '3', tone: '#ef4444' }
   ];
 
+  // Load the firmware catalog and recent rollouts from the API
+  async function loadFirmware() {
+    try {
+      const [releases, deployments] = await Promise.all([
+        get('/api/v1/firmware/releases'),
+        get('/api/v1/firmware/deployments')
+      ]);
+      firmwareReleases = releases.items;
+      firmwareDeployments = deployments.items;
+      renderFirmwareVersions();
+      renderFirmwareQueue();
+    } catch (err) {
+      console.error('Failed to load firmware:', err);
+      toast('Failed to load firmware rollouts', 'error');
+    }
+  }
+
+  const DEPLOYMENT_LABELS = {
+    running: 'In Progress',
+    halted: 'Halted',
+    completed: 'Complete',
+    cancelled: 'Cancelled',
+    rolling_back: 'Rolling Back',
+    rolled_back: 'Rolled Back'
+  };
+
   function calculateFirmwareQueue() {
-    const needsUpdate = deviceRows.filter(d => d.firmware !== 'v2.4.1').length;
-    const upToDate = deviceRows.filter(d => d.firmware === 'v2.4.1').length;
-    
-    return [
-      {
-        title: 'v2.4.1 Production Rollout',
-        description: `${needsUpdate} devices pending update`,
-        status: needsUpdate > 0 ? 'In Progress' : 'Complete',
-        completion: deviceRows.length > 0 ? Math.round((upToDate / deviceRows.length) * 100) : 100,
-        accent: '#3b82f6'
-      },
-      {
-        title: 'All Devices Up-to-Date',
-        description: `${upToDate} devices on latest firmware`,
-        status: 'Healthy',
-        completion: 100,
-        accent: '#10b981',
-        success: true
+    return firmwareDeployments.slice(0, 5).map((deployment) => {
+      const { counts } = deployment;
+      const stage = deployment.state === 'running' && deployment.stage === 'canary' ? ' (canary)' : '';
+      return {
+        title: `${deployment.version} Rollout${stage}`,
+        description: deployment.halt_reason ||
+          `${counts.applied} applied, ${counts.pending + counts.downloading} pending, ${counts.failed + counts.rolled_back} failed of ${deployment.total}`,
+        status: DEPLOYMENT_LABELS[deployment.state] || deployment.state,
+        completion: deployment.progress,
+        success: deployment.state === 'completed'
+      };
+    });
+  }
+
+  function renderFirmwareVersions() {
+    const select = document.getElementById('firmwareVersion');
+    if (!select) return;
+    select.innerHTML = firmwareReleases.length
+      ? firmwareReleases.map(release => `<option value="${release.version}">${release.version}${release.release_notes ? ` (${release.release_notes})` : ''}</option>`).join('')
+      : '<option value="">No releases in the catalog</option>';
+  }
+
+  function logFirmware(message) {
+    const log = document.getElementById('firmwareLog');
+    if (!log) return;
+    log.textContent = `[${new Date().toLocaleTimeString()}] ${message}\n` + log.textContent;
+  }
+
+  // Rollout progress streamed from the server
+  function initFirmwareStream() {
+    wsClient.connect('admin', 'all');
+    wsClient.on('firmware.deployment', ({ payload }) => {
+      const index = firmwareDeployments.findIndex(d => d.id === payload.id);
+      const previous = index > -1 ? firmwareDeployments[index] : null;
+      if (index > -1) firmwareDeployments[index] = payload;
+      else firmwareDeployments.unshift(payload);
+      renderFirmwareQueue();
+      if (previous && previous.state !== payload.state) {
+        logFirmware(`${payload.version} rollout ${DEPLOYMENT_LABELS[payload.state] || payload.state}${payload.halt_reason ? `: ${payload.halt_reason}` : ''}`);
+        if (payload.state === 'halted') toast(`${payload.version} rollout halted`, 'warning');
       }
-    ];
+    });
+    wsClient.on('firmware.device', ({ payload }) => {
+      logFirmware(`${payload.device_id}: ${payload.state.replace('_', ' ')}${payload.error ? ` (${payload.error})` : ''}`);
+      if (payload.state === 'applied' || payload.state === 'rolled_back') loadDevices();
+    });
   }
 
   function renderKpis() {
@@ -89,6 +151,24 @@ import { get, post, API_BASE } from './api.js';
     });
   }
 
+  // Saved device groups, offered wherever devices are targeted
+  async function loadGroups() {
+    try {
+      const response = await get('/api/v1/device-groups');
+      deviceGroups = response.items;
+    } catch (err) {
+      console.error('Failed to load device groups:', err);
+      deviceGroups = [];
+    }
+    document.querySelectorAll('[data-group-picker]').forEach((select) => {
+      const selected = select.value;
+      select.innerHTML = '<option value="">All Devices</option>' + deviceGroups
+        .map(group => `<option value="${escapeHtml(group.id)}">${escapeHtml(group.name)} (${group.device_count})</option>`)
+        .join('');
+      select.value = deviceGroups.some(group => group.id === selected) ? selected : '';
+    });
+  }
+
   function renderDeviceTable(filteredDevices = deviceRows) {
     const tbody = document.querySelector('#deviceTable tbody');
     if (!tbody) return;
@@ -96,7 +176,7 @@ import { get, post, API_BASE } from './api.js';
     filteredDevices.forEach((device) => {
       const tr = document.createElement('tr');
       tr.innerHTML = `
-        <td class="device-id">${device.deviceId}</td>
+        <td class="device-id">${device.deviceId}${device.tags.length ? `<br><small>${device.tags.map(escapeHtml).join(' · ')}</small>` : ''}</td>
         <td>${device.tenant}</td>
         <td>${device.location}</td>
         <td>${device.type}</td>
@@ -129,6 +209,10 @@ import { get, post, API_BASE } from './api.js';
     if (!list) return;
     list.innerHTML = '';
     const firmwareQueue = calculateFirmwareQueue();
+    if (!firmwareQueue.length) {
+      list.innerHTML = '<div class="update-desc">No firmware rollouts yet.</div>';
+      return;
+    }
     firmwareQueue.forEach((item) => {
       const card = document.createElement('div');
       card.className = `update-card ${item.success ? 'success' : ''}`;
@@ -164,6 +248,127 @@ import { get, post, API_BASE } from './api.js';
   }
 
   let currentConfigDevice = null;
+  let activeFilter = { type: 'all', status: 'all', group: '', tag: '' };
+
+  // Table statuses back to the ones the server stores
+  const STATUS_FILTER = { success: 'online', warning: 'warning', danger: 'offline' };
+
+  // The table filter as a server-side device filter, for export and bulk actions
+  function serverFilter() {
+    const filter = {};
+    if (activeFilter.type !== 'all') filter.type = activeFilter.type;
+    if (activeFilter.status !== 'all') filter.status = STATUS_FILTER[activeFilter.status];
+    if (activeFilter.group) filter.group_id = activeFilter.group;
+    if (activeFilter.tag) filter.tags = [activeFilter.tag];
+    return Object.keys(filter).length ? filter : { all: true };
+  }
+
+  async function exportDevices() {
+    const { all, tags = [], ...filter } = serverFilter();
+    const query = new URLSearchParams({ format: 'csv', ...filter });
+    tags.forEach(tag => query.append('tag', tag));
+    try {
+      const response = await fetch(`${API_BASE}/api/v1/devices/export?${query}`, {
+        headers: authHeaders()
+      });
+      if (!response.ok) throw new Error('Export failed');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `devices-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      toast('Device registry exported to CSV.', 'success');
+    } catch (err) {
+      console.error('Export error:', err);
+      toast('Failed to export devices', 'error');
+    }
+  }
+
+  function renderImportReport(report) {
+    const panel = document.getElementById('importReport');
+    if (!panel) return;
+    const problems = report.rows.filter(row => !row.ok)
+      .map(row => `<div>Row ${row.row}${row.device_id ? ` (${escapeHtml(row.device_id)})` : ''}: ${row.errors.map(escapeHtml).join('; ')}</div>`);
+    panel.innerHTML = `
+      <div>${report.valid} of ${report.total} rows valid, ${report.invalid} invalid</div>
+      ${(report.warnings || []).map(warning => `<div>${escapeHtml(warning)}</div>`).join('')}
+      ${problems.join('')}
+    `;
+  }
+
+  async function importDevices(form, { dryRun }) {
+    const file = form.elements.file.files[0];
+    if (!file) {
+      toast('Choose a CSV or JSON file', 'error');
+      return;
+    }
+    const body = {
+      format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      data: await file.text(),
+      dry_run: dryRun,
+      skip_invalid: form.elements.skipInvalid.checked
+    };
+    try {
+      const result = await post('/api/v1/devices/import', body);
+      if (dryRun) {
+        renderImportReport(result);
+        return;
+      }
+      renderImportReport(result.report);
+      toast(`Importing ${result.job.total} device(s) in the background.`, 'success');
+      document.getElementById('importDialog')?.close();
+      form.reset();
+    } catch (err) {
+      console.error('Import error:', err);
+      try {
+        const body = JSON.parse(err.message);
+        if (body.report) renderImportReport(body.report);
+      } catch {
+        // Not a validation report
+      }
+      toast(describeError(err, 'Import failed'), 'error');
+    }
+  }
+
+  async function runBulkAction(form) {
+    const formData = new FormData(form);
+    const action = formData.get('action');
+    const value = (formData.get('value') || '').trim();
+    const params = {};
+    if (action === 'location') params.location = value;
+    if (action === 'move') params.house_id = value;
+    if (action === 'config') {
+      try {
+        params.config = JSON.parse(value);
+      } catch {
+        toast('Configuration must be valid JSON', 'error');
+        return;
+      }
+    }
+
+    const request = { action, filter: serverFilter(), params };
+    try {
+      const preview = await post('/api/v1/devices/bulk', { ...request, dry_run: true });
+      if (!window.confirm(`Run "${action}" on ${preview.matched} device(s)?`)) return;
+      const job = await post('/api/v1/devices/bulk', request);
+      toast(`Bulk ${action} started for ${job.total} device(s).`, 'success');
+      document.getElementById('bulkDialog')?.close();
+      form.reset();
+    } catch (err) {
+      console.error('Bulk action error:', err);
+      toast(describeError(err, 'Bulk action failed'), 'error');
+    }
+  }
+
+  // Bulk jobs run on the server; say when one is done
+  function initBulkJobStream() {
+    wsClient.on('device.bulk_job', ({ payload }) => {
+      if (payload.state === 'running') return;
+      const summary = `${payload.succeeded} succeeded, ${payload.failed} failed${payload.skipped ? `, ${payload.skipped} skipped` : ''}`;
+      toast(`Bulk ${payload.kind} ${payload.state}: ${summary}`, payload.failed ? 'warning' : 'success');
+      loadDevices();
+    });
+  }
 
   function initTableActions() {
     document.addEventListener('click', async (event) => {
@@ -193,6 +398,134 @@ import { get, post, API_BASE } from './api.js';
     });
   }
 
+  // ============ MAINTENANCE WINDOWS ============
+
+  async function loadMaintenance() {
+    try {
+      const response = await get('/api/v1/maintenance-windows');
+      maintenanceWindows = response.items;
+    } catch (err) {
+      console.error('Failed to load maintenance windows:', err);
+      maintenanceWindows = [];
+    }
+    renderMaintenanceList();
+  }
+
+  function describeMaintenanceTarget(maintenance) {
+    if (maintenance.scope === 'group') {
+      return `group ${deviceGroups.find(group => group.id === maintenance.scope_id)?.name || maintenance.scope_id}`;
+    }
+    return `${maintenance.scope} ${maintenance.scope_id}`;
+  }
+
+  function describeMaintenanceTiming(maintenance) {
+    if (maintenance.status === 'active') return `until ${new Date(maintenance.active_until).toLocaleString()}`;
+    if (maintenance.schedule === 'once') {
+      return `${new Date(maintenance.starts_at).toLocaleString()} to ${new Date(maintenance.ends_at).toLocaleString()}`;
+    }
+    return `daily ${maintenance.start_time}-${maintenance.end_time}${maintenance.timezone ? ` (${maintenance.timezone})` : ''}`;
+  }
+
+  function renderMaintenanceList() {
+    const list = document.getElementById('maintenanceList');
+    if (!list) return;
+    const current = maintenanceWindows.filter(item => item.status === 'active' || item.status === 'scheduled');
+    if (!current.length) {
+      list.innerHTML = '<div class="update-desc">No maintenance scheduled.</div>';
+      return;
+    }
+    list.innerHTML = current.map(maintenance => `
+      <div class="update-card">
+        <div class="update-header">
+          <div>
+            <div class="update-title">${escapeHtml(maintenance.name)}</div>
+            <div class="update-desc">${escapeHtml(describeMaintenanceTarget(maintenance))}, ${escapeHtml(describeMaintenanceTiming(maintenance))}${maintenance.reason ? ` · ${escapeHtml(maintenance.reason)}` : ''}</div>
+          </div>
+          <span class="badge ${maintenance.status === 'active' ? 'warning' : ''}">${maintenance.status === 'active' ? 'Active' : 'Scheduled'}</span>
+        </div>
+        <button class="btn btn-secondary" data-cancel-maintenance="${escapeHtml(maintenance.id)}">Cancel</button>
+      </div>
+    `).join('');
+  }
+
+  // datetime-local values are local time without a zone
+  function toISO(value) {
+    return value ? new Date(value).toISOString() : undefined;
+  }
+
+  async function scheduleMaintenance(form) {
+    const formData = new FormData(form);
+    const scope = formData.get('scope');
+    const schedule = formData.get('schedule');
+    const body = {
+      name: formData.get('name').trim(),
+      reason: formData.get('reason').trim() || undefined,
+      scope,
+      scope_id: scope === 'group' ? formData.get('groupId') : formData.get('scopeId').trim(),
+      schedule
+    };
+    if (schedule === 'once') {
+      body.starts_at = toISO(formData.get('startsAt'));
+      body.ends_at = toISO(formData.get('endsAt'));
+    } else {
+      body.start_time = formData.get('startTime');
+      body.end_time = formData.get('endTime');
+    }
+    if (!body.scope_id) {
+      toast(scope === 'group' ? 'Choose a device group' : `Enter the ${scope} ID`, 'error');
+      return;
+    }
+
+    try {
+      const maintenance = await post('/api/v1/maintenance-windows', body);
+      toast(`Maintenance "${maintenance.name}" ${maintenance.status === 'active' ? 'is now active' : 'scheduled'}`, 'success');
+      document.getElementById('maintenanceDialog')?.close();
+      form.reset();
+      await loadMaintenance();
+    } catch (err) {
+      console.error('Maintenance scheduling error:', err);
+      toast(describeError(err, 'Failed to schedule maintenance'), 'error');
+    }
+  }
+
+  function initMaintenance() {
+    const form = document.getElementById('maintenanceDialogForm');
+    if (form) {
+      const toggleFields = () => {
+        const scope = form.elements.scope.value;
+        const recurring = form.elements.schedule.value === 'recurring';
+        form.querySelector('[data-maintenance-target]').hidden = scope === 'group';
+        form.querySelector('[data-maintenance-group]').hidden = scope !== 'group';
+        form.querySelectorAll('[data-maintenance-once]').forEach((label) => { label.hidden = recurring; });
+        form.querySelectorAll('[data-maintenance-recurring]').forEach((label) => { label.hidden = !recurring; });
+      };
+      form.elements.scope.addEventListener('change', toggleFields);
+      form.elements.schedule.addEventListener('change', toggleFields);
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        scheduleMaintenance(form);
+      });
+      form.addEventListener('reset', () => {
+        document.getElementById('maintenanceDialog')?.close();
+        setTimeout(toggleFields);
+      });
+    }
+
+    document.getElementById('maintenanceList')?.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-cancel-maintenance]');
+      if (!button) return;
+      const maintenance = maintenanceWindows.find(item => item.id === button.dataset.cancelMaintenance);
+      if (!maintenance || !window.confirm(`Cancel maintenance "${maintenance.name}"? Alerts will notify again.`)) return;
+      try {
+        await del(`/api/v1/maintenance-windows/${encodeURIComponent(maintenance.id)}`);
+        toast(`Maintenance "${maintenance.name}" cancelled`, 'success');
+        await loadMaintenance();
+      } catch (err) {
+        toast(describeError(err, 'Failed to cancel maintenance'), 'error');
+      }
+    });
+  }
+
   function initGlobalButtons() {
     const dialog = document.getElementById('deviceDialog');
     const dialogForm = document.getElementById('deviceDialogForm');
@@ -209,13 +542,29 @@ import { get, post, API_BASE } from './api.js';
             if (filterDialog?.showModal) filterDialog.showModal();
             break;
           case 'export':
-            toast('Device registry exported to CSV.', 'success');
+            exportDevices();
+            break;
+          case 'import':
+            document.getElementById('importDialog')?.showModal?.();
+            break;
+          case 'bulk': {
+            const selection = document.getElementById('bulkSelection');
+            const { all, ...filter } = serverFilter();
+            if (selection) {
+              selection.textContent = all
+                ? 'Applies to every device you manage.'
+                : `Applies to devices matching: ${Object.entries(filter).map(([key, value]) => key === 'group_id'
+                  ? `group ${deviceGroups.find(group => group.id === value)?.name || value}`
+                  : `${key} ${value}`).join(', ')}.`;
+            }
+            document.getElementById('bulkDialog')?.showModal?.();
             break;
+          }
           case 'register':
             if (dialog?.showModal) dialog.showModal();
             break;
           case 'schedule-ota':
-            toast('OTA batch scheduled for tonight at 02:00 AM.', 'success');
+            document.querySelector('.nav-item[data-section="firmware"]')?.click();
             break;
           case 'registry-search':
             performRegistrySearch();
@@ -226,6 +575,9 @@ import { get, post, API_BASE } from './api.js';
           case 'deploy-firmware':
             deployFirmware();
             break;
+          case 'schedule-maintenance':
+            document.getElementById('maintenanceDialog')?.showModal?.();
+            break;
           default:
             break;
         }
@@ -272,7 +624,7 @@ import { get, post, API_BASE } from './api.js';
         try {
           const response = await fetch(`${API_BASE}/api/v1/devices`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
             body: JSON.stringify(newDevice)
           });
           
@@ -297,13 +649,30 @@ import { get, post, API_BASE } from './api.js';
     }
 
     if (filterDialogForm) {
-        filterDialogForm.addEventListener('submit', (event) => {
+        filterDialogForm.addEventListener('submit', async (event) => {
             event.preventDefault();
             const formData = new FormData(filterDialogForm);
             const type = formData.get('type');
             const status = formData.get('status');
+            const group = formData.get('group') || '';
+            const tag = (formData.get('tag') || '').trim().toLowerCase();
+            activeFilter = { type, status, group, tag };
+
+            // Group membership and tags are worked out by the server
+            let rows = deviceRows;
+            if (group || tag) {
+                const query = new URLSearchParams();
+                if (group) query.set('group_id', group);
+                if (tag) query.set('tag', tag);
+                try {
+                    rows = (await get(`/api/v1/devices?${query}`)).items.map(toDeviceRow);
+                } catch (err) {
+                    toast(describeError(err, 'Filter failed'), 'error');
+                    return;
+                }
+            }
 
-            const filteredDevices = deviceRows.filter(device => {
+            const filteredDevices = rows.filter(device => {
                 const typeMatch = type === 'all' || device.type === type;
                 const statusMatch = status === 'all' || device.status === status;
                 return typeMatch && statusMatch;
@@ -315,12 +684,38 @@ import { get, post, API_BASE } from './api.js';
         });
 
         filterDialogForm.addEventListener('reset', () => {
+            activeFilter = { type: 'all', status: 'all', group: '', tag: '' };
             renderDeviceTable();
             toast('Filter cleared.', 'info');
             filterDialog.close();
         });
     }
 
+    const importDialogForm = document.getElementById('importDialogForm');
+    if (importDialogForm) {
+        importDialogForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            importDevices(importDialogForm, { dryRun: false });
+        });
+        importDialogForm.querySelector('[data-import="dry-run"]')?.addEventListener('click', () => {
+            importDevices(importDialogForm, { dryRun: true });
+        });
+        importDialogForm.addEventListener('reset', () => {
+            document.getElementById('importDialog')?.close();
+        });
+    }
+
+    const bulkDialogForm = document.getElementById('bulkDialogForm');
+    if (bulkDialogForm) {
+        bulkDialogForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            runBulkAction(bulkDialogForm);
+        });
+        bulkDialogForm.addEventListener('reset', () => {
+            document.getElementById('bulkDialog')?.close();
+        });
+    }
+
     // Configure device dialog
     if (configureDialogForm) {
         configureDialogForm.addEventListener('submit', async (event) => {
@@ -338,24 +733,25 @@ import { get, post, API_BASE } from './api.js';
                 mode: formData.get('mode'),
                 sampleRate: parseInt(formData.get('sampleRate'))
             };
+            const heartbeatInterval = parseInt(formData.get('heartbeatInterval'));
+            if (heartbeatInterval > 0) newConfig.heartbeat_interval_sec = heartbeatInterval;
             
             try {
-                const response = await fetch(`${API_BASE}/api/v1/devices/${currentConfigDevice.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ config: newConfig })
-                });
-                
-                if (!response.ok) throw new Error('Failed to update configuration');
+                // Only send the settings this type of device has
+                const { schema } = await get(`/api/v1/device-types/${encodeURIComponent(currentConfigDevice.type)}/config-schema`);
+                const desired = schema.additionalProperties === false
+                    ? Object.fromEntries(Object.entries(newConfig).filter(([key]) => key in (schema.properties || {})))
+                    : newConfig;
+                const shadow = await patch(`/api/v1/devices/${currentConfigDevice.id}/shadow/desired`, { desired });
                 
                 await loadDevices(); // Reload devices to show updated config
-                toast(`Configuration updated for ${currentConfigDevice.deviceId}`, 'success');
-                console.log(`[config] Updated ${currentConfigDevice.deviceId}:`, newConfig);
+                toast(`Configuration v${shadow.version} pushed to ${currentConfigDevice.deviceId}`, 'success');
+                console.log(`[config] Updated ${currentConfigDevice.deviceId}:`, desired);
                 configureDialog.close();
                 configureDialogForm.reset();
             } catch (err) {
                 console.error('Configuration error:', err);
-                toast('Failed to update configuration', 'error');
+                toast(describeError(err, 'Failed to update configuration'), 'error');
             }
         });
 
@@ -376,7 +772,8 @@ import { get, post, API_BASE } from './api.js';
     }
     const matches = deviceRows.filter((row) =>
       row.deviceId.toLowerCase().includes(term.toLowerCase()) ||
-      row.tenant.toLowerCase().includes(term.toLowerCase())
+      row.tenant.toLowerCase().includes(term.toLowerCase()) ||
+      row.tags.some(tag => tag.includes(term.toLowerCase()))
     );
     if (matches.length === 0) {
       results.textContent = `No devices found for "${term}".`;
@@ -384,7 +781,7 @@ import { get, post, API_BASE } from './api.js';
       return;
     }
     results.innerHTML = matches
-      .map((match) => `<div>• ${match.deviceId} — ${match.tenant} (${match.location})</div>`)
+      .map((match) => `<div>• ${match.deviceId} — ${match.tenant} (${match.location})${match.tags.length ? ` [${match.tags.map(escapeHtml).join(', ')}]` : ''}</div>`)
       .join('');
     toast(`${matches.length} device(s) found.`, 'success');
   }
@@ -402,30 +799,145 @@ import { get, post, API_BASE } from './api.js';
     toast('Network metrics refreshed from CloudWatch.', 'success');
   }
 
-  function deployFirmware() {
+  async function deployFirmware() {
     const select = document.getElementById('firmwareVersion');
-    const log = document.getElementById('firmwareLog');
-    if (!select || !log) return;
+    if (!select || !select.value) return;
     const version = select.value;
-    const message = `[${new Date().toLocaleTimeString()}] Deployment queued for firmware v${version}.`;
-    log.textContent = `${message}\n` + log.textContent;
-    toast(`Firmware v${version} deployment queued.`, 'info');
+    const canary = parseFloat(document.getElementById('firmwareCanary')?.value);
+    const maxFailure = parseFloat(document.getElementById('firmwareMaxFailure')?.value);
+    const groupId = document.getElementById('firmwareGroup')?.value;
+
+    try {
+      const deployment = await post('/api/v1/firmware/deployments', {
+        version,
+        ...(Number.isFinite(canary) && { canary_percent: canary }),
+        ...(Number.isFinite(maxFailure) && { max_failure_rate: maxFailure }),
+        ...(groupId && { target: { group_id: groupId } })
+      });
+      if (!firmwareDeployments.some(d => d.id === deployment.id)) firmwareDeployments.unshift(deployment);
+      renderFirmwareQueue();
+      logFirmware(`Rollout of ${version} started for ${deployment.total} devices (${deployment.canary_percent}% canary).`);
+      toast(`Firmware ${version} rollout started.`, 'success');
+    } catch (err) {
+      console.error('Firmware deployment error:', err);
+      logFirmware(`Rollout of ${version} not started: ${describeError(err, 'request failed')}`);
+      toast(describeError(err, 'Failed to start rollout'), 'error');
+    }
+  }
+
+  // Server errors come back as JSON text; show the validation details when there are any
+  function describeError(err, fallback) {
+    try {
+      const body = JSON.parse(err.message);
+      if (body.details && body.details.length) return body.details.join('; ');
+      return body.error || fallback;
+    } catch {
+      return err.message || fallback;
+    }
+  }
+
+  let shadowDeviceId = null;
+
+  async function loadShadow(deviceId) {
+    const panel = document.getElementById('configShadow');
+    if (!panel || !deviceId) return;
+    shadowDeviceId = deviceId;
+    try {
+      const [shadow, { versions }] = await Promise.all([
+        get(`/api/v1/devices/${encodeURIComponent(deviceId)}/shadow`),
+        get(`/api/v1/devices/${encodeURIComponent(deviceId)}/shadow/history?limit=10`)
+      ]);
+      renderShadow(shadow, versions);
+    } catch (err) {
+      panel.textContent = err.status === 404 ? `No device ${deviceId}.` : describeError(err, 'Failed to load configuration');
+    }
+  }
+
+  function renderShadow(shadow, versions) {
+    const panel = document.getElementById('configShadow');
+    if (!panel) return;
+    const pending = Object.keys(shadow.delta).length;
+    const sync = shadow.reported === null ? 'device has not reported yet'
+      : pending ? `${pending} setting(s) not applied yet` : 'in sync';
+    const line = (label, value) => `<div>${label}: ${escapeHtml(JSON.stringify(value))}</div>`;
+    panel.innerHTML = `
+      <div>${escapeHtml(shadow.device_id)} (${escapeHtml(shadow.type)}): desired v${shadow.version}, ${sync}</div>
+      ${line('Desired', shadow.desired)}
+      ${line('Reported', shadow.reported)}
+      ${line('Delta', shadow.delta)}
+      <div style="margin-top: 0.75rem;">History:</div>
+      ${versions.map(v => `
+        <div>v${v.version} ${new Date(v.created_at).toLocaleString()} by ${escapeHtml(v.created_by || 'unknown')} (${v.source})${v.note ? ` ${escapeHtml(v.note)}` : ''}
+          ${v.version !== shadow.version ? `<button class="btn btn-secondary" data-rollback="${v.version}">Roll back</button>` : ''}
+          <div>${escapeHtml(JSON.stringify(v.config))}</div>
+        </div>`).join('') || '<div>No changes yet</div>'}
+    `;
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
   }
 
   function initConfigForm() {
     const form = document.getElementById('configForm');
+    const panel = document.getElementById('configShadow');
     if (!form) return;
-    form.addEventListener('submit', (event) => {
+
+    form.elements.deviceId.addEventListener('change', () => loadShadow(form.elements.deviceId.value.trim()));
+
+    form.addEventListener('submit', async (event) => {
       event.preventDefault();
-      toast('Configuration payload published via AWS IoT Jobs.', 'success');
-      form.reset();
+      const formData = new FormData(form);
+      const deviceId = formData.get('deviceId').trim();
+      let desired;
+      try {
+        desired = JSON.parse(formData.get('payload'));
+      } catch {
+        toast('Desired configuration must be valid JSON', 'error');
+        return;
+      }
+
+      const path = `/api/v1/devices/${encodeURIComponent(deviceId)}/shadow/desired`;
+      const body = { desired, note: formData.get('note') || undefined };
+      try {
+        const shadow = formData.get('replace') ? await put(path, body) : await patch(path, body);
+        toast(`Configuration v${shadow.version} pushed to ${shadow.device_id}`, 'success');
+        await loadShadow(deviceId);
+      } catch (err) {
+        console.error('Configuration push error:', err);
+        toast(describeError(err, 'Failed to push configuration'), 'error');
+      }
+    });
+
+    panel?.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-rollback]');
+      if (!button || !shadowDeviceId) return;
+      try {
+        const shadow = await post(`/api/v1/devices/${encodeURIComponent(shadowDeviceId)}/shadow/rollback`, {
+          target_version: Number(button.dataset.rollback)
+        });
+        toast(`Rolled back to v${button.dataset.rollback} (now v${shadow.version})`, 'success');
+        await loadShadow(shadowDeviceId);
+      } catch (err) {
+        toast(describeError(err, 'Rollback failed'), 'error');
+      }
+    });
+
+    // Reported config arrives with the device's next heartbeat
+    wsClient.on('device.shadow', ({ payload }) => {
+      if (payload.device_id === shadowDeviceId) loadShadow(shadowDeviceId);
     });
   }
 
   document.addEventListener('DOMContentLoaded', async () => {
     await loadDevices();
+    await loadGroups();
     renderNetworkStats();
-    renderFirmwareQueue();
+    await loadFirmware();
+    initFirmwareStream();
+    initBulkJobStream();
+    await loadMaintenance();
+    initMaintenance();
     initNav();
     initTableActions();
     initGlobalButtons();
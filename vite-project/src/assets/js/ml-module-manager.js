@@ -94,7 +94,7 @@ window.loadMLModels = async function () {
       html += `<tr>
                 <td><strong>${model.name}</strong></td>
                 <td>${model.type.replace('_', ' ')}</td>
-                <td>${model.version}</td>
+                <td>${model.version}${model.deployment ? ` <small>(${model.deployment.version} in ${model.deployment.mode}${model.deployment.mode === 'canary' ? ` ${model.deployment.percent}%` : ''})</small>` : ''}</td>
                 <td><span class="badge ${statusClass}">${model.status}</span></td>
                 <td>${typeof accuracy === 'number' ? accuracy + '%' : accuracy}</td>
             </tr>`;
@@ -224,6 +224,7 @@ window.loadMLMetrics = async function () {
     html += `<div class="stat-box"><div class="stat-label">Avg Latency</div><div class="stat-value">${data.avg_latency_ms}ms</div></div>`;
     html += `<div class="stat-box"><div class="stat-label">Throughput</div><div class="stat-value">${data.throughput.toFixed(2)}/s</div></div>`;
     html += '</div>';
+    html += await renderMLDeployment(modelId);
 
     container.innerHTML = html;
   } catch (error) {
@@ -231,6 +232,71 @@ window.loadMLMetrics = async function () {
   }
 };
 
+// Version being rolled out next to the current one, compared on the same inputs
+async function renderMLDeployment(modelId) {
+  const response = await fetch(`${ML_API_BASE}/ml/models/${modelId}/deployment`, {
+    headers: { Authorization: `Bearer ${mlAuthToken}` },
+  });
+  if (!response.ok) return '';
+  const data = await response.json();
+  const rollback = `<button class="btn btn-secondary" onclick="rollbackMLModel('${modelId}')">Roll back</button>`;
+
+  if (!data.deployment) {
+    return `<p style="color: #6b7280; margin-top: 1rem;">Version ${data.current_version} is current; no rollout in progress.
+      ${data.previous_version ? `${rollback.replace('Roll back', `Roll back to ${data.previous_version}`)}` : ''}</p>`;
+  }
+
+  const { deployment, report } = data;
+  const row = (version, label) => {
+    const stats = report.versions[version] || {};
+    return `<tr>
+      <td>${version} (${label})</td>
+      <td>${stats.served ?? 0} / ${stats.predictions ?? 0}</td>
+      <td>${stats.avg_latency_ms ?? '-'} ms (p95 ${stats.p95_latency_ms ?? '-'} ms)</td>
+      <td>${stats.accuracy != null ? `${stats.accuracy}% of ${stats.labeled_predictions}` : '-'}</td>
+    </tr>`;
+  };
+  return `
+    <h4 style="margin-top: 1.5rem;">Rollout of ${deployment.version}: ${deployment.mode}${deployment.mode === 'canary' ? ` (${deployment.percent}% of traffic)` : ''}</h4>
+    <p>Agreement with ${deployment.baseline_version}: ${report.agreement_rate != null ? `${report.agreement_rate}% over ${report.compared_pairs} predictions` : 'no predictions yet'}</p>
+    <table class="styled-table" style="width: 100%;">
+      <thead><tr><th>Version</th><th>Served / Run</th><th>Latency</th><th>Accuracy (labeled)</th></tr></thead>
+      <tbody>${row(deployment.baseline_version, 'current')}${row(deployment.version, 'new')}</tbody>
+    </table>
+    <div style="margin-top: 1rem; display: flex; gap: 0.5rem;">
+      <button class="btn btn-primary" onclick="promoteMLModel('${modelId}')">Promote ${deployment.version}</button>
+      ${rollback}
+    </div>`;
+}
+
+async function changeMLDeployment(modelId, action, body = {}) {
+  try {
+    const response = await fetch(`${ML_API_BASE}/ml/models/${modelId}/${action}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${mlAuthToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Failed to ${action}`);
+    (window.showToast || console.log)(data.message, 'success');
+  } catch (error) {
+    (window.showToast || console.error)(error.message, 'error');
+  }
+  loadMLMetrics();
+  loadMLModels();
+}
+
+window.promoteMLModel = function (modelId) {
+  if (!confirm('Make the new version current for all predictions?')) return;
+  changeMLDeployment(modelId, 'promote');
+};
+
+window.rollbackMLModel = function (modelId) {
+  const reason = prompt('Why roll back? (optional)');
+  if (reason === null) return;
+  changeMLDeployment(modelId, 'rollback', { reason: reason || undefined });
+};
+
 // Auto-load models when ML Models section becomes visible
 const observer = new MutationObserver((mutations) => {
   mutations.forEach((mutation) => {
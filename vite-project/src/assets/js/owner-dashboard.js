@@ -203,6 +203,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     return then.toLocaleDateString();
   }
 
+  function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const mins = Math.floor(seconds / 60);
+    if (mins < 60) return `${mins}m`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `${hours}h ${mins % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
   const alertItems = realAlerts.slice(0, 4).map(alert => ({
     id: alert.id,
     type: getAlertType(alert.severity),
@@ -580,6 +589,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         <div class="device-info">📍 ${device.location}</div>
         <div class="device-info">${device.type}</div>
         <div class="device-info">⏱️ ${device.lastSeen}</div>
+        <div class="device-health"><div class="device-info">📈 Loading uptime…</div></div>
       `;
       
       // Show remove button on hover
@@ -610,6 +620,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, 500);
       });
       deviceGrid.appendChild(card);
+      loadDeviceHealth(device, card);
     });
     
     // Add toggle button handler
@@ -620,6 +631,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  // Uptime, outages and signal over the last 7 days from the device's recorded history
+  async function loadDeviceHealth(device, card) {
+    const slot = card.querySelector('.device-health');
+    if (!slot) return;
+    
+    try {
+      const health = await get(`/api/v1/metrics/device/${device.id}?window=7d`);
+      const uptime = health.uptimePct === null ? 'No status history yet' : `${health.uptimePct}% uptime (7d)`;
+      const mtbf = health.mtbfSec === null ? 'No failures (7d)' : `MTBF ${formatDuration(health.mtbfSec)}`;
+      const outage = health.longestOutageSec
+        ? `Longest outage ${formatDuration(health.longestOutageSec)}${health.ongoingOutage ? ' (ongoing)' : ''}`
+        : 'No outages (7d)';
+      const snr = health.avgSnr === null ? 'No signal data' : `Avg SNR ${health.avgSnr} dB`;
+      
+      slot.innerHTML = `
+        <div class="device-info">📈 ${uptime}</div>
+        <div class="device-info">🔁 ${mtbf} · ${outage}</div>
+        <div class="device-info">📶 ${snr}</div>
+      `;
+    } catch (err) {
+      console.error(`[owner] Failed to load health for ${device.device_id}:`, err);
+      slot.innerHTML = '<div class="device-info">📈 Uptime unavailable</div>';
+    }
+  }
+  
   // Remove device function
   async function removeDevice(device, index) {
     if (!confirm(`Are you sure you want to remove "${device.name}"?\n\nThis device will be permanently deleted from the database.`)) {
@@ -917,6 +953,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const severity = formData.get('severity');
         const status = formData.get('status');
         const type = formData.get('type');
+        const suppressed = formData.get('suppressed');
 
         toast('🔍 Filtering alerts...', 'info');
 
@@ -926,6 +963,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           if (severity) filterParams.severity = severity;
           if (status) filterParams.status = status;
           if (type) filterParams.type = type;
+          if (suppressed) filterParams.suppressed = suppressed;
 
           // Fetch filtered alerts from backend
           const response = await post('/api/v1/alerts/search', filterParams);
@@ -937,7 +975,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             type: getAlertType(alert.severity),
             icon: getAlertIcon(alert.type, alert.severity),
             title: `${alert.type.replace(/_/g, ' ').toUpperCase()} - ${alert.house_id}`,
-            meta: `Severity: ${alert.severity} | Device: ${alert.device_id} | ${alert.message || 'No message'}`,
+            meta: `Severity: ${alert.severity} | Device: ${alert.device_id} | ${alert.message || 'No message'}${alert.suppressed_by ? ' | Suppressed (maintenance)' : ''}`,
             time: formatTimeAgo(alert.ts)
           }));
 
@@ -19,9 +19,15 @@ class AlertWebSocketClient {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.hostname;
     const port = 3000; // Backend WebSocket port
-    const url = `${protocol}//${host}:${port}/ws?tenant=${tenant_id || 't1'}&house=${house_id || 'h1'}`;
+    // The server only sends events for the signed-in user's houses and tenants
+    const token = localStorage.getItem('access_token');
+    if (!token) {
+      console.warn('[WS] Not signed in; skipping real-time updates');
+      return;
+    }
+    const url = `${protocol}//${host}:${port}/ws?tenant=${tenant_id || 't1'}&house=${house_id || 'h1'}&token=${encodeURIComponent(token)}`;
 
-    console.log('[WS] Connecting to:', url);
+    console.log('[WS] Connecting to:', url.replace(/token=[^&]+/, 'token=…'));
     this.showConnectionStatus('connecting');
 
     try {